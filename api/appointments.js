@@ -0,0 +1,30 @@
+// Vercel Serverless Function de la agenda de citas
+// GET servicios agendables u horarios libres (?service&type&from&days); POST reserva (ver lib/appointments)
+
+import { handleAppointmentRequest } from '../lib/appointments/index.js';
+import { newRequestId } from '../lib/logger.js';
+import { localeFromRequest } from '../lib/i18n/index.js';
+import { requestIp } from '../lib/privacy/consent.js';
+import { getConfig } from '../lib/config.js';
+import { createRateLimiter, applyRateLimit } from '../lib/rateLimit.js';
+
+// Reservar (POST) lleva el mismo límite por IP que en server.js; consultar horarios no
+const limiter = createRateLimiter(() => getConfig().rateLimit);
+
+export default async function handler(req, res) {
+  const requestId = newRequestId(req.headers['x-request-id'] || req.headers['x-vercel-id']);
+  res.setHeader('X-Request-Id', requestId);
+  if (req.method === 'GET') res.setHeader('Cache-Control', 'no-store');
+
+  const locale = localeFromRequest(req);
+  if (req.method === 'POST' && applyRateLimit(limiter, req, res, locale)) return;
+
+  const { statusCode, body } = await handleAppointmentRequest(req.method, {
+    query: req.query,
+    body: req.body,
+    requestId,
+    locale,
+    ip: requestIp(req)
+  });
+  return res.status(statusCode).json(body);
+}
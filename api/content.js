@@ -0,0 +1,20 @@
+// Vercel Serverless Function del contenido editable del sitio
+// GET devuelve todas las secciones o una con ?section= (ver lib/content)
+
+import { handleContentRequest } from '../lib/content/index.js';
+import { newRequestId } from '../lib/logger.js';
+import { localeFromRequest } from '../lib/i18n/index.js';
+
+export default async function handler(req, res) {
+  const requestId = newRequestId(req.headers['x-request-id'] || req.headers['x-vercel-id']);
+  res.setHeader('X-Request-Id', requestId);
+  res.setHeader('Cache-Control', 'public, max-age=60');
+  res.setHeader('Vary', 'Accept-Language, Cookie');
+
+  const { statusCode, body } = await handleContentRequest(req.method, {
+    query: req.query,
+    requestId,
+    locale: localeFromRequest(req)
+  });
+  return res.status(statusCode).json(body);
+}
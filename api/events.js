@@ -0,0 +1,26 @@
+// Vercel Serverless Function del embudo de conversión
+// POST { event, attribution, locale } suma un evento a los contadores (ver lib/analytics)
+
+import { handleEventRequest, eventsRateLimit } from '../lib/analytics/index.js';
+import { createRateLimiter, applyRateLimit } from '../lib/rateLimit.js';
+import { newRequestId } from '../lib/logger.js';
+import { localeFromRequest } from '../lib/i18n/index.js';
+
+// El mismo límite por IP que eventsLimiter en server.js
+const limiter = createRateLimiter(() => eventsRateLimit());
+
+export default async function handler(req, res) {
+  const requestId = newRequestId(req.headers['x-request-id'] || req.headers['x-vercel-id']);
+  res.setHeader('X-Request-Id', requestId);
+  res.setHeader('Cache-Control', 'no-store');
+
+  const locale = localeFromRequest(req);
+  if (applyRateLimit(limiter, req, res, locale)) return;
+
+  const { statusCode, body } = await handleEventRequest(req.method, {
+    body: req.body,
+    requestId,
+    locale
+  });
+  return res.status(statusCode).json(body);
+}
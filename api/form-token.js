@@ -0,0 +1,19 @@
+// Vercel Serverless Function: token de tiempo firmado para el formulario de contacto
+// Adaptador delgado sobre lib/spam (compartido con server.js)
+
+import { handleFormTokenRequest } from '../lib/spam/index.js';
+import { localeFromRequest } from '../lib/i18n/index.js';
+import { getConfig } from '../lib/config.js';
+import { createRateLimiter, applyRateLimit } from '../lib/rateLimit.js';
+
+// El mismo límite por IP que limiter en server.js (RATE_LIMIT_WINDOW_MS / RATE_LIMIT_MAX)
+const limiter = createRateLimiter(() => getConfig().rateLimit);
+
+export default function handler(req, res) {
+  const locale = localeFromRequest(req);
+  res.setHeader('Cache-Control', 'no-store');
+  if (applyRateLimit(limiter, req, res, locale)) return;
+
+  const { statusCode, body } = handleFormTokenRequest(req.method, { locale });
+  return res.status(statusCode).json(body);
+}
@@ -0,0 +1,18 @@
+// Vercel Serverless Function del aviso de privacidad
+// GET devuelve el aviso vigente en el idioma de la solicitud (ver lib/privacy)
+
+import { handlePrivacyRequest } from '../../lib/privacy/index.js';
+import { newRequestId } from '../../lib/logger.js';
+import { localeFromRequest } from '../../lib/i18n/index.js';
+
+export default async function handler(req, res) {
+  const requestId = newRequestId(req.headers['x-request-id'] || req.headers['x-vercel-id']);
+  res.setHeader('X-Request-Id', requestId);
+  res.setHeader('Cache-Control', 'no-store');
+
+  const { statusCode, body } = await handlePrivacyRequest('notice', req.method, {
+    requestId,
+    locale: localeFromRequest(req)
+  });
+  return res.status(statusCode).json(body);
+}
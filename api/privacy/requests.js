@@ -0,0 +1,30 @@
+// Vercel Serverless Function de las solicitudes ARCO
+// POST { type, email, details, corrections } guarda la solicitud y manda el enlace de
+// verificación al email (ver lib/privacy/arco.js)
+
+import { handlePrivacyRequest } from '../../lib/privacy/index.js';
+import { requestIp } from '../../lib/privacy/consent.js';
+import { newRequestId } from '../../lib/logger.js';
+import { localeFromRequest } from '../../lib/i18n/index.js';
+import { getConfig } from '../../lib/config.js';
+import { createRateLimiter, applyRateLimit } from '../../lib/rateLimit.js';
+
+// Cada solicitud manda un email de verificación: el mismo límite por IP que en server.js
+const limiter = createRateLimiter(() => getConfig().rateLimit);
+
+export default async function handler(req, res) {
+  const requestId = newRequestId(req.headers['x-request-id'] || req.headers['x-vercel-id']);
+  res.setHeader('X-Request-Id', requestId);
+  res.setHeader('Cache-Control', 'no-store');
+
+  const locale = localeFromRequest(req);
+  if (req.method === 'POST' && applyRateLimit(limiter, req, res, locale)) return;
+
+  const { statusCode, body } = await handlePrivacyRequest('requests', req.method, {
+    body: req.body,
+    requestId,
+    locale,
+    ip: requestIp(req)
+  });
+  return res.status(statusCode).json(body);
+}
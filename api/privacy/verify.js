@@ -0,0 +1,27 @@
+// Vercel Serverless Function de la verificación ARCO
+// POST { id, token } ejecuta la solicitud confirmada desde el enlace del email
+
+import { handlePrivacyRequest } from '../../lib/privacy/index.js';
+import { newRequestId } from '../../lib/logger.js';
+import { localeFromRequest } from '../../lib/i18n/index.js';
+import { getConfig } from '../../lib/config.js';
+import { createRateLimiter, applyRateLimit } from '../../lib/rateLimit.js';
+
+// El mismo límite por IP que limiter en server.js (RATE_LIMIT_WINDOW_MS / RATE_LIMIT_MAX)
+const limiter = createRateLimiter(() => getConfig().rateLimit);
+
+export default async function handler(req, res) {
+  const requestId = newRequestId(req.headers['x-request-id'] || req.headers['x-vercel-id']);
+  res.setHeader('X-Request-Id', requestId);
+  res.setHeader('Cache-Control', 'no-store');
+
+  const locale = localeFromRequest(req);
+  if (req.method === 'POST' && applyRateLimit(limiter, req, res, locale)) return;
+
+  const { statusCode, body } = await handlePrivacyRequest('verify', req.method, {
+    body: req.body,
+    requestId,
+    locale
+  });
+  return res.status(statusCode).json(body);
+}
@@ -0,0 +1,18 @@
+// Vercel Serverless Function del cotizador
+// GET devuelve el catálogo público; POST calcula un estimado (ver lib/quote)
+
+import { handleQuoteRequest } from '../lib/quote/index.js';
+import { localeFromRequest } from '../lib/i18n/index.js';
+import { getConfig } from '../lib/config.js';
+import { createRateLimiter, applyRateLimit } from '../lib/rateLimit.js';
+
+// El cálculo (POST) lleva el mismo límite por IP que en server.js; el catálogo no
+const limiter = createRateLimiter(() => getConfig().rateLimit);
+
+export default async function handler(req, res) {
+  const locale = localeFromRequest(req);
+  if (req.method === 'POST' && applyRateLimit(limiter, req, res, locale)) return;
+
+  const { statusCode, body } = handleQuoteRequest(req.method, req.body, { locale });
+  return res.status(statusCode).json(body);
+}
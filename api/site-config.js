@@ -0,0 +1,12 @@
+// Vercel Serverless Function: configuración pública para el navegador
+// Adaptador delgado sobre lib/config.js (compartido con server.js)
+
+import { getPublicConfig } from '../lib/config.js';
+import { localeFromRequest, t } from '../lib/i18n/index.js';
+
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ ok: false, error: t('api.methodNotAllowed', {}, localeFromRequest(req)) });
+  }
+  return res.status(200).json({ ok: true, config: getPublicConfig() });
+}
@@ -0,0 +1,72 @@
+// Autenticación HTTP Basic para el panel /admin
+// Credenciales: ADMIN_USER (por defecto "admin") y ADMIN_PASSWORD.
+// Sin ADMIN_PASSWORD el panel queda deshabilitado.
+// El navegador reenvía las credenciales Basic a cualquier sitio que le haga pedir /admin, así
+// que los cambios (todo lo que no es GET) solo se aceptan en JSON y desde el mismo origen.
+
+const crypto = require('crypto');
+const { getConfig } = require('../config');
+
+// Comparación en tiempo constante para no filtrar la contraseña por timing
+function safeEqual(a, b) {
+  const bufferA = crypto.createHash('sha256').update(String(a)).digest();
+  const bufferB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function parseBasicAuth(header) {
+  if (!header || !header.startsWith('Basic ')) return null;
+  const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  if (separator === -1) return null;
+  return { user: decoded.slice(0, separator), password: decoded.slice(separator + 1) };
+}
+
+function requireAdmin(req, res, next) {
+  const { user: expectedUser, password: expectedPassword } = getConfig().admin;
+
+  if (!expectedPassword) {
+    return res.status(503).json({ ok: false, error: 'Panel de administración deshabilitado (falta ADMIN_PASSWORD)' });
+  }
+
+  const credentials = parseBasicAuth(req.headers.authorization);
+  const userOk = credentials && safeEqual(credentials.user, expectedUser);
+  const passwordOk = credentials && safeEqual(credentials.password, expectedPassword);
+
+  if (!userOk || !passwordOk) {
+    res.set('WWW-Authenticate', 'Basic realm="RXLab Admin", charset="UTF-8"');
+    return res.status(401).json({ ok: false, error: 'No autorizado' });
+  }
+
+  // Para registrar quién hizo cada cambio
+  req.adminUser = credentials.user;
+  next();
+}
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Un formulario de otro sitio solo puede mandar urlencoded, multipart o text/plain, y un
+// fetch de otro origen con application/json necesita preflight (que aquí no se responde).
+// Con Origin presente, además debe ser el mismo host al que llegó la solicitud.
+function requireSameOrigin(req, res, next) {
+  if (SAFE_METHODS.includes(req.method)) return next();
+
+  const origin = req.get('origin');
+  let sameOrigin = true;
+  if (origin) {
+    try {
+      sameOrigin = new URL(origin).host === req.get('host');
+    } catch (error) {
+      sameOrigin = false;
+    }
+  }
+
+  // Por el encabezado y no con req.is: un DELETE sin cuerpo también debe declararlo
+  const isJson = /^application\/json\s*(;|$)/i.test(req.get('content-type') || '');
+  if (!isJson || !sameOrigin) {
+    return res.status(403).json({ ok: false, error: 'Solicitud rechazada: los cambios del panel solo se aceptan en JSON desde el propio panel' });
+  }
+  next();
+}
+
+module.exports = { requireAdmin, requireSameOrigin };
@@ -0,0 +1,71 @@
+// Serialización CSV para exportaciones del panel y lectura de los CSV que suben las
+// empresas al portal (plantilla de trabajadores)
+
+// Evita inyección de fórmulas al abrir el CSV en Excel/Sheets (=, +, -, @),
+// sin tocar teléfonos como "+525512345678"
+function neutralizeFormula(value) {
+  if (/^[=+\-@\t\r]/.test(value) && !/^\+?[\d\s]+$/.test(value)) {
+    return `'${value}`;
+  }
+  return value;
+}
+
+function escapeCell(value) {
+  const text = neutralizeFormula(value === null || value === undefined ? '' : String(value));
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [{ key, label }]
+function toCsv(rows, columns) {
+  const header = columns.map((column) => escapeCell(column.label)).join(',');
+  const lines = rows.map((row) => columns.map((column) => escapeCell(row[column.key])).join(','));
+  // BOM para que Excel detecte UTF-8 (acentos en nombres y empresas)
+  return '\uFEFF' + [header, ...lines].join('\r\n') + '\r\n';
+}
+
+// Devuelve las filas como arreglos de celdas. Acepta BOM, CRLF, comillas con "" escapadas y
+// ";" como separador (Excel en español guarda así) si la primera línea no tiene comas.
+function parseCsv(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  // Las líneas en blanco no son filas
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+}
+
+module.exports = { toCsv, parseCsv };
@@ -0,0 +1,361 @@
+// Panel interno de leads (/admin) para el equipo comercial
+// Todo lo que cuelga de /admin requiere autenticación, y los cambios (POST, PATCH, PUT,
+// DELETE) van en JSON desde el mismo origen (ver auth.js).
+//   GET   /admin                    Interfaz (lib/admin/public)
+//   GET   /admin/api/leads          Lista con filtros: q, status, band, delivery, inbox, from, to
+//   PATCH /admin/api/leads/:id      Cambia el estado comercial { status }
+//   POST  /admin/api/leads/:id/release  Saca un lead de cuarentena y lo entrega al CRM
+//   GET   /admin/api/leads.csv      Exporta a CSV con los mismos filtros
+//   GET   /admin/api/accounts       Cuentas (empresas) con su número de solicitudes; filtro q
+//   GET   /admin/api/accounts/:id   Vista combinada: contactos, teléfonos y timeline de leads
+//   GET   /admin/api/appointments   Citas agendadas; filtros from, to (AAAA-MM-DD) y status
+//   PATCH /admin/api/appointments/:id  Cambia el estado de la cita { status }
+//   GET   /admin/api/funnel         Embudo de conversión del landing; filtros from, to (AAAA-MM-DD)
+//   GET   /admin/api/privacy-requests  Solicitudes ARCO (lib/privacy/arco.js); filtro status
+//   GET   /admin/api/employers      Empresas del portal (lib/portal) con su número de trabajadores
+//   POST  /admin/api/employers      Alta { company, locale, users: [{ email, name, results }] }
+//   PATCH /admin/api/employers/:id  Edición; { active: false } corta el acceso al portal
+//   GET   /admin/api/employers/:id/workers  Plantilla con el seguimiento; filtros status, inactive=1
+//   POST  /admin/api/employers/:id/workers/:workerId/exams  Registra un examen
+//         { service, date, aptitude, restrictions }
+//   POST  /admin/api/portal/reminders  Manda ya los recordatorios pendientes (server.js los corre cada hora)
+//   GET   /admin/api/employers/:id/draws  Historial de sorteos antidoping (lib/sorteo)
+//   GET   /admin/api/draws/:id.pdf   Acta del sorteo en PDF
+//   GET   /admin/api/draws/:id/verify  Firma y reproducción del sorteo
+//   GET   /admin/api/custody/samples      Muestras con cadena de custodia (lib/custody); filtros
+//         employerId, status
+//   POST  /admin/api/custody/samples      Registra una muestra { employerId, workerId | donor,
+//         idDocument, reason, panel, drawFolio, collector, consent: { accepted, signedName } }
+//   GET   /admin/api/custody/samples/:id  Detalle con historial y registro de accesos
+//   POST  /admin/api/custody/samples/:id/transitions  Siguiente paso { to, ...datos del paso }
+//   GET   /admin/api/custody/samples/:id/custody.pdf  Formato de cadena de custodia
+//   GET   /admin/api/custody/samples/:id/consent.pdf  Consentimiento informado para firma
+//   POST  /admin/api/custody/samples/:id/deliveries   Manda el enlace del resultado { to }
+//   GET   /admin/api/content        Secciones editables con su esquema y estado
+//   GET   /admin/api/content/:section      Contenido publicado de la sección
+//   PUT   /admin/api/content/:section      Publica una nueva versión (se valida con el esquema)
+//   DELETE /admin/api/content/:section     Restaura el contenido de fábrica
+
+const express = require('express');
+const path = require('path');
+const { requireAdmin, requireSameOrigin } = require('./auth');
+const { toCsv } = require('./csv');
+const leadStore = require('../leads/store');
+const accounts = require('../leads/accounts');
+const appointments = require('../appointments');
+const content = require('../content');
+const { LOCALES, DEFAULT_LOCALE } = require('../i18n');
+const { releaseQuarantinedLead } = require('../leads/pipeline');
+const { funnelReport } = require('../analytics');
+const { listRequests } = require('../privacy/arco');
+const roster = require('../portal/roster');
+const { sendDueReminders } = require('../portal/reminders');
+const sorteo = require('../sorteo');
+const { renderDrawPdf, fileNameFor } = require('../sorteo/pdf');
+const custody = require('../custody');
+const custodyPdf = require('../custody/pdf');
+const { getConfig } = require('../config');
+const { channelOf, describeChannel } = require('../analytics/attribution');
+const { BAND_NAMES } = require('../leads/score');
+const { FIELDS, displayValue } = require('../contactForm');
+const { child } = require('../logger');
+
+const logger = child({ module: 'admin' });
+
+const CSV_COLUMNS = [
+  { key: 'createdAt', label: 'Fecha' },
+  { key: 'name', label: 'Nombre' },
+  { key: 'company', label: 'Empresa' },
+  { key: 'email', label: 'Email' },
+  { key: 'phone', label: 'Teléfono' },
+  { key: 'message', label: 'Mensaje' },
+  { key: 'locale', label: 'Idioma' },
+  { key: 'headcount', label: 'Empleados' },
+  { key: 'industry', label: 'Giro' },
+  { key: 'shifts', label: 'Turnos' },
+  { key: 'services', label: 'Servicios de interés' },
+  { key: 'urgency', label: 'Urgencia' },
+  { key: 'stpsInspection', label: 'Inspección STPS' },
+  { key: 'leadScore', label: 'Puntaje lead' },
+  { key: 'leadBand', label: 'Prioridad' },
+  { key: 'source', label: 'Fuente' },
+  { key: 'medium', label: 'Medio' },
+  { key: 'campaign', label: 'Campaña' },
+  { key: 'landingPage', label: 'Página de entrada' },
+  { key: 'landingSection', label: 'Sección de entrada' },
+  { key: 'lastService', label: 'Último servicio visto' },
+  { key: 'noticeVersion', label: 'Aviso de privacidad' },
+  { key: 'marketingConsent', label: 'Acepta publicidad' },
+  { key: 'quoteFolio', label: 'Folio cotización' },
+  { key: 'quoteTotal', label: 'Cotización (total MXN)' },
+  { key: 'status', label: 'Estado' },
+  { key: 'deliveryStatus', label: 'Entrega CRM' },
+  { key: 'spamScore', label: 'Puntaje spam' },
+  { key: 'accountLeads', label: 'Solicitudes de la empresa' }
+];
+
+function readFilters(query) {
+  const pick = (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+  return {
+    q: pick(query.q),
+    status: pick(query.status),
+    band: pick(query.band),
+    delivery: pick(query.delivery),
+    inbox: pick(query.inbox),
+    from: pick(query.from),
+    to: pick(query.to)
+  };
+}
+
+// Respuestas de calificación como texto (etiquetas en español en lugar de códigos)
+const QUALIFICATION_FIELDS = FIELDS.filter((field) => ['industry', 'shifts', 'services', 'urgency', 'stpsInspection'].includes(field.name));
+
+function qualificationText(lead) {
+  return Object.fromEntries(QUALIFICATION_FIELDS.map((field) => [field.name, displayValue(field, lead[field.name])]));
+}
+
+// Canal y página de entrada; los leads anteriores a la atribución quedan vacíos
+function attributionColumns(attribution) {
+  if (!attribution) return {};
+  return {
+    ...channelOf(attribution),
+    landingPage: attribution.landingPage || '',
+    landingSection: attribution.landingSection || '',
+    lastService: attribution.lastService || ''
+  };
+}
+
+// Agrega a cada lead su cuenta y cuántas solicitudes lleva la empresa
+async function withAccounts(leads) {
+  const index = await accounts.indexLeads();
+  return leads.map((lead) => {
+    const account = index.get(lead.id);
+    return { ...lead, accountId: account?.accountId || null, accountLeads: account?.leadCount || 0 };
+  });
+}
+
+// Envuelve handlers async y traduce errores con status a respuestas JSON
+function asyncRoute(handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ ok: false, error: error.message });
+      }
+      logger.error('Error en el panel de administración', { path: req.path, error });
+      res.status(500).json({ ok: false, error: 'Error interno del servidor' });
+    }
+  };
+}
+
+function createAdminRouter() {
+  const router = express.Router();
+
+  router.use(requireAdmin);
+  router.use(requireSameOrigin);
+
+  // La interfaz usa rutas relativas: /admin → /admin/
+  router.get('/', (req, res, next) => {
+    if (!req.originalUrl.split('?')[0].endsWith('/')) {
+      return res.redirect(301, `${req.baseUrl}/`);
+    }
+    next();
+  });
+
+  router.get('/api/leads', asyncRoute(async (req, res) => {
+    const leads = (await withAccounts(await leadStore.listLeads(readFilters(req.query))))
+      .map((lead) => ({ ...lead, channel: describeChannel(lead.attribution) }));
+    res.json({ ok: true, statuses: leadStore.PIPELINE_STATUSES, bands: Object.values(BAND_NAMES), count: leads.length, leads });
+  }));
+
+  router.get('/api/leads.csv', asyncRoute(async (req, res) => {
+    const leads = await withAccounts(await leadStore.listLeads(readFilters(req.query)));
+    const fileName = `leads-rxlab-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    const rows = leads.map((lead) => ({
+      ...lead,
+      ...qualificationText(lead),
+      ...attributionColumns(lead.attribution),
+      noticeVersion: lead.consent?.noticeVersion || '',
+      marketingConsent: lead.consent ? (lead.consent.marketing ? 'Sí' : 'No') : '',
+      quoteFolio: lead.quote?.folio || '',
+      quoteTotal: lead.quote ? lead.quote.total.toFixed(2) : ''
+    }));
+    res.send(toCsv(rows, CSV_COLUMNS));
+  }));
+
+  router.patch('/api/leads/:id', asyncRoute(async (req, res) => {
+    const lead = await leadStore.setLeadStatus(req.params.id, req.body?.status);
+    res.json({ ok: true, lead });
+  }));
+
+  router.post('/api/leads/:id/release', asyncRoute(async (req, res) => {
+    const lead = await releaseQuarantinedLead(req.params.id);
+    res.json({ ok: true, lead });
+  }));
+
+  router.get('/api/accounts', asyncRoute(async (req, res) => {
+    const list = await accounts.listAccounts(readFilters(req.query));
+    res.json({ ok: true, count: list.length, accounts: list });
+  }));
+
+  // La timeline se completa con el estado comercial y de entrega actual de cada lead
+  router.get('/api/accounts/:id', asyncRoute(async (req, res) => {
+    const account = await accounts.getAccount(req.params.id);
+    if (!account) {
+      return res.status(404).json({ ok: false, error: 'Cuenta no encontrada' });
+    }
+    const leads = await leadStore.listLeads({ inbox: 'all' });
+    const byId = new Map(leads.map((lead) => [lead.id, lead]));
+    const timeline = account.timeline.map((entry) => ({
+      ...entry,
+      status: byId.get(entry.leadId)?.status || null,
+      deliveryStatus: byId.get(entry.leadId)?.deliveryStatus || 'unknown'
+    }));
+    res.json({ ok: true, account: { ...account, timeline } });
+  }));
+
+  router.get('/api/appointments', asyncRoute(async (req, res) => {
+    const filters = readFilters(req.query);
+    const list = await appointments.listAppointments({ from: filters.from, to: filters.to, status: filters.status });
+    res.json({ ok: true, count: list.length, appointments: list });
+  }));
+
+  router.patch('/api/appointments/:id', asyncRoute(async (req, res) => {
+    const appointment = await appointments.setAppointmentStatus(req.params.id, req.body?.status);
+    res.json({ ok: true, appointment });
+  }));
+
+  router.get('/api/funnel', asyncRoute(async (req, res) => {
+    const filters = readFilters(req.query);
+    res.json({ ok: true, report: await funnelReport({ from: filters.from, to: filters.to }) });
+  }));
+
+  // Constancia de las solicitudes ARCO; needs_review son las que el equipo debe terminar
+  router.get('/api/privacy-requests', asyncRoute(async (req, res) => {
+    const status = readFilters(req.query).status;
+    const requests = await listRequests();
+    res.json({ ok: true, requests: status ? requests.filter((request) => request.status === status) : requests });
+  }));
+
+  // Portal de empresas: el equipo da de alta a las empresas y registra los exámenes
+  router.get('/api/employers', asyncRoute(async (req, res) => {
+    res.json({ ok: true, employers: await roster.listEmployers() });
+  }));
+
+  router.post('/api/employers', asyncRoute(async (req, res) => {
+    const employer = await roster.createEmployer(req.body || {}, { user: req.adminUser });
+    res.status(201).json({ ok: true, employer });
+  }));
+
+  router.patch('/api/employers/:id', asyncRoute(async (req, res) => {
+    res.json({ ok: true, employer: await roster.updateEmployer(req.params.id, req.body || {}) });
+  }));
+
+  router.get('/api/employers/:id/workers', asyncRoute(async (req, res) => {
+    if (!await roster.getEmployer(req.params.id)) {
+      return res.status(404).json({ ok: false, error: 'Empresa no encontrada' });
+    }
+    const workers = await roster.listWorkers(req.params.id, {
+      includeInactive: req.query.inactive === '1',
+      status: roster.STATUSES.includes(req.query.status) ? req.query.status : undefined
+    });
+    res.json({ ok: true, count: workers.length, workers });
+  }));
+
+  router.post('/api/employers/:id/workers/:workerId/exams', asyncRoute(async (req, res) => {
+    const worker = await roster.recordExam(req.params.id, req.params.workerId, req.body || {}, { user: req.adminUser });
+    res.status(201).json({ ok: true, worker });
+  }));
+
+  router.post('/api/portal/reminders', asyncRoute(async (req, res) => {
+    res.json({ ok: true, ...await sendDueReminders() });
+  }));
+
+  // Sorteos antidoping: los hace la empresa en el portal; aquí solo se consultan
+  router.get('/api/employers/:id/draws', asyncRoute(async (req, res) => {
+    res.json({ ok: true, draws: await sorteo.listDraws(req.params.id) });
+  }));
+
+  router.get('/api/draws/:id.pdf', asyncRoute(async (req, res) => {
+    const draw = await sorteo.getDraw(req.params.id);
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${fileNameFor(draw)}"`);
+    res.send(await renderDrawPdf(draw));
+  }));
+
+  router.get('/api/draws/:id/verify', asyncRoute(async (req, res) => {
+    const draw = await sorteo.getDraw(req.params.id);
+    res.json({ ok: true, folio: draw.folio, ...sorteo.verifyDraw(draw) });
+  }));
+
+  // Cadena de custodia: el equipo registra cada paso y entrega el resultado por enlace
+  router.get('/api/custody/samples', asyncRoute(async (req, res) => {
+    const { employerId, status } = req.query;
+    res.json({ ok: true, states: custody.STATES, samples: await custody.listSamples({ employerId, status }) });
+  }));
+
+  router.post('/api/custody/samples', asyncRoute(async (req, res) => {
+    res.status(201).json({ ok: true, sample: await custody.createSample(req.body || {}, { user: req.adminUser }) });
+  }));
+
+  router.get('/api/custody/samples/:id', asyncRoute(async (req, res) => {
+    res.json({ ok: true, sample: await custody.getSample(req.params.id) });
+  }));
+
+  router.post('/api/custody/samples/:id/transitions', asyncRoute(async (req, res) => {
+    res.json({ ok: true, sample: await custody.transitionSample(req.params.id, req.body || {}, { user: req.adminUser }) });
+  }));
+
+  const custodyDocuments = { custody: custodyPdf.renderCustodyForm, consent: custodyPdf.renderConsent };
+  router.get('/api/custody/samples/:id/:kind(custody|consent).pdf', asyncRoute(async (req, res) => {
+    const sample = await custody.getSample(req.params.id);
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${custodyPdf.fileNameFor(sample, req.params.kind)}"`);
+    res.send(await custodyDocuments[req.params.kind](sample));
+  }));
+
+  router.post('/api/custody/samples/:id/deliveries', asyncRoute(async (req, res) => {
+    const sample = await custody.deliverResult(req.params.id, { to: req.body?.to, siteUrl: getConfig().site.url, user: req.adminUser });
+    res.status(201).json({ ok: true, sample });
+  }));
+
+  // ?locale=en edita la traducción; sin él, el contenido en español
+  const contentLocale = (req) => String(req.query.locale || DEFAULT_LOCALE);
+
+  router.get('/api/content', asyncRoute(async (req, res) => {
+    const locale = contentLocale(req);
+    res.json({ ok: true, schema: content.SECTIONS, locales: LOCALES, locale, sections: await content.listSections({ locale }) });
+  }));
+
+  router.get('/api/content/:section', asyncRoute(async (req, res) => {
+    const section = await content.getSection(req.params.section, { locale: contentLocale(req) });
+    res.json({ ok: true, section: req.params.section, content: section });
+  }));
+
+  router.put('/api/content/:section', asyncRoute(async (req, res) => {
+    try {
+      const saved = await content.saveSection(req.params.section, req.body, { user: req.adminUser, locale: contentLocale(req) });
+      res.json({ ok: true, section: req.params.section, content: saved });
+    } catch (error) {
+      // Los errores de validación llevan el detalle por campo para marcarlos en el formulario
+      if (error instanceof content.ContentError && error.fields) {
+        return res.status(error.status).json({ ok: false, error: error.message, fields: error.fields });
+      }
+      throw error;
+    }
+  }));
+
+  router.delete('/api/content/:section', asyncRoute(async (req, res) => {
+    const restored = await content.resetSection(req.params.section, { user: req.adminUser, locale: contentLocale(req) });
+    res.json({ ok: true, section: req.params.section, content: restored });
+  }));
+
+  router.use(express.static(path.join(__dirname, 'public')));
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
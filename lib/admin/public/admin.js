@@ -0,0 +1,322 @@
+// Interfaz del panel de leads
+// Consume /admin/api/leads y /admin/api/accounts; el navegador reutiliza las credenciales
+// Basic de la página. Las respuestas de calificación se muestran con las etiquetas del
+// esquema compartido (/lib/contactForm.js).
+
+const filtersForm = document.getElementById("filters");
+const statusFilter = document.getElementById("statusFilter");
+const bandFilter = document.getElementById("bandFilter");
+const exportLink = document.getElementById("exportCsv");
+const leadsBody = document.getElementById("leadsBody");
+const summary = document.getElementById("summary");
+const errorBox = document.getElementById("error");
+const accountPanel = document.getElementById("account");
+
+const DELIVERY_LABELS = {
+  delivered: "Entregado",
+  pending: "Pendiente",
+  processing: "En proceso",
+  dead: "Fallido",
+  quarantined: "Cuarentena",
+  unknown: "—"
+};
+
+// Prioridad del lead (lib/leads/score.js) → clase del badge
+const BAND_CLASSES = { caliente: "hot", tibio: "warm", "frío": "cold" };
+
+const contactForm = window.RXLabContactForm;
+
+let statuses = [];
+
+function formatMoney(amount) {
+  return amount.toLocaleString("es-MX", { style: "currency", currency: "MXN" });
+}
+
+function currentQuery() {
+  const params = new URLSearchParams();
+  new FormData(filtersForm).forEach((value, key) => {
+    if (value) params.set(key, value);
+  });
+  return params.toString();
+}
+
+function showError(message) {
+  errorBox.hidden = !message;
+  errorBox.textContent = message || "";
+}
+
+function cell(text, className) {
+  const td = document.createElement("td");
+  td.textContent = text || "";
+  if (className) td.className = className;
+  return td;
+}
+
+function renderStatusOptions() {
+  if (statusFilter.options.length > 1) return;
+  statuses.forEach((status) => statusFilter.add(new Option(status, status)));
+}
+
+function renderBandOptions(bands) {
+  if (bandFilter.options.length > 1) return;
+  bands.forEach((band) => bandFilter.add(new Option(band, band)));
+}
+
+function renderLeads(leads) {
+  leadsBody.innerHTML = "";
+
+  leads.forEach((lead) => {
+    const row = document.createElement("tr");
+    row.appendChild(cell(new Date(lead.createdAt).toLocaleString("es-MX"), "nowrap"));
+    row.appendChild(cell(lead.name));
+    row.appendChild(companyCell(lead));
+    row.appendChild(cell(lead.email));
+    row.appendChild(cell(lead.phone, "nowrap"));
+    row.appendChild(cell(lead.message, "message"));
+    row.appendChild(qualificationCell(lead));
+    row.appendChild(originCell(lead));
+    row.appendChild(cell(lead.quote ? `${lead.quote.folio ? `${lead.quote.folio} · ` : ""}${formatMoney(lead.quote.total)}` : "—", "nowrap"));
+
+    const delivery = cell("");
+    const badge = document.createElement("span");
+    badge.className = `badge badge-${lead.deliveryStatus}`;
+    badge.textContent = DELIVERY_LABELS[lead.deliveryStatus] || lead.deliveryStatus;
+    delivery.appendChild(badge);
+    row.appendChild(delivery);
+
+    row.appendChild(spamCell(lead));
+
+    const statusCell = cell("");
+    const select = document.createElement("select");
+    statuses.forEach((status) => select.add(new Option(status, status, false, status === lead.status)));
+    select.addEventListener("change", () => updateStatus(lead.id, select));
+    statusCell.appendChild(select);
+    row.appendChild(statusCell);
+
+    leadsBody.appendChild(row);
+  });
+}
+
+// Empresa y, si ya escribió antes, acceso a su historial completo
+function companyCell(lead) {
+  const td = cell(lead.company);
+  if (lead.accountId && lead.accountLeads > 1) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = `${lead.accountLeads} solicitudes`;
+    button.addEventListener("click", () => loadAccount(lead.accountId));
+    td.appendChild(button);
+  }
+  return td;
+}
+
+// Canal (fuente / medio · campaña) y, debajo, página de entrada y último servicio visto
+function originCell(lead) {
+  const attribution = lead.attribution;
+  const td = cell(lead.channel || "—");
+  if (!attribution) return td;
+
+  const details = [
+    attribution.landingPage ? `Entrada: ${attribution.landingPage}${attribution.landingSection ? `#${attribution.landingSection}` : ""}` : "",
+    attribution.lastService ? `Vio: ${attribution.lastService}` : ""
+  ].filter(Boolean);
+  if (details.length) {
+    const div = document.createElement("div");
+    div.className = "qualification";
+    div.textContent = details.join(" · ");
+    td.appendChild(div);
+  }
+  return td;
+}
+
+// Puntaje comercial con sus motivos y las respuestas del formulario por pasos
+function qualificationCell(lead) {
+  const td = cell("");
+  if (lead.leadScore === null || lead.leadScore === undefined) {
+    td.textContent = "—";
+    return td;
+  }
+
+  const badge = document.createElement("span");
+  badge.className = `badge badge-${BAND_CLASSES[lead.leadBand] || "cold"}`;
+  badge.textContent = `${lead.leadScore} · ${lead.leadBand}`;
+  badge.title = (lead.leadScoreReasons || []).map((reason) => `${reason.code} (+${reason.points})`).join("\n");
+  td.appendChild(badge);
+
+  const answers = contactForm.FIELDS
+    .filter((field) => ["headcount", "industry", "shifts", "services", "urgency", "stpsInspection"].includes(field.name))
+    .map((field) => {
+      const value = contactForm.displayValue(field, lead[field.name]);
+      return value ? `${contactForm.localized(field.label, "es")}: ${value}` : "";
+    })
+    .filter(Boolean);
+  if (answers.length) {
+    const details = document.createElement("div");
+    details.className = "qualification";
+    details.textContent = answers.join(" · ");
+    td.appendChild(details);
+  }
+  return td;
+}
+
+// Puntaje y motivos; los leads en cuarentena se pueden liberar al CRM
+function spamCell(lead) {
+  const td = cell("");
+  if (lead.spamScore === null || lead.spamScore === undefined) {
+    td.textContent = "—";
+    return td;
+  }
+
+  const score = document.createElement("span");
+  score.className = lead.quarantined ? "spam spam-high" : "spam";
+  score.textContent = String(lead.spamScore);
+  score.title = (lead.spamReasons || [])
+    .map((reason) => `${reason.code} (+${reason.points})${reason.detail ? `: ${reason.detail}` : ""}`)
+    .join("\n");
+  td.appendChild(score);
+
+  if (lead.quarantined) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = "Liberar";
+    button.addEventListener("click", () => releaseLead(lead.id, button));
+    td.appendChild(button);
+  }
+  return td;
+}
+
+async function loadLeads() {
+  const query = currentQuery();
+  exportLink.href = `api/leads.csv${query ? `?${query}` : ""}`;
+
+  try {
+    const response = await fetch(`api/leads${query ? `?${query}` : ""}`);
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || "Error al cargar leads");
+
+    statuses = result.statuses;
+    renderStatusOptions();
+    renderBandOptions(result.bands || []);
+    renderLeads(result.leads);
+    summary.textContent = `${result.count} lead(s)`;
+    showError(null);
+  } catch (error) {
+    showError(error.message);
+  }
+}
+
+async function updateStatus(id, select) {
+  select.disabled = true;
+  try {
+    const response = await fetch(`api/leads/${encodeURIComponent(id)}`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ status: select.value })
+    });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || "No se pudo actualizar el estado");
+    showError(null);
+  } catch (error) {
+    showError(error.message);
+  } finally {
+    select.disabled = false;
+  }
+}
+
+async function releaseLead(id, button) {
+  if (!confirm("¿Liberar este lead? Se enviará al CRM y se notificará al equipo.")) return;
+  button.disabled = true;
+  try {
+    const response = await fetch(`api/leads/${encodeURIComponent(id)}/release`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: "{}"
+    });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || "No se pudo liberar el lead");
+    showError(null);
+    loadLeads();
+  } catch (error) {
+    showError(error.message);
+    button.disabled = false;
+  }
+}
+
+function listItem(text, detail) {
+  const li = document.createElement("li");
+  li.textContent = text;
+  if (detail) {
+    const meta = document.createElement("div");
+    meta.className = "meta";
+    meta.textContent = detail;
+    li.appendChild(meta);
+  }
+  return li;
+}
+
+function fillList(id, items) {
+  const list = document.getElementById(id);
+  list.innerHTML = "";
+  items.forEach((item) => list.appendChild(item));
+}
+
+// Vista combinada de la empresa: todos sus contactos y solicitudes, de la más reciente a la primera
+function renderAccount(account) {
+  const formatDate = (iso) => new Date(iso).toLocaleString("es-MX");
+  document.getElementById("accountCompany").textContent = account.company;
+  document.getElementById("accountMeta").textContent = [
+    `${account.timeline.length} solicitud(es)`,
+    `desde ${formatDate(account.createdAt)}`,
+    account.merges.length ? `${account.merges.length} fusión(es)` : ""
+  ].filter(Boolean).join(" · ");
+
+  fillList("accountContacts", account.contacts.map((contact) =>
+    listItem(`${contact.name} · ${contact.email}`, `${contact.leadCount} solicitud(es) · última ${formatDate(contact.lastSeenAt)}`)
+  ));
+  fillList("accountPhones", account.phones.map((phone) =>
+    listItem(phone.e164, `Registrado por ${phone.owner}`)
+  ));
+  fillList("accountTimeline", [...account.timeline].reverse().map((entry) => {
+    const details = [
+      formatDate(entry.at),
+      `${entry.name} <${entry.email}>`,
+      entry.quote ? `${entry.quote.folio ? `${entry.quote.folio} · ` : ""}${formatMoney(entry.quote.total)}` : "",
+      entry.status || "",
+      DELIVERY_LABELS[entry.deliveryStatus] || "",
+      entry.phoneOwner ? `teléfono de ${entry.phoneOwner}` : "",
+      entry.matchedBy.length ? `coincidió por ${entry.matchedBy.join(", ")}` : ""
+    ].filter(Boolean).join(" · ");
+    const li = listItem("", details);
+    const message = document.createElement("div");
+    message.className = "message";
+    message.textContent = entry.message;
+    li.appendChild(message);
+    return li;
+  }));
+
+  accountPanel.hidden = false;
+  accountPanel.scrollIntoView({ behavior: "smooth" });
+}
+
+async function loadAccount(id) {
+  try {
+    const response = await fetch(`api/accounts/${encodeURIComponent(id)}`);
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || "No se pudo cargar la cuenta");
+    renderAccount(result.account);
+    showError(null);
+  } catch (error) {
+    showError(error.message);
+  }
+}
+
+document.getElementById("accountClose").addEventListener("click", () => {
+  accountPanel.hidden = true;
+});
+
+filtersForm.addEventListener("submit", (e) => {
+  e.preventDefault();
+  loadLeads();
+});
+
+loadLeads();
@@ -0,0 +1,235 @@
+// Editor de contenido del sitio
+// El formulario se arma con el esquema que devuelve /admin/api/content (lib/content), así
+// los campos nuevos aparecen sin cambiar esta interfaz. Se edita una copia (draft) y se
+// publica completa con PUT; el servidor valida y responde los errores por campo.
+// Cada idioma se edita por separado (?locale=); la traducción de servicios no puede
+// agregar slugs que no existan en español.
+
+const sectionSelect = document.getElementById("sectionSelect");
+const localeSelect = document.getElementById("localeSelect");
+const sectionMeta = document.getElementById("sectionMeta");
+const contentForm = document.getElementById("contentForm");
+const contentFields = document.getElementById("contentFields");
+const resetButton = document.getElementById("resetSection");
+const errorBox = document.getElementById("error");
+const noticeBox = document.getElementById("notice");
+
+let schema = {};
+let sections = [];
+let draft = null;
+let fieldErrors = {};
+
+function showError(message) {
+  errorBox.hidden = !message;
+  errorBox.textContent = message || "";
+}
+
+function showNotice(message) {
+  noticeBox.hidden = !message;
+  noticeBox.textContent = message || "";
+}
+
+// api/content/<sección>?locale=<idioma>
+function contentUrl(section) {
+  const path = section ? `api/content/${encodeURIComponent(section)}` : "api/content";
+  return `${path}?locale=${encodeURIComponent(localeSelect.value)}`;
+}
+
+function emptyItem(fields) {
+  const item = {};
+  fields.forEach((field) => {
+    item[field.name] = field.type === "list" || field.type === "tags" ? [] : "";
+  });
+  return item;
+}
+
+// Campo simple: input o textarea enlazado a target[field.name]
+function renderInput(field, target, path) {
+  const wrapper = document.createElement("label");
+  wrapper.className = "field";
+  wrapper.textContent = field.label + (field.required ? " *" : "");
+
+  const multiline = field.type === "textarea" || field.type === "tags";
+  const input = document.createElement(multiline ? "textarea" : "input");
+  if (!multiline) input.type = field.type === "url" ? "url" : "text";
+  if (field.maxLength && field.type !== "tags") input.maxLength = field.maxLength;
+
+  if (field.type === "tags") {
+    input.value = (target[field.name] || []).join("\n");
+    input.placeholder = "Uno por línea";
+    input.addEventListener("input", () => {
+      target[field.name] = input.value.split("\n").map((tag) => tag.trim()).filter(Boolean);
+    });
+  } else {
+    input.value = target[field.name] || "";
+    input.addEventListener("input", () => {
+      target[field.name] = input.value;
+    });
+  }
+  wrapper.appendChild(input);
+
+  if (fieldErrors[path]) {
+    wrapper.classList.add("invalid");
+    const error = document.createElement("span");
+    error.className = "field-error";
+    error.textContent = fieldErrors[path];
+    wrapper.appendChild(error);
+  }
+  return wrapper;
+}
+
+function itemButton(label, onClick, className) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.textContent = label;
+  if (className) button.className = className;
+  button.addEventListener("click", () => {
+    onClick();
+    renderForm();
+  });
+  return button;
+}
+
+// Lista de objetos: cada elemento se puede mover, quitar o agregar
+function renderList(field, target, path) {
+  const fieldset = document.createElement("fieldset");
+  const legend = document.createElement("legend");
+  legend.textContent = field.label;
+  fieldset.appendChild(legend);
+
+  if (fieldErrors[path]) {
+    const error = document.createElement("p");
+    error.className = "field-error";
+    error.textContent = fieldErrors[path];
+    fieldset.appendChild(error);
+  }
+
+  const items = target[field.name] || (target[field.name] = []);
+  items.forEach((item, i) => {
+    const box = document.createElement("div");
+    box.className = "item";
+
+    const head = document.createElement("div");
+    head.className = "item-head";
+    const title = document.createElement("strong");
+    title.textContent = item[field.itemLabel] || `${field.label} ${i + 1}`;
+    head.appendChild(title);
+
+    const buttons = document.createElement("span");
+    if (i > 0) buttons.appendChild(itemButton("↑", () => items.splice(i - 1, 0, items.splice(i, 1)[0])));
+    if (i < items.length - 1) buttons.appendChild(itemButton("↓", () => items.splice(i + 1, 0, items.splice(i, 1)[0])));
+    buttons.appendChild(itemButton("Quitar", () => items.splice(i, 1), "danger"));
+    head.appendChild(buttons);
+    box.appendChild(head);
+
+    field.fields.forEach((child) => box.appendChild(renderField(child, item, `${path}.${i}.${child.name}`)));
+    fieldset.appendChild(box);
+  });
+
+  fieldset.appendChild(itemButton(`Agregar a ${field.label.toLowerCase()}`, () => items.push(emptyItem(field.fields))));
+  return fieldset;
+}
+
+function renderField(field, target, path) {
+  return field.type === "list" ? renderList(field, target, path) : renderInput(field, target, path);
+}
+
+function renderForm() {
+  const section = schema[sectionSelect.value];
+  contentFields.innerHTML = "";
+  if (!section || !draft) return;
+  section.fields.forEach((field) => contentFields.appendChild(renderField(field, draft, field.name)));
+}
+
+function renderMeta() {
+  const info = sections.find((section) => section.name === sectionSelect.value);
+  if (!info) return;
+  sectionMeta.textContent = info.customized
+    ? `Editado el ${new Date(info.updatedAt).toLocaleString("es-MX")}${info.updatedBy ? ` por ${info.updatedBy}` : ""}`
+    : "Contenido original";
+  resetButton.disabled = !info.customized;
+}
+
+async function loadSections() {
+  const response = await fetch(contentUrl());
+  const result = await response.json();
+  if (!response.ok) throw new Error(result.error || "No se pudo cargar el contenido");
+  schema = result.schema;
+  sections = result.sections;
+}
+
+async function loadSection() {
+  showError("");
+  fieldErrors = {};
+  try {
+    const response = await fetch(contentUrl(sectionSelect.value));
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || "No se pudo cargar la sección");
+    draft = result.content;
+    renderMeta();
+    renderForm();
+  } catch (error) {
+    showError(error.message);
+  }
+}
+
+async function sendSection(method) {
+  showError("");
+  showNotice("");
+  const response = await fetch(contentUrl(sectionSelect.value), {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: method === "PUT" ? JSON.stringify(draft) : undefined
+  });
+  const result = await response.json();
+
+  fieldErrors = result.fields || {};
+  if (!response.ok) {
+    renderForm();
+    throw new Error(result.error || "No se pudo guardar");
+  }
+
+  draft = result.content;
+  await loadSections();
+  renderMeta();
+  renderForm();
+}
+
+contentForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  try {
+    await sendSection("PUT");
+    showNotice("Cambios publicados. El sitio los muestra en menos de un minuto.");
+  } catch (error) {
+    showError(error.message);
+  }
+});
+
+resetButton.addEventListener("click", async () => {
+  if (!confirm("¿Descartar las ediciones y volver al contenido original?")) return;
+  try {
+    await sendSection("DELETE");
+    showNotice("Se restauró el contenido original.");
+  } catch (error) {
+    showError(error.message);
+  }
+});
+
+sectionSelect.addEventListener("change", () => {
+  showNotice("");
+  loadSection();
+});
+
+localeSelect.addEventListener("change", () => {
+  showNotice("");
+  loadSections()
+    .then(loadSection)
+    .catch((error) => showError(error.message));
+});
+
+loadSections()
+  .then(() => {
+    sections.forEach((section) => sectionSelect.add(new Option(section.title, section.name)));
+    return loadSection();
+  })
+  .catch((error) => showError(error.message));
@@ -0,0 +1,117 @@
+// Reporte del embudo de conversión del landing
+// Consume /admin/api/funnel (lib/analytics): totales por paso y desglose por canal, por
+// último servicio visto y por idioma, con la conversión de visita a lead.
+
+const filtersForm = document.getElementById("filters");
+const errorBox = document.getElementById("error");
+const stepsBox = document.getElementById("steps");
+
+const EVENT_LABELS = {
+  view: "Visitas",
+  form_start: "Empezaron el formulario",
+  submit: "Enviaron",
+  success: "Leads recibidos",
+  whatsapp: "Siguieron por WhatsApp"
+};
+
+function showError(message) {
+  errorBox.hidden = !message;
+  errorBox.textContent = message || "";
+}
+
+function formatRate(rate) {
+  return rate === null ? "—" : `${(rate * 100).toLocaleString("es-MX", { maximumFractionDigits: 1 })}%`;
+}
+
+function cell(tag, text, className) {
+  const element = document.createElement(tag);
+  element.textContent = text;
+  if (className) element.className = className;
+  return element;
+}
+
+function renderSteps(steps) {
+  stepsBox.innerHTML = "";
+  steps.forEach((step) => {
+    const box = document.createElement("div");
+    box.className = "step";
+    box.appendChild(cell("span", EVENT_LABELS[step.event] || step.event));
+    box.appendChild(cell("strong", step.count.toLocaleString("es-MX")));
+    box.appendChild(cell("span", step.stepRate === null
+      ? "Base del embudo"
+      : `${formatRate(step.stepRate)} del paso anterior · ${formatRate(step.overallRate)} de las visitas`));
+
+    const bar = document.createElement("div");
+    bar.className = "bar";
+    const fill = document.createElement("div");
+    fill.style.width = `${step.overallRate === null ? 100 : Math.round(step.overallRate * 100)}%`;
+    bar.appendChild(fill);
+    box.appendChild(bar);
+    stepsBox.appendChild(box);
+  });
+}
+
+// columns: [{ label, value(row) }]; después de ellas van los contadores por paso y la conversión
+function renderTable(name, rows, columns, events) {
+  const head = document.getElementById(`${name}Head`);
+  const body = document.getElementById(`${name}Body`);
+  head.innerHTML = "";
+  body.innerHTML = "";
+
+  const headRow = document.createElement("tr");
+  columns.forEach((column) => headRow.appendChild(cell("th", column.label)));
+  events.forEach((event) => headRow.appendChild(cell("th", EVENT_LABELS[event] || event)));
+  headRow.appendChild(cell("th", "Visita → lead"));
+  head.appendChild(headRow);
+
+  if (rows.length === 0) {
+    const empty = cell("td", "Sin eventos en el periodo");
+    empty.colSpan = columns.length + events.length + 1;
+    const row = document.createElement("tr");
+    row.appendChild(empty);
+    body.appendChild(row);
+    return;
+  }
+
+  rows.forEach((data) => {
+    const row = document.createElement("tr");
+    columns.forEach((column) => row.appendChild(cell("td", column.value(data) || "—")));
+    events.forEach((event) => row.appendChild(cell("td", data.counts[event].toLocaleString("es-MX"), "number")));
+    row.appendChild(cell("td", formatRate(data.conversionRate), "number"));
+    body.appendChild(row);
+  });
+}
+
+async function loadReport() {
+  showError("");
+  const params = new URLSearchParams();
+  new FormData(filtersForm).forEach((value, key) => {
+    if (value) params.set(key, value);
+  });
+
+  try {
+    const response = await fetch(`api/funnel?${params}`, { cache: "no-store" });
+    const result = await response.json();
+    if (!response.ok || !result.ok) throw new Error(result.error || "No se pudo cargar el reporte");
+
+    const { report } = result;
+    const events = report.steps.map((step) => step.event);
+    renderSteps(report.steps);
+    renderTable("channels", report.channels, [
+      { label: "Fuente", value: (row) => row.source },
+      { label: "Medio", value: (row) => row.medium },
+      { label: "Campaña", value: (row) => row.campaign }
+    ], events);
+    renderTable("services", report.services, [{ label: "Servicio", value: (row) => row.service }], events);
+    renderTable("locales", report.locales, [{ label: "Idioma", value: (row) => row.locale }], events);
+  } catch (error) {
+    showError(error.message);
+  }
+}
+
+filtersForm.addEventListener("submit", (e) => {
+  e.preventDefault();
+  loadReport();
+});
+
+loadReport();
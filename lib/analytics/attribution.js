@@ -0,0 +1,93 @@
+// Atribución de un lead: de qué campaña y de qué parte del sitio llegó
+// El landing la arma en el navegador (index.html, sección ATRIBUCIÓN) y la manda con el
+// lead (/api/brevo, /api/appointments) y con cada evento del embudo (/api/events):
+//   utmSource, utmMedium, utmCampaign, utmTerm, utmContent   parámetros utm_* de la entrada
+//   referrer        dominio del sitio que trajo la visita (solo el host, nunca la URL)
+//   landingPage     ruta de la primera página de la visita, sin query
+//   landingSection  sección del landing por la que entró (#contacto, inicio, …)
+//   lastService     último servicio que el visitante abrió en las pestañas de servicios
+// Es informativa: un valor con formato inválido se descarta en silencio y nunca rechaza
+// el lead. Los atributos de Brevo salen de ATTRIBUTION_ATTRIBUTES (lib/contactForm.js).
+
+const SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const SECTION = /^[a-z][a-z0-9_-]*$/i;
+const PATH = /^\/[\w\-./~%]*$/;
+
+// Texto libre de campaña: sin caracteres de control ni espacios repetidos
+function cleanText(value, maxLength) {
+  const text = String(value).replace(/[\u0000-\u001f\u007f]/g, ' ').replace(/\s+/g, ' ').trim();
+  return text.slice(0, maxLength);
+}
+
+// "https://www.google.com/search?q=…" o "www.google.com" → "www.google.com"
+function cleanReferrer(value) {
+  const text = String(value).trim();
+  try {
+    return new URL(text.includes('://') ? text : `https://${text}`).hostname.toLowerCase() || '';
+  } catch (error) {
+    return '';
+  }
+}
+
+function cleanPath(value) {
+  const path = String(value).split(/[?#]/)[0].trim();
+  return PATH.test(path) ? path : '';
+}
+
+function matching(pattern) {
+  return (value) => {
+    const text = String(value).trim().replace(/^#/, '');
+    return pattern.test(text) ? text : '';
+  };
+}
+
+const ATTRIBUTION_FIELDS = [
+  { name: 'utmSource', maxLength: 100, clean: cleanText },
+  { name: 'utmMedium', maxLength: 100, clean: cleanText },
+  { name: 'utmCampaign', maxLength: 150, clean: cleanText },
+  { name: 'utmTerm', maxLength: 150, clean: cleanText },
+  { name: 'utmContent', maxLength: 150, clean: cleanText },
+  { name: 'referrer', maxLength: 253, clean: cleanReferrer },
+  { name: 'landingPage', maxLength: 200, clean: cleanPath },
+  { name: 'landingSection', maxLength: 60, clean: matching(SECTION) },
+  { name: 'lastService', maxLength: 80, clean: matching(SLUG) }
+];
+
+// Objeto con solo los campos válidos; null si no queda ninguno
+function normalizeAttribution(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+
+  const attribution = {};
+  for (const field of ATTRIBUTION_FIELDS) {
+    const value = raw[field.name];
+    if (typeof value !== 'string' && typeof value !== 'number') continue;
+    const clean = field.clean(value, field.maxLength);
+    if (clean && clean.length <= field.maxLength) attribution[field.name] = clean;
+  }
+  return Object.keys(attribution).length > 0 ? attribution : null;
+}
+
+// Canal para los reportes: fuente / medio / campaña. Sin utm_* la fuente es el sitio de
+// origen (medio "referencia") o "(directo)".
+const DIRECT = '(directo)';
+
+function channelOf(attribution) {
+  const source = attribution?.utmSource || attribution?.referrer || DIRECT;
+  const medium = attribution?.utmMedium || (attribution?.referrer && !attribution?.utmSource ? 'referencia' : '(ninguno)');
+  return { source, medium, campaign: attribution?.utmCampaign || '' };
+}
+
+// "google / cpc · verano-2025" para emails y el panel
+function describeChannel(attribution) {
+  if (!attribution) return '';
+  const { source, medium, campaign } = channelOf(attribution);
+  return `${source} / ${medium}${campaign ? ` · ${campaign}` : ''}`;
+}
+
+module.exports = {
+  ATTRIBUTION_FIELDS,
+  DIRECT,
+  normalizeAttribution,
+  channelOf,
+  describeChannel
+};
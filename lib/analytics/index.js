@@ -0,0 +1,200 @@
+// Embudo de conversión del formulario de contacto, medido por el propio sitio (sin scripts
+// de terceros). El landing manda cada paso a POST /api/events { event, attribution, locale }:
+//   view        vio el landing (una vez por sesión del navegador)
+//   form_start  empezó a llenar el formulario de contacto
+//   submit      envió el formulario (ya pasó la validación del navegador)
+//   success     el servidor aceptó el lead
+//   whatsapp    abrió la continuación por WhatsApp
+//
+// Privacidad: sin cookies, sin identificador de visitante, sin IP ni user agent. Un evento
+// solo suma 1 a un contador por día, paso, canal (fuente / medio / campaña, ver
+// attribution.js), último servicio visto e idioma en data/analytics-events.json; con eso no
+// se puede reconstruir la visita de nadie. Los contadores de más de RETENTION_DAYS se borran.
+//
+// Los valores de canal y servicio vienen del navegador, así que se acotan: en minúsculas,
+// de hasta MAX_VALUE_LENGTH caracteres, y cada día admite como mucho MAX_COUNTERS_PER_DAY
+// combinaciones; las que lleguen después suman al contador "(otro)" del día.
+//
+// El reporte (funnelReport) lo consulta el panel: /admin/api/funnel.
+
+const { createJsonStore } = require('../store/jsonFile');
+const { normalizeAttribution, channelOf } = require('./attribution');
+const { child, newRequestId, runWithContext } = require('../logger');
+const { t, normalizeLocale, getLocale } = require('../i18n');
+const { getConfig } = require('../config');
+
+const logger = child({ module: 'analytics' });
+
+const store = createJsonStore('analytics-events.json', []);
+
+// Pasos del embudo, en orden
+const FUNNEL_EVENTS = ['view', 'form_start', 'submit', 'success', 'whatsapp'];
+const RETENTION_DAYS = 400;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_VALUE_LENGTH = 60;
+const MAX_COUNTERS_PER_DAY = 200;
+const OTHER = '(otro)';
+
+class AnalyticsError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AnalyticsError';
+    this.status = status;
+  }
+}
+
+// =========================
+// REGISTRO
+// =========================
+
+function dayOf(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function bucketValue(value) {
+  return String(value || '').toLowerCase().slice(0, MAX_VALUE_LENGTH).trim();
+}
+
+function sameCounter(a, b) {
+  return a.day === b.day && a.event === b.event && a.source === b.source && a.medium === b.medium &&
+    a.campaign === b.campaign && a.service === b.service && a.locale === b.locale;
+}
+
+// Suma un evento al contador de su día y dimensiones
+async function recordEvent(event, { attribution = null, locale = getLocale(), now = Date.now() } = {}) {
+  if (!FUNNEL_EVENTS.includes(event)) {
+    throw new AnalyticsError(t('api.events.unknownEvent', { events: FUNNEL_EVENTS.join(', ') }));
+  }
+
+  const clean = normalizeAttribution(attribution);
+  const channel = channelOf(clean);
+  let counter = {
+    day: dayOf(now),
+    event,
+    source: bucketValue(channel.source),
+    medium: bucketValue(channel.medium),
+    campaign: bucketValue(channel.campaign),
+    service: bucketValue(clean?.lastService),
+    locale: normalizeLocale(locale) || getLocale()
+  };
+  const oldest = dayOf(now - RETENTION_DAYS * DAY_MS);
+
+  return store.update((counters) => {
+    let existing = counters.find((candidate) => sameCounter(candidate, counter));
+    if (!existing && counters.filter((candidate) => candidate.day === counter.day).length >= MAX_COUNTERS_PER_DAY) {
+      counter = { ...counter, source: OTHER, medium: OTHER, campaign: OTHER, service: OTHER };
+      existing = counters.find((candidate) => sameCounter(candidate, counter));
+    }
+    if (existing) {
+      existing.count += 1;
+    } else {
+      counters.push({ ...counter, count: 1 });
+    }
+    // Retención: se descartan los días viejos al escribir
+    const kept = counters.filter((candidate) => candidate.day >= oldest);
+    counters.splice(0, counters.length, ...kept);
+    return { ...counter };
+  });
+}
+
+// =========================
+// REPORTE
+// =========================
+
+function emptyCounts() {
+  return Object.fromEntries(FUNNEL_EVENTS.map((event) => [event, 0]));
+}
+
+// Proporción con tres decimales; null si no hay base
+function rate(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null;
+}
+
+function groupBy(counters, keyOf, describe) {
+  const groups = new Map();
+  for (const counter of counters) {
+    const key = keyOf(counter);
+    if (!groups.has(key)) groups.set(key, { ...describe(counter), counts: emptyCounts() });
+    groups.get(key).counts[counter.event] += counter.count;
+  }
+  return [...groups.values()]
+    .map((group) => ({ ...group, conversionRate: rate(group.counts.success, group.counts.view) }))
+    .sort((a, b) => b.counts.view - a.counts.view || b.counts.success - a.counts.success);
+}
+
+// from/to: AAAA-MM-DD inclusivos. Devuelve los pasos con su tasa contra el paso anterior y
+// contra las visitas, y el desglose por canal, por servicio y por idioma.
+async function funnelReport({ from, to } = {}) {
+  const counters = (await store.read())
+    .filter((counter) => (!from || counter.day >= from) && (!to || counter.day <= to));
+
+  const totals = emptyCounts();
+  for (const counter of counters) totals[counter.event] += counter.count;
+
+  const steps = FUNNEL_EVENTS.map((event, index) => ({
+    event,
+    count: totals[event],
+    stepRate: index === 0 ? null : rate(totals[event], totals[FUNNEL_EVENTS[index - 1]]),
+    overallRate: index === 0 ? null : rate(totals[event], totals.view)
+  }));
+
+  return {
+    from: from || null,
+    to: to || null,
+    steps,
+    channels: groupBy(
+      counters,
+      (counter) => [counter.source, counter.medium, counter.campaign].join('\n'),
+      ({ source, medium, campaign }) => ({ source, medium, campaign })
+    ),
+    services: groupBy(counters, (counter) => counter.service, ({ service }) => ({ service })),
+    locales: groupBy(counters, (counter) => counter.locale, ({ locale }) => ({ locale }))
+  };
+}
+
+// =========================
+// HTTP
+// =========================
+
+// Límite por IP de POST /api/events. Llegan varios eventos por visita, así que es 4 veces el
+// del formulario. Lo usan eventsLimiter (server.js) y api/events.js.
+function eventsRateLimit(config = getConfig()) {
+  return { windowMs: config.rateLimit.windowMs, max: config.rateLimit.max * 4 };
+}
+
+// Punto de entrada para los adaptadores (server.js, api/events.js): nunca lanza.
+// El idioma del evento es el de la página (body.locale); si no llega, el de la solicitud.
+function handleEventRequest(method, { body, requestId, locale } = {}) {
+  const id = newRequestId(requestId);
+  return runWithContext({ requestId: id, locale }, () => runEventRequest(method, body || {}, id));
+}
+
+async function runEventRequest(method, body, requestId) {
+  if (method !== 'POST') {
+    return { statusCode: 405, body: { ok: false, error: t('api.methodNotAllowed') } };
+  }
+
+  try {
+    await recordEvent(body.event, {
+      attribution: body.attribution,
+      locale: normalizeLocale(body.locale) || getLocale()
+    });
+    return { statusCode: 200, body: { ok: true } };
+  } catch (error) {
+    if (error instanceof AnalyticsError) {
+      return { statusCode: error.status, body: { ok: false, error: error.message } };
+    }
+    logger.error('No se pudo registrar el evento del embudo', error);
+    return { statusCode: 500, body: { ok: false, error: t('api.internalError'), requestId } };
+  }
+}
+
+module.exports = {
+  FUNNEL_EVENTS,
+  MAX_COUNTERS_PER_DAY,
+  AnalyticsError,
+  recordEvent,
+  funnelReport,
+  handleEventRequest,
+  eventsRateLimit
+};
@@ -0,0 +1,93 @@
+// Invitación de calendario (.ics, RFC 5545) para las citas
+// METHOD:PUBLISH agrega el evento al calendario sin pedir confirmación (RSVP); los cambios
+// se coordinan por email o WhatsApp, así que no hace falta el flujo REQUEST/REPLY.
+
+const { getConfig } = require('../config');
+
+const PRODUCT_ID = '-//RXLab//Citas//ES';
+
+// 2026-10-20T14:00:00.000Z → 20261020T140000Z
+function formatUtc(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Las líneas de más de 75 octetos se continúan con un espacio al inicio
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// event: { uid, start, end, summary, description, location, organizer: { name, email }, stamp }
+function buildIcs(event) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtc(event.stamp || new Date().toISOString())}`,
+    `DTSTART:${formatUtc(event.start)}`,
+    `DTEND:${formatUtc(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+    event.description ? `DESCRIPTION:${escapeText(event.description)}` : null,
+    event.location ? `LOCATION:${escapeText(event.location)}` : null,
+    event.organizer ? `ORGANIZER;CN=${escapeText(event.organizer.name || event.organizer.email)}:mailto:${event.organizer.email}` : null,
+    'STATUS:CONFIRMED',
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    'DESCRIPTION:Recordatorio de cita RXLab',
+    'TRIGGER:-PT24H',
+    'END:VALARM',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].filter(Boolean);
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+// Adjunto para sendNotification() a partir del resumen de la cita que viaja con el lead
+function buildAppointmentAttachment(appointment) {
+  const ics = buildIcs({
+    uid: `${appointment.id}@rxlab.com`,
+    start: appointment.start,
+    end: appointment.end,
+    summary: `RXLab · ${appointment.serviceTitle}`,
+    description: [
+      `${appointment.typeTitle}: ${appointment.serviceTitle}`,
+      appointment.headcount ? `Personas: ${appointment.headcount}` : null,
+      appointment.notes ? `Notas: ${appointment.notes}` : null
+    ].filter(Boolean).join('\n'),
+    location: [appointment.location.name, appointment.location.address].filter(Boolean).join(', '),
+    organizer: getConfig().email.sender
+  });
+  return { name: 'cita-rxlab.ics', content: Buffer.from(ics, 'utf8').toString('base64') };
+}
+
+module.exports = {
+  buildIcs,
+  buildAppointmentAttachment,
+  formatUtc
+};
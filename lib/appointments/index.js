@@ -0,0 +1,455 @@
+// Agenda de citas: visitas al laboratorio y jornadas en las instalaciones del cliente
+// La disponibilidad vive en lib/appointments/availability.json (o APPOINTMENTS_FILE):
+//   utcOffset          zona horaria fija del laboratorio (CDMX no usa horario de verano)
+//   bookingWindowDays  cuántos días hacia adelante se puede agendar
+//   minNoticeHours     anticipación mínima
+//   closedDates        días sin servicio (YYYY-MM-DD)
+//   locations          lab | onsite; requiresAddress pide la dirección del cliente
+//   slotTypes          tipo de cita: horario por día ("mon-fri": ["07:30-13:30"]), duración,
+//                      capacidad por horario y por día, y servicios del catálogo que lo usan
+// Nombres y títulos aceptan { "es": …, "en": … }; la cita guarda los del idioma del visitante.
+// El archivo se lee una vez por proceso; tras editarlo hay que reiniciar.
+//
+// Cada cita crea un lead por el pipeline normal (CRM, cuentas, spam) con la cita adjunta:
+// los emails del lead la incluyen y llevan la invitación .ics. La cita guarda leadId y el
+// lead guarda la cita, así el panel puede ir de uno al otro.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createJsonStore } = require('../store/jsonFile');
+const { findService } = require('../quote');
+const { processLead, LeadError } = require('../leads/pipeline');
+const { CrmError } = require('../crm');
+const { child, newRequestId, runWithContext } = require('../logger');
+const { getConfig } = require('../config');
+const { t, localized, intlLocale } = require('../i18n');
+const { UTC_OFFSET, parseDays, parseRange, validateHours, localParts, addDays, minutesToTime } = require('../schedule');
+
+const logger = child({ module: 'appointments' });
+
+const store = createJsonStore('appointments.json', []);
+
+const DEFAULT_AVAILABILITY_FILE = path.join(__dirname, 'availability.json');
+const STATUSES = ['held', 'confirmed', 'completed', 'cancelled'];
+
+// Una cita "held" reserva el lugar mientras se procesa el lead; si el proceso muere a la
+// mitad deja de contar tras este tiempo
+const HOLD_TTL_MS = 5 * 60 * 1000;
+const MAX_NOTES_LENGTH = 1000;
+
+class AppointmentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AppointmentError';
+    this.status = status;
+  }
+}
+
+// =========================
+// DISPONIBILIDAD
+// =========================
+
+let cachedAvailability = null;
+
+function validateAvailability(data) {
+  const problems = [];
+  if (!UTC_OFFSET.test(data.utcOffset || '')) problems.push('utcOffset debe tener la forma -06:00');
+  if (!data.slotTypes || Object.keys(data.slotTypes).length === 0) problems.push('slotTypes está vacío');
+
+  for (const [key, type] of Object.entries(data.slotTypes || {})) {
+    if (!data.locations?.[type.location]) problems.push(`${key}: location "${type.location}" no existe`);
+    if (!(type.durationMinutes > 0)) problems.push(`${key}: durationMinutes debe ser mayor que cero`);
+    if (!(type.capacityPerSlot > 0) || !(type.capacityPerDay > 0)) problems.push(`${key}: capacidad inválida`);
+    problems.push(...validateHours(type.hours, key));
+    for (const slug of type.services || []) {
+      if (!findService(slug)) problems.push(`${key}: servicio desconocido "${slug}"`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new AppointmentError(`Disponibilidad de citas inválida: ${problems.join('; ')}`, 500);
+  }
+  return data;
+}
+
+function getAvailability() {
+  const file = getConfig().appointments.availabilityFile || DEFAULT_AVAILABILITY_FILE;
+  if (!cachedAvailability || cachedAvailability.file !== file) {
+    const data = validateAvailability(JSON.parse(fs.readFileSync(file, 'utf8')));
+    cachedAvailability = { file, data };
+  }
+  return cachedAvailability.data;
+}
+
+// Horarios teóricos de un tipo de cita en una fecha local, sin mirar reservas
+function slotsForDate(type, date, utcOffset) {
+  const weekday = new Date(`${date}T12:00:00Z`).getUTCDay();
+  const slots = [];
+
+  for (const [days, ranges] of Object.entries(type.hours || {})) {
+    if (!parseDays(days).includes(weekday)) continue;
+    for (const range of ranges) {
+      const { start, end } = parseRange(range);
+      for (let minute = start; minute + type.durationMinutes <= end; minute += type.durationMinutes) {
+        const time = minutesToTime(minute);
+        const startsAt = new Date(`${date}T${time}:00${utcOffset}`);
+        slots.push({
+          start: startsAt.toISOString(),
+          end: new Date(startsAt.getTime() + type.durationMinutes * 60000).toISOString(),
+          time
+        });
+      }
+    }
+  }
+
+  return slots.sort((a, b) => a.start.localeCompare(b.start));
+}
+
+function isActive(appointment, now) {
+  if (appointment.status === 'confirmed') return true;
+  return appointment.status === 'held' && now - new Date(appointment.createdAt).getTime() < HOLD_TTL_MS;
+}
+
+// Reservas activas por fecha local y por horario de un tipo de cita
+function countBookings(appointments, typeKey, now) {
+  const byDate = new Map();
+  const byStart = new Map();
+  for (const appointment of appointments) {
+    if (appointment.type !== typeKey || !isActive(appointment, now)) continue;
+    byDate.set(appointment.date, (byDate.get(appointment.date) || 0) + 1);
+    byStart.set(appointment.start, (byStart.get(appointment.start) || 0) + 1);
+  }
+  return { byDate, byStart };
+}
+
+function resolveType(serviceSlug, typeKey) {
+  const availability = getAvailability();
+  const service = findService(serviceSlug);
+  if (!service) throw new AppointmentError(t('api.appointments.serviceNotFound'));
+
+  const type = availability.slotTypes[typeKey];
+  if (!type || !type.services.includes(serviceSlug)) {
+    throw new AppointmentError(t('api.appointments.typeUnavailable'));
+  }
+  return { availability, service, type };
+}
+
+// Días con horarios libres a partir de "from" (fecha local), como máximo bookingWindowDays
+function computeDays(appointments, { availability, type, typeKey, from, days }, now) {
+  const { utcOffset } = availability;
+  const today = localParts(new Date(now), utcOffset).date;
+  const lastDate = addDays(today, availability.bookingWindowDays);
+  const earliest = now + availability.minNoticeHours * 3600000;
+  const counts = countBookings(appointments, typeKey, now);
+  const result = [];
+
+  let date = from && from > today ? from : today;
+  for (let i = 0; i < days && date <= lastDate; i++, date = addDays(date, 1)) {
+    if ((availability.closedDates || []).includes(date)) continue;
+
+    const dayRemaining = type.capacityPerDay - (counts.byDate.get(date) || 0);
+    if (dayRemaining <= 0) continue;
+
+    const slots = slotsForDate(type, date, utcOffset)
+      .filter((slot) => new Date(slot.start).getTime() >= earliest)
+      .map((slot) => ({
+        ...slot,
+        remaining: Math.min(type.capacityPerSlot - (counts.byStart.get(slot.start) || 0), dayRemaining)
+      }))
+      .filter((slot) => slot.remaining > 0);
+
+    if (slots.length > 0) result.push({ date, remaining: dayRemaining, slots });
+  }
+
+  return result;
+}
+
+async function listAvailability({ service, type: typeKey, from, days = 14 } = {}, now = Date.now()) {
+  const { availability, type } = resolveType(service, typeKey);
+  if (from && !/^\d{4}-\d{2}-\d{2}$/.test(from)) throw new AppointmentError(t('api.appointments.invalidDate'));
+  const span = Math.min(Math.max(parseInt(days, 10) || 14, 1), availability.bookingWindowDays);
+
+  const appointments = await store.read();
+  return {
+    service,
+    type: typeKey,
+    utcOffset: availability.utcOffset,
+    days: computeDays(appointments, { availability, type, typeKey, from, days: span }, now)
+  };
+}
+
+// Servicios que se pueden agendar y sus modalidades (para el widget)
+function getBookableServices() {
+  const availability = getAvailability();
+  const services = new Map();
+
+  for (const [key, type] of Object.entries(availability.slotTypes)) {
+    const location = availability.locations[type.location];
+    for (const slug of type.services) {
+      if (!services.has(slug)) services.set(slug, { slug, title: localized(findService(slug).title), types: [] });
+      services.get(slug).types.push({
+        key,
+        title: localized(type.title),
+        location: { kind: type.location, name: localized(location.name), address: localized(location.address) || null },
+        requiresAddress: Boolean(location.requiresAddress),
+        durationMinutes: type.durationMinutes
+      });
+    }
+  }
+
+  return [...services.values()];
+}
+
+// =========================
+// RESERVA
+// =========================
+
+function formatDateLabel(date) {
+  return new Date(`${date}T12:00:00Z`).toLocaleDateString(intlLocale(), {
+    weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC'
+  });
+}
+
+function readBookingRequest(body) {
+  const { availability, service, type } = resolveType(body.service, body.type);
+  const location = availability.locations[type.location];
+
+  const start = new Date(body.start);
+  if (!body.start || Number.isNaN(start.getTime())) throw new AppointmentError(t('api.appointments.chooseSlot'));
+
+  const address = typeof body.address === 'string' ? body.address.trim().replace(/\s+/g, ' ') : '';
+  if (location.requiresAddress && address.length < 10) {
+    throw new AppointmentError(t('api.appointments.addressRequired'));
+  }
+
+  const notes = typeof body.notes === 'string' ? body.notes.trim() : '';
+  if (notes.length > MAX_NOTES_LENGTH) {
+    throw new AppointmentError(t('api.appointments.notesTooLong', { max: MAX_NOTES_LENGTH }));
+  }
+
+  let headcount = null;
+  if (body.headcount !== undefined && body.headcount !== null && body.headcount !== '') {
+    headcount = Number(body.headcount);
+    if (!Number.isInteger(headcount) || headcount < 1) {
+      throw new AppointmentError(t('api.appointments.invalidHeadcount'));
+    }
+  }
+
+  return { availability, service, type, typeKey: body.type, location, start: start.toISOString(), address, notes, headcount };
+}
+
+// Aparta el lugar de forma atómica: vuelve a contar dentro de la escritura del store
+function holdSlot(request, now) {
+  const { availability, type, typeKey, service, location } = request;
+  const { date, time } = localParts(new Date(request.start), availability.utcOffset);
+
+  return store.update((appointments) => {
+    const [day] = computeDays(appointments, { availability, type, typeKey, from: date, days: 1 }, now);
+    const slot = day?.date === date && day.slots.find((s) => s.start === request.start);
+    if (!slot) throw new AppointmentError(t('api.appointments.slotTaken'), 409);
+
+    const createdAt = new Date(now).toISOString();
+    const appointment = {
+      id: crypto.randomUUID(),
+      service: service.slug,
+      serviceTitle: localized(service.title),
+      type: typeKey,
+      typeTitle: localized(type.title),
+      location: {
+        kind: type.location,
+        name: localized(location.name),
+        address: request.address || localized(location.address) || ''
+      },
+      start: slot.start,
+      end: slot.end,
+      date,
+      time,
+      endTime: localParts(new Date(slot.end), availability.utcOffset).time,
+      dateLabel: formatDateLabel(date),
+      headcount: request.headcount,
+      notes: request.notes,
+      status: 'held',
+      leadId: null,
+      createdAt,
+      updatedAt: createdAt
+    };
+    appointments.push(appointment);
+    return appointment;
+  });
+}
+
+function updateAppointment(id, changes) {
+  return store.update((appointments) => {
+    const appointment = appointments.find((a) => a.id === id);
+    if (!appointment) throw new AppointmentError(`Cita no encontrada: ${id}`, 404);
+    Object.assign(appointment, changes, { updatedAt: new Date().toISOString() });
+    return { ...appointment };
+  });
+}
+
+function appointmentMessage(appointment) {
+  return [
+    `Cita solicitada: ${appointment.serviceTitle} (${appointment.typeTitle}) el ${appointment.dateLabel} a las ${appointment.time}.`,
+    appointment.location.kind === 'onsite' ? `Dirección: ${appointment.location.address}.` : null,
+    appointment.headcount ? `Personas: ${appointment.headcount}.` : null,
+    appointment.notes ? `Notas: ${appointment.notes}` : null
+  ].filter(Boolean).join('\n');
+}
+
+// Lo que viaja con el lead (emails, .ics) y lo que ve el navegador
+function summarizeAppointment(appointment) {
+  const { status, leadId, createdAt, updatedAt, ...summary } = appointment;
+  return summary;
+}
+
+async function bookAppointment(body = {}, { now = Date.now(), ip = null } = {}) {
+  const request = readBookingRequest(body);
+  const held = await holdSlot(request, now);
+
+  let result;
+  try {
+    const leadBody = {
+      name: body.name,
+      company: body.company,
+      email: body.email,
+      phone: body.phone,
+      message: appointmentMessage(held),
+      formToken: body.formToken,
+      website: body.website,
+      attribution: body.attribution,
+      privacyConsent: body.privacyConsent,
+      marketingConsent: body.marketingConsent,
+      privacyNoticeVersion: body.privacyNoticeVersion
+    };
+    result = await processLead(leadBody, { appointment: summarizeAppointment(held), ip });
+  } catch (error) {
+    await updateAppointment(held.id, { status: 'cancelled', cancelReason: 'lead_rejected' });
+    throw error;
+  }
+
+  // Un lead en cuarentena no confirma la cita; la respuesta es la misma para no dar pistas
+  if (result.quarantined) {
+    await updateAppointment(held.id, { status: 'cancelled', cancelReason: 'spam', leadId: result.id });
+    logger.warn('Cita descartada: lead en cuarentena', { appointmentId: held.id, leadId: result.id });
+    return { appointment: summarizeAppointment(held), leadId: result.id, queued: false, whatsapp: result.whatsapp };
+  }
+
+  const appointment = await updateAppointment(held.id, { status: 'confirmed', leadId: result.id });
+  logger.info('Cita confirmada', {
+    appointmentId: appointment.id,
+    leadId: result.id,
+    service: appointment.service,
+    type: appointment.type,
+    start: appointment.start
+  });
+  return {
+    appointment: summarizeAppointment(appointment),
+    leadId: result.id,
+    queued: result.queued,
+    whatsapp: result.whatsapp
+  };
+}
+
+// =========================
+// PANEL
+// =========================
+
+async function listAppointments({ from, to, status } = {}) {
+  const appointments = await store.read();
+  return appointments
+    .filter((appointment) => appointment.status !== 'held')
+    .filter((appointment) => !status || appointment.status === status)
+    .filter((appointment) => !from || appointment.date >= from)
+    .filter((appointment) => !to || appointment.date <= to)
+    .sort((a, b) => a.start.localeCompare(b.start));
+}
+
+async function setAppointmentStatus(id, status) {
+  if (!['confirmed', 'completed', 'cancelled'].includes(status)) {
+    throw new AppointmentError('Estado inválido. Usa: confirmed, completed, cancelled');
+  }
+  return updateAppointment(id, { status });
+}
+
+// Citas de los leads de una persona (derechos ARCO: acceso y cancelación)
+async function findAppointmentsForLeads(leadIds) {
+  return (await store.read()).filter((appointment) => leadIds.includes(appointment.leadId));
+}
+
+// Cancelación: se borran completas (una cita futura libera su lugar). Devuelve cuántas.
+async function eraseAppointmentsForLeads(leadIds) {
+  return store.update((appointments) => {
+    const kept = appointments.filter((appointment) => !leadIds.includes(appointment.leadId));
+    const removed = appointments.length - kept.length;
+    appointments.splice(0, appointments.length, ...kept);
+    return removed;
+  });
+}
+
+// =========================
+// HTTP
+// =========================
+
+// GET sin servicio: catálogo agendable. GET ?service&type&from&days: horarios. POST: reservar.
+async function runAppointmentRequest(method, { query = {}, body = {}, ip = null }, requestId) {
+  try {
+    if (method === 'GET') {
+      if (!query.service) {
+        return { statusCode: 200, body: { ok: true, services: getBookableServices() } };
+      }
+      return { statusCode: 200, body: { ok: true, availability: await listAvailability(query) } };
+    }
+
+    if (method !== 'POST') {
+      return { statusCode: 405, body: { ok: false, error: t('api.methodNotAllowed') } };
+    }
+
+    const booking = await bookAppointment(body || {}, { ip });
+    return {
+      statusCode: 200,
+      body: {
+        ok: true,
+        message: t('api.appointments.booked'),
+        appointment: booking.appointment,
+        leadId: booking.leadId,
+        queued: booking.queued,
+        whatsapp: booking.whatsapp
+      }
+    };
+  } catch (error) {
+    const known = error instanceof AppointmentError || error instanceof LeadError || error instanceof CrmError;
+    if (known && error.status < 500) {
+      return {
+        statusCode: error.status,
+        body: { ok: false, error: error.message, code: error.code || undefined, fields: error.fields || undefined }
+      };
+    }
+
+    logger.error('Error en la agenda de citas', error);
+    return {
+      statusCode: 500,
+      body: { ok: false, error: t('api.internalError'), requestId }
+    };
+  }
+}
+
+// ip: la del visitante, para el registro de consentimiento del lead
+function handleAppointmentRequest(method, { query, body, requestId, locale, ip } = {}) {
+  const id = newRequestId(requestId);
+  return runWithContext({ requestId: id, locale }, () => runAppointmentRequest(method, { query, body, ip }, id));
+}
+
+module.exports = {
+  STATUSES,
+  AppointmentError,
+  getAvailability,
+  getBookableServices,
+  listAvailability,
+  bookAppointment,
+  listAppointments,
+  setAppointmentStatus,
+  findAppointmentsForLeads,
+  eraseAppointmentsForLeads,
+  handleAppointmentRequest
+};
@@ -0,0 +1,62 @@
+// Cliente mínimo para la API v3 de Brevo
+// Centraliza headers, URL base y la interpretación de respuestas (204, JSON, errores)
+
+const { child } = require('./logger');
+
+const logger = child({ module: 'brevo' });
+
+const BREVO_API_URL = 'https://api.brevo.com/v3';
+
+// Interpreta la respuesta de Brevo sin asumir que siempre hay body JSON
+async function parseBrevoResponse(response) {
+  // 204 (No Content) es éxito y no trae body que leer
+  if (response.status === 204) {
+    return { ok: true, status: 204, code: null, message: null, data: null };
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  const responseText = await response.text();
+  let data = null;
+
+  if (responseText && contentType.includes('application/json')) {
+    try {
+      data = JSON.parse(responseText);
+    } catch (parseError) {
+      logger.error('Error al parsear JSON de Brevo', { status: response.status, error: parseError });
+    }
+  }
+
+  if (response.ok) {
+    return { ok: true, status: response.status, code: null, message: null, data };
+  }
+
+  return {
+    ok: false,
+    status: response.status,
+    code: data?.code || null,
+    message: data?.message || responseText.substring(0, 200) || 'Error desconocido',
+    data
+  };
+}
+
+// Envía una petición a Brevo y devuelve la respuesta ya interpretada.
+// baseUrl viene de BREVO_API_URL en la configuración (permite apuntar a un mock).
+async function brevoRequest(apiKey, method, path, payload, baseUrl = BREVO_API_URL) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'accept': 'application/json',
+      'api-key': apiKey,
+      'content-type': 'application/json'
+    },
+    body: payload ? JSON.stringify(payload) : undefined
+  });
+
+  return parseBrevoResponse(response);
+}
+
+module.exports = {
+  BREVO_API_URL,
+  parseBrevoResponse,
+  brevoRequest
+};
@@ -0,0 +1,396 @@
+// Configuración tipada del proyecto, compartida por server.js y las funciones de Vercel
+// Se lee una sola vez del entorno (.env.<perfil> y .env en local, variables del proyecto
+// en Vercel), se valida completa y se congela. Un error de configuración se detecta al
+// arrancar, no cuando llega el primer lead.
+//
+// Perfiles (APP_ENV; si falta, NODE_ENV=production → production, si no development):
+//   development  logs legibles en nivel debug; sin API key de Brevo solo hay advertencia
+//   staging      logs JSON; no envía confirmaciones a visitantes salvo que se active
+//   production   logs JSON; BREVO_API_KEY obligatoria con el proveedor brevo
+// El perfil solo cambia valores por defecto: cualquier variable definida tiene prioridad.
+//
+// Uso: const { getConfig } = require('./config'); getConfig().email.sender
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dotenv = require('dotenv');
+const { configureLogger } = require('./logger');
+const { parsePhone } = require('./phone');
+
+const PROFILES = ['development', 'staging', 'production'];
+
+const PROFILE_DEFAULTS = {
+  development: {
+    LOG_LEVEL: 'debug',
+    LOG_FORMAT: 'pretty',
+    RATE_LIMIT_MAX: '300'
+  },
+  staging: {
+    EMAIL_VISITOR_CONFIRMATION: 'false'
+  },
+  production: {}
+};
+
+const DEFAULTS = {
+  PORT: '3000',
+  CRM_PROVIDER: 'brevo',
+  BREVO_LIST_ID: '2',
+  BREVO_API_URL: 'https://api.brevo.com/v3',
+  EMAIL_SENDER: 'RXLab Landing <noreply@rxlab.com>',
+  NOTIFICATION_RECIPIENTS: 'RXLab <atapiarubio487@gmail.com>',
+  EMAIL_VISITOR_CONFIRMATION: 'true',
+  QUOTE_PDF_TO_PROSPECT: 'false',
+  QUOTE_VALIDITY_DAYS: '30',
+  RATE_LIMIT_WINDOW_MS: String(15 * 60 * 1000),
+  RATE_LIMIT_MAX: '30',
+  WHATSAPP_LINK: 'https://wa.link/sj63hg',
+  WHATSAPP_REDIRECT: 'true',
+  ADMIN_USER: 'admin',
+  PORTAL_SESSION_HOURS: '12',
+  PORTAL_REMINDER_DAYS: '30',
+  CUSTODY_LINK_HOURS: '72',
+  CUSTODY_LINK_MAX_DOWNLOADS: '3',
+  OUTBOX_MAX_ATTEMPTS: '5',
+  OUTBOX_BASE_DELAY_MS: String(30 * 1000),
+  OUTBOX_MAX_DELAY_MS: String(60 * 60 * 1000),
+  OUTBOX_POLL_MS: String(15 * 1000),
+  SPAM_THRESHOLD: '50',
+  SPAM_MIN_SUBMIT_MS: '3000',
+  SPAM_TOKEN_TTL_MS: String(24 * 60 * 60 * 1000),
+  LOG_LEVEL: 'info',
+  LOG_FORMAT: 'json'
+};
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Configuración inválida:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.status = 500;
+    this.problems = problems;
+  }
+}
+
+function resolveProfile(env) {
+  if (env.APP_ENV) return env.APP_ENV.trim().toLowerCase();
+  return env.NODE_ENV === 'production' ? 'production' : 'development';
+}
+
+// Lectores tipados: registran el problema y devuelven undefined en lugar de lanzar,
+// así un solo arranque muestra todos los errores a la vez
+function createReader(env, profile, problems) {
+  const raw = (name) => {
+    const value = env[name];
+    if (value !== undefined && String(value).trim() !== '') return String(value).trim();
+    return PROFILE_DEFAULTS[profile]?.[name] ?? DEFAULTS[name];
+  };
+
+  const int = (name, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) => {
+    const value = raw(name);
+    if (value === undefined) return undefined;
+    if (!/^\d+$/.test(value) || Number(value) < min || Number(value) > max) {
+      problems.push(`${name} debe ser un entero entre ${min} y ${max} (valor: "${value}")`);
+      return undefined;
+    }
+    return Number(value);
+  };
+
+  const bool = (name) => {
+    const value = raw(name);
+    if (value === undefined) return false;
+    if (/^(true|1|yes|si|sí|on)$/i.test(value)) return true;
+    if (/^(false|0|no|off)$/i.test(value)) return false;
+    problems.push(`${name} debe ser true o false (valor: "${value}")`);
+    return false;
+  };
+
+  const oneOf = (name, values) => {
+    const value = raw(name);
+    if (value !== undefined && !values.includes(value)) {
+      problems.push(`${name} debe ser uno de: ${values.join(', ')} (valor: "${value}")`);
+      return undefined;
+    }
+    return value;
+  };
+
+  const url = (name) => {
+    const value = raw(name);
+    if (value === undefined) return undefined;
+    try {
+      const parsed = new URL(value);
+      if (!/^https?:$/.test(parsed.protocol)) throw new Error('protocolo');
+      return value.replace(/\/+$/, '');
+    } catch (error) {
+      problems.push(`${name} debe ser una URL http(s) válida (valor: "${value}")`);
+      return undefined;
+    }
+  };
+
+  // "Nombre <correo@dominio>" o solo "correo@dominio"; varios separados por coma
+  const addresses = (name) => {
+    const value = raw(name);
+    if (value === undefined) return [];
+    return value.split(',').map((part) => part.trim()).filter(Boolean).flatMap((part) => {
+      const match = part.match(/^(.*)<([^>]+)>$/);
+      const email = (match ? match[2] : part).trim().toLowerCase();
+      const displayName = match ? match[1].trim().replace(/^"|"$/g, '') : '';
+      if (!EMAIL_REGEX.test(email)) {
+        problems.push(`${name} contiene un email inválido: "${part}"`);
+        return [];
+      }
+      return [displayName ? { name: displayName, email } : { email }];
+    });
+  };
+
+  // Teléfono en cualquier formato que acepte lib/phone.js; se devuelve en E.164
+  const phone = (name) => {
+    const value = raw(name);
+    if (value === undefined) return null;
+    const parsed = parsePhone(value);
+    if (!parsed.valid) {
+      problems.push(`${name} no es un teléfono válido: ${parsed.error} (valor: "${value}")`);
+      return null;
+    }
+    return parsed.e164;
+  };
+
+  const intList = (name) => {
+    const value = raw(name);
+    if (value === undefined) return [];
+    const items = value.split(',').map((part) => part.trim()).filter(Boolean);
+    if (items.length === 0 || items.some((item) => !/^\d+$/.test(item) || Number(item) < 1)) {
+      problems.push(`${name} debe ser uno o varios IDs numéricos separados por coma (valor: "${value}")`);
+      return [];
+    }
+    return items.map(Number);
+  };
+
+  return { raw, int, bool, oneOf, url, addresses, phone, intList };
+}
+
+// Construye y valida la configuración a partir de un objeto de entorno.
+// Devuelve { config, warnings }; lanza ConfigError con todos los problemas encontrados.
+function loadConfig(env = process.env) {
+  const problems = [];
+  const warnings = [];
+
+  const profile = resolveProfile(env);
+  if (!PROFILES.includes(profile)) {
+    throw new ConfigError([`APP_ENV debe ser uno de: ${PROFILES.join(', ')} (valor: "${profile}")`]);
+  }
+
+  const read = createReader(env, profile, problems);
+  const [sender] = read.addresses('EMAIL_SENDER');
+  const notificationRecipients = read.addresses('NOTIFICATION_RECIPIENTS');
+  const [replyTo] = read.addresses('EMAIL_REPLY_TO');
+
+  const config = {
+    profile,
+    isProduction: profile === 'production',
+    server: {
+      port: read.int('PORT', { min: 1, max: 65535 })
+    },
+    site: {
+      // URL pública sin "/" final para canonical, sitemap, JSON-LD y los enlaces de los emails.
+      // Nunca se arma con el Host de la solicitud: lo controla quien la manda. En development
+      // sin SITE_URL se usa el servidor local; en los demás perfiles queda null y solo se
+      // deshabilita lo que arma enlaces (portal, ARCO, entrega de resultados, sitemap).
+      url: read.url('SITE_URL') || null
+    },
+    // En Vercel el código es de solo lectura: sin DATA_DIR los datos van al directorio temporal
+    dataDir: read.raw('DATA_DIR') || (env.VERCEL ? path.join(os.tmpdir(), 'rxlab-data') : path.join(__dirname, '..', 'data')),
+    crm: {
+      provider: read.oneOf('CRM_PROVIDER', ['brevo', 'local']),
+      listIds: read.intList('BREVO_LIST_ID')
+    },
+    brevo: {
+      apiKey: read.raw('BREVO_API_KEY') || null,
+      apiUrl: read.url('BREVO_API_URL')
+    },
+    email: {
+      sender,
+      notificationRecipients,
+      // Las respuestas del visitante van al primer destinatario interno si no se indica otro
+      replyTo: replyTo || notificationRecipients[0],
+      templatesDir: read.raw('EMAIL_TEMPLATES_DIR') || null
+    },
+    rateLimit: {
+      windowMs: read.int('RATE_LIMIT_WINDOW_MS', { min: 1000 }),
+      max: read.int('RATE_LIMIT_MAX', { min: 1 })
+    },
+    whatsapp: {
+      // Número de negocio para los enlaces wa.me; sin él se usa link (sin mensaje prellenado)
+      number: read.phone('WHATSAPP_NUMBER'),
+      link: read.url('WHATSAPP_LINK'),
+      // null = lib/whatsapp/routing.json
+      routingFile: read.raw('WHATSAPP_ROUTING_FILE') || null
+    },
+    features: {
+      visitorConfirmation: read.bool('EMAIL_VISITOR_CONFIRMATION'),
+      quotePdfToProspect: read.bool('QUOTE_PDF_TO_PROSPECT'),
+      whatsappRedirect: read.bool('WHATSAPP_REDIRECT')
+    },
+    quote: {
+      validityDays: read.int('QUOTE_VALIDITY_DAYS', { min: 1, max: 365 })
+    },
+    appointments: {
+      // null = lib/appointments/availability.json
+      availabilityFile: read.raw('APPOINTMENTS_FILE') || null
+    },
+    admin: {
+      user: read.raw('ADMIN_USER'),
+      password: read.raw('ADMIN_PASSWORD') || null
+    },
+    portal: {
+      // Firma las sesiones del portal de empresas; sin él el portal queda deshabilitado
+      sessionSecret: read.raw('PORTAL_SESSION_SECRET') || null,
+      sessionHours: read.int('PORTAL_SESSION_HOURS', { min: 1, max: 24 * 30 }),
+      // Días antes del vencimiento de un examen en que se avisa a la empresa
+      reminderDays: read.int('PORTAL_REMINDER_DAYS', { min: 1, max: 180 })
+    },
+    sorteo: {
+      // Firma las actas de los sorteos antidoping; sin él no se puede sortear
+      signingSecret: read.raw('SORTEO_SIGNING_SECRET') || null
+    },
+    custody: {
+      // Enlaces de descarga de resultados: vigencia en horas y descargas permitidas
+      linkHours: read.int('CUSTODY_LINK_HOURS', { min: 1, max: 24 * 14 }),
+      linkMaxDownloads: read.int('CUSTODY_LINK_MAX_DOWNLOADS', { min: 1, max: 20 })
+    },
+    outbox: {
+      maxAttempts: read.int('OUTBOX_MAX_ATTEMPTS', { min: 1 }),
+      baseDelayMs: read.int('OUTBOX_BASE_DELAY_MS', { min: 1 }),
+      maxDelayMs: read.int('OUTBOX_MAX_DELAY_MS', { min: 1 }),
+      pollIntervalMs: read.int('OUTBOX_POLL_MS', { min: 100 })
+    },
+    spam: {
+      threshold: read.int('SPAM_THRESHOLD', { min: 1 }),
+      minSubmitMs: read.int('SPAM_MIN_SUBMIT_MS'),
+      tokenTtlMs: read.int('SPAM_TOKEN_TTL_MS', { min: 1000 }),
+      tokenSecret: read.raw('FORM_TOKEN_SECRET') || null
+    },
+    log: {
+      level: read.oneOf('LOG_LEVEL', ['debug', 'info', 'warn', 'error', 'silent']),
+      format: read.oneOf('LOG_FORMAT', ['json', 'pretty'])
+    }
+  };
+
+  // Reglas que dependen de varios valores o del perfil
+  const reported = (name) => problems.some((problem) => problem.startsWith(name));
+  if (!config.site.url && !reported('SITE_URL')) {
+    if (profile === 'development') config.site.url = `http://localhost:${config.server.port}`;
+    else warnings.push('SITE_URL no está configurada: el acceso al portal, las solicitudes ARCO, la entrega de resultados y el sitemap quedan deshabilitados, y las páginas salen sin canonical');
+  }
+  if (!sender && !reported('EMAIL_SENDER')) problems.push('EMAIL_SENDER es obligatorio');
+  if (notificationRecipients.length === 0 && !reported('NOTIFICATION_RECIPIENTS')) {
+    problems.push('NOTIFICATION_RECIPIENTS necesita al menos un email');
+  }
+
+  if (config.crm.provider === 'brevo' && !config.brevo.apiKey) {
+    const message = 'BREVO_API_KEY no está configurada (requerida con CRM_PROVIDER=brevo)';
+    if (profile === 'development') warnings.push(`${message}. Usa CRM_PROVIDER=local para probar sin Brevo.`);
+    else problems.push(message);
+  }
+
+  if (config.email.templatesDir && !fs.existsSync(config.email.templatesDir)) {
+    problems.push(`EMAIL_TEMPLATES_DIR no existe: ${config.email.templatesDir}`);
+  }
+
+  if (config.appointments.availabilityFile && !fs.existsSync(config.appointments.availabilityFile)) {
+    problems.push(`APPOINTMENTS_FILE no existe: ${config.appointments.availabilityFile}`);
+  }
+
+  if (config.whatsapp.routingFile && !fs.existsSync(config.whatsapp.routingFile)) {
+    problems.push(`WHATSAPP_ROUTING_FILE no existe: ${config.whatsapp.routingFile}`);
+  }
+
+  if (env.VERCEL) {
+    warnings.push('En Vercel el outbox vive en el disco temporal de cada instancia y no hay worker: un lead que no llegue al CRM al primer intento no se reintenta ni sobrevive a la instancia');
+  }
+
+  if (profile !== 'development') {
+    if (!config.whatsapp.number) {
+      warnings.push('WHATSAPP_NUMBER no está configurado: el enlace de WhatsApp no lleva el mensaje con el ID del lead');
+    }
+    if (config.crm.provider === 'local') {
+      warnings.push(`CRM_PROVIDER=local en ${profile}: los leads no llegan a Brevo`);
+    }
+    if (!config.spam.tokenSecret) {
+      warnings.push('FORM_TOKEN_SECRET no está configurado; los tokens del formulario se firman con un secreto derivado');
+    }
+    if (!config.admin.password) {
+      warnings.push('ADMIN_PASSWORD no está configurada: el panel /admin queda deshabilitado');
+    }
+    if (!config.portal.sessionSecret) {
+      warnings.push('PORTAL_SESSION_SECRET no está configurado: el portal de empresas /portal queda deshabilitado');
+    }
+    if (!config.sorteo.signingSecret) {
+      warnings.push('SORTEO_SIGNING_SECRET no está configurado: los sorteos antidoping quedan deshabilitados');
+    }
+  }
+
+  if (problems.length > 0) throw new ConfigError(problems);
+  return { config: deepFreeze(config), warnings };
+}
+
+function deepFreeze(object) {
+  for (const value of Object.values(object)) {
+    if (value && typeof value === 'object') deepFreeze(value);
+  }
+  return Object.freeze(object);
+}
+
+let cached = null;
+
+// Carga .env.<perfil> y .env (las variables ya definidas tienen prioridad) sin imprimir nada
+function loadEnvFiles() {
+  const root = path.join(__dirname, '..');
+  const profile = resolveProfile(process.env);
+  for (const file of [`.env.${profile}`, '.env']) {
+    const filePath = path.join(root, file);
+    if (fs.existsSync(filePath)) dotenv.config({ path: filePath });
+  }
+}
+
+// Configuración del proceso (cacheada). La primera llamada lee los .env y configura el logger.
+function getConfig() {
+  if (!cached) {
+    loadEnvFiles();
+    cached = loadConfig(process.env);
+    configureLogger(cached.config.log);
+  }
+  return cached.config;
+}
+
+function getConfigWarnings() {
+  getConfig();
+  return cached.warnings;
+}
+
+// Solo para pruebas: fuerza a releer el entorno en la siguiente llamada
+function resetConfig() {
+  cached = null;
+}
+
+// Subconjunto seguro para el navegador (GET /api/site-config)
+function getPublicConfig() {
+  const config = getConfig();
+  return {
+    whatsapp: {
+      link: config.whatsapp.link,
+      redirect: config.features.whatsappRedirect
+    }
+  };
+}
+
+module.exports = {
+  PROFILES,
+  ConfigError,
+  loadConfig,
+  getConfig,
+  getConfigWarnings,
+  getPublicConfig,
+  resetConfig
+};
@@ -0,0 +1,464 @@
+// Definición declarativa del formulario de contacto
+// Es la única fuente de verdad para: los campos que pinta el navegador, la validación
+// (cliente y ambos backends), los mensajes de error por idioma, el payload de Brevo y
+// el email de notificación. Agregar un campo es agregar una entrada a FIELDS.
+//
+// El formulario del sitio va por pasos (STEPS): empresa → necesidades → datos de contacto.
+// Las preguntas de calificación (plantilla, giro, turnos, servicios de interés, urgencia,
+// inspección de la STPS) son opcionales para la API, así los leads de la agenda y de
+// integraciones anteriores siguen siendo válidos; el formulario exige las que tienen
+// ui.required (validateContactForm con { form: true }). Con ellas el servidor calcula el
+// puntaje del lead (lib/leads/score.js).
+//
+// Atributos de contacto en Brevo (crearlos en la cuenta antes de publicar):
+//   NOMBRE, APELLIDOS, EMPRESA, GIRO, TURNOS, SERVICIOS_INTERES, URGENCIA   texto
+//   TELEFONO, EMPLEADOS, LEAD_SCORE                                        número
+//   SMS (E.164), PHONE_BACKUP, LANGUAGE                                    texto
+//   UTM_SOURCE, UTM_MEDIUM, UTM_CAMPAIGN, UTM_TERM, UTM_CONTENT, REFERRER,
+//   LANDING_PAGE, LANDING_SECTION, LAST_SERVICE (atribución)               texto
+//   AVISO_PRIVACIDAD (versión aceptada)                                    texto
+//   FECHA_CONSENTIMIENTO                                                   fecha
+//   INSPECCION_STPS, ACEPTA_PUBLICIDAD                                     booleano
+//
+// En Node: require('./lib/contactForm'). En el navegador, después de /lib/phone.js:
+// <script src="/lib/contactForm.js"> → window.RXLabContactForm
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./phone'));
+  } else {
+    root.RXLabContactForm = factory(root.RXLabPhone);
+  }
+})(typeof self !== 'undefined' ? self : this, function (phoneModule) {
+  'use strict';
+
+  const DEFAULT_LOCALE = 'es';
+
+  // Mensajes genéricos; {label}, {min} y {max} se sustituyen por campo
+  const MESSAGES = {
+    es: {
+      required: 'El campo {label} es requerido',
+      minLength: 'El campo {label} debe tener al menos {min} caracteres',
+      maxLength: 'El campo {label} no puede tener más de {max} caracteres',
+      email: 'El formato del email no es válido',
+      integer: 'El campo {label} debe ser un número entero',
+      min: 'El campo {label} debe ser al menos {min}',
+      max: 'El campo {label} no puede ser mayor que {max}',
+      option: 'Elige una opción válida en {label}',
+      phone: phoneModule.MESSAGES
+    },
+    en: {
+      required: '{label} is required',
+      minLength: '{label} must be at least {min} characters long',
+      maxLength: '{label} cannot be longer than {max} characters',
+      email: 'The email format is not valid',
+      integer: '{label} must be a whole number',
+      min: '{label} must be at least {min}',
+      max: '{label} cannot be greater than {max}',
+      option: 'Choose a valid option for {label}',
+      phone: {
+        empty: 'Phone is required',
+        characters: 'Phone can only contain digits, spaces, dashes, parentheses and +',
+        mxLength: 'Mexican phone numbers must have 10 digits (area code + number)',
+        mxArea: 'The area code is not valid for Mexico',
+        nanp: 'US/Canada numbers must have 10 digits after +1',
+        countryCode: 'The country code is not valid',
+        length: 'International numbers must have between 8 and 15 digits'
+      }
+    }
+  };
+
+  // Pasos del formulario del sitio, en orden; cada campo declara el suyo en ui.step
+  const STEPS = [
+    { id: 'company', title: { es: 'Tu empresa', en: 'Your company' } },
+    { id: 'needs', title: { es: 'Qué necesitas', en: 'What you need' } },
+    { id: 'contact', title: { es: 'Tus datos', en: 'Your details' } }
+  ];
+
+  // Máximo de servicios de interés por lead
+  const MAX_SERVICES = 20;
+
+  // type: string | email | phone | integer | select | multiselect | boolean
+  // aliases: nombres alternativos aceptados en el body (los "name" del HTML original)
+  // options: valores de un select ({ value, label }); optionsFrom: lista externa de un
+  //   multiselect que llega en validateContactForm({ choices }) (p. ej. los slugs de servicios)
+  // crm: cómo se guarda en Brevo
+  //   "ATRIBUTO"                         valor tal cual (las listas, separadas por coma)
+  //   { split: [PRIMERA, RESTO] }        primera palabra / resto (nombre y apellidos)
+  //   { local, e164, backup }            teléfono: número nacional, E.164 y respaldo
+  // ui: cómo lo pinta el navegador (step: paso del formulario; row agrupa campos en la
+  //   misma fila; required: obligatorio en el formulario aunque la API lo acepte vacío)
+  const FIELDS = [
+    {
+      name: 'name',
+      aliases: ['Nombre'],
+      type: 'string',
+      required: true,
+      minLength: 2,
+      maxLength: 100,
+      label: { es: 'Nombre', en: 'Name' },
+      messages: {
+        es: {
+          required: 'El nombre es requerido y debe tener al menos 2 caracteres',
+          minLength: 'El nombre es requerido y debe tener al menos 2 caracteres'
+        }
+      },
+      crm: { split: ['NOMBRE', 'APELLIDOS'] },
+      ui: { id: 'nombre', step: 'contact', row: 'identity', autocomplete: 'name', placeholder: { es: 'Tu nombre', en: 'Your name' } }
+    },
+    {
+      name: 'company',
+      aliases: ['Empresa'],
+      type: 'string',
+      required: true,
+      maxLength: 150,
+      label: { es: 'Empresa', en: 'Company' },
+      crm: 'EMPRESA',
+      ui: { id: 'empresa', step: 'company', autocomplete: 'organization', placeholder: { es: 'Nombre de la empresa', en: 'Company name' } }
+    },
+    {
+      name: 'email',
+      aliases: ['Email'],
+      type: 'email',
+      required: true,
+      maxLength: 254,
+      label: { es: 'Email', en: 'Email' },
+      messages: {
+        es: { required: 'El email es requerido' }
+      },
+      // El email es el identificador del contacto, no un atributo
+      crm: null,
+      ui: { id: 'email', step: 'contact', row: 'identity', inputType: 'email', autocomplete: 'email', placeholder: { es: 'correo@empresa.com', en: 'name@company.com' } }
+    },
+    {
+      name: 'phone',
+      aliases: ['Telefono'],
+      type: 'phone',
+      required: true,
+      label: { es: 'Teléfono', en: 'Phone' },
+      crm: { local: 'TELEFONO', e164: 'SMS', backup: 'PHONE_BACKUP' },
+      ui: {
+        id: 'telefono',
+        step: 'contact',
+        inputType: 'tel',
+        autocomplete: 'tel',
+        initialValue: '+52',
+        placeholder: { es: '+52 55 1234 5678', en: '+52 55 1234 5678' },
+        help: {
+          es: 'Ingresa tu número con lada (ej: +52 55 1234 5678). Si estás fuera de México, usa el código de tu país (ej: +1 212 555 0100).',
+          en: 'Include your area code (e.g. +52 55 1234 5678). Outside Mexico, use your country code (e.g. +1 212 555 0100).'
+        }
+      }
+    },
+    {
+      name: 'headcount',
+      type: 'integer',
+      min: 1,
+      max: 100000,
+      label: { es: 'Número de empleados', en: 'Number of employees' },
+      crm: 'EMPLEADOS',
+      ui: { id: 'empleados', step: 'company', row: 'profile', inputType: 'number', required: true, placeholder: { es: 'Ej. 35', en: 'e.g. 35' } }
+    },
+    {
+      name: 'industry',
+      type: 'select',
+      label: { es: 'Giro', en: 'Industry' },
+      options: [
+        { value: 'manufactura', label: { es: 'Manufactura', en: 'Manufacturing' } },
+        { value: 'logistica', label: { es: 'Logística y transporte', en: 'Logistics and transport' } },
+        { value: 'construccion', label: { es: 'Construcción', en: 'Construction' } },
+        { value: 'energia', label: { es: 'Minería y energía', en: 'Mining and energy' } },
+        { value: 'alimentos', label: { es: 'Alimentos y bebidas', en: 'Food and beverages' } },
+        { value: 'comercio', label: { es: 'Comercio', en: 'Retail' } },
+        { value: 'salud', label: { es: 'Salud', en: 'Healthcare' } },
+        { value: 'servicios', label: { es: 'Oficinas y servicios', en: 'Offices and services' } },
+        { value: 'otro', label: { es: 'Otro', en: 'Other' } }
+      ],
+      crm: 'GIRO',
+      ui: { id: 'giro', step: 'company', row: 'profile', required: true }
+    },
+    {
+      name: 'shifts',
+      type: 'select',
+      label: { es: 'Turnos de trabajo', en: 'Work shifts' },
+      options: [
+        { value: 'uno', label: { es: 'Un turno', en: 'One shift' } },
+        { value: 'dos', label: { es: 'Dos turnos', en: 'Two shifts' } },
+        { value: 'tres', label: { es: 'Tres turnos (24 h)', en: 'Three shifts (24 h)' } },
+        { value: 'rotativos', label: { es: 'Turnos rotativos o mixtos', en: 'Rotating or mixed shifts' } }
+      ],
+      crm: 'TURNOS',
+      ui: { id: 'turnos', step: 'company' }
+    },
+    {
+      name: 'services',
+      type: 'multiselect',
+      optionsFrom: 'services',
+      label: { es: 'Servicios de interés', en: 'Services of interest' },
+      crm: 'SERVICIOS_INTERES',
+      ui: { id: 'servicios', step: 'needs', widget: 'checkboxes' }
+    },
+    {
+      name: 'urgency',
+      type: 'select',
+      label: { es: '¿Para cuándo lo necesitas?', en: 'When do you need it?' },
+      messages: {
+        es: { required: 'Indica para cuándo lo necesitas' },
+        en: { required: 'Tell us when you need it' }
+      },
+      options: [
+        { value: 'inmediata', label: { es: 'Lo antes posible', en: 'As soon as possible' } },
+        { value: 'trimestre', label: { es: 'En los próximos 3 meses', en: 'Within the next 3 months' } },
+        { value: 'explorando', label: { es: 'Solo estoy explorando opciones', en: 'Just exploring options' } }
+      ],
+      crm: 'URGENCIA',
+      ui: { id: 'urgencia', step: 'needs', row: 'timing', required: true }
+    },
+    {
+      name: 'stpsInspection',
+      type: 'boolean',
+      label: { es: '¿Se preparan para una inspección de la STPS?', en: 'Are you preparing for an STPS inspection?' },
+      crm: 'INSPECCION_STPS',
+      ui: { id: 'inspeccion', step: 'needs', row: 'timing' }
+    },
+    {
+      name: 'message',
+      aliases: ['Mensaje'],
+      type: 'string',
+      required: true,
+      minLength: 10,
+      maxLength: 2000,
+      label: { es: 'Mensaje', en: 'Message' },
+      messages: {
+        es: {
+          required: 'El mensaje es requerido y debe tener al menos 10 caracteres',
+          minLength: 'El mensaje es requerido y debe tener al menos 10 caracteres'
+        }
+      },
+      crm: null,
+      ui: { id: 'mensaje', step: 'needs', widget: 'textarea', rows: 4, placeholder: { es: 'Cuéntanos qué necesitas', en: 'Tell us what you need' } }
+    }
+  ];
+
+  const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  const SLUG_REGEX = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+  const TRUE_VALUES = ['true', '1', 'si', 'sí', 'yes'];
+  const FALSE_VALUES = ['false', '0', 'no'];
+
+  // Respuestas de sí/no de los campos boolean
+  const YES_NO = {
+    es: { true: 'Sí', false: 'No' },
+    en: { true: 'Yes', false: 'No' }
+  };
+
+  // Atributo de contacto con el idioma del visitante (es, en); no es un campo del formulario,
+  // el servidor lo toma de la solicitud (lib/i18n)
+  const LOCALE_ATTRIBUTE = 'LANGUAGE';
+
+  // Puntaje del lead (0-100) que calcula el servidor a partir de la calificación
+  const SCORE_ATTRIBUTE = 'LEAD_SCORE';
+
+  // Consentimiento al aviso de privacidad (lib/privacy/consent.js): versión aceptada, fecha
+  // (atributo de tipo Fecha, AAAA-MM-DD) y si acepta las finalidades secundarias
+  const CONSENT_ATTRIBUTES = {
+    noticeVersion: 'AVISO_PRIVACIDAD',
+    acceptedAt: 'FECHA_CONSENTIMIENTO',
+    marketing: 'ACEPTA_PUBLICIDAD'
+  };
+
+  // Atribución del lead (lib/analytics/attribution.js) → atributos de contacto. Solo se
+  // envían los que traiga la visita, así un lead directo no borra la campaña anterior.
+  const ATTRIBUTION_ATTRIBUTES = {
+    utmSource: 'UTM_SOURCE',
+    utmMedium: 'UTM_MEDIUM',
+    utmCampaign: 'UTM_CAMPAIGN',
+    utmTerm: 'UTM_TERM',
+    utmContent: 'UTM_CONTENT',
+    referrer: 'REFERRER',
+    landingPage: 'LANDING_PAGE',
+    landingSection: 'LANDING_SECTION',
+    lastService: 'LAST_SERVICE'
+  };
+
+  function localized(value, locale) {
+    if (value === null || value === undefined || typeof value === 'string') return value;
+    return value[locale] || value[DEFAULT_LOCALE];
+  }
+
+  function message(field, key, locale, params = {}) {
+    const override = field.messages && field.messages[locale] && field.messages[locale][key];
+    const catalogue = MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE];
+    const template = override || catalogue[key];
+    const values = { label: localized(field.label, locale), ...params };
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+  }
+
+  // Lee el valor crudo del campo aceptando sus alias; un multiselect devuelve la lista
+  function readRaw(values, field) {
+    for (const key of [field.name, ...(field.aliases || [])]) {
+      const value = values[key];
+      if (field.type === 'multiselect' && Array.isArray(value)) {
+        const items = value.map((item) => String(item).trim()).filter(Boolean);
+        if (items.length) return items;
+        continue;
+      }
+      if (value !== undefined && value !== null && String(value).trim() !== '') {
+        return String(value).trim();
+      }
+    }
+    return '';
+  }
+
+  // Valida un campo; devuelve { value } normalizado o { error }
+  // choices: listas externas de los multiselect, por nombre (optionsFrom)
+  function validateField(field, raw, locale, { required = field.required, choices = {} } = {}) {
+    if (!raw) {
+      return required ? { error: message(field, 'required', locale) } : { value: null };
+    }
+
+    if (field.type === 'select') {
+      const option = field.options.find((candidate) => candidate.value === raw);
+      return option ? { value: option.value } : { error: message(field, 'option', locale) };
+    }
+
+    if (field.type === 'boolean') {
+      const answer = raw.toLowerCase();
+      if (TRUE_VALUES.includes(answer)) return { value: true };
+      if (FALSE_VALUES.includes(answer)) return { value: false };
+      return { error: message(field, 'option', locale) };
+    }
+
+    if (field.type === 'multiselect') {
+      const items = Array.isArray(raw) ? raw : raw.split(',').map((item) => item.trim()).filter(Boolean);
+      const unique = items.filter((item, i) => items.indexOf(item) === i);
+      const allowed = choices[field.optionsFrom];
+      const invalid = unique.some((item) => (allowed ? !allowed.includes(item) : !SLUG_REGEX.test(item)));
+      if (invalid || unique.length > MAX_SERVICES) return { error: message(field, 'option', locale) };
+      return { value: unique };
+    }
+
+    if (field.type === 'phone') {
+      const phone = phoneModule.parsePhone(raw);
+      if (!phone.valid) {
+        const catalogue = MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE];
+        return { error: catalogue.phone[phone.reason] || phone.error };
+      }
+      return { value: phone };
+    }
+
+    if (field.type === 'integer') {
+      if (!/^-?\d+$/.test(raw)) return { error: message(field, 'integer', locale) };
+      const number = parseInt(raw, 10);
+      if (field.min !== undefined && number < field.min) return { error: message(field, 'min', locale, { min: field.min }) };
+      if (field.max !== undefined && number > field.max) return { error: message(field, 'max', locale, { max: field.max }) };
+      return { value: number };
+    }
+
+    const value = field.type === 'email' ? raw.toLowerCase() : raw;
+
+    if (field.minLength && value.length < field.minLength) {
+      return { error: message(field, 'minLength', locale, { min: field.minLength }) };
+    }
+    if (field.maxLength && value.length > field.maxLength) {
+      return { error: message(field, 'maxLength', locale, { max: field.maxLength }) };
+    }
+    if (field.type === 'email' && !EMAIL_REGEX.test(value)) {
+      return { error: message(field, 'email', locale) };
+    }
+
+    return { value };
+  }
+
+  // Valida todos los campos. errors conserva el orden de FIELDS para mostrar el primero.
+  // form: validación del formulario del sitio, que además exige los campos con ui.required
+  // step: solo los campos de ese paso (el navegador valida antes de avanzar)
+  function validateContactForm(values, { locale = DEFAULT_LOCALE, form = false, step = null, choices = {} } = {}) {
+    const data = {};
+    const errors = {};
+
+    for (const field of FIELDS) {
+      if (step && field.ui.step !== step) continue;
+      const required = Boolean(field.required || (form && field.ui.required));
+      const result = validateField(field, readRaw(values || {}, field), locale, { required, choices });
+      if (result.error) {
+        errors[field.name] = result.error;
+      } else {
+        data[field.name] = result.value;
+      }
+    }
+
+    const firstError = Object.values(errors)[0] || null;
+    return { valid: !firstError, data, errors, firstError };
+  }
+
+  // Atributos de contacto para el CRM a partir de datos ya validados.
+  // Con phoneBackup el teléfono va al atributo de respaldo en lugar de SMS/TELEFONO.
+  function buildCrmAttributes(data, { phoneBackup = false } = {}) {
+    const attributes = {};
+
+    for (const field of FIELDS) {
+      const value = data[field.name];
+      if (!field.crm || value === null || value === undefined || value === '') continue;
+
+      if (typeof field.crm === 'string') {
+        attributes[field.crm] = Array.isArray(value) ? value.join(', ') : value;
+      } else if (field.crm.split) {
+        const parts = String(value).split(/\s+/);
+        attributes[field.crm.split[0]] = parts[0];
+        attributes[field.crm.split[1]] = parts.slice(1).join(' ');
+      } else if (field.type === 'phone') {
+        if (phoneBackup) {
+          attributes[field.crm.backup] = value.local;
+        } else {
+          // TELEFONO es de tipo Número en Brevo; SMS requiere formato E.164
+          const localNumber = parseInt(value.local, 10);
+          attributes[field.crm.local] = isNaN(localNumber) ? value.local : localNumber;
+          attributes[field.crm.e164] = value.e164;
+        }
+      }
+    }
+
+    if (data.locale) attributes[LOCALE_ATTRIBUTE] = data.locale;
+    // Sin respuestas de calificación (p. ej. un lead de la agenda) el puntaje no se envía,
+    // así no se pierde el que el contacto ya tenga en el CRM
+    if (data.leadScore && data.leadScore.score > 0) attributes[SCORE_ATTRIBUTE] = data.leadScore.score;
+    if (data.consent) {
+      attributes[CONSENT_ATTRIBUTES.noticeVersion] = data.consent.noticeVersion;
+      attributes[CONSENT_ATTRIBUTES.acceptedAt] = data.consent.acceptedAt.slice(0, 10);
+      attributes[CONSENT_ATTRIBUTES.marketing] = Boolean(data.consent.marketing);
+    }
+    for (const [key, attribute] of Object.entries(ATTRIBUTION_ATTRIBUTES)) {
+      if (data.attribution && data.attribution[key]) attributes[attribute] = data.attribution[key];
+    }
+    return attributes;
+  }
+
+  // Texto legible de un valor validado (emails de notificación, exportaciones)
+  function displayValue(field, value, locale = DEFAULT_LOCALE) {
+    if (value === null || value === undefined || value === '') return '';
+    if (field.type === 'phone') return value.international || value.e164;
+    if (field.type === 'boolean') return (YES_NO[locale] || YES_NO[DEFAULT_LOCALE])[value];
+    if (field.type === 'select') {
+      const option = field.options.find((candidate) => candidate.value === value);
+      return option ? localized(option.label, locale) : String(value);
+    }
+    if (Array.isArray(value)) return value.join(', ');
+    return String(value);
+  }
+
+  return {
+    DEFAULT_LOCALE,
+    STEPS,
+    FIELDS,
+    MESSAGES,
+    LOCALE_ATTRIBUTE,
+    SCORE_ATTRIBUTE,
+    CONSENT_ATTRIBUTES,
+    ATTRIBUTION_ATTRIBUTES,
+    localized,
+    validateField,
+    validateContactForm,
+    buildCrmAttributes,
+    displayValue
+  };
+});
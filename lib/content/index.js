@@ -0,0 +1,403 @@
+// Contenido editable del sitio: servicios, preguntas frecuentes, testimonios, certificaciones
+// y datos del negocio (ubicación, horario, descripción para buscadores)
+// El contenido publicado de fábrica vive en lib/content/sections/<sección>.json. Lo que se
+// edita desde el panel (/admin/content.html) se guarda en el store content.json y tiene
+// prioridad; "restaurar" borra la edición y vuelve al archivo.
+//
+// Cada sección existe por idioma (lib/i18n): el español en sections/<sección>.json y las
+// traducciones en sections/<idioma>/<sección>.json. En el store la clave es "<sección>" para
+// español y "<idioma>/<sección>" para las traducciones; se editan y restauran por separado.
+//
+// SECTIONS describe cada sección campo por campo. El mismo esquema valida en el servidor y
+// arma el formulario del panel, así agregar un campo no requiere tocar la interfaz.
+// Tipos: text, textarea, url (http/https), image (ruta en assets/ o URL https), slug,
+// decimal, tags (lista de textos) y list (lista de objetos con sus propios fields).
+// pattern (texto de una RegExp) y patternMessage agregan una regla de formato.
+//
+// GET /api/content devuelve todas las secciones en el idioma de la solicitud; ?section=faq solo una.
+
+const fs = require('fs');
+const path = require('path');
+const { createJsonStore } = require('../store/jsonFile');
+const { child, newRequestId, runWithContext } = require('../logger');
+const { LOCALES, DEFAULT_LOCALE, getLocale, t } = require('../i18n');
+
+const logger = child({ module: 'content' });
+
+const store = createJsonStore('content.json', {});
+
+const SECTIONS_DIR = path.join(__dirname, 'sections');
+
+const SECTIONS = {
+  services: {
+    title: 'Servicios',
+    fields: [
+      { name: 'title', label: 'Título de la sección', type: 'text', required: true, maxLength: 120 },
+      { name: 'intro', label: 'Texto introductorio', type: 'text', maxLength: 300 },
+      {
+        name: 'items',
+        label: 'Servicios',
+        type: 'list',
+        itemLabel: 'title',
+        minItems: 1,
+        maxItems: 20,
+        fields: [
+          { name: 'slug', label: 'Identificador (cotizador y agenda)', type: 'slug', required: true },
+          { name: 'icon', label: 'Icono (emoji)', type: 'text', maxLength: 8 },
+          { name: 'title', label: 'Nombre', type: 'text', required: true, maxLength: 120 },
+          { name: 'description', label: 'Descripción', type: 'textarea', required: true, maxLength: 1000 },
+          { name: 'highlight', label: 'Norma o valor estratégico', type: 'textarea', maxLength: 500 },
+          { name: 'image', label: 'Imagen', type: 'image' }
+        ]
+      }
+    ]
+  },
+  faq: {
+    title: 'Preguntas frecuentes',
+    fields: [
+      { name: 'title', label: 'Título de la sección', type: 'text', required: true, maxLength: 120 },
+      { name: 'intro', label: 'Texto introductorio', type: 'text', maxLength: 300 },
+      {
+        name: 'items',
+        label: 'Preguntas',
+        type: 'list',
+        itemLabel: 'question',
+        maxItems: 40,
+        fields: [
+          { name: 'question', label: 'Pregunta', type: 'text', required: true, maxLength: 200 },
+          { name: 'answer', label: 'Respuesta', type: 'textarea', required: true, maxLength: 2000 }
+        ]
+      }
+    ]
+  },
+  testimonials: {
+    title: 'Testimonios',
+    fields: [
+      { name: 'title', label: 'Título de la sección', type: 'text', required: true, maxLength: 120 },
+      {
+        name: 'items',
+        label: 'Testimonios',
+        type: 'list',
+        itemLabel: 'name',
+        maxItems: 20,
+        fields: [
+          { name: 'text', label: 'Testimonio', type: 'textarea', required: true, maxLength: 1000 },
+          { name: 'name', label: 'Nombre o fuente', type: 'text', required: true, maxLength: 120 },
+          { name: 'role', label: 'Cargo y empresa', type: 'text', maxLength: 120 },
+          { name: 'url', label: 'Enlace a la reseña', type: 'url' }
+        ]
+      }
+    ]
+  },
+  certifications: {
+    title: 'Certificaciones',
+    fields: [
+      { name: 'kicker', label: 'Antetítulo', type: 'text', maxLength: 80 },
+      { name: 'title', label: 'Título', type: 'text', required: true, maxLength: 160 },
+      { name: 'subtitle', label: 'Descripción', type: 'textarea', maxLength: 800 },
+      { name: 'tags', label: 'Normas y distintivos', type: 'tags', maxItems: 12, maxLength: 60 },
+      {
+        name: 'points',
+        label: 'Puntos clave',
+        type: 'list',
+        itemLabel: 'title',
+        maxItems: 12,
+        fields: [
+          { name: 'title', label: 'Título', type: 'text', required: true, maxLength: 160 },
+          { name: 'text', label: 'Texto', type: 'textarea', required: true, maxLength: 1000 }
+        ]
+      },
+      { name: 'ctaLabel', label: 'Texto del botón', type: 'text', maxLength: 80 },
+      { name: 'image', label: 'Imagen', type: 'image' },
+      { name: 'imageAlt', label: 'Texto alternativo de la imagen', type: 'text', maxLength: 200 }
+    ]
+  },
+  business: {
+    title: 'Negocio y ubicación',
+    fields: [
+      { name: 'name', label: 'Nombre del negocio', type: 'text', required: true, maxLength: 120 },
+      { name: 'pageTitle', label: 'Título de la página (pestaña y buscadores)', type: 'text', required: true, maxLength: 70 },
+      { name: 'description', label: 'Descripción para buscadores', type: 'textarea', required: true, maxLength: 300 },
+      { name: 'locationTitle', label: 'Título de la sección de ubicación', type: 'text', required: true, maxLength: 120 },
+      { name: 'locationIntro', label: 'Texto de la sección de ubicación', type: 'text', maxLength: 300 },
+      { name: 'streetAddress', label: 'Calle y número', type: 'text', maxLength: 200 },
+      { name: 'locality', label: 'Alcaldía o municipio', type: 'text', maxLength: 120 },
+      { name: 'region', label: 'Estado', type: 'text', maxLength: 120 },
+      { name: 'postalCode', label: 'Código postal', type: 'text', pattern: '^\\d{5}$', patternMessage: 'debe tener 5 dígitos' },
+      { name: 'country', label: 'País (código ISO)', type: 'text', required: true, pattern: '^[A-Z]{2}$', patternMessage: 'usa el código de dos letras, ej. MX' },
+      { name: 'telephone', label: 'Teléfono', type: 'text', maxLength: 30 },
+      { name: 'latitude', label: 'Latitud', type: 'decimal' },
+      { name: 'longitude', label: 'Longitud', type: 'decimal' },
+      { name: 'mapEmbedUrl', label: 'Mapa (URL para insertar de Google Maps)', type: 'url' },
+      {
+        name: 'openingHours',
+        label: 'Horario (uno por línea, ej. Mo-Fr 07:30-13:30)',
+        type: 'tags',
+        maxItems: 7,
+        pattern: '^(Mo|Tu|We|Th|Fr|Sa|Su)(-(Mo|Tu|We|Th|Fr|Sa|Su))? \\d{2}:\\d{2}-\\d{2}:\\d{2}$',
+        patternMessage: 'usa el formato Mo-Fr 07:30-13:30'
+      }
+    ]
+  }
+};
+
+const SLUG_REGEX = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const IMAGE_PATH_REGEX = /^assets\/[\w\-./]+\.(?:jpe?g|png|webp|svg|gif)$/i;
+
+class ContentError extends Error {
+  constructor(message, status = 400, fields = null) {
+    super(message);
+    this.name = 'ContentError';
+    this.status = status;
+    this.fields = fields;
+  }
+}
+
+// =========================
+// VALIDACIÓN
+// =========================
+
+function isHttpUrl(value, { httpsOnly = false } = {}) {
+  try {
+    const url = new URL(value);
+    return httpsOnly ? url.protocol === 'https:' : /^https?:$/.test(url.protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+function cleanText(value, field, key, problems) {
+  if (value !== undefined && value !== null && typeof value !== 'string') {
+    problems[key] = `${field.label}: debe ser texto`;
+    return '';
+  }
+  const text = field.type === 'textarea'
+    ? String(value || '').replace(/\r\n/g, '\n').trim()
+    : String(value || '').replace(/\s+/g, ' ').trim();
+
+  if (!text) {
+    if (field.required) problems[key] = `${field.label}: es obligatorio`;
+    return '';
+  }
+  if (field.maxLength && text.length > field.maxLength) {
+    problems[key] = `${field.label}: máximo ${field.maxLength} caracteres`;
+  }
+  if (field.type === 'slug' && !SLUG_REGEX.test(text)) {
+    problems[key] = `${field.label}: solo minúsculas, números y guiones (ej. examen-periodico)`;
+  }
+  if (field.type === 'url' && !isHttpUrl(text)) {
+    problems[key] = `${field.label}: debe ser una URL http(s)`;
+  }
+  if (field.type === 'image' && !IMAGE_PATH_REGEX.test(text) && !isHttpUrl(text, { httpsOnly: true })) {
+    problems[key] = `${field.label}: usa una ruta dentro de assets/ o una URL https`;
+  }
+  if (field.type === 'decimal' && !/^-?\d+(\.\d+)?$/.test(text)) {
+    problems[key] = `${field.label}: debe ser un número (ej. 19.3955)`;
+  }
+  if (field.pattern && !new RegExp(field.pattern).test(text)) {
+    problems[key] = `${field.label}: ${field.patternMessage || 'formato inválido'}`;
+  }
+  return text;
+}
+
+function cleanList(value, field, key, problems, cleanItem) {
+  if (value !== undefined && !Array.isArray(value)) {
+    problems[key] = `${field.label}: debe ser una lista`;
+    return [];
+  }
+  const items = value || [];
+  if (field.minItems && items.length < field.minItems) {
+    problems[key] = `${field.label}: agrega al menos ${field.minItems}`;
+  }
+  if (field.maxItems && items.length > field.maxItems) {
+    problems[key] = `${field.label}: máximo ${field.maxItems} elementos`;
+  }
+  return items.map((item, i) => cleanItem(item, `${key}.${i}`));
+}
+
+// Devuelve solo los campos conocidos, ya normalizados; registra problemas por ruta (items.2.title)
+function cleanObject(fields, data, prefix, problems) {
+  const source = data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  const result = {};
+
+  for (const field of fields) {
+    const key = prefix ? `${prefix}.${field.name}` : field.name;
+    const value = source[field.name];
+
+    if (field.type === 'list') {
+      result[field.name] = cleanList(value, field, key, problems, (item, itemKey) =>
+        cleanObject(field.fields, item, itemKey, problems));
+    } else if (field.type === 'tags') {
+      result[field.name] = cleanList(value, field, key, problems, (item, itemKey) =>
+        cleanText(item, { ...field, type: 'text', required: true }, itemKey, problems));
+    } else {
+      result[field.name] = cleanText(value, field, key, problems);
+    }
+  }
+
+  return result;
+}
+
+function validateSection(name, data) {
+  const section = SECTIONS[name];
+  if (!section) throw new ContentError(t('api.content.unknownSection', { name }), 404);
+
+  const problems = {};
+  const content = cleanObject(section.fields, data, '', problems);
+
+  // Los identificadores de servicio enlazan con el cotizador y la agenda: no se repiten
+  if (name === 'services') {
+    const seen = new Set();
+    content.items.forEach((item, i) => {
+      if (item.slug && seen.has(item.slug)) problems[`items.${i}.slug`] = `Identificador repetido: ${item.slug}`;
+      seen.add(item.slug);
+    });
+  }
+
+  if (Object.keys(problems).length > 0) {
+    throw new ContentError(Object.values(problems)[0], 400, problems);
+  }
+  return content;
+}
+
+// =========================
+// LECTURA Y EDICIÓN
+// =========================
+
+const defaults = new Map();
+
+function storeKey(name, locale) {
+  return locale === DEFAULT_LOCALE ? name : `${locale}/${name}`;
+}
+
+function readDefault(name, locale = DEFAULT_LOCALE) {
+  const key = storeKey(name, locale);
+  if (!defaults.has(key)) {
+    const dir = locale === DEFAULT_LOCALE ? SECTIONS_DIR : path.join(SECTIONS_DIR, locale);
+    const data = JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), 'utf8'));
+    defaults.set(key, validateSection(name, data));
+  }
+  return structuredClone(defaults.get(key));
+}
+
+function assertSection(name, locale = DEFAULT_LOCALE) {
+  if (!Object.prototype.hasOwnProperty.call(SECTIONS, name)) {
+    throw new ContentError(t('api.content.unknownSection', { name }), 404);
+  }
+  if (!LOCALES.includes(locale)) {
+    throw new ContentError(`Idioma no soportado: ${locale}. Usa: ${LOCALES.join(', ')}`, 400);
+  }
+}
+
+async function getSection(name, { locale = DEFAULT_LOCALE } = {}) {
+  assertSection(name, locale);
+  const saved = (await store.read())[storeKey(name, locale)];
+  return saved ? saved.data : readDefault(name, locale);
+}
+
+async function getAllContent({ locale = DEFAULT_LOCALE } = {}) {
+  assertSection('services', locale);
+  const saved = await store.read();
+  const content = {};
+  for (const name of Object.keys(SECTIONS)) {
+    const entry = saved[storeKey(name, locale)];
+    content[name] = entry ? entry.data : readDefault(name, locale);
+  }
+  return content;
+}
+
+// Resumen para el panel: qué secciones están editadas, cuándo y por quién
+async function listSections({ locale = DEFAULT_LOCALE } = {}) {
+  const saved = await store.read();
+  return Object.entries(SECTIONS).map(([name, section]) => {
+    const entry = saved[storeKey(name, locale)];
+    return {
+      name,
+      locale,
+      title: section.title,
+      customized: Boolean(entry),
+      updatedAt: entry?.updatedAt || null,
+      updatedBy: entry?.updatedBy || null
+    };
+  });
+}
+
+// Una traducción no agrega servicios: el cotizador y la agenda solo conocen los slugs del
+// contenido en español
+async function checkTranslatedServices(content) {
+  const slugs = new Set((await getSection('services')).items.map((item) => item.slug));
+  const problems = {};
+  content.items.forEach((item, i) => {
+    if (!slugs.has(item.slug)) problems[`items.${i}.slug`] = `No existe en el contenido en español: ${item.slug}`;
+  });
+  if (Object.keys(problems).length > 0) {
+    throw new ContentError(Object.values(problems)[0], 400, problems);
+  }
+}
+
+async function saveSection(name, data, { user = null, locale = DEFAULT_LOCALE } = {}) {
+  assertSection(name, locale);
+  const content = validateSection(name, data);
+  if (name === 'services' && locale !== DEFAULT_LOCALE) await checkTranslatedServices(content);
+  const updatedAt = new Date().toISOString();
+
+  await store.update((saved) => {
+    saved[storeKey(name, locale)] = { data: content, updatedAt, updatedBy: user };
+  });
+  logger.info('Contenido actualizado', { section: name, locale, user });
+  return content;
+}
+
+async function resetSection(name, { user = null, locale = DEFAULT_LOCALE } = {}) {
+  assertSection(name, locale);
+  await store.update((saved) => {
+    delete saved[storeKey(name, locale)];
+  });
+  logger.info('Contenido restaurado', { section: name, locale, user });
+  return readDefault(name, locale);
+}
+
+// =========================
+// HTTP
+// =========================
+
+async function runContentRequest(method, { query = {} }, requestId) {
+  try {
+    if (method !== 'GET') {
+      return { statusCode: 405, body: { ok: false, error: t('api.methodNotAllowed') } };
+    }
+    const locale = getLocale();
+    if (query.section) {
+      const content = await getSection(query.section, { locale });
+      return { statusCode: 200, body: { ok: true, locale, section: query.section, content } };
+    }
+    return { statusCode: 200, body: { ok: true, locale, content: await getAllContent({ locale }) } };
+  } catch (error) {
+    if (error instanceof ContentError && error.status < 500) {
+      return { statusCode: error.status, body: { ok: false, error: error.message } };
+    }
+    logger.error('Error al leer el contenido', error);
+    return {
+      statusCode: 500,
+      body: { ok: false, error: t('api.internalError'), requestId }
+    };
+  }
+}
+
+// Punto de entrada común para los adaptadores HTTP: nunca lanza, devuelve status + JSON
+function handleContentRequest(method, { query, requestId, locale } = {}) {
+  const id = newRequestId(requestId);
+  return runWithContext({ requestId: id, locale }, () => runContentRequest(method, { query: query || {} }, id));
+}
+
+module.exports = {
+  SECTIONS,
+  ContentError,
+  validateSection,
+  getSection,
+  getAllContent,
+  listSections,
+  saveSection,
+  resetSection,
+  handleContentRequest
+};
@@ -0,0 +1,202 @@
+// Proveedor de CRM sobre la API v3 de Brevo
+// Contiene la lógica de duplicados: POST → PUT por email → PHONE_BACKUP si el SMS es de otro contacto
+
+const { brevoRequest } = require('../brevo');
+const { buildCrmAttributes } = require('../contactForm');
+const { CrmError } = require('./errors');
+const { child } = require('../logger');
+
+const logger = child({ module: 'crm', provider: 'brevo' });
+
+function isDuplicateError(result) {
+  if (result.status !== 400) return false;
+  const message = (result.message || '').toLowerCase();
+  return result.code === 'duplicate_parameter' ||
+         message.includes('duplicate') ||
+         message.includes('already associated');
+}
+
+function isPhoneConflict(result) {
+  const message = result.message || '';
+  return /SMS|phone|teléfono|mobile|already associated/i.test(message);
+}
+
+// Traduce un error de Brevo a un mensaje apto para el frontend (sin detalles sensibles)
+function describeBrevoError(result) {
+  if (result.status === 401) return 'API Key inválida o expirada';
+  if (result.status === 404) return 'Recurso no encontrado (verifica el ID de lista)';
+  if (result.status === 400 && !result.message && result.code === 'invalid_parameter') {
+    return 'Algunos datos no son válidos (verifica el formato del teléfono)';
+  }
+  return result.message || 'Error al procesar la solicitud con Brevo';
+}
+
+// 401/403 no se resuelven solos: hasta corregir la API key o la IP autorizada, cada reintento falla igual
+function toCrmError(result) {
+  const retryable = result.status !== 401 && result.status !== 403;
+  return new CrmError(describeBrevoError(result), 500, result.code, { retryable });
+}
+
+function createBrevoProvider({ apiKey, apiUrl, listIds }) {
+  // La API key se valida al usarla para que el error llegue como respuesta al formulario
+  function request(method, path, payload) {
+    if (!apiKey) {
+      logger.error('BREVO_API_KEY no está configurada en las variables de entorno');
+      throw new CrmError('Error de configuración del servidor', 500);
+    }
+    return brevoRequest(apiKey, method, path, payload, apiUrl);
+  }
+
+  function buildContactPayload(lead, options) {
+    return {
+      email: lead.email,
+      attributes: buildCrmAttributes(lead, options),
+      listIds: [...listIds],
+      updateEnabled: true
+    };
+  }
+
+  async function upsertContact(lead) {
+    const contactPath = `/contacts/${encodeURIComponent(lead.email)}`;
+    const contactData = buildContactPayload(lead);
+
+    logger.info('Enviando contacto a Brevo', {
+      email: lead.email,
+      attributes: Object.keys(contactData.attributes),
+      listIds: contactData.listIds
+    });
+
+    const created = await request('POST', '/contacts', contactData);
+    if (created.ok) {
+      logger.info('Contacto creado/actualizado en Brevo', { contactId: created.data?.id || null });
+      return { id: created.data?.id || null, phoneBackup: false };
+    }
+
+    logger.warn('Error de Brevo API al crear contacto', {
+      status: created.status,
+      code: created.code,
+      detail: created.message
+    });
+
+    if (!isDuplicateError(created)) {
+      throw toCrmError(created);
+    }
+
+    // Caso 1: el contacto ya existe → actualizar por email con todos los atributos
+    logger.info('Contacto duplicado, actualizando por email');
+    const updated = await request('PUT', contactPath, contactData);
+    if (updated.ok) {
+      logger.info('Contacto actualizado en Brevo');
+      return { id: null, phoneBackup: false };
+    }
+
+    // Caso 2: el teléfono pertenece a otro contacto → guardarlo en PHONE_BACKUP
+    if (!lead.phone || !(isPhoneConflict(updated) || isPhoneConflict(created))) {
+      throw toCrmError(updated);
+    }
+
+    logger.warn('SMS duplicado en otro contacto, guardando teléfono en PHONE_BACKUP');
+    const backupData = buildContactPayload(lead, { phoneBackup: true });
+
+    const backupCreated = await request('POST', '/contacts', backupData);
+    if (backupCreated.ok) {
+      return { id: backupCreated.data?.id || null, phoneBackup: true };
+    }
+
+    const backupUpdated = await request('PUT', contactPath, backupData);
+    if (backupUpdated.ok) {
+      return { id: null, phoneBackup: true };
+    }
+
+    logger.error('Error al guardar con PHONE_BACKUP', {
+      status: backupUpdated.status,
+      code: backupUpdated.code,
+      detail: backupUpdated.message
+    });
+    throw toCrmError(backupUpdated);
+  }
+
+  // emailBlacklisted: true saca al contacto de las campañas (oposición); los emails
+  // transaccionales siguen saliendo
+  async function updateContact(email, attributes, { emailBlacklisted } = {}) {
+    const payload = { attributes };
+    if (emailBlacklisted !== undefined) payload.emailBlacklisted = emailBlacklisted;
+    const result = await request('PUT', `/contacts/${encodeURIComponent(email)}`, payload);
+    if (!result.ok) {
+      throw result.status === 404 ? new CrmError('Contacto no encontrado', 404, 'document_not_found') : toCrmError(result);
+    }
+  }
+
+  function toContact(contact) {
+    return {
+      id: contact.id,
+      email: contact.email,
+      attributes: contact.attributes || {},
+      listIds: contact.listIds || [],
+      emailBlacklisted: Boolean(contact.emailBlacklisted),
+      createdAt: contact.createdAt,
+      updatedAt: contact.modifiedAt
+    };
+  }
+
+  async function getContact(email) {
+    const result = await request('GET', `/contacts/${encodeURIComponent(email)}`);
+    if (result.status === 404) return null;
+    if (!result.ok) {
+      throw toCrmError(result);
+    }
+    return toContact(result.data || {});
+  }
+
+  async function deleteContact(email) {
+    const result = await request('DELETE', `/contacts/${encodeURIComponent(email)}`);
+    if (result.status === 404) return false;
+    if (!result.ok) {
+      throw toCrmError(result);
+    }
+    logger.info('Contacto eliminado de Brevo');
+    return true;
+  }
+
+  // notification: { sender, to, subject, html, text }
+  async function sendNotification(notification) {
+    const result = await request('POST', '/smtp/email', {
+      sender: notification.sender,
+      to: notification.to,
+      subject: notification.subject,
+      replyTo: notification.replyTo,
+      htmlContent: notification.html,
+      textContent: notification.text,
+      // Brevo espera { name, content } con el archivo en base64
+      attachment: notification.attachments?.length ? notification.attachments : undefined
+    });
+
+    if (!result.ok) {
+      throw toCrmError(result);
+    }
+    return { id: result.data?.messageId || null };
+  }
+
+  async function listContacts({ limit = 50, offset = 0 } = {}) {
+    const result = await request('GET', `/contacts?limit=${limit}&offset=${offset}&sort=desc`);
+    if (!result.ok) {
+      throw toCrmError(result);
+    }
+    return {
+      contacts: (result.data?.contacts || []).map(toContact),
+      count: result.data?.count || 0
+    };
+  }
+
+  return {
+    name: 'brevo',
+    upsertContact,
+    updateContact,
+    getContact,
+    deleteContact,
+    sendNotification,
+    listContacts
+  };
+}
+
+module.exports = { createBrevoProvider };
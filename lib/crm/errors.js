@@ -0,0 +1,16 @@
+// Error común para todos los proveedores de CRM
+// status es el código HTTP que debe ver el cliente del formulario
+// retryable en false indica que reintentar no sirve (p. ej. credenciales rechazadas): el outbox
+// la manda directo a dead letter en lugar de gastar intentos
+
+class CrmError extends Error {
+  constructor(message, status = 500, code = null, { retryable = true } = {}) {
+    super(message);
+    this.name = 'CrmError';
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+module.exports = { CrmError };
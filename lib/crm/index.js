@@ -0,0 +1,38 @@
+// Capa de proveedores de CRM
+// Todos los proveedores exponen la misma interfaz:
+//   upsertContact(lead)               → { id, phoneBackup }
+//   updateContact(email, attributes, { emailBlacklisted })  → void
+//   getContact(email)                 → contacto o null
+//   deleteContact(email)              → true si existía
+//   sendNotification(notification)    → { id }   notification: { sender, to, subject, html, text }
+//   listContacts({ limit, offset })   → { contacts, count }
+// El proveedor se elige con CRM_PROVIDER (brevo | local); las listas con BREVO_LIST_ID.
+
+const { createBrevoProvider } = require('./brevo');
+const { createLocalProvider } = require('./local');
+const { CrmError } = require('./errors');
+const { getConfig } = require('../config');
+
+const PROVIDERS = {
+  brevo: createBrevoProvider,
+  local: createLocalProvider
+};
+
+function getCrmProvider(name = getConfig().crm.provider) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new CrmError(`Proveedor de CRM desconocido: ${name}`, 500);
+  }
+
+  const config = getConfig();
+  return factory({
+    apiKey: config.brevo.apiKey,
+    apiUrl: config.brevo.apiUrl,
+    listIds: config.crm.listIds
+  });
+}
+
+module.exports = {
+  CrmError,
+  getCrmProvider
+};
@@ -0,0 +1,123 @@
+// Proveedor de CRM local respaldado por archivos JSON
+// Permite probar el formulario de punta a punta sin API key de Brevo.
+// Contactos en data/crm-contacts.json y notificaciones en data/crm-notifications.json
+// Los adjuntos se escriben en data/attachments/ y la notificación guarda solo la ruta.
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { createJsonStore, getDataDir } = require('../store/jsonFile');
+const { buildCrmAttributes } = require('../contactForm');
+const { CrmError } = require('./errors');
+const { child } = require('../logger');
+
+const logger = child({ module: 'crm', provider: 'local' });
+
+function createLocalProvider({ listIds }) {
+  const contactsStore = createJsonStore('crm-contacts.json', []);
+  const notificationsStore = createJsonStore('crm-notifications.json', []);
+
+  async function upsertContact(lead) {
+    const attributes = buildCrmAttributes(lead);
+    const now = new Date().toISOString();
+
+    const contact = await contactsStore.update((contacts) => {
+      let existing = contacts.find((c) => c.email === lead.email);
+
+      if (existing) {
+        Object.assign(existing.attributes, attributes);
+        for (const listId of listIds) {
+          if (!existing.listIds.includes(listId)) existing.listIds.push(listId);
+        }
+        existing.updatedAt = now;
+      } else {
+        existing = {
+          // Un id nunca se reutiliza, aunque se borren contactos (cancelación ARCO)
+          id: crypto.randomUUID(),
+          email: lead.email,
+          attributes,
+          listIds: [...listIds],
+          createdAt: now,
+          updatedAt: now
+        };
+        contacts.push(existing);
+      }
+
+      return existing;
+    });
+
+    logger.info('Contacto guardado en CRM local', { contactId: contact.id });
+    return { id: contact.id, phoneBackup: false };
+  }
+
+  async function updateContact(email, attributes, { emailBlacklisted } = {}) {
+    await contactsStore.update((contacts) => {
+      const existing = contacts.find((c) => c.email === email);
+      if (!existing) {
+        throw new CrmError('Contacto no encontrado', 404, 'document_not_found');
+      }
+      Object.assign(existing.attributes, attributes);
+      if (emailBlacklisted !== undefined) existing.emailBlacklisted = emailBlacklisted;
+      existing.updatedAt = new Date().toISOString();
+    });
+  }
+
+  async function getContact(email) {
+    const contacts = await contactsStore.read();
+    return contacts.find((c) => c.email === email) || null;
+  }
+
+  async function deleteContact(email) {
+    const removed = await contactsStore.update((contacts) => {
+      const index = contacts.findIndex((c) => c.email === email);
+      if (index === -1) return false;
+      contacts.splice(index, 1);
+      return true;
+    });
+    if (removed) logger.info('Contacto eliminado del CRM local');
+    return removed;
+  }
+
+  async function saveAttachments(id, attachments = []) {
+    if (attachments.length === 0) return undefined;
+    const dir = path.join(getDataDir(), 'attachments');
+    await fs.mkdir(dir, { recursive: true });
+
+    return Promise.all(attachments.map(async (attachment) => {
+      const filePath = path.join(dir, `${id}-${path.basename(attachment.name)}`);
+      await fs.writeFile(filePath, Buffer.from(attachment.content, 'base64'));
+      return { name: attachment.name, path: filePath };
+    }));
+  }
+
+  async function sendNotification(notification) {
+    const id = crypto.randomUUID();
+    const attachments = await saveAttachments(id, notification.attachments);
+    await notificationsStore.update((notifications) => {
+      notifications.push({ id, ...notification, attachments, sentAt: new Date().toISOString() });
+    });
+    logger.info('Notificación guardada en CRM local', { notificationId: id, attachments: attachments?.length || 0 });
+    return { id };
+  }
+
+  async function listContacts({ limit = 50, offset = 0 } = {}) {
+    const contacts = await contactsStore.read();
+    const sorted = [...contacts].reverse();
+    return {
+      contacts: sorted.slice(offset, offset + limit),
+      count: contacts.length
+    };
+  }
+
+  return {
+    name: 'local',
+    upsertContact,
+    updateContact,
+    getContact,
+    deleteContact,
+    sendNotification,
+    listContacts
+  };
+}
+
+module.exports = { createLocalProvider };
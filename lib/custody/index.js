@@ -0,0 +1,374 @@
+// Cadena de custodia de muestras antidoping y entrega de resultados
+// Cada muestra tiene folio consecutivo (CC-2026-00001), el consentimiento informado del
+// donante y pasa por estos estados, en este orden y sin saltos:
+//   collected      recolectada; se crea con el consentimiento firmado
+//   sealed         sellada { sealNumber }
+//   shipped        enviada al laboratorio { carrier, trackingNumber }
+//   analyzed       analizada { sealCheck: intacto | roto, labResult: negativo | no_negativo | invalido }
+//                  con el sello roto el único resultado posible es invalido
+//   mro_reviewed   revisada por el médico revisor (MRO) { mroName, determination: negativo |
+//                  positivo | cancelado, notes }
+//   delivered      la descargó el contacto autorizado de la empresa (primera descarga)
+// Cada paso queda en history con quién y cuándo. El resultado no viaja por email: tras la
+// revisión del MRO se manda al contacto (usuario del portal con results: true) un enlace que
+// vence en CUSTODY_LINK_HOURS y permite CUSTODY_LINK_MAX_DOWNLOADS descargas. Abrir el enlace
+// solo muestra un botón; cada descarga (POST de ese botón) queda en el registro de accesos de
+// la entrega. Datos en data/custody-samples.json.
+
+const crypto = require('crypto');
+const { createJsonStore } = require('../store/jsonFile');
+const { getCrmProvider } = require('../crm');
+const { renderEmail } = require('../email');
+const { getEmployer, listWorkers } = require('../portal/roster');
+const { SERVICES } = require('../quote/catalog');
+const { getConfig } = require('../config');
+const { renderResultReport, fileNameFor } = require('./pdf');
+const { renderResultPage } = require('./page');
+const { child } = require('../logger');
+
+const logger = child({ module: 'custody' });
+
+const store = createJsonStore('custody-samples.json', []);
+
+const STATES = ['collected', 'sealed', 'shipped', 'analyzed', 'mro_reviewed', 'delivered'];
+const REASONS = ['aleatorio', 'preingreso', 'sospecha_razonable', 'post_accidente', 'seguimiento'];
+const PANELS = Object.keys(SERVICES.find((service) => service.slug === 'antidoping').panels).map(Number);
+const RESULTS_PATH = '/resultados';
+const TEXT_MAX_LENGTH = 200;
+
+class CustodyError extends Error {
+  constructor(message, status = 400, fields = null) {
+    super(message);
+    this.name = 'CustodyError';
+    this.status = status;
+    this.fields = fields;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function text(value, label, { required = true, max = TEXT_MAX_LENGTH } = {}) {
+  const result = String(value ?? '').trim();
+  if (required && !result) throw new CustodyError(`${label} es requerido`, 400, { [label]: 'Requerido' });
+  if (result.length > max) throw new CustodyError(`${label}: máximo ${max} caracteres`, 400, { [label]: 'Muy largo' });
+  return result;
+}
+
+function oneOf(value, options, label) {
+  if (!options.includes(value)) {
+    throw new CustodyError(`${label} inválido. Usa: ${options.join(', ')}`, 400, { [label]: 'Inválido' });
+  }
+  return value;
+}
+
+// =========================
+// ALTA DE LA MUESTRA
+// =========================
+
+// body: { employerId, workerId | donor: { name, employeeNumber }, idDocument, reason, panel,
+//         drawFolio, collector, consent: { accepted, signedName } }
+async function createSample(body = {}, { user = null, now = Date.now() } = {}) {
+  const employer = await getEmployer(body.employerId);
+  if (!employer) throw new CustodyError('Empresa no encontrada', 404);
+
+  let donor;
+  if (body.workerId) {
+    const worker = (await listWorkers(employer.id, { includeInactive: true })).find((candidate) => candidate.id === body.workerId);
+    if (!worker) throw new CustodyError('Trabajador no encontrado', 404);
+    donor = { workerId: worker.id, name: worker.name, employeeNumber: worker.employeeNumber };
+  } else {
+    donor = {
+      workerId: null,
+      name: text(body.donor?.name, 'Nombre del donante'),
+      employeeNumber: text(body.donor?.employeeNumber, 'Número de empleado', { required: false })
+    };
+  }
+
+  if (body.consent?.accepted !== true) {
+    throw new CustodyError('Sin consentimiento informado firmado no se toma la muestra', 400, { consent: 'Requerido' });
+  }
+
+  const at = new Date(now).toISOString();
+  const sample = await store.update((samples) => {
+    const year = at.slice(0, 4);
+    const number = samples.filter((candidate) => candidate.folio.startsWith(`CC-${year}-`)).length + 1;
+    const record = {
+      id: crypto.randomUUID(),
+      folio: `CC-${year}-${String(number).padStart(5, '0')}`,
+      employerId: employer.id,
+      company: employer.company,
+      donor: { ...donor, idDocument: text(body.idDocument, 'Identificación') },
+      reason: oneOf(body.reason, REASONS, 'Motivo'),
+      panel: oneOf(Number(body.panel), PANELS, 'Panel'),
+      drawFolio: text(body.drawFolio, 'Folio del sorteo', { required: false }) || null,
+      collector: text(body.collector || user, 'Recolector'),
+      consent: { signedName: text(body.consent.signedName, 'Nombre de quien firma el consentimiento'), acceptedAt: at },
+      status: 'collected',
+      history: [{ state: 'collected', at, by: user, details: null }],
+      seal: null,
+      shipment: null,
+      analysis: null,
+      review: null,
+      deliveries: [],
+      createdAt: at
+    };
+    samples.push(record);
+    return record;
+  });
+
+  logger.info('Muestra registrada', { folio: sample.folio, employerId: employer.id });
+  return sample;
+}
+
+// =========================
+// TRANSICIONES
+// =========================
+
+// Datos que pide cada estado; devuelven lo que se guarda en la muestra
+const STEPS = {
+  sealed: (body) => ({ seal: { number: text(body.sealNumber, 'Número de sello', { max: 60 }) } }),
+  shipped: (body) => ({
+    shipment: { carrier: text(body.carrier, 'Paquetería'), trackingNumber: text(body.trackingNumber, 'Guía', { max: 60 }) }
+  }),
+  analyzed: (body) => {
+    const sealCheck = oneOf(body.sealCheck, ['intacto', 'roto'], 'Estado del sello');
+    const labResult = oneOf(body.labResult, ['negativo', 'no_negativo', 'invalido'], 'Resultado de laboratorio');
+    if (sealCheck === 'roto' && labResult !== 'invalido') {
+      throw new CustodyError('Con el sello roto la muestra solo puede quedar como invalido', 400, { labResult: 'Inválido' });
+    }
+    return { analysis: { sealCheck, labResult, laboratory: text(body.laboratory, 'Laboratorio', { required: false }) || null } };
+  },
+  mro_reviewed: (body) => ({
+    review: {
+      mroName: text(body.mroName, 'Médico revisor'),
+      determination: oneOf(body.determination, ['negativo', 'positivo', 'cancelado'], 'Determinación'),
+      notes: text(body.notes, 'Notas', { required: false, max: 1000 }) || null
+    }
+  })
+};
+
+// Pasa la muestra al siguiente estado; delivered solo llega con la primera descarga
+async function transitionSample(id, body = {}, { user = null, now = Date.now() } = {}) {
+  const to = body.to;
+  if (!STEPS[to]) {
+    throw new CustodyError(`Estado inválido. Usa: ${Object.keys(STEPS).join(', ')} (delivered llega al descargar el resultado)`);
+  }
+  const fields = STEPS[to](body);
+
+  const sample = await store.update((samples) => {
+    const stored = samples.find((candidate) => candidate.id === id);
+    if (!stored) throw new CustodyError('Muestra no encontrada', 404);
+    const expected = STATES[STATES.indexOf(stored.status) + 1];
+    if (to !== expected) {
+      throw new CustodyError(`La muestra está en ${stored.status}: el siguiente paso es ${expected || 'ninguno'}`, 409);
+    }
+    Object.assign(stored, fields, { status: to });
+    stored.history.push({ state: to, at: new Date(now).toISOString(), by: user, details: Object.values(fields)[0] });
+    return stored;
+  });
+
+  logger.info('Muestra actualizada', { folio: sample.folio, status: sample.status });
+  return sample;
+}
+
+// =========================
+// ENTREGA DE RESULTADOS
+// =========================
+
+// Enlace al contacto autorizado; el email no dice el resultado. Sin SITE_URL no hay enlace.
+async function deliverResult(id, { to, siteUrl = null, user = null, now = Date.now(), provider = getCrmProvider() } = {}) {
+  const sample = await getSample(id);
+  if (!['mro_reviewed', 'delivered'].includes(sample.status)) {
+    throw new CustodyError('El resultado se entrega después de la revisión del médico revisor', 409);
+  }
+  const employer = await getEmployer(sample.employerId);
+  const contact = employer?.users.find((candidate) => candidate.email === String(to || '').trim().toLowerCase());
+  if (!contact?.results) {
+    throw new CustodyError('El destinatario debe ser un usuario de la empresa autorizado para recibir resultados', 400, { to: 'No autorizado' });
+  }
+  if (!siteUrl) throw new CustodyError('No se puede entregar el resultado: falta SITE_URL para armar el enlace', 503);
+
+  const { linkHours, linkMaxDownloads } = getConfig().custody;
+  const token = crypto.randomBytes(32).toString('base64url');
+  const delivery = {
+    id: crypto.randomUUID(),
+    to: contact.email,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(now + linkHours * 3600 * 1000).toISOString(),
+    maxDownloads: linkMaxDownloads,
+    createdAt: new Date(now).toISOString(),
+    createdBy: user,
+    accesses: []
+  };
+  await store.update((samples) => {
+    samples.find((candidate) => candidate.id === id).deliveries.push(delivery);
+  });
+
+  await provider.sendNotification(renderEmail('custody-result-ready', {
+    email: contact.email,
+    name: contact.name,
+    company: employer.company,
+    folio: sample.folio,
+    link: `${siteUrl}${RESULTS_PATH}/${token}`,
+    hours: linkHours,
+    downloads: linkMaxDownloads
+  }, { locale: employer.locale }));
+  logger.info('Enlace de resultado enviado', { folio: sample.folio, deliveryId: delivery.id });
+
+  return getSample(id);
+}
+
+function findDelivery(samples, token) {
+  const tokenHash = Buffer.from(hashToken(token));
+  for (const sample of samples) {
+    const delivery = sample.deliveries.find((candidate) => crypto.timingSafeEqual(Buffer.from(candidate.tokenHash), tokenHash));
+    if (delivery) return { sample, delivery };
+  }
+  return null;
+}
+
+// Por qué el enlace ya no sirve (expired | limit) o null si aún vale
+function rejectionOf(delivery, now) {
+  if (Date.parse(delivery.expiresAt) <= now) return 'expired';
+  if (delivery.accesses.filter((access) => access.granted).length >= delivery.maxDownloads) return 'limit';
+  return null;
+}
+
+// Vista del enlace sin tocar nada: ni cuenta descarga ni queda en el registro de accesos
+async function previewResult(token, { now = Date.now() } = {}) {
+  const found = findDelivery(await store.read(), token);
+  if (!found) return { state: 'notFound' };
+  return { state: rejectionOf(found.delivery, now) || 'ready', ...found };
+}
+
+// Canjea el enlace: registra el intento y, si vale, devuelve la muestra para el reporte.
+// Los rechazos llevan status 404 (no existe) o 410 (venció o se agotó) y reason.
+async function openResult(token, { ip = null, userAgent = null, now = Date.now() } = {}) {
+  const outcome = await store.update((samples) => {
+    const found = findDelivery(samples, token);
+    if (!found) return null;
+    const { sample, delivery } = found;
+
+    const at = new Date(now).toISOString();
+    const reason = rejectionOf(delivery, now);
+    delivery.accesses.push({ at, ip, userAgent: userAgent ? String(userAgent).slice(0, 200) : null, granted: !reason, reason });
+    if (reason) return { reason, folio: sample.folio };
+
+    if (sample.status === 'mro_reviewed') {
+      sample.status = 'delivered';
+      sample.history.push({ state: 'delivered', at, by: delivery.to, details: { deliveryId: delivery.id } });
+    }
+    return { sample: structuredClone(sample) };
+  });
+
+  if (!outcome) throw Object.assign(new CustodyError('Enlace no encontrado', 404), { reason: 'notFound' });
+  if (outcome.reason) {
+    logger.warn('Descarga de resultado rechazada', { folio: outcome.folio, reason: outcome.reason });
+    throw Object.assign(new CustodyError(outcome.reason === 'expired'
+      ? 'El enlace venció. Pide uno nuevo a RXLab.'
+      : 'El enlace ya se usó las veces permitidas. Pide uno nuevo a RXLab.', 410), { reason: outcome.reason });
+  }
+  logger.info('Resultado descargado', { folio: outcome.sample.folio });
+  return outcome.sample;
+}
+
+// /resultados/:token (adaptador en server.js). GET muestra la página con el botón de descarga;
+// solo el POST de ese botón cuenta la descarga y entrega el PDF. locale es el de la solicitud,
+// para cuando el enlace no lleva a ninguna empresa. Nunca se guarda en caché ni se indexa.
+async function handleResultRequest(method, token, { ip = null, userAgent = null, locale = 'es', now = Date.now() } = {}) {
+  const headers = { 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex, nofollow' };
+  const page = (statusCode, options) => ({
+    statusCode,
+    headers: { ...headers, 'Content-Type': 'text/html; charset=utf-8' },
+    body: renderResultPage(options)
+  });
+  const statusOf = { ready: 200, notFound: 404, expired: 410, limit: 410 };
+  const localeOf = async (sample) => (sample && (await getEmployer(sample.employerId))?.locale) || locale;
+
+  if (method === 'GET') {
+    const preview = await previewResult(token, { now });
+    return page(statusOf[preview.state], { ...preview, locale: await localeOf(preview.sample) });
+  }
+  if (method !== 'POST') {
+    return { statusCode: 405, headers: { ...headers, Allow: 'GET, POST', 'Content-Type': 'text/plain; charset=utf-8' }, body: 'Method Not Allowed' };
+  }
+
+  let sample;
+  try {
+    sample = await openResult(token, { ip, userAgent, now });
+  } catch (error) {
+    if (!error.reason) throw error;
+    const found = error.reason === 'notFound' ? null : findDelivery(await store.read(), token);
+    return page(error.status, { state: error.reason, locale: await localeOf(found?.sample) });
+  }
+  try {
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${fileNameFor(sample, 'result')}"`
+      },
+      body: await renderResultReport(sample)
+    };
+  } catch (error) {
+    logger.error('Error al entregar el resultado', { folio: sample.folio, error });
+    return page(500, { state: 'error', locale: await localeOf(sample) });
+  }
+}
+
+// =========================
+// CONSULTAS
+// =========================
+
+function withoutTokens(sample) {
+  return { ...sample, deliveries: sample.deliveries.map(({ tokenHash, ...delivery }) => delivery) };
+}
+
+async function getSample(id) {
+  const sample = (await store.read()).find((candidate) => candidate.id === id);
+  if (!sample) throw new CustodyError('Muestra no encontrada', 404);
+  return withoutTokens(sample);
+}
+
+// Panel: todo menos los hashes de los enlaces
+async function listSamples({ employerId, status } = {}) {
+  return (await store.read())
+    .filter((sample) => (!employerId || sample.employerId === employerId) && (!status || sample.status === status))
+    .map(withoutTokens)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Portal: seguimiento de la muestra sin resultados (esos solo llegan por el enlace)
+async function listSamplesForEmployer(employerId) {
+  return (await listSamples({ employerId })).map((sample) => ({
+    id: sample.id,
+    folio: sample.folio,
+    donor: { name: sample.donor.name, employeeNumber: sample.donor.employeeNumber },
+    reason: sample.reason,
+    panel: sample.panel,
+    drawFolio: sample.drawFolio,
+    status: sample.status,
+    history: sample.history.map(({ state, at }) => ({ state, at })),
+    createdAt: sample.createdAt
+  }));
+}
+
+module.exports = {
+  STATES,
+  REASONS,
+  PANELS,
+  RESULTS_PATH,
+  CustodyError,
+  createSample,
+  transitionSample,
+  deliverResult,
+  previewResult,
+  openResult,
+  handleResultRequest,
+  getSample,
+  listSamples,
+  listSamplesForEmployer
+};
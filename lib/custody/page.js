@@ -0,0 +1,57 @@
+// Página del enlace de resultados (/resultados/<token>)
+// Abrir el enlace no descarga nada: muestra el folio y un botón que hace POST a la misma URL.
+// Así los antivirus del correo y las vistas previas de enlaces, que solo hacen GET, no gastan
+// descargas ni marcan la muestra como entregada.
+
+const { escapeHtml } = require('../siteSections');
+const { t, intlLocale } = require('../i18n');
+
+const STYLES = `
+body{font-family:"Inter",system-ui,sans-serif;background:#020617;color:#e5e7eb;line-height:1.6;margin:0}
+main{max-width:560px;margin:0 auto;padding:3rem 1.25rem}
+h1{font-size:1.4rem}
+.meta{color:#9ca3af;font-size:.9rem}
+button{font:inherit;cursor:pointer;padding:.7rem 1.2rem;border-radius:12px;border:1px solid #38bdf8;background:#0f172a;color:#38bdf8}
+`;
+
+function formatExpiry(iso, locale) {
+  return new Date(iso).toLocaleString(intlLocale(locale), {
+    day: 'numeric', month: 'long', year: 'numeric', hour: '2-digit', minute: '2-digit', timeZone: 'America/Mexico_City'
+  });
+}
+
+// state: ready | expired | limit | notFound | error; sample y delivery solo con ready
+function renderResultPage({ state, sample = null, delivery = null, locale }) {
+  const key = (name) => `page.results.${name}`;
+  let body;
+  if (state === 'ready') {
+    const remaining = delivery.maxDownloads - delivery.accesses.filter((access) => access.granted).length;
+    body = `<p class="meta">${escapeHtml(t(key('intro'), { company: sample.company, folio: sample.folio }, locale))}</p>
+<p>${escapeHtml(t(key('ready'), {}, locale))}</p>
+<p class="meta">${escapeHtml(t(key('limits'), { expires: formatExpiry(delivery.expiresAt, locale), remaining, max: delivery.maxDownloads }, locale))}</p>
+<form method="post"><button type="submit">${escapeHtml(t(key('download'), {}, locale))}</button></form>`;
+  } else {
+    body = `<p>${escapeHtml(t(key(state), {}, locale))}</p>`;
+  }
+
+  return `<!DOCTYPE html>
+<html lang="${intlLocale(locale)}">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<meta name="robots" content="noindex, nofollow" />
+<meta name="referrer" content="no-referrer" />
+<title>${escapeHtml(t(key('title'), {}, locale))} | RXLab</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(t(key('title'), {}, locale))}</h1>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderResultPage };
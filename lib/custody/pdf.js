@@ -0,0 +1,239 @@
+// Documentos de la cadena de custodia en PDF
+//   renderCustodyForm   Formato de cadena de custodia: datos de la muestra, cada paso con quién
+//                       y cuándo, y líneas de firma para quien entrega y quien recibe
+//   renderConsent       Consentimiento informado del donante (se imprime y firma al recolectar)
+//   renderResultReport  Reporte del resultado revisado por el MRO; solo sale por el enlace de entrega
+// Devuelven un Buffer, no escriben a disco.
+
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const SVGtoPDF = require('svg-to-pdfkit');
+
+const LOGO_PATH = path.join(__dirname, '..', '..', 'assets', 'logos', 'rxlab.svg');
+
+const COLORS = {
+  band: '#0f172a',
+  accent: '#0284c7',
+  text: '#111827',
+  muted: '#6b7280',
+  border: '#d1d5db',
+  danger: '#b91c1c'
+};
+
+const PAGE_BOTTOM = 720;
+
+const STATE_LABELS = {
+  collected: 'Recolección',
+  sealed: 'Sellado',
+  shipped: 'Envío al laboratorio',
+  analyzed: 'Análisis',
+  mro_reviewed: 'Revisión del médico revisor (MRO)',
+  delivered: 'Entrega del resultado'
+};
+
+const REASON_LABELS = {
+  aleatorio: 'Aleatorio (sorteo)',
+  preingreso: 'Preingreso',
+  sospecha_razonable: 'Sospecha razonable',
+  post_accidente: 'Posterior a un accidente',
+  seguimiento: 'Seguimiento'
+};
+
+const DETERMINATION_LABELS = {
+  negativo: 'NEGATIVO',
+  positivo: 'POSITIVO',
+  cancelado: 'CANCELADO (la muestra no es válida para emitir un resultado)'
+};
+
+let logoSvg = null;
+function readLogo() {
+  if (logoSvg === null) logoSvg = fs.readFileSync(LOGO_PATH, 'utf8');
+  return logoSvg;
+}
+
+function formatTimestamp(iso) {
+  if (!iso) return '—';
+  return new Date(iso).toLocaleString('es-MX', {
+    day: 'numeric', month: 'long', year: 'numeric', hour: '2-digit', minute: '2-digit',
+    timeZone: 'America/Mexico_City'
+  });
+}
+
+function fileNameFor(sample, kind) {
+  const names = { custody: 'Cadena-custodia', consent: 'Consentimiento', result: 'Resultado-antidoping' };
+  return `${names[kind]}-${sample.folio}.pdf`;
+}
+
+function ensureSpace(doc, y, height) {
+  if (y + height <= PAGE_BOTTOM) return y;
+  doc.addPage();
+  return 50;
+}
+
+function drawHeader(doc, title, sample) {
+  doc.rect(0, 0, doc.page.width, 110).fill(COLORS.band);
+  // El logo es blanco, por eso va sobre la franja oscura
+  SVGtoPDF(doc, readLogo(), 50, 28, { width: 96, height: 55 });
+
+  doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(18)
+    .text(title, 220, 30, { width: 342, align: 'right' });
+  doc.font('Helvetica').fontSize(10)
+    .text(`Folio: ${sample.folio}`, 220, 58, { width: 342, align: 'right' })
+    .text('Documento confidencial', { width: 342, align: 'right' });
+}
+
+function drawRows(doc, rows, y) {
+  for (const [label, value] of rows) {
+    y = ensureSpace(doc, y, 20);
+    doc.fillColor(COLORS.muted).font('Helvetica').fontSize(9).text(label.toUpperCase(), 50, y, { width: 130 });
+    doc.fillColor(COLORS.text).font('Helvetica').fontSize(10).text(value || '—', 180, y, { width: 382 });
+    y = Math.max(doc.y, y + 12) + 5;
+  }
+  return y + 8;
+}
+
+function sampleRows(sample) {
+  return [
+    ['Empresa', sample.company],
+    ['Donante', sample.donor.name],
+    ['No. empleado', sample.donor.employeeNumber],
+    ['Identificación', sample.donor.idDocument],
+    ['Motivo', REASON_LABELS[sample.reason]],
+    ['Panel', `${sample.panel} elementos`],
+    ['Folio de sorteo', sample.drawFolio]
+  ];
+}
+
+function sectionTitle(doc, title, y) {
+  doc.fillColor(COLORS.accent).font('Helvetica-Bold').fontSize(11).text(title, 50, y);
+  return doc.y + 6;
+}
+
+function signatureLines(doc, labels, y) {
+  y = ensureSpace(doc, y, 70);
+  const width = (512 - (labels.length - 1) * 24) / labels.length;
+  labels.forEach((label, index) => {
+    const x = 50 + index * (width + 24);
+    doc.moveTo(x, y + 40).lineTo(x + width, y + 40).strokeColor(COLORS.text).lineWidth(0.6).stroke();
+    doc.fillColor(COLORS.muted).font('Helvetica').fontSize(8).text(label, x, y + 45, { width, align: 'center' });
+  });
+  return y + 70;
+}
+
+// Detalle de lo registrado en cada paso
+function stepDetails(sample, state) {
+  switch (state) {
+    case 'collected': return `Recolectó: ${sample.collector}. Consentimiento firmado por ${sample.consent.signedName}.`;
+    case 'sealed': return sample.seal && `Sello No. ${sample.seal.number}`;
+    case 'shipped': return sample.shipment && `${sample.shipment.carrier}, guía ${sample.shipment.trackingNumber}`;
+    case 'analyzed': return sample.analysis && `Sello ${sample.analysis.sealCheck} al recibir${sample.analysis.laboratory ? ` en ${sample.analysis.laboratory}` : ''}`;
+    case 'mro_reviewed': return sample.review && `Revisó: ${sample.review.mroName}`;
+    case 'delivered': return 'Resultado descargado por el contacto autorizado de la empresa';
+    default: return '';
+  }
+}
+
+function drawSteps(doc, sample, y) {
+  y = ensureSpace(doc, y, 80);
+  y = sectionTitle(doc, 'Cadena de custodia', y);
+  doc.rect(50, y, 512, 20).fill(COLORS.band);
+  doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(9)
+    .text('Paso', 56, y + 6, { width: 130 })
+    .text('Fecha y hora', 190, y + 6, { width: 120 })
+    .text('Responsable', 314, y + 6, { width: 100 })
+    .text('Detalle', 418, y + 6, { width: 140 });
+  y += 26;
+
+  for (const state of Object.keys(STATE_LABELS)) {
+    const entry = sample.history.find((candidate) => candidate.state === state);
+    y = ensureSpace(doc, y, 36);
+    doc.fillColor(entry ? COLORS.text : COLORS.muted).font('Helvetica').fontSize(9)
+      .text(STATE_LABELS[state], 56, y, { width: 130 })
+      .text(entry ? formatTimestamp(entry.at) : 'Pendiente', 190, y, { width: 120 })
+      .text(entry?.by || '—', 314, y, { width: 100 })
+      .text(entry ? stepDetails(sample, state) || '—' : '', 418, y, { width: 140 });
+    y = Math.max(doc.y, y + 12) + 8;
+    doc.moveTo(50, y - 4).lineTo(562, y - 4).strokeColor(COLORS.border).lineWidth(0.5).stroke();
+  }
+  return y + 10;
+}
+
+function render(info, draw) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', margin: 50, info: { Author: 'RXLab', ...info } });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      draw(doc);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+function renderCustodyForm(sample) {
+  return render({ Title: `Cadena de custodia ${sample.folio}` }, (doc) => {
+    drawHeader(doc, 'CADENA DE CUSTODIA', sample);
+    let y = drawRows(doc, sampleRows(sample), 135);
+    y = drawSteps(doc, sample, y);
+    doc.fillColor(COLORS.muted).font('Helvetica').fontSize(8)
+      .text('Cada persona que entrega o recibe la muestra firma en el paso correspondiente. Un sello roto o una firma faltante invalida la muestra.', 50, ensureSpace(doc, y, 30), { width: 512 });
+    y = doc.y + 10;
+    signatureLines(doc, ['Donante', 'Recolector', 'Mensajería', 'Laboratorio'], y);
+  });
+}
+
+function renderConsent(sample) {
+  const paragraphs = [
+    `Yo, ${sample.donor.name}, acepto de manera libre e informada proporcionar una muestra de orina para una prueba de detección de drogas (panel de ${sample.panel} elementos) solicitada por ${sample.company}, con motivo: ${REASON_LABELS[sample.reason].toLowerCase()}.`,
+    'Sé que la muestra se sella frente a mí, que el número de sello se anota en este folio y que cada persona que la maneja firma la cadena de custodia hasta el laboratorio.',
+    'Un resultado no negativo del laboratorio no es definitivo: antes de informarlo a la empresa lo revisa un médico revisor (MRO), quien puede contactarme para conocer medicamentos o tratamientos que lo expliquen.',
+    'El resultado es confidencial. RXLab lo entrega únicamente al contacto que la empresa autorizó, por un enlace personal y temporal, nunca como adjunto de correo. Un resultado positivo no se comparte con nadie más.',
+    'Mis datos personales y sensibles se tratan conforme a la Ley Federal de Protección de Datos Personales en Posesión de los Particulares y al aviso de privacidad de RXLab, donde también se explica cómo ejercer mis derechos ARCO.',
+    'Puedo negarme a dar la muestra; en ese caso se anota la negativa y la empresa la considera conforme a su reglamento interno.'
+  ];
+
+  return render({ Title: `Consentimiento informado ${sample.folio}` }, (doc) => {
+    drawHeader(doc, 'CONSENTIMIENTO INFORMADO', sample);
+    let y = drawRows(doc, sampleRows(sample).slice(0, 4), 135);
+    doc.fillColor(COLORS.text).font('Helvetica').fontSize(10);
+    for (const paragraph of paragraphs) {
+      y = ensureSpace(doc, y, 50);
+      doc.text(paragraph, 50, y, { width: 512, align: 'justify' });
+      y = doc.y + 8;
+    }
+    y = drawRows(doc, [['Aceptado', `${formatTimestamp(sample.consent.acceptedAt)} por ${sample.consent.signedName}`]], y + 4);
+    signatureLines(doc, ['Nombre y firma del donante', 'Nombre y firma del recolector'], y);
+  });
+}
+
+function renderResultReport(sample) {
+  const determination = sample.review?.determination;
+  return render({ Title: `Resultado antidoping ${sample.folio}` }, (doc) => {
+    drawHeader(doc, 'RESULTADO ANTIDOPING', sample);
+    let y = drawRows(doc, sampleRows(sample), 135);
+    y = sectionTitle(doc, 'Determinación del médico revisor', ensureSpace(doc, y, 80));
+    doc.fillColor(determination === 'positivo' ? COLORS.danger : COLORS.text).font('Helvetica-Bold').fontSize(14)
+      .text(DETERMINATION_LABELS[determination] || '—', 50, y, { width: 512 });
+    y = drawRows(doc, [
+      ['Médico revisor', sample.review?.mroName],
+      ['Notas', sample.review?.notes],
+      ['Sello al recibir', sample.analysis?.sealCheck]
+    ], doc.y + 10);
+    y = drawSteps(doc, sample, y);
+    doc.fillColor(COLORS.muted).font('Helvetica').fontSize(8)
+      .text('Documento confidencial para el contacto autorizado de la empresa. No lo reenvíes ni lo integres al expediente general del trabajador; consérvalo con acceso restringido.', 50, ensureSpace(doc, y, 30), { width: 512 });
+  });
+}
+
+module.exports = {
+  renderCustodyForm,
+  renderConsent,
+  renderResultReport,
+  fileNameFor
+};
@@ -0,0 +1,104 @@
+// Plantillas de email en disco
+// Cada plantilla es un directorio en lib/email/templates/<nombre>/ con:
+//   meta.json      asunto por idioma y, opcionalmente, remitente, destinatarios y replyTo
+//   <idioma>.html  cuerpo HTML (variables escapadas)
+//   <idioma>.txt   cuerpo de texto plano
+// Los valores de meta.json también aceptan variables ({{email}}, {{quote.folio}}…).
+// Si meta.json no los define se usan los de la configuración: EMAIL_SENDER,
+// NOTIFICATION_RECIPIENTS y EMAIL_REPLY_TO. EMAIL_TEMPLATES_DIR permite usar otro
+// directorio con la misma estructura.
+
+const fs = require('fs');
+const path = require('path');
+const { renderTemplate } = require('./template');
+const { getConfig } = require('../config');
+
+const DEFAULT_LOCALE = 'es';
+
+class EmailTemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EmailTemplateError';
+    this.status = 500;
+  }
+}
+
+function getTemplatesDir() {
+  return getConfig().email.templatesDir || path.join(__dirname, 'templates');
+}
+
+function readFile(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Carga meta + cuerpos del idioma pedido, con respaldo al idioma por defecto
+function loadTemplate(name, locale = DEFAULT_LOCALE) {
+  const dir = path.join(getTemplatesDir(), path.basename(name));
+  const metaText = readFile(path.join(dir, 'meta.json'));
+  if (metaText === null) {
+    throw new EmailTemplateError(`Plantilla de email no encontrada: ${name}`);
+  }
+
+  const meta = JSON.parse(metaText);
+  const effectiveLocale = meta.locale || locale;
+
+  for (const candidate of [effectiveLocale, DEFAULT_LOCALE]) {
+    const html = readFile(path.join(dir, `${candidate}.html`));
+    const text = readFile(path.join(dir, `${candidate}.txt`));
+    if (html !== null || text !== null) {
+      return { name, locale: candidate, meta, html, text };
+    }
+  }
+
+  throw new EmailTemplateError(`La plantilla ${name} no tiene cuerpo para "${effectiveLocale}"`);
+}
+
+function renderAddress(address, variables) {
+  if (!address) return null;
+  const email = renderTemplate(address.email, variables, { escape: false }).trim();
+  if (!email) return null;
+  const name = address.name ? renderTemplate(address.name, variables, { escape: false }).trim() : '';
+  return name ? { email, name } : { email };
+}
+
+// Devuelve un mensaje listo para provider.sendNotification()
+function renderEmail(name, variables = {}, { locale = DEFAULT_LOCALE } = {}) {
+  const template = loadTemplate(name, locale);
+  const { meta } = template;
+  const defaults = getConfig().email;
+  const subject = typeof meta.subject === 'string'
+    ? meta.subject
+    : meta.subject?.[template.locale] || meta.subject?.[DEFAULT_LOCALE] || '';
+
+  const to = (meta.to || defaults.notificationRecipients)
+    .map((address) => renderAddress(address, variables))
+    .filter(Boolean);
+  if (to.length === 0) {
+    throw new EmailTemplateError(`La plantilla ${name} no tiene destinatarios`);
+  }
+
+  const message = {
+    sender: renderAddress(meta.sender || defaults.sender, variables),
+    to,
+    subject: renderTemplate(subject, variables, { escape: false }).trim(),
+    html: template.html === null ? undefined : renderTemplate(template.html, variables),
+    text: template.text === null ? undefined : renderTemplate(template.text, variables, { escape: false })
+  };
+
+  const replyTo = renderAddress(meta.replyTo || defaults.replyTo, variables);
+  if (replyTo) message.replyTo = replyTo;
+
+  return message;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  EmailTemplateError,
+  loadTemplate,
+  renderEmail
+};
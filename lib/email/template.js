@@ -0,0 +1,81 @@
+// Motor mínimo de plantillas estilo Mustache
+//   {{ruta.al.valor}}        valor (escapado en HTML)
+//   {{{valor}}}              valor sin escapar
+//   {{#clave}}…{{/clave}}    sección: se repite por cada elemento si es arreglo,
+//                            entra al objeto si es objeto, se muestra si es verdadero
+//   {{^clave}}…{{/clave}}    sección invertida: se muestra si la clave es falsa o vacía
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Busca una ruta con puntos desde el contexto más interno hacia afuera
+function lookup(stack, name) {
+  if (name === '.') return stack[stack.length - 1];
+  const [head, ...rest] = name.split('.');
+
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const context = stack[i];
+    if (context !== null && typeof context === 'object' && head in context) {
+      return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context[head]);
+    }
+  }
+  return undefined;
+}
+
+function isEmpty(value) {
+  return !value || (Array.isArray(value) && value.length === 0);
+}
+
+const SECTION = /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/;
+const VARIABLE = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g;
+
+function renderWith(template, stack, escape) {
+  let output = '';
+  let rest = template;
+  let match;
+
+  // Las secciones se resuelven de izquierda a derecha; su contenido se renderiza recursivamente
+  while ((match = SECTION.exec(rest))) {
+    output += renderVariables(rest.slice(0, match.index), stack, escape);
+    const [whole, kind, name, inner] = match;
+    const value = lookup(stack, name);
+
+    if (kind === '^') {
+      if (isEmpty(value)) output += renderWith(inner, stack, escape);
+    } else if (Array.isArray(value)) {
+      output += value.map((item) => renderWith(inner, [...stack, item], escape)).join('');
+    } else if (!isEmpty(value)) {
+      output += renderWith(inner, typeof value === 'object' ? [...stack, value] : stack, escape);
+    }
+
+    rest = rest.slice(match.index + whole.length);
+  }
+
+  return output + renderVariables(rest, stack, escape);
+}
+
+function renderVariables(text, stack, escape) {
+  return text.replace(VARIABLE, (match, raw, name) => {
+    const value = lookup(stack, raw || name);
+    if (value === null || value === undefined) return '';
+    return raw || !escape ? String(value) : escapeHtml(value);
+  });
+}
+
+// Una etiqueta de sección sola en su línea no deja línea en blanco (como en Mustache)
+const STANDALONE_TAG = /^[ \t]*(\{\{[#^/]\s*[\w.]+\s*\}\})[ \t]*\r?\n/gm;
+
+// escape: true para HTML, false para texto plano y asuntos
+function renderTemplate(template, variables = {}, { escape = true } = {}) {
+  return renderWith(String(template).replace(STANDALONE_TAG, '$1'), [variables], escape);
+}
+
+module.exports = {
+  escapeHtml,
+  renderTemplate
+};
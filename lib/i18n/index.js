@@ -0,0 +1,125 @@
+// Idiomas del sitio y de las respuestas de la API (es, en)
+// Catálogos: lib/i18n/messages/<idioma>.json, con las mismas claves en todos los idiomas
+//   api.*     mensajes de las respuestas JSON (errores de validación, confirmaciones)
+//   client.*  textos que arma el script del landing; el servidor los incrusta en la página
+//   page.*    textos fijos de index.html, marcados con data-i18n="page.…"
+// Los datos con traducción propia (catálogo del cotizador, modalidades de cita, campos del
+// formulario) usan valores { es, en } y localized().
+//
+// Idioma de una solicitud (localeFromRequest): ?lang= → cookie rxlab_lang (el selector del
+// sitio la guarda) → Accept-Language → es. Los handlers lo reciben como `locale` y lo ponen
+// en el contexto (runWithContext); t() y localized() lo toman de ahí, así los mensajes de
+// error no tienen que recibir el idioma por parámetro.
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_LOCALE, localized: localizedValue } = require('../contactForm');
+const { getContext } = require('../logger');
+
+const LOCALES = ['es', 'en'];
+const LOCALE_COOKIE = 'rxlab_lang';
+const MESSAGES_DIR = path.join(__dirname, 'messages');
+
+// Etiquetas BCP 47 para fechas y montos
+const INTL_LOCALES = { es: 'es-MX', en: 'en-US' };
+
+const catalogues = new Map();
+
+function getCatalogue(locale) {
+  if (!catalogues.has(locale)) {
+    catalogues.set(locale, JSON.parse(fs.readFileSync(path.join(MESSAGES_DIR, `${locale}.json`), 'utf8')));
+  }
+  return catalogues.get(locale);
+}
+
+// "en-US" → "en"; null si no es un idioma del sitio
+function normalizeLocale(value) {
+  const language = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+  return LOCALES.includes(language) ? language : null;
+}
+
+// Accept-Language: "en-US,en;q=0.9,es;q=0.8" → el primer idioma soportado por calidad
+function negotiateLocale(header) {
+  const candidates = String(header || '')
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.map((param) => /^\s*q=([\d.]+)\s*$/.exec(param)).find(Boolean);
+      return { locale: normalizeLocale(tag), quality: quality ? Number(quality[1]) : 1, index };
+    })
+    .filter((candidate) => candidate.locale && candidate.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+  return candidates[0]?.locale || DEFAULT_LOCALE;
+}
+
+// Una cookie mal codificada (p. ej. "%E0%A4%A") cuenta como ausente: no debe tumbar la petición
+function readCookie(header, name) {
+  for (const part of String(header || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key !== name) continue;
+    try {
+      return decodeURIComponent(value.join('='));
+    } catch (error) {
+      return null;
+    }
+  }
+  return null;
+}
+
+// Funciona con la petición de Express y con la de Vercel (ambas traen query y headers)
+function localeFromRequest(req) {
+  const headers = req.headers || {};
+  return normalizeLocale(req.query?.lang) ||
+    normalizeLocale(readCookie(headers.cookie, LOCALE_COOKIE)) ||
+    negotiateLocale(headers['accept-language']);
+}
+
+// Idioma de la solicitud en curso (es fuera de una solicitud: worker del outbox, scripts)
+function getLocale() {
+  return normalizeLocale(getContext().locale) || DEFAULT_LOCALE;
+}
+
+function lookup(catalogue, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalogue);
+}
+
+// t('api.quote.unknownService', { service: 'x' }); {nombre} se sustituye por params.nombre
+function t(key, params = {}, locale = getLocale()) {
+  const template = lookup(getCatalogue(locale), key) ?? lookup(getCatalogue(DEFAULT_LOCALE), key);
+  if (typeof template !== 'string') return key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+// Rama completa del catálogo (p. ej. "client" para incrustarla en la página)
+function messagesFor(prefix, locale = getLocale()) {
+  return lookup(getCatalogue(locale), prefix) || {};
+}
+
+function localized(value, locale = getLocale()) {
+  return localizedValue(value, locale);
+}
+
+function intlLocale(locale = getLocale()) {
+  return INTL_LOCALES[locale] || INTL_LOCALES[DEFAULT_LOCALE];
+}
+
+// Ruta de una página del sitio en un idioma: el español sin parámetros, los demás con ?lang=
+function localePath(page, locale = getLocale()) {
+  return locale === DEFAULT_LOCALE ? page : `${page}?lang=${locale}`;
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  LOCALE_COOKIE,
+  readCookie,
+  normalizeLocale,
+  negotiateLocale,
+  localeFromRequest,
+  getLocale,
+  t,
+  messagesFor,
+  localized,
+  intlLocale,
+  localePath
+};
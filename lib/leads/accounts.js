@@ -0,0 +1,404 @@
+// Cuentas: historial de leads por empresa
+// Brevo actualiza el contacto con updateEnabled y pisa los atributos anteriores, así que el
+// historial completo vive aquí (data/accounts.json). Cada lead aceptado se asocia a una cuenta:
+//   email exacto              1.0   el mismo contacto vuelve a escribir
+//   teléfono exacto (E.164)   0.9   otra persona con el mismo número
+//   empresa (nombre normalizado y similitud difusa)  0.8 × similitud
+//   dominio corporativo       0.6   otro contacto de la misma empresa (no aplica a gmail, etc.)
+// Cada coincidencia adicional suma 0.1. Con MATCH_THRESHOLD o más, el lead se agrega a la
+// cuenta; si además coincide por email o teléfono con otra cuenta, ambas se fusionan y la
+// fusión queda registrada en merges.
+//
+// Cada mensaje se agrega a timeline; nunca se sobrescribe. phones registra qué contacto usó
+// primero cada número (el dueño), que es el que conserva el SMS en Brevo.
+
+const crypto = require('crypto');
+const { createJsonStore } = require('../store/jsonFile');
+
+const store = createJsonStore('accounts.json', []);
+
+const MATCH_THRESHOLD = 0.6;
+const COMPANY_SIMILARITY = 0.85;
+
+const MATCH_WEIGHTS = {
+  email: 1,
+  phone: 0.9,
+  company: 0.8,
+  domain: 0.6
+};
+
+// Sufijos societarios que se ignoran al comparar empresas (ya sin puntos: "S.A. de C.V." → sa de cv)
+const LEGAL_SUFFIXES = new Set([
+  'sa', 'de', 'cv', 's', 'rl', 'sapi', 'sab', 'sc', 'ac', 'sas', 'srl', 'spr', 'rs',
+  'inc', 'llc', 'ltd', 'corp', 'co'
+]);
+
+const STOPWORDS = new Set(['de', 'del', 'la', 'las', 'el', 'los', 'y', 'e', 'the', 'and']);
+
+// Dominios de correo personal: compartirlos no dice nada de la empresa
+const FREE_MAIL_DOMAINS = new Set([
+  'gmail.com', 'hotmail.com', 'hotmail.es', 'outlook.com', 'outlook.es', 'live.com',
+  'live.com.mx', 'msn.com', 'yahoo.com', 'yahoo.com.mx', 'icloud.com', 'me.com',
+  'aol.com', 'prodigy.net.mx', 'protonmail.com', 'proton.me', 'gmx.com'
+]);
+
+function foldText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+// "Transportes del Norte, S.A. de C.V." → "transportes norte"
+function normalizeCompany(company) {
+  const tokens = foldText(company)
+    .replace(/\./g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+  while (tokens.length > 1 && LEGAL_SUFFIXES.has(tokens[tokens.length - 1])) {
+    tokens.pop();
+  }
+
+  return tokens.filter((token) => !STOPWORDS.has(token)).join(' ');
+}
+
+function bigrams(text) {
+  const compact = text.replace(/\s+/g, '');
+  const pairs = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const pair = compact.slice(i, i + 2);
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+  return pairs;
+}
+
+// Coeficiente de Dice sobre bigramas (0 a 1); tolera typos, acentos y abreviaturas menores
+function companySimilarity(a, b) {
+  const left = normalizeCompany(a);
+  const right = normalizeCompany(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  // Nombres muy cortos ("RX", "ABC") solo coinciden exactos
+  if (left.replace(/\s/g, '').length < 4 || right.replace(/\s/g, '').length < 4) return 0;
+
+  const leftPairs = bigrams(left);
+  const rightPairs = bigrams(right);
+  let overlap = 0;
+  for (const [pair, count] of leftPairs) {
+    overlap += Math.min(count, rightPairs.get(pair) || 0);
+  }
+  const total = [...leftPairs.values(), ...rightPairs.values()].reduce((sum, count) => sum + count, 0);
+  return total ? (2 * overlap) / total : 0;
+}
+
+function corporateDomain(email) {
+  const domain = String(email || '').split('@')[1]?.toLowerCase();
+  return domain && !FREE_MAIL_DOMAINS.has(domain) ? domain : null;
+}
+
+// Compara un lead (registro de leads.json: phone ya en E.164) con una cuenta
+function scoreMatch(lead, account) {
+  const matchedBy = [];
+
+  if (account.contacts.some((contact) => contact.email === lead.email)) {
+    matchedBy.push({ field: 'email', weight: MATCH_WEIGHTS.email });
+  }
+  if (lead.phone && account.phones.some((phone) => phone.e164 === lead.phone)) {
+    matchedBy.push({ field: 'phone', weight: MATCH_WEIGHTS.phone });
+  }
+
+  // Contra el nombre más reciente y contra la clave con la que se creó la cuenta
+  const similarity = Math.max(
+    companySimilarity(lead.company, account.company),
+    companySimilarity(lead.company, account.key)
+  );
+  if (similarity >= COMPANY_SIMILARITY) {
+    matchedBy.push({ field: 'company', weight: MATCH_WEIGHTS.company * similarity, similarity: Number(similarity.toFixed(2)) });
+  }
+
+  const domain = corporateDomain(lead.email);
+  if (domain && account.domains.includes(domain)) {
+    matchedBy.push({ field: 'domain', weight: MATCH_WEIGHTS.domain, detail: domain });
+  }
+
+  if (matchedBy.length === 0) return { score: 0, matchedBy };
+  const best = Math.max(...matchedBy.map((match) => match.weight));
+  const score = Math.min(1, best + 0.1 * (matchedBy.length - 1));
+  return { score: Number(score.toFixed(2)), matchedBy };
+}
+
+// Cuentas que podrían ser la misma empresa que el lead, de mejor a peor
+function findDuplicates(lead, accounts) {
+  return accounts
+    .map((account) => ({ account, ...scoreMatch(lead, account) }))
+    .filter((candidate) => candidate.score >= MATCH_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+}
+
+function createAccount(lead, now) {
+  return {
+    id: crypto.randomUUID(),
+    key: normalizeCompany(lead.company),
+    company: lead.company,
+    domains: [],
+    contacts: [],
+    phones: [],
+    timeline: [],
+    merges: [],
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+function addContact(account, lead, now) {
+  let contact = account.contacts.find((c) => c.email === lead.email);
+  if (!contact) {
+    contact = { email: lead.email, name: lead.name, phone: lead.phone || '', firstSeenAt: now, lastSeenAt: now, leadCount: 0 };
+    account.contacts.push(contact);
+  }
+  contact.name = lead.name;
+  if (lead.phone) contact.phone = lead.phone;
+  contact.lastSeenAt = now;
+  contact.leadCount += 1;
+
+  const domain = corporateDomain(lead.email);
+  if (domain && !account.domains.includes(domain)) account.domains.push(domain);
+}
+
+// Devuelve el dueño del número si es otro contacto (el que lo registró primero)
+function addPhone(account, lead, now) {
+  if (!lead.phone) return null;
+  const phone = account.phones.find((p) => p.e164 === lead.phone);
+  if (!phone) {
+    account.phones.push({ e164: lead.phone, owner: lead.email, firstSeenAt: now });
+    return null;
+  }
+  return phone.owner !== lead.email ? phone.owner : null;
+}
+
+// Absorbe source en target: contactos, teléfonos y timeline se combinan sin perder nada
+function mergeInto(target, source, matchedBy, now) {
+  for (const contact of source.contacts) {
+    const existing = target.contacts.find((c) => c.email === contact.email);
+    if (existing) {
+      existing.leadCount += contact.leadCount;
+      existing.firstSeenAt = existing.firstSeenAt < contact.firstSeenAt ? existing.firstSeenAt : contact.firstSeenAt;
+    } else {
+      target.contacts.push(contact);
+    }
+  }
+  for (const phone of source.phones) {
+    const existing = target.phones.find((p) => p.e164 === phone.e164);
+    if (!existing) {
+      target.phones.push(phone);
+    } else if (phone.firstSeenAt < existing.firstSeenAt) {
+      Object.assign(existing, phone);
+    }
+  }
+  for (const domain of source.domains) {
+    if (!target.domains.includes(domain)) target.domains.push(domain);
+  }
+
+  target.timeline = [...target.timeline, ...source.timeline].sort((a, b) => a.at.localeCompare(b.at));
+  target.merges.push(
+    ...source.merges,
+    { accountId: source.id, company: source.company, at: now, matchedBy: matchedBy.map((match) => match.field) }
+  );
+  target.createdAt = target.createdAt < source.createdAt ? target.createdAt : source.createdAt;
+}
+
+function timelineEntry(record, matchedBy, phoneOwner) {
+  return {
+    leadId: record.id,
+    at: record.createdAt,
+    name: record.name,
+    email: record.email,
+    phone: record.phone || '',
+    company: record.company,
+    message: record.message,
+    quote: record.quote ? { folio: record.quote.folio || null, total: record.quote.total, currency: record.quote.currency } : null,
+    matchedBy: matchedBy.map((match) => match.field),
+    phoneOwner
+  };
+}
+
+// Agrega un lead (registro de leads.json) a su cuenta, creándola o fusionando si hace falta.
+// Devuelve { account, isNew, matchedBy, merged } para el log del pipeline.
+function addLead(accounts, record, now = new Date().toISOString()) {
+  if (accounts.some((account) => account.timeline.some((entry) => entry.leadId === record.id))) {
+    return null;
+  }
+
+  const [best, ...others] = findDuplicates(record, accounts);
+  const account = best ? best.account : createAccount(record, now);
+  if (!best) accounts.push(account);
+
+  // Otras cuentas con el mismo email o teléfono son la misma empresa registrada dos veces
+  const merged = [];
+  for (const candidate of others) {
+    if (candidate.matchedBy.some((match) => match.field === 'email' || match.field === 'phone')) {
+      mergeInto(account, candidate.account, candidate.matchedBy, now);
+      accounts.splice(accounts.indexOf(candidate.account), 1);
+      merged.push(candidate.account.id);
+    }
+  }
+
+  addContact(account, record, now);
+  const phoneOwner = addPhone(account, record, now);
+  const matchedBy = best ? best.matchedBy : [];
+  account.timeline.push(timelineEntry(record, matchedBy, phoneOwner));
+  // El nombre visible es el más reciente; la clave de comparación se mantiene
+  account.company = record.company;
+  account.updatedAt = now;
+
+  return { account, isNew: !best, matchedBy: matchedBy.map((match) => match.field), merged, phoneOwner };
+}
+
+async function recordLead(record) {
+  return store.update((accounts) => {
+    const result = addLead(accounts, record);
+    return result && { ...result, account: structuredClone(result.account) };
+  });
+}
+
+// Reconstruye todas las cuentas desde leads.json (datos anteriores a las cuentas o tras editar)
+async function rebuildAccounts(records) {
+  return store.update((accounts) => {
+    accounts.length = 0;
+    const ordered = [...records].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    for (const record of ordered) {
+      if (!record.quarantined) addLead(accounts, record, record.createdAt);
+    }
+    return accounts.length;
+  });
+}
+
+function summarize(account) {
+  const last = account.timeline[account.timeline.length - 1];
+  return {
+    id: account.id,
+    company: account.company,
+    contacts: account.contacts.length,
+    emails: account.contacts.map((contact) => contact.email),
+    leadCount: account.timeline.length,
+    quotes: account.timeline.filter((entry) => entry.quote).length,
+    merges: account.merges.length,
+    firstSeenAt: account.timeline[0]?.at || account.createdAt,
+    lastSeenAt: last?.at || account.updatedAt
+  };
+}
+
+// Lista resumida (actividad más reciente primero); q busca en empresa y emails
+async function listAccounts({ q } = {}) {
+  const accounts = await store.read();
+  const terms = foldText(q).split(/\s+/).filter(Boolean);
+  return accounts
+    .filter((account) => {
+      if (terms.length === 0) return true;
+      const haystack = foldText([account.company, ...account.contacts.map((c) => `${c.name} ${c.email}`)].join(' '));
+      return terms.every((term) => haystack.includes(term));
+    })
+    .map(summarize)
+    .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+}
+
+async function getAccount(id) {
+  const accounts = await store.read();
+  return accounts.find((account) => account.id === id) || null;
+}
+
+// leadId → { accountId, leadCount } para mostrar la cuenta junto a cada lead
+async function indexLeads() {
+  const accounts = await store.read();
+  const index = new Map();
+  for (const account of accounts) {
+    for (const entry of account.timeline) {
+      index.set(entry.leadId, { accountId: account.id, leadCount: account.timeline.length });
+    }
+  }
+  return index;
+}
+
+// Contacto que registró primero el número (el que conserva el SMS en el CRM)
+async function findPhoneOwner(e164) {
+  if (!e164) return null;
+  const accounts = await store.read();
+  for (const account of accounts) {
+    const phone = account.phones.find((p) => p.e164 === e164);
+    if (phone) return phone.owner;
+  }
+  return null;
+}
+
+// =========================
+// DERECHOS ARCO (lib/privacy/arco.js)
+// =========================
+
+// Lo que las cuentas guardan de un email: su ficha de contacto y sus solicitudes
+async function findContactData(email) {
+  const accounts = await store.read();
+  return accounts
+    .filter((account) => account.contacts.some((contact) => contact.email === email))
+    .map((account) => ({
+      accountId: account.id,
+      company: account.company,
+      contact: account.contacts.find((contact) => contact.email === email),
+      phones: account.phones.filter((phone) => phone.owner === email),
+      timeline: account.timeline.filter((entry) => entry.email === email)
+    }));
+}
+
+// Rectificación: changes { name, company, phone (E.164) } en la ficha y en su timeline
+async function rectifyContact(email, changes) {
+  return store.update((accounts) => {
+    let updated = 0;
+    for (const account of accounts) {
+      const contact = account.contacts.find((c) => c.email === email);
+      if (!contact) continue;
+      if (changes.name) contact.name = changes.name;
+      if (changes.phone) contact.phone = changes.phone;
+      for (const entry of account.timeline.filter((e) => e.email === email)) {
+        Object.assign(entry, changes);
+      }
+      updated += 1;
+    }
+    return updated;
+  });
+}
+
+// Cancelación: quita la ficha, los teléfonos que registró y sus solicitudes. Una cuenta
+// sin contactos desaparece. Devuelve cuántas cuentas tocó.
+async function eraseContact(email) {
+  return store.update((accounts) => {
+    let touched = 0;
+    for (const account of [...accounts]) {
+      if (!account.contacts.some((contact) => contact.email === email)) continue;
+      touched += 1;
+      account.contacts = account.contacts.filter((contact) => contact.email !== email);
+      account.phones = account.phones.filter((phone) => phone.owner !== email);
+      account.timeline = account.timeline.filter((entry) => entry.email !== email);
+      account.domains = [...new Set(account.contacts.map((contact) => corporateDomain(contact.email)).filter(Boolean))];
+      account.updatedAt = new Date().toISOString();
+      if (account.contacts.length === 0) accounts.splice(accounts.indexOf(account), 1);
+    }
+    return touched;
+  });
+}
+
+module.exports = {
+  MATCH_THRESHOLD,
+  normalizeCompany,
+  companySimilarity,
+  findDuplicates,
+  addLead,
+  recordLead,
+  rebuildAccounts,
+  listAccounts,
+  getAccount,
+  indexLeads,
+  findPhoneOwner,
+  findContactData,
+  rectifyContact,
+  eraseContact
+};
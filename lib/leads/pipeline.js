@@ -0,0 +1,456 @@
+// Pipeline de leads compartido entre server.js (Express) y api/brevo.js (Vercel)
+// Etapas: validate → normalize → score → upsert → notify
+// Ambos entry points son adaptadores delgados sobre handleLeadRequest(), así un lead
+// se comporta igual en local y en producción.
+
+const { getCrmProvider, CrmError } = require('../crm');
+const outbox = require('../outbox');
+const leadStore = require('./store');
+const accounts = require('./accounts');
+const { scoreLead } = require('./score');
+const { FIELDS, validateContactForm, localized, displayValue } = require('../contactForm');
+const { buildQuote, issueQuote, QuoteError } = require('../quote');
+const { buildQuoteAttachment } = require('../quote/pdf');
+const { buildAppointmentAttachment } = require('../appointments/ics');
+const { renderEmail } = require('../email');
+const { assessSpam } = require('../spam');
+const { buildHandoff } = require('../whatsapp');
+const { getSection } = require('../content');
+const { normalizeAttribution, describeChannel } = require('../analytics/attribution');
+const { readConsent, recordConsent } = require('../privacy/consent');
+const { child, newRequestId, runWithContext } = require('../logger');
+const { getConfig } = require('../config');
+const { t, getLocale } = require('../i18n');
+
+const logger = child({ module: 'leads' });
+
+// Error de negocio con el status HTTP que debe ver el cliente
+class LeadError extends Error {
+  constructor(message, status = 400, code = null, fields = null) {
+    super(message);
+    this.name = 'LeadError';
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+  }
+}
+
+// =========================
+// 1. VALIDATE
+// =========================
+
+// Reglas, alias de campos y mensajes vienen del esquema compartido (lib/contactForm.js).
+// El esquema ya entrega los valores normalizados: email en minúsculas, teléfono parseado.
+// Los mensajes salen en el idioma de la solicitud (lib/i18n). Los servicios de interés
+// deben existir en el contenido del sitio (lib/content). Sin aceptar el aviso de
+// privacidad (lib/privacy/consent.js) el lead no se recibe.
+async function validateLead(body = {}) {
+  const services = (await getSection('services')).items.map((item) => item.slug);
+  const result = validateContactForm(body, { locale: getLocale(), choices: { services } });
+  if (!result.valid) {
+    throw new LeadError(result.firstError, 400, 'validation_error', result.errors);
+  }
+
+  const consent = readConsent(body);
+  if (!consent.privacy) {
+    const error = t('api.privacy.consentRequired');
+    throw new LeadError(error, 400, 'consent_required', { privacyConsent: error });
+  }
+
+  return { ...result.data, quote: validateQuote(body.quote), consent: { ...consent, acceptedAt: new Date().toISOString() } };
+}
+
+// La cotización es opcional; se recalcula aquí con los precios del servidor
+function validateQuote(quoteRequest) {
+  if (!quoteRequest) return null;
+  try {
+    return buildQuote(quoteRequest);
+  } catch (error) {
+    if (error instanceof QuoteError) {
+      throw new LeadError(error.message, 400, 'invalid_quote');
+    }
+    throw error;
+  }
+}
+
+function formatMoney(amount) {
+  return `$${amount.toLocaleString('es-MX', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+// =========================
+// 2. NORMALIZE
+// =========================
+
+// Colapsa espacios repetidos en los campos de texto libre de una línea
+function normalizeLead(data) {
+  const lead = { ...data };
+  for (const field of FIELDS) {
+    if (field.type === 'string' && field.ui?.widget !== 'textarea' && typeof lead[field.name] === 'string') {
+      lead[field.name] = lead[field.name].replace(/\s+/g, ' ');
+    }
+  }
+  return lead;
+}
+
+// =========================
+// 3. UPSERT
+// =========================
+
+// El manejo de duplicados depende del CRM, así que vive en cada proveedor (ver lib/crm)
+async function upsertLead(lead, provider) {
+  try {
+    return await provider.upsertContact(lead);
+  } catch (error) {
+    if (error instanceof CrmError) {
+      // retryable viaja con el error para que el outbox no reintente credenciales rechazadas
+      throw Object.assign(new LeadError(error.message, error.status, error.code), { retryable: error.retryable });
+    }
+    throw error;
+  }
+}
+
+// =========================
+// 4. NOTIFY
+// =========================
+// Los textos viven en lib/email/templates; aquí solo se arma el modelo de variables.
+// Lista todos los campos del esquema, así un campo nuevo aparece sin tocar las plantillas.
+// Las preguntas opcionales sin respuesta se omiten.
+function emailVariables(lead, locale) {
+  const quote = lead.quote;
+  const fields = FIELDS
+    .filter((field) => field.required || displayValue(field, lead[field.name], locale))
+    .map((field) => ({
+      label: localized(field.label, locale),
+      value: displayValue(field, lead[field.name], locale) || (locale === 'en' ? 'Not provided' : 'No proporcionado'),
+      multiline: field.ui?.widget === 'textarea'
+    }));
+
+  return {
+    name: lead.name,
+    firstName: String(lead.name).split(/\s+/)[0],
+    company: lead.company,
+    email: lead.email,
+    phone: lead.phone?.international || lead.phone?.e164 || '',
+    message: lead.message,
+    fields,
+    leadScore: lead.leadScore ? { score: lead.leadScore.score, band: lead.leadScore.band } : null,
+    consent: lead.consent ? { version: lead.consent.noticeVersion, marketing: lead.consent.marketing } : null,
+    origin: attributionVariables(lead.attribution),
+    appointment: appointmentVariables(lead.appointment, locale),
+    quote: quote ? {
+      folio: quote.folio || '',
+      headcount: quote.headcount,
+      currency: quote.currency,
+      lines: quote.lines.map((line) => ({
+        description: line.description,
+        quantity: line.quantity,
+        unitPrice: formatMoney(line.unitPrice),
+        amount: formatMoney(line.amount)
+      })),
+      subtotal: formatMoney(quote.subtotal),
+      total: formatMoney(quote.total),
+      validUntil: quote.validUntil ? formatDate(quote.validUntil, locale) : ''
+    } : null
+  };
+}
+
+// Canal y página de entrada del lead para el email interno
+function attributionVariables(attribution) {
+  if (!attribution) return null;
+  return {
+    channel: describeChannel(attribution),
+    landingPage: [attribution.landingPage, attribution.landingSection && `#${attribution.landingSection}`].filter(Boolean).join(' '),
+    lastService: attribution.lastService || ''
+  };
+}
+
+function appointmentVariables(appointment, locale) {
+  if (!appointment) return null;
+  return {
+    service: appointment.serviceTitle,
+    type: appointment.typeTitle,
+    date: formatDate(`${appointment.date}T12:00:00Z`, locale, { weekday: 'long', timeZone: 'UTC' }),
+    time: appointment.time,
+    endTime: appointment.endTime,
+    location: appointment.location.name,
+    address: appointment.location.address,
+    headcount: appointment.headcount,
+    notes: appointment.notes
+  };
+}
+
+function formatDate(iso, locale, options = {}) {
+  return new Date(iso).toLocaleDateString(locale === 'en' ? 'en-US' : 'es-MX', {
+    day: 'numeric', month: 'long', year: 'numeric', ...options
+  });
+}
+
+// Email interno de nuevo lead (plantilla lead-notification)
+function buildNotification(lead, { attachment = null } = {}) {
+  const notification = renderEmail('lead-notification', emailVariables(lead, 'es'));
+  const attachments = [attachment, appointmentAttachment(lead)].filter(Boolean);
+  if (attachments.length) notification.attachments = attachments;
+  return notification;
+}
+
+// Confirmación al visitante en su idioma (plantilla visitor-confirmation).
+// La cotización en PDF solo se adjunta con QUOTE_PDF_TO_PROSPECT=true; la invitación de
+// la cita (.ics) siempre.
+function buildVisitorConfirmation(lead, { attachment = null } = {}) {
+  const locale = lead.locale || 'es';
+  const variables = { ...emailVariables(lead, locale), hasAttachment: Boolean(attachment) };
+  const confirmation = renderEmail('visitor-confirmation', variables, { locale });
+  const attachments = [attachment, appointmentAttachment(lead)].filter(Boolean);
+  if (attachments.length) confirmation.attachments = attachments;
+  return confirmation;
+}
+
+function appointmentAttachment(lead) {
+  return lead.appointment ? buildAppointmentAttachment(lead.appointment) : null;
+}
+
+// PDF de la cotización; si falla, el email sale sin adjunto
+async function quoteAttachment(lead) {
+  if (!lead.quote) return null;
+  try {
+    return await buildQuoteAttachment(lead);
+  } catch (pdfError) {
+    logger.warn('No se pudo generar el PDF de la cotización', { folio: lead.quote.folio, error: pdfError });
+    return null;
+  }
+}
+
+// Envía el email interno y la confirmación al visitante.
+// Nunca falla la petición: solo registra el error. Devuelve si salió el email interno.
+async function notifyLead(lead, provider) {
+  const attachment = await quoteAttachment(lead);
+  let sent = false;
+
+  try {
+    await provider.sendNotification(buildNotification(lead, { attachment }));
+    logger.info('Email de notificación enviado', { attachment: Boolean(attachment) });
+    sent = true;
+  } catch (emailError) {
+    logger.warn('No se pudo enviar email de notificación', emailError);
+  }
+
+  const { features } = getConfig();
+  if (features.visitorConfirmation) {
+    try {
+      const prospectAttachment = features.quotePdfToProspect ? attachment : null;
+      await provider.sendNotification(buildVisitorConfirmation(lead, { attachment: prospectAttachment }));
+      logger.info('Confirmación enviada al visitante', { email: lead.email, attachment: Boolean(prospectAttachment) });
+    } catch (emailError) {
+      logger.warn('No se pudo enviar la confirmación al visitante', emailError);
+    }
+  }
+
+  return sent;
+}
+
+// =========================
+// PIPELINE
+// =========================
+
+// Entrega al CRM (upsert + notify). La ejecuta el outbox, tanto en línea como en reintentos.
+async function deliverLead(lead, provider = getCrmProvider()) {
+  const contact = await upsertLead(lead, provider);
+  if (contact?.phoneBackup) {
+    // El CRM no dice quién tiene el SMS; el historial de cuentas sí
+    logger.info('Teléfono guardado en PHONE_BACKUP', { phoneOwner: await accounts.findPhoneOwner(lead.phone?.e164) });
+  }
+  await notifyLead(lead, provider);
+  return contact;
+}
+
+// Handlers que el worker del outbox usa para cada tipo de entrada
+const outboxHandlers = {
+  lead: (lead) => deliverLead(lead)
+};
+
+// Último paso antes del outbox. El folio se asigna una sola vez: los reintentos reutilizan
+// el mismo y los leads en cuarentena no consumen folios hasta que se liberan.
+async function prepareForDelivery(lead) {
+  if (lead.quote && !lead.quote.folio) {
+    return { ...lead, quote: await issueQuote(lead.quote) };
+  }
+  return lead;
+}
+
+// Agrega el lead al historial de su cuenta (empresa). Un fallo aquí no detiene la entrega.
+async function recordAccount(record) {
+  try {
+    const result = await accounts.recordLead(record);
+    if (!result) return;
+    logger.info('Lead asociado a cuenta', {
+      leadId: record.id,
+      accountId: result.account.id,
+      isNew: result.isNew,
+      matchedBy: result.matchedBy,
+      merged: result.merged.length ? result.merged : undefined,
+      phoneOwner: result.phoneOwner || undefined
+    });
+  } catch (error) {
+    logger.warn('No se pudo actualizar el historial de la cuenta', { leadId: record.id, error });
+  }
+}
+
+// Aceptación del aviso de privacidad con la IP de la solicitud (lib/privacy/consent.js).
+// El lead ya guarda el resumen; si el registro falla solo se reporta.
+async function recordLeadConsent(record, lead, { source, ip }) {
+  try {
+    await recordConsent(lead.consent, { email: lead.email, leadId: record.id, source, ip, locale: lead.locale });
+  } catch (error) {
+    logger.error('No se pudo registrar el consentimiento', { leadId: record.id, error });
+  }
+}
+
+// Enlace de WhatsApp para continuar la conversación; si el ruteo falla el lead sigue
+// siendo válido y la página solo muestra el mensaje de éxito
+function whatsappHandoff(lead, id) {
+  try {
+    return buildHandoff({ ...lead, id });
+  } catch (error) {
+    logger.error('No se pudo armar el enlace de WhatsApp', error);
+    return null;
+  }
+}
+
+// appointment: resumen de la cita que originó el lead (lib/appointments), viaja en el payload
+// El idioma de la solicitud viaja con el lead: confirmación al visitante y atributo LANGUAGE.
+// El puntaje comercial (lib/leads/score.js) también: panel, email interno y LEAD_SCORE.
+// Igual la atribución (lib/analytics/attribution.js): de qué campaña y página llegó.
+// ip: la del visitante, solo para el registro de consentimiento.
+async function processLead(body, { handlers = outboxHandlers, appointment = null, ip = null } = {}) {
+  const input = await validateLead(body);
+  const normalized = { ...normalizeLead(input), locale: getLocale(), attribution: normalizeAttribution(body.attribution) };
+  normalized.leadScore = scoreLead(normalized);
+  const spam = assessSpam(body, normalized);
+  const consentSource = appointment ? 'agenda' : 'contacto';
+
+  // La política de redacción del logger oculta nombre, email, teléfono y mensaje
+  logger.info('Lead recibido', {
+    name: normalized.name,
+    email: normalized.email,
+    phone: normalized.phone?.e164,
+    company: normalized.company,
+    message: normalized.message,
+    quote: normalized.quote ? { headcount: normalized.quote.headcount, total: normalized.quote.total } : null,
+    leadScore: normalized.leadScore.score,
+    channel: describeChannel(normalized.attribution) || undefined,
+    spamScore: spam.score
+  });
+
+  // Sospecha de spam: se guarda para revisión y no llega al CRM. La respuesta es la misma
+  // que la de un envío normal para no darle pistas al bot.
+  if (spam.quarantined) {
+    const record = await leadStore.saveLead(normalized, { spam });
+    await recordLeadConsent(record, normalized, { source: consentSource, ip });
+    logger.warn('Lead en cuarentena por spam', {
+      leadId: record.id,
+      score: spam.score,
+      reasons: spam.reasons.map((reason) => reason.code)
+    });
+    return {
+      id: record.id,
+      queued: false,
+      quarantined: true,
+      message: t('api.lead.sent'),
+      whatsapp: whatsappHandoff(appointment ? { ...normalized, appointment } : normalized, record.id)
+    };
+  }
+
+  const lead = await prepareForDelivery(appointment ? { ...normalized, appointment } : normalized);
+
+  // Primero se persiste el lead: si el CRM falla, el worker lo reintentará
+  const entry = await outbox.enqueue('lead', lead);
+  const record = await leadStore.saveLead(lead, { outboxId: entry.id, spam });
+  await recordLeadConsent(record, lead, { source: consentSource, ip });
+  logger.info('Lead guardado', {
+    leadId: record.id,
+    outboxId: entry.id,
+    folio: lead.quote?.folio,
+    appointmentId: lead.appointment?.id
+  });
+  await recordAccount(record);
+  const settled = await outbox.deliverNow(entry.id, handlers);
+  const whatsapp = whatsappHandoff(lead, record.id);
+
+  if (settled?.status !== 'delivered') {
+    return {
+      id: record.id,
+      queued: true,
+      message: t('api.lead.queued'),
+      whatsapp
+    };
+  }
+
+  return {
+    id: record.id,
+    queued: false,
+    message: t('api.lead.sent'),
+    whatsapp
+  };
+}
+
+// Libera un lead en cuarentena (falso positivo) y lo entrega al CRM como cualquier otro
+async function releaseQuarantinedLead(id, { handlers = outboxHandlers } = {}) {
+  const record = await leadStore.releaseLead(id, prepareForDelivery);
+  await recordAccount(record);
+  const settled = await outbox.deliverNow(record.outboxId, handlers);
+  return { ...record, deliveryStatus: settled?.status || 'pending' };
+}
+
+// Punto de entrada común para los adaptadores HTTP: nunca lanza, devuelve status + JSON.
+// requestId es el ID de correlación del adaptador; si no llega se genera uno.
+// locale es el idioma negociado (lib/i18n); sin él, español. ip queda en el consentimiento.
+function handleLeadRequest(body, { requestId, locale, ip = null } = {}) {
+  const id = newRequestId(requestId);
+  return runWithContext({ requestId: id, locale }, () => runLeadRequest(body, id, ip));
+}
+
+async function runLeadRequest(body, requestId, ip) {
+  try {
+    const result = await processLead(body || {}, { ip });
+    return {
+      statusCode: 200,
+      body: {
+        ok: true,
+        success: true,
+        message: result.message,
+        id: result.id,
+        queued: result.queued,
+        whatsapp: result.whatsapp
+      }
+    };
+  } catch (error) {
+    if (error instanceof LeadError || error instanceof CrmError) {
+      logger.warn('Lead rechazado', { status: error.status, code: error.code, fields: error.fields ? Object.keys(error.fields) : undefined });
+      return {
+        statusCode: error.status,
+        body: { ok: false, error: error.message, code: error.code || undefined, fields: error.fields || undefined }
+      };
+    }
+
+    logger.error('Error en el pipeline de leads', error);
+    return {
+      statusCode: 500,
+      body: { ok: false, error: t('api.internalError'), requestId }
+    };
+  }
+}
+
+module.exports = {
+  LeadError,
+  validateLead,
+  normalizeLead,
+  buildNotification,
+  buildVisitorConfirmation,
+  upsertLead,
+  notifyLead,
+  deliverLead,
+  outboxHandlers,
+  processLead,
+  releaseQuarantinedLead,
+  handleLeadRequest
+};
@@ -0,0 +1,74 @@
+// Puntaje comercial del lead (0-100) a partir de las preguntas de calificación del
+// formulario (lib/contactForm.js). Cada respuesta suma puntos; la banda ordena el
+// seguimiento de ventas:
+//   caliente  SCORE_BANDS.hot o más: llamar el mismo día
+//   tibio     SCORE_BANDS.warm o más
+//   frío      el resto (incluye los leads sin calificación, p. ej. los de la agenda)
+// reasons detalla de dónde salió cada punto, igual que el puntaje de spam (lib/spam).
+
+// Plantilla: el primer rango que alcance el número de empleados
+const HEADCOUNT_POINTS = [
+  { min: 250, points: 25 },
+  { min: 50, points: 18 },
+  { min: 10, points: 10 },
+  { min: 1, points: 4 }
+];
+
+// Giros con riesgos físicos: más estudios por trabajador y más exposición ante la STPS
+const INDUSTRY_POINTS = {
+  manufactura: 15,
+  logistica: 15,
+  construccion: 15,
+  energia: 15,
+  alimentos: 10,
+  salud: 8,
+  comercio: 6,
+  servicios: 5,
+  otro: 5
+};
+
+const SHIFT_POINTS = { uno: 3, dos: 6, tres: 10, rotativos: 10 };
+
+const URGENCY_POINTS = { inmediata: 20, trimestre: 10, explorando: 0 };
+
+const SERVICE_POINTS = 5;
+const MAX_SERVICE_POINTS = 15;
+const STPS_INSPECTION_POINTS = 15;
+
+const SCORE_BANDS = { hot: 60, warm: 35 };
+const BAND_NAMES = { hot: 'caliente', warm: 'tibio', cold: 'frío' };
+
+function bandFor(score) {
+  if (score >= SCORE_BANDS.hot) return BAND_NAMES.hot;
+  if (score >= SCORE_BANDS.warm) return BAND_NAMES.warm;
+  return BAND_NAMES.cold;
+}
+
+// lead: datos ya validados por el esquema. Devuelve { score, band, reasons }.
+function scoreLead(lead) {
+  const reasons = [];
+  const add = (code, points, detail) => {
+    if (points > 0) reasons.push({ code, points, detail });
+  };
+
+  if (lead.headcount) {
+    const tier = HEADCOUNT_POINTS.find((candidate) => lead.headcount >= candidate.min);
+    add('headcount', tier ? tier.points : 0, lead.headcount);
+  }
+  if (lead.industry) add('industry', INDUSTRY_POINTS[lead.industry] || 0, lead.industry);
+  if (lead.shifts) add('shifts', SHIFT_POINTS[lead.shifts] || 0, lead.shifts);
+  if (lead.services?.length) {
+    add('services', Math.min(lead.services.length * SERVICE_POINTS, MAX_SERVICE_POINTS), lead.services.length);
+  }
+  if (lead.urgency) add('urgency', URGENCY_POINTS[lead.urgency] || 0, lead.urgency);
+  if (lead.stpsInspection) add('stps_inspection', STPS_INSPECTION_POINTS, true);
+
+  const score = Math.min(reasons.reduce((sum, reason) => sum + reason.points, 0), 100);
+  return { score, band: bandFor(score), reasons };
+}
+
+module.exports = {
+  SCORE_BANDS,
+  BAND_NAMES,
+  scoreLead
+};
@@ -0,0 +1,194 @@
+// Registro local de leads para el panel de administración
+// Cada lead aceptado se guarda en data/leads.json con su estado comercial.
+// El estado de entrega al CRM no se duplica aquí: se lee del outbox (outboxId).
+// Los leads sospechosos de spam se guardan en cuarentena, sin outbox, con el lead completo
+// (payload) para poder liberarlos desde el panel.
+// Las respuestas de calificación y el puntaje comercial (lib/leads/score.js) se guardan
+// planos para filtrar y exportar; los leads de la agenda no los traen.
+// La atribución (campaña, sitio de origen, página de entrada) se guarda tal como llegó.
+// consent es el resumen del consentimiento; el registro completo, con IP, está en
+// lib/privacy/consent.js.
+
+const crypto = require('crypto');
+const { createJsonStore } = require('../store/jsonFile');
+const outbox = require('../outbox');
+
+const store = createJsonStore('leads.json', []);
+
+// Estados del pipeline comercial, en orden
+const PIPELINE_STATUSES = ['nuevo', 'contactado', 'cotizado', 'cerrado'];
+
+// Error con el status HTTP que debe devolver el panel
+class LeadStoreError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'LeadStoreError';
+    this.status = status;
+  }
+}
+
+// Minúsculas y sin acentos, para búsquedas tipo "méxico" = "mexico"
+function foldText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+async function saveLead(lead, { outboxId = null, spam = null } = {}) {
+  const quarantined = Boolean(spam?.quarantined);
+  const record = {
+    id: crypto.randomUUID(),
+    name: lead.name,
+    company: lead.company,
+    email: lead.email,
+    phone: lead.phone ? lead.phone.e164 : '',
+    message: lead.message,
+    quote: lead.quote || null,
+    appointment: lead.appointment || null,
+    locale: lead.locale || null,
+    headcount: lead.headcount ?? null,
+    industry: lead.industry || null,
+    shifts: lead.shifts || null,
+    services: lead.services || [],
+    urgency: lead.urgency || null,
+    stpsInspection: lead.stpsInspection ?? null,
+    leadScore: lead.leadScore ? lead.leadScore.score : null,
+    leadBand: lead.leadScore ? lead.leadScore.band : null,
+    leadScoreReasons: lead.leadScore ? lead.leadScore.reasons : [],
+    attribution: lead.attribution || null,
+    consent: lead.consent
+      ? { noticeVersion: lead.consent.noticeVersion, acceptedAt: lead.consent.acceptedAt, marketing: lead.consent.marketing }
+      : null,
+    status: 'nuevo',
+    outboxId,
+    spamScore: spam ? spam.score : null,
+    spamReasons: spam ? spam.reasons : [],
+    quarantined,
+    payload: quarantined ? lead : undefined,
+    createdAt: new Date().toISOString(),
+    updatedAt: null
+  };
+
+  await store.update((leads) => {
+    leads.push(record);
+  });
+
+  return record;
+}
+
+async function setLeadStatus(id, status) {
+  if (!PIPELINE_STATUSES.includes(status)) {
+    throw new LeadStoreError(`Estado inválido: ${status}. Usa: ${PIPELINE_STATUSES.join(', ')}`);
+  }
+
+  return store.update((leads) => {
+    const lead = leads.find((l) => l.id === id);
+    if (!lead) throw new LeadStoreError(`Lead no encontrado: ${id}`, 404);
+    lead.status = status;
+    lead.updatedAt = new Date().toISOString();
+    return { ...lead };
+  });
+}
+
+// Saca un lead de cuarentena y lo encola para el CRM; devuelve el registro actualizado.
+// prepare(lead) completa el lead antes de encolarlo (p. ej. asignar el folio de la cotización).
+async function releaseLead(id, prepare = async (lead) => lead) {
+  return store.update(async (leads) => {
+    const lead = leads.find((l) => l.id === id);
+    if (!lead) throw new LeadStoreError(`Lead no encontrado: ${id}`, 404);
+    if (!lead.quarantined) throw new LeadStoreError('El lead no está en cuarentena', 409);
+
+    const payload = await prepare(lead.payload);
+    const entry = await outbox.enqueue('lead', payload);
+    lead.quote = payload.quote || null;
+    lead.quarantined = false;
+    lead.payload = undefined;
+    lead.outboxId = entry.id;
+    lead.releasedAt = new Date().toISOString();
+    lead.updatedAt = lead.releasedAt;
+    return { ...lead };
+  });
+}
+
+// inbox: sin valor = leads normales, "quarantine" = solo cuarentena, "all" = todos
+function matchesInbox(lead, inbox) {
+  if (inbox === 'all') return true;
+  if (inbox === 'quarantine') return Boolean(lead.quarantined);
+  return !lead.quarantined;
+}
+
+function matchesFilters(lead, { q, status, band, delivery, inbox, from, to }) {
+  if (!matchesInbox(lead, inbox)) return false;
+  if (status && lead.status !== status) return false;
+  if (band && lead.leadBand !== band) return false;
+  if (delivery && lead.deliveryStatus !== delivery) return false;
+  if (from && lead.createdAt < from) return false;
+  // "to" es inclusivo por día: 2025-01-31 incluye todo ese día
+  if (to && lead.createdAt.slice(0, 10) > to) return false;
+
+  if (q) {
+    const haystack = foldText([lead.name, lead.company, lead.email, lead.phone, lead.message].join(' '));
+    return foldText(q).split(/\s+/).filter(Boolean).every((term) => haystack.includes(term));
+  }
+
+  return true;
+}
+
+// Lista leads (más recientes primero) con el estado de entrega tomado del outbox
+async function listLeads(filters = {}) {
+  const [leads, entries] = await Promise.all([store.read(), outbox.listEntries()]);
+  const deliveryById = new Map(entries.map((entry) => [entry.id, entry.status]));
+
+  return leads
+    .map(({ payload, ...lead }) => ({
+      ...lead,
+      deliveryStatus: lead.quarantined ? 'quarantined' : deliveryById.get(lead.outboxId) || 'unknown'
+    }))
+    .filter((lead) => matchesFilters(lead, filters))
+    .reverse();
+}
+
+// =========================
+// DERECHOS ARCO (lib/privacy/arco.js)
+// =========================
+
+// Todos los registros de un email, incluidos los de cuarentena con su payload
+async function findLeadsByEmail(email) {
+  return (await store.read()).filter((lead) => lead.email === email);
+}
+
+// Aplica mutator(lead) a cada registro del email (rectificación, oposición); devuelve cuántos
+async function updateLeadsByEmail(email, mutator) {
+  return store.update((leads) => {
+    const matching = leads.filter((lead) => lead.email === email);
+    const now = new Date().toISOString();
+    for (const lead of matching) {
+      mutator(lead);
+      lead.updatedAt = now;
+    }
+    return matching.length;
+  });
+}
+
+// Cancelación: borra los registros del email y devuelve sus ids
+async function eraseLeadsByEmail(email) {
+  return store.update((leads) => {
+    const removed = leads.filter((lead) => lead.email === email).map((lead) => lead.id);
+    const kept = leads.filter((lead) => lead.email !== email);
+    leads.splice(0, leads.length, ...kept);
+    return removed;
+  });
+}
+
+module.exports = {
+  PIPELINE_STATUSES,
+  LeadStoreError,
+  saveLead,
+  setLeadStatus,
+  releaseLead,
+  listLeads,
+  findLeadsByEmail,
+  updateLeadsByEmail,
+  eraseLeadsByEmail
+};
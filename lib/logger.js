@@ -0,0 +1,229 @@
+// Logger estructurado (una línea JSON por evento) con redacción central de datos personales
+//
+//   const logger = require('./logger').child({ module: 'crm' });
+//   logger.info('Contacto creado', { email: lead.email, id });
+//   → {"time":"…","level":"info","msg":"Contacto creado","requestId":"…","module":"crm","email":"a***@empresa.com","id":12}
+//
+// requestId: runWithContext({ requestId }, fn) lo agrega a todo lo que se registre dentro
+// de fn, incluidas las llamadas async (AsyncLocalStorage). Cada envío del formulario
+// tiene su propio ID; el outbox lo guarda para que los reintentos se puedan correlacionar.
+//
+// Nivel y formato vienen de lib/config.js (LOG_LEVEL, LOG_FORMAT) vía configureLogger();
+// antes de cargar la configuración se usan las variables de entorno directamente.
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const contextStorage = new AsyncLocalStorage();
+
+const options = { level: null, format: null };
+
+// =========================
+// REDACCIÓN
+// =========================
+// Política única para todo el proyecto: la clave decide cómo se oculta el valor.
+// Se compara en minúsculas, así cubre tanto los campos del lead como los atributos de Brevo.
+const REDACTION_RULES = {
+  email: ['email', 'replyto'],
+  phone: ['phone', 'telefono', 'sms', 'phone_backup', 'e164', 'local', 'international', 'nationalnumber'],
+  name: ['name', 'nombre', 'apellidos', 'firstname', 'lastname'],
+  text: ['message', 'mensaje', 'html', 'text', 'htmlcontent', 'textcontent', 'content'],
+  secret: ['password', 'apikey', 'api-key', 'api_key', 'authorization', 'token', 'formtoken', 'secret', 'cookie']
+};
+
+const RULE_BY_KEY = new Map(
+  Object.entries(REDACTION_RULES).flatMap(([rule, keys]) => keys.map((key) => [key, rule]))
+);
+
+function redactEmail(value) {
+  const [user, domain] = String(value).split('@');
+  if (!domain) return '[email]';
+  return `${user.slice(0, 1)}***@${domain}`;
+}
+
+function redactPhone(value) {
+  const digits = String(value).replace(/\D/g, '');
+  return digits.length > 4 ? `***${digits.slice(-4)}` : '***';
+}
+
+function redactName(value) {
+  return String(value)
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((part) => `${part[0].toUpperCase()}.`)
+    .join(' ');
+}
+
+function redactValue(rule, value) {
+  if (value === null || value === undefined || value === '') return value;
+  if (typeof value === 'object') {
+    // { e164, local, … } de un teléfono parseado, { email, name } de un destinatario, listas…
+    return redact(value, rule);
+  }
+  switch (rule) {
+    case 'email': return redactEmail(value);
+    case 'phone': return redactPhone(value);
+    case 'name': return redactName(value);
+    case 'text': return `[${String(value).length} chars]`;
+    default: return '[redacted]';
+  }
+}
+
+// Red de seguridad para texto libre (mensajes de error de APIs, etc.): emails y números
+// de 8 o más dígitos se enmascaran aunque la clave no esté en la política
+const EMAIL_IN_TEXT = /[^\s@<>()"',;:]+@[^\s@<>()"',;:]+\.[a-z]{2,}/gi;
+const PHONE_IN_TEXT = /\+?\d[\d\s().-]{6,}\d/g;
+
+function scrubText(text) {
+  return text
+    .replace(EMAIL_IN_TEXT, (email) => redactEmail(email))
+    .replace(PHONE_IN_TEXT, (match) => {
+      // Las fechas ISO (2026-10-18) también son ocho dígitos seguidos de guiones
+      if (/\d{4}-\d{2}-\d{2}/.test(match) || match.replace(/\D/g, '').length < 8) return match;
+      return redactPhone(match);
+    });
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: scrubText(String(error.message)),
+    code: error.code,
+    status: error.status,
+    stack: error.stack ? scrubText(error.stack) : undefined
+  };
+}
+
+// Identificadores (requestId, outboxId…) y fechas (createdAt…) no se tocan: sus dígitos
+// parecen teléfonos pero no son datos personales
+const PASSTHROUGH_KEY = /^id$|Id$|At$/;
+
+// Copia profunda con los datos personales ocultos. inherited aplica la regla del padre a
+// arreglos y objetos anidados (p. ej. to: [{ email, name }]).
+function redact(value, inherited = null, seen = new WeakSet()) {
+  if (value instanceof Error) return serializeError(value);
+  if (value === null || typeof value !== 'object') {
+    if (inherited) return redactValue(inherited, value);
+    return typeof value === 'string' ? scrubText(value) : value;
+  }
+  if (seen.has(value)) return '[circular]';
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, inherited, seen));
+  }
+
+  const output = {};
+  for (const [key, item] of Object.entries(value)) {
+    const rule = RULE_BY_KEY.get(key.toLowerCase()) || (inherited === 'secret' ? 'secret' : null);
+    if (!rule && !inherited && PASSTHROUGH_KEY.test(key) && typeof item === 'string') {
+      output[key] = item;
+      continue;
+    }
+    output[key] = rule && (item === null || typeof item !== 'object')
+      ? redactValue(rule, item)
+      : redact(item, rule || inherited, seen);
+  }
+  return output;
+}
+
+// =========================
+// LOGGER
+// =========================
+
+function configureLogger({ level, format } = {}) {
+  if (level) options.level = level;
+  if (format) options.format = format;
+}
+
+function currentLevel() {
+  const level = String(options.level || process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LEVELS[level] ?? LEVELS.info;
+}
+
+function formatPretty(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const extra = Object.keys(fields).length ? ` ${JSON.stringify(fields)}` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${extra}`;
+}
+
+function write(level, bindings, msg, fields) {
+  if (LEVELS[level] < currentLevel()) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...redact({
+      ...contextStorage.getStore(),
+      ...bindings,
+      ...(fields instanceof Error ? { error: fields } : fields)
+    })
+  };
+
+  const format = options.format || process.env.LOG_FORMAT;
+  const line = format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write('debug', bindings, msg, fields),
+    info: (msg, fields) => write('info', bindings, msg, fields),
+    warn: (msg, fields) => write('warn', bindings, msg, fields),
+    error: (msg, fields) => write('error', bindings, msg, fields),
+    child: (extra) => createLogger({ ...bindings, ...extra })
+  };
+}
+
+const logger = createLogger();
+
+// Logger de un módulo: child({ module: 'leads' }).
+// Se exporta como función declarada para que los adaptadores ESM de api/ puedan importar
+// por nombre todo lo que sigue en module.exports.
+function child(bindings) {
+  return logger.child(bindings);
+}
+
+// =========================
+// CONTEXTO DE PETICIÓN
+// =========================
+
+// Acepta un ID que venga del proxy (X-Request-Id) solo si tiene una forma razonable
+function newRequestId(candidate) {
+  if (typeof candidate === 'string' && /^[\w.:-]{8,100}$/.test(candidate)) return candidate;
+  return crypto.randomUUID();
+}
+
+function runWithContext(context, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...context }, fn);
+}
+
+function getContext() {
+  return contextStorage.getStore() || {};
+}
+
+// Middleware de Express: asigna el ID de correlación y lo devuelve en X-Request-Id
+function requestContext() {
+  return (req, res, next) => {
+    const requestId = newRequestId(req.get('x-request-id'));
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+    runWithContext({ requestId }, next);
+  };
+}
+
+module.exports = {
+  logger,
+  createLogger,
+  configureLogger,
+  child,
+  redact,
+  newRequestId,
+  runWithContext,
+  getContext,
+  requestContext
+};
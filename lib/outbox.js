@@ -0,0 +1,220 @@
+// Outbox persistente para entregas al CRM
+// Cada envío aceptado se guarda primero en data/outbox.json y después se entrega.
+// Si la entrega falla se reintenta con backoff exponencial; tras OUTBOX_MAX_ATTEMPTS
+// intentos la entrada pasa a "dead" y solo se reintenta al hacer replay manual
+// (npm run outbox -- replay). Un error con retryable === false (credenciales rechazadas)
+// la manda a "dead" desde el primer intento.
+//
+// Estados: pending → processing → delivered
+//                              ↘ pending (reintento) … → dead
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./store/jsonFile');
+const { child, getContext, runWithContext } = require('./logger');
+const { getConfig } = require('./config');
+
+const logger = child({ module: 'outbox' });
+
+const store = createJsonStore('outbox.json', []);
+
+// Si un proceso muere a mitad de una entrega, la entrada se puede reclamar tras este tiempo
+const PROCESSING_LEASE_MS = 5 * 60 * 1000;
+
+// OUTBOX_MAX_ATTEMPTS, OUTBOX_BASE_DELAY_MS, OUTBOX_MAX_DELAY_MS y OUTBOX_POLL_MS (ver lib/config.js)
+function getOutboxConfig() {
+  return getConfig().outbox;
+}
+
+// 30s, 1m, 2m, 4m… con tope en maxDelayMs
+function backoffDelay(attempts, config = getOutboxConfig()) {
+  return Math.min(config.baseDelayMs * 2 ** (attempts - 1), config.maxDelayMs);
+}
+
+async function enqueue(type, payload) {
+  const now = new Date().toISOString();
+  const entry = {
+    id: crypto.randomUUID(),
+    type,
+    payload,
+    // Correlación con la petición que originó la entrada (se mantiene en los reintentos)
+    requestId: getContext().requestId || null,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now,
+    deliveredAt: null
+  };
+
+  await store.update((entries) => {
+    entries.push(entry);
+  });
+
+  return entry;
+}
+
+function isClaimable(entry, now) {
+  if (entry.status === 'pending') {
+    return new Date(entry.nextAttemptAt).getTime() <= now;
+  }
+  if (entry.status === 'processing') {
+    return new Date(entry.leaseUntil).getTime() <= now;
+  }
+  return false;
+}
+
+// Marca como "processing" las entradas listas para entregarse y las devuelve
+function claim(filter) {
+  const now = Date.now();
+  return store.update((entries) => {
+    const claimed = entries.filter((entry) => filter(entry) && isClaimable(entry, now));
+    for (const entry of claimed) {
+      entry.status = 'processing';
+      entry.leaseUntil = new Date(now + PROCESSING_LEASE_MS).toISOString();
+    }
+    return claimed.map((entry) => structuredClone(entry));
+  });
+}
+
+function settle(id, error, config) {
+  return store.update((entries) => {
+    const entry = entries.find((e) => e.id === id);
+    if (!entry) return null;
+
+    const now = new Date();
+    entry.attempts += 1;
+    entry.updatedAt = now.toISOString();
+    delete entry.leaseUntil;
+
+    if (!error) {
+      entry.status = 'delivered';
+      entry.deliveredAt = entry.updatedAt;
+      entry.lastError = null;
+    } else {
+      entry.lastError = error.message;
+      if (error.retryable === false || entry.attempts >= config.maxAttempts) {
+        entry.status = 'dead';
+      } else {
+        entry.status = 'pending';
+        entry.nextAttemptAt = new Date(now.getTime() + backoffDelay(entry.attempts, config)).toISOString();
+      }
+    }
+
+    return structuredClone(entry);
+  });
+}
+
+function deliver(entry, handlers, config) {
+  return runWithContext({ requestId: entry.requestId || undefined, outboxId: entry.id }, () => deliverEntry(entry, handlers, config));
+}
+
+async function deliverEntry(entry, handlers, config) {
+  const handler = handlers[entry.type];
+  let error = null;
+
+  try {
+    if (!handler) {
+      throw new Error(`No hay handler para entradas de tipo "${entry.type}"`);
+    }
+    await handler(entry.payload, entry);
+  } catch (deliveryError) {
+    error = deliveryError;
+  }
+
+  const settled = await settle(entry.id, error, config);
+
+  if (error) {
+    const fields = { attempts: settled?.attempts, nextAttemptAt: settled?.nextAttemptAt, error };
+    if (settled?.status === 'dead') {
+      logger.error('Entrada enviada a dead letter', fields);
+    } else {
+      logger.warn('Entrega reprogramada', fields);
+    }
+  } else {
+    logger.info('Entrada del outbox entregada', { attempts: settled?.attempts });
+  }
+
+  return settled;
+}
+
+// Intenta entregar una entrada concreta en este momento (usado justo después de encolar)
+async function deliverNow(id, handlers, config = getOutboxConfig()) {
+  const [entry] = await claim((e) => e.id === id);
+  if (!entry) return null;
+  return deliver(entry, handlers, config);
+}
+
+// Entrega todas las entradas vencidas; devuelve cuántas se procesaron
+async function processDue(handlers, config = getOutboxConfig()) {
+  const entries = await claim(() => true);
+  for (const entry of entries) {
+    await deliver(entry, handlers, config);
+  }
+  return entries.length;
+}
+
+// Vuelve a poner en cola las entradas "dead" (todas o solo los ids indicados)
+function replayDeadLetters(ids = []) {
+  return store.update((entries) => {
+    const now = new Date().toISOString();
+    const replayed = entries.filter((entry) =>
+      entry.status === 'dead' && (ids.length === 0 || ids.includes(entry.id))
+    );
+    for (const entry of replayed) {
+      entry.status = 'pending';
+      entry.attempts = 0;
+      entry.nextAttemptAt = now;
+      entry.updatedAt = now;
+    }
+    return replayed.map((entry) => entry.id);
+  });
+}
+
+// Quita las entradas cuyo payload cumpla el filtro (cancelación ARCO: que un reintento no
+// vuelva a crear el contacto borrado). Devuelve cuántas se quitaron.
+function purgeEntries(filter) {
+  return store.update((entries) => {
+    const kept = entries.filter((entry) => !filter(entry.payload || {}));
+    const removed = entries.length - kept.length;
+    entries.splice(0, entries.length, ...kept);
+    return removed;
+  });
+}
+
+async function listEntries({ status } = {}) {
+  const entries = await store.read();
+  return status ? entries.filter((entry) => entry.status === status) : entries;
+}
+
+// Worker en segundo plano para el servidor Express (en Vercel no hay proceso persistente)
+function startOutboxWorker(handlers, config = getOutboxConfig()) {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDue(handlers, config);
+    } catch (error) {
+      logger.error('Error en el worker del outbox', error);
+    } finally {
+      running = false;
+    }
+  }, config.pollIntervalMs);
+
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  getOutboxConfig,
+  backoffDelay,
+  enqueue,
+  deliverNow,
+  processDue,
+  replayDeadLetters,
+  purgeEntries,
+  listEntries,
+  startOutboxWorker
+};
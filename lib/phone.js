@@ -0,0 +1,164 @@
+// Normalización y validación de teléfonos, compartida por el navegador y los dos backends
+// En Node se importa con require('./lib/phone'); en el navegador se carga con
+// <script src="/lib/phone.js"> y queda disponible como window.RXLabPhone.
+//
+// parsePhone("55 1234 5678") →
+//   { valid: true, country: "MX", countryCode: "52", nationalNumber: "5512345678",
+//     e164: "+525512345678", local: "5512345678", international: "+52 55 1234 5678",
+//     type: "geographic" }
+// parsePhone("123") → { valid: false, error: "…" }
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RXLabPhone = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const MX_CODE = '52';
+
+  // Áreas de 2 dígitos (CDMX, Guadalajara, Monterrey); el resto usa 3 dígitos
+  const MX_TWO_DIGIT_AREAS = ['33', '55', '56', '81'];
+
+  // Regla de la UIT: los códigos de país de 1 dígito son 1 y 7; los de 2 dígitos son
+  // los de esta lista; cualquier otro código tiene 3 dígitos.
+  const TWO_DIGIT_COUNTRY_CODES = [
+    '20', '27', '30', '31', '32', '33', '34', '36', '39', '40', '41', '43', '44', '45',
+    '46', '47', '48', '49', '51', '52', '53', '54', '55', '56', '57', '58', '60', '61',
+    '62', '63', '64', '65', '66', '81', '82', '84', '86', '90', '91', '92', '93', '94',
+    '95', '98'
+  ];
+
+  const COUNTRY_BY_CODE = {
+    '1': 'NANP', '34': 'ES', '44': 'GB', '49': 'DE', '52': 'MX', '54': 'AR', '55': 'BR',
+    '56': 'CL', '57': 'CO', '51': 'PE', '33': 'FR', '39': 'IT', '81': 'JP', '86': 'CN',
+    '82': 'KR', '502': 'GT', '503': 'SV', '504': 'HN', '505': 'NI', '506': 'CR', '507': 'PA',
+    '593': 'EC', '58': 'VE', '53': 'CU', '591': 'BO', '595': 'PY', '598': 'UY'
+  };
+
+  const MESSAGES = {
+    empty: 'El teléfono es requerido',
+    characters: 'El teléfono solo puede contener dígitos, espacios, guiones, paréntesis y +',
+    mxLength: 'El teléfono de México debe tener 10 dígitos (lada + número)',
+    mxArea: 'La lada del teléfono no es válida para México',
+    nanp: 'El teléfono de EE. UU./Canadá debe tener 10 dígitos después de +1',
+    countryCode: 'El código de país del teléfono no es válido',
+    length: 'El teléfono internacional debe tener entre 8 y 15 dígitos'
+  };
+
+  function fail(reason) {
+    return { valid: false, reason, error: MESSAGES[reason] };
+  }
+
+  function splitCountryCode(digits) {
+    if (digits[0] === '1' || digits[0] === '7') return digits[0];
+    if (TWO_DIGIT_COUNTRY_CODES.includes(digits.slice(0, 2))) return digits.slice(0, 2);
+    return digits.slice(0, 3);
+  }
+
+  function mxAreaLength(nationalNumber) {
+    return MX_TWO_DIGIT_AREAS.includes(nationalNumber.slice(0, 2)) ? 2 : 3;
+  }
+
+  // "+52 55 1234 5678" / "+52 614 123 4567"
+  function formatMexican(nationalNumber) {
+    const areaLength = mxAreaLength(nationalNumber);
+    const area = nationalNumber.slice(0, areaLength);
+    const rest = nationalNumber.slice(areaLength);
+    const middle = rest.length - 4;
+    return `+52 ${area} ${rest.slice(0, middle)} ${rest.slice(middle)}`;
+  }
+
+  // Números de México: 10 dígitos desde 2019 (sin 044/045/01 ni el "1" móvil tras +52)
+  function parseMexican(digits, { hadMobilePrefix = false } = {}) {
+    let nationalNumber = digits;
+
+    // +52 1 55 1234 5678 (prefijo móvil antiguo)
+    if (nationalNumber.length === 11 && nationalNumber[0] === '1') {
+      nationalNumber = nationalNumber.slice(1);
+      hadMobilePrefix = true;
+    }
+
+    if (nationalNumber.length !== 10) return fail('mxLength');
+
+    // Ninguna lada empieza con 0 o 1; con 5 solo existen 55 y 56
+    if (/^[01]/.test(nationalNumber)) return fail('mxArea');
+    if (nationalNumber[0] === '5' && !MX_TWO_DIGIT_AREAS.includes(nationalNumber.slice(0, 2))) {
+      return fail('mxArea');
+    }
+
+    let type = 'geographic';
+    if (/^800/.test(nationalNumber)) type = 'toll_free';
+    else if (/^900/.test(nationalNumber)) type = 'premium';
+    else if (hadMobilePrefix) type = 'mobile';
+
+    return {
+      valid: true,
+      country: 'MX',
+      countryCode: MX_CODE,
+      nationalNumber,
+      e164: `+${MX_CODE}${nationalNumber}`,
+      local: nationalNumber,
+      international: formatMexican(nationalNumber),
+      type
+    };
+  }
+
+  function parseInternational(digits) {
+    const countryCode = splitCountryCode(digits);
+    const nationalNumber = digits.slice(countryCode.length);
+
+    if (countryCode === MX_CODE) return parseMexican(nationalNumber);
+    if (countryCode[0] === '0') return fail('countryCode');
+
+    if (countryCode === '1') {
+      if (!/^[2-9]\d{2}[2-9]\d{6}$/.test(nationalNumber)) return fail('nanp');
+    } else if (digits.length < 8 || digits.length > 15) {
+      return fail('length');
+    }
+
+    return {
+      valid: true,
+      country: COUNTRY_BY_CODE[countryCode] || null,
+      countryCode,
+      nationalNumber,
+      e164: `+${digits}`,
+      local: nationalNumber,
+      international: `+${countryCode} ${nationalNumber}`,
+      type: 'unknown'
+    };
+  }
+
+  // Acepta formatos nacionales (55 1234 5678, 044 55…, 01 55…) e internacionales
+  // (+52…, 0052…, +1 212…). Sin código de país se asume México.
+  function parsePhone(input) {
+    const raw = String(input === null || input === undefined ? '' : input).trim();
+    if (!raw || raw === '+' || raw === '+52') return fail('empty');
+
+    // Solo dígitos y separadores habituales (sin letras ni extensiones)
+    if (!/^\+?[\d\s\-().]+$/.test(raw)) return fail('characters');
+
+    const digits = raw.replace(/\D/g, '');
+    if (!digits) return fail('empty');
+
+    if (raw.startsWith('+')) return parseInternational(digits);
+    if (digits.startsWith('00')) return parseInternational(digits.slice(2));
+
+    // Prefijos nacionales antiguos: 044/045 (móvil) y 01 (larga distancia)
+    if (/^04[45]\d{10}$/.test(digits)) return parseMexican(digits.slice(3), { hadMobilePrefix: true });
+    if (/^01\d{10}$/.test(digits)) return parseMexican(digits.slice(2));
+
+    // 52 55 1234 5678 escrito sin "+"
+    if (digits.length === 12 && digits.startsWith(MX_CODE)) return parseMexican(digits.slice(2));
+    if (digits.length === 13 && digits.startsWith(`${MX_CODE}1`)) return parseMexican(digits.slice(2));
+
+    return parseMexican(digits);
+  }
+
+  return {
+    MESSAGES,
+    parsePhone
+  };
+});
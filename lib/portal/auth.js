@@ -0,0 +1,159 @@
+// Acceso al portal de empresas con enlace por email (sin contraseñas)
+// 1. POST /portal/api/login { email }: si el email es usuario de una empresa activa se le
+//    manda un enlace de un solo uso que vence en 30 minutos (plantilla portal-login). La
+//    respuesta es la misma exista o no el email.
+// 2. El enlace abre /portal/?token=…; la interfaz lo canjea en POST /portal/api/session y
+//    recibe la cookie de sesión (HttpOnly, firmada con PORTAL_SESSION_SECRET, dura
+//    PORTAL_SESSION_HOURS).
+// Cada petición vuelve a leer la empresa: quitar al usuario o desactivar la empresa corta
+// las sesiones abiertas. Sin PORTAL_SESSION_SECRET el portal queda deshabilitado.
+// Los mensajes para quien usa el portal salen del catálogo (api.portal.*) en el idioma de la
+// petición; los motivos de configuración van en las advertencias del arranque (lib/config).
+
+const crypto = require('crypto');
+const { createJsonStore } = require('../store/jsonFile');
+const { getCrmProvider } = require('../crm');
+const { renderEmail } = require('../email');
+const { findEmployerByUser, getEmployer, PortalError } = require('./roster');
+const { getConfig } = require('../config');
+const { readCookie, t } = require('../i18n');
+const { child } = require('../logger');
+
+const logger = child({ module: 'portal' });
+
+const store = createJsonStore('portal-logins.json', []);
+
+const SESSION_COOKIE = 'rxlab_portal';
+const LOGIN_TTL_MINUTES = 30;
+const PORTAL_PATH = '/portal/';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', getConfig().portal.sessionSecret).update(payload).digest('base64url');
+}
+
+// =========================
+// ENLACE DE ACCESO
+// =========================
+
+// Sin SITE_URL no hay con qué armar el enlace: el acceso queda deshabilitado
+async function requestLogin(email, { siteUrl = null, locale, now = Date.now(), provider = getCrmProvider() } = {}) {
+  if (!siteUrl) throw new PortalError(t('api.portal.loginUnavailable', {}, locale), 503);
+  const sent = { message: t('api.portal.loginSent', { minutes: LOGIN_TTL_MINUTES }, locale) };
+  const employer = await findEmployerByUser(email);
+  if (!employer) {
+    logger.info('Acceso al portal pedido por un email sin empresa');
+    return sent;
+  }
+
+  const user = employer.users.find((candidate) => candidate.email === String(email).trim().toLowerCase());
+  const token = crypto.randomBytes(32).toString('base64url');
+  await store.update((logins) => {
+    // Se aprovecha para olvidar los enlaces vencidos
+    const live = logins.filter((login) => Date.parse(login.expiresAt) > now);
+    logins.splice(0, logins.length, ...live, {
+      tokenHash: hashToken(token),
+      employerId: employer.id,
+      email: user.email,
+      expiresAt: new Date(now + LOGIN_TTL_MINUTES * 60 * 1000).toISOString()
+    });
+  });
+
+  await provider.sendNotification(renderEmail('portal-login', {
+    email: user.email,
+    name: user.name,
+    company: employer.company,
+    link: `${siteUrl}${PORTAL_PATH}?token=${token}`,
+    minutes: LOGIN_TTL_MINUTES
+  }, { locale: employer.locale }));
+  logger.info('Enlace de acceso al portal enviado', { employerId: employer.id });
+
+  return sent;
+}
+
+// Canjea el enlace (una sola vez) por el valor de la cookie de sesión
+async function openSession(token, { locale, now = Date.now() } = {}) {
+  const tokenHash = hashToken(token);
+  const login = token ? await store.update((logins) => {
+    const index = logins.findIndex((candidate) => (
+      Date.parse(candidate.expiresAt) > now &&
+      crypto.timingSafeEqual(Buffer.from(candidate.tokenHash), Buffer.from(tokenHash))
+    ));
+    return index === -1 ? null : logins.splice(index, 1)[0];
+  }) : null;
+  if (!login) throw new PortalError(t('api.portal.linkExpired', {}, locale), 401);
+
+  const expiresAt = now + getConfig().portal.sessionHours * 3600 * 1000;
+  const payload = Buffer.from(JSON.stringify({ employerId: login.employerId, email: login.email, exp: expiresAt })).toString('base64url');
+  logger.info('Sesión del portal iniciada', { employerId: login.employerId });
+  return { cookie: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+// Devuelve { employerId, email } o null si la cookie no es válida o venció
+function readSession(value, now = Date.now()) {
+  const [payload, signature] = String(value || '').split('.');
+  if (!payload || !signature) return null;
+  const expected = Buffer.from(sign(payload));
+  if (expected.length !== Buffer.from(signature).length || !crypto.timingSafeEqual(expected, Buffer.from(signature))) return null;
+  try {
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return session.exp > now ? session : null;
+  } catch {
+    return null;
+  }
+}
+
+// =========================
+// MIDDLEWARE
+// =========================
+
+function cookieOptions() {
+  return { httpOnly: true, sameSite: 'lax', secure: getConfig().isProduction, path: '/portal' };
+}
+
+function setSessionCookie(res, { cookie, expiresAt }) {
+  res.cookie(SESSION_COOKIE, cookie, { ...cookieOptions(), expires: new Date(expiresAt) });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, cookieOptions());
+}
+
+function requirePortalEnabled(req, res, next) {
+  if (!getConfig().portal.sessionSecret) {
+    return res.status(503).json({ ok: false, error: t('api.portal.disabled', {}, req.locale) });
+  }
+  next();
+}
+
+// Deja en req.employer la empresa y en req.portalUser el email de quien entró
+async function requireEmployer(req, res, next) {
+  try {
+    const session = readSession(readCookie(req.headers.cookie, SESSION_COOKIE));
+    const employer = session && await getEmployer(session.employerId);
+    const member = employer?.active && employer.users.some((user) => user.email === session.email);
+    if (!member) {
+      clearSessionCookie(res);
+      return res.status(401).json({ ok: false, error: t('api.portal.sessionEnded', {}, req.locale) });
+    }
+    req.employer = employer;
+    req.portalUser = session.email;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  requestLogin,
+  openSession,
+  readSession,
+  setSessionCookie,
+  clearSessionCookie,
+  requirePortalEnabled,
+  requireEmployer
+};
@@ -0,0 +1,171 @@
+// Portal de empresas (/portal): plantilla de trabajadores y vencimiento de sus exámenes
+// Las empresas las da de alta el equipo en /admin/api/employers; sus usuarios entran con un
+// enlace por email (ver auth.js). Solo corre con server.js (no hay adaptador de Vercel).
+//   GET   /portal                       Interfaz (lib/portal/public)
+//   POST  /portal/api/login             { email } → manda el enlace de acceso
+//   POST  /portal/api/session           { token } → abre la sesión (cookie)
+//   POST  /portal/api/logout            Cierra la sesión
+// Con sesión:
+//   GET   /portal/api/me                Empresa, servicios con seguimiento y columnas del CSV
+//   GET   /portal/api/workers           Trabajadores con su seguimiento; filtros status, inactive=1
+//   POST  /portal/api/workers           Alta { employeeNumber, name, position, area, email, services }
+//   PATCH /portal/api/workers/:id       Edición; { active: false } es la baja
+//   POST  /portal/api/workers/import    CSV (text/csv) con alta o actualización por número de empleado
+//   GET   /portal/api/sorteo            Programa antidoping, universo actual e historial (lib/sorteo)
+//   PUT   /portal/api/sorteo/program    { percentage, frequency, area }
+//   POST  /portal/api/sorteo/draws      Sortea el periodo actual { seed } (semilla opcional)
+//   GET   /portal/api/sorteo/draws/:id.pdf     Acta en PDF
+//   GET   /portal/api/sorteo/draws/:id/verify  Firma y reproducción del sorteo
+//   GET   /portal/api/custody/samples   Seguimiento de muestras con cadena de custodia (lib/custody);
+//         sin resultados: esos llegan por enlace al contacto autorizado
+
+const express = require('express');
+const path = require('path');
+const roster = require('./roster');
+const auth = require('./auth');
+const sorteo = require('../sorteo');
+const { renderDrawPdf, fileNameFor } = require('../sorteo/pdf');
+const custody = require('../custody');
+const { getConfig } = require('../config');
+const { localized, t } = require('../i18n');
+const { child } = require('../logger');
+
+const logger = child({ module: 'portal' });
+
+// Envuelve handlers async y traduce errores con status a respuestas JSON
+function asyncRoute(handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ ok: false, error: error.message, fields: error.fields || undefined });
+      }
+      logger.error('Error en el portal de empresas', { path: req.path, error });
+      res.status(500).json({ ok: false, error: t('api.internalError', {}, req.locale) });
+    }
+  };
+}
+
+// Cuántos exámenes hay en cada estado (tarjetas de resumen del portal)
+function summarize(workers) {
+  const summary = Object.fromEntries(roster.STATUSES.map((status) => [status, 0]));
+  for (const worker of workers) {
+    for (const entry of worker.tracking) summary[entry.status]++;
+  }
+  return summary;
+}
+
+function createPortalRouter() {
+  const router = express.Router();
+
+  router.use(auth.requirePortalEnabled);
+
+  // La interfaz usa rutas relativas: /portal → /portal/
+  router.get('/', (req, res, next) => {
+    if (!req.originalUrl.split('?')[0].endsWith('/')) {
+      return res.redirect(301, `${req.baseUrl}/${req.originalUrl.slice(req.baseUrl.length)}`);
+    }
+    next();
+  });
+
+  router.post('/api/login', asyncRoute(async (req, res) => {
+    // El enlace sale de SITE_URL, nunca del Host: quien pide el acceso no elige a dónde va el token
+    res.json({ ok: true, ...await auth.requestLogin(req.body?.email, { siteUrl: getConfig().site.url, locale: req.locale }) });
+  }));
+
+  router.post('/api/session', asyncRoute(async (req, res) => {
+    auth.setSessionCookie(res, await auth.openSession(String(req.body?.token || ''), { locale: req.locale }));
+    res.json({ ok: true });
+  }));
+
+  router.post('/api/logout', (req, res) => {
+    auth.clearSessionCookie(res);
+    res.json({ ok: true });
+  });
+
+  router.use('/api', auth.requireEmployer);
+
+  router.get('/api/me', (req, res) => {
+    const { company, locale, users } = req.employer;
+    res.json({
+      ok: true,
+      user: req.portalUser,
+      employer: { company, locale, users },
+      services: roster.TRACKED_SERVICES.map((service) => ({
+        slug: service.slug,
+        title: localized(service.title, 'es'),
+        validityMonths: service.tracking.validityMonths
+      })),
+      aptitudes: roster.APTITUDES,
+      reminderDays: getConfig().portal.reminderDays,
+      csvColumns: Object.values(roster.WORKER_LABELS)
+    });
+  });
+
+  router.get('/api/workers', asyncRoute(async (req, res) => {
+    const workers = await roster.listWorkers(req.employer.id, {
+      includeInactive: req.query.inactive === '1',
+      status: roster.STATUSES.includes(req.query.status) ? req.query.status : undefined
+    });
+    res.json({ ok: true, count: workers.length, summary: summarize(workers), workers });
+  }));
+
+  router.post('/api/workers', asyncRoute(async (req, res) => {
+    const worker = await roster.createWorker(req.employer.id, req.body || {}, { user: req.portalUser });
+    res.status(201).json({ ok: true, worker });
+  }));
+
+  router.patch('/api/workers/:id', asyncRoute(async (req, res) => {
+    const worker = await roster.updateWorker(req.employer.id, req.params.id, req.body || {}, { user: req.portalUser });
+    res.json({ ok: true, worker });
+  }));
+
+  router.post('/api/workers/import', express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), asyncRoute(async (req, res) => {
+    const result = await roster.importWorkers(req.employer.id, typeof req.body === 'string' ? req.body : '', { user: req.portalUser });
+    logger.info('Plantilla importada en el portal', { employerId: req.employer.id, created: result.created, updated: result.updated, errors: result.errors.length });
+    res.json({ ok: true, ...result });
+  }));
+
+  router.get('/api/sorteo', asyncRoute(async (req, res) => {
+    const program = await sorteo.getProgram(req.employer.id);
+    res.json({
+      ok: true,
+      program,
+      frequencies: Object.keys(sorteo.FREQUENCIES),
+      population: (await sorteo.populationFor(req.employer.id, program)).length,
+      draws: await sorteo.listDraws(req.employer.id)
+    });
+  }));
+
+  router.put('/api/sorteo/program', asyncRoute(async (req, res) => {
+    res.json({ ok: true, program: await sorteo.saveProgram(req.employer.id, req.body || {}, { user: req.portalUser }) });
+  }));
+
+  router.post('/api/sorteo/draws', asyncRoute(async (req, res) => {
+    const draw = await sorteo.runDraw(req.employer, { seed: req.body?.seed, user: req.portalUser });
+    res.status(201).json({ ok: true, draw });
+  }));
+
+  router.get('/api/sorteo/draws/:id.pdf', asyncRoute(async (req, res) => {
+    const draw = await sorteo.getDraw(req.params.id, { employerId: req.employer.id });
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${fileNameFor(draw)}"`);
+    res.send(await renderDrawPdf(draw));
+  }));
+
+  router.get('/api/sorteo/draws/:id/verify', asyncRoute(async (req, res) => {
+    const draw = await sorteo.getDraw(req.params.id, { employerId: req.employer.id });
+    res.json({ ok: true, folio: draw.folio, ...sorteo.verifyDraw(draw) });
+  }));
+
+  router.get('/api/custody/samples', asyncRoute(async (req, res) => {
+    res.json({ ok: true, states: custody.STATES, samples: await custody.listSamplesForEmployer(req.employer.id) });
+  }));
+
+  router.use(express.static(path.join(__dirname, 'public')));
+
+  return router;
+}
+
+module.exports = { createPortalRouter };
@@ -0,0 +1,440 @@
+// Interfaz del portal de empresas
+// Sin sesión muestra el acceso por email; el enlace del email trae ?token=, que se canjea en
+// api/session por la cookie y se quita de la barra de direcciones. Con sesión consume
+// api/me y api/workers (la tabla lleva una columna por servicio con seguimiento) y
+// api/sorteo (programa antidoping e historial de sorteos con sus actas) y
+// api/custody/samples (en qué paso va cada muestra; el resultado llega por email al contacto autorizado).
+
+const messageBox = document.getElementById("message");
+const loginPanel = document.getElementById("login");
+const app = document.getElementById("app");
+const filtersForm = document.getElementById("filters");
+const statusFilter = document.getElementById("statusFilter");
+const cards = document.getElementById("cards");
+const summary = document.getElementById("summary");
+const workersHead = document.getElementById("workersHead");
+const workersBody = document.getElementById("workersBody");
+const workerPanel = document.getElementById("workerPanel");
+const workerForm = document.getElementById("workerForm");
+const importForm = document.getElementById("importForm");
+const importErrors = document.getElementById("importErrors");
+
+const STATUS_LABELS = {
+  vencido: "Vencido",
+  por_vencer: "Por vencer",
+  vigente: "Vigente",
+  sin_examen: "Sin examen"
+};
+
+const APTITUDE_LABELS = {
+  apto: "Apto",
+  apto_con_restricciones: "Apto con restricciones",
+  no_apto: "No apto"
+};
+
+let profile = null;
+let workers = [];
+let editingId = null;
+
+function showMessage(text, isError) {
+  messageBox.hidden = !text;
+  messageBox.className = isError ? "message error" : "message";
+  messageBox.textContent = text || "";
+}
+
+async function api(path, options = {}) {
+  const response = await fetch(`api/${path}`, {
+    credentials: "same-origin",
+    ...options,
+    headers: { "Content-Type": "application/json", ...options.headers }
+  });
+  const data = await response.json().catch(() => ({ ok: false, error: "Respuesta inválida del servidor" }));
+  if (response.status === 401 && path !== "session") {
+    showLogin();
+  }
+  if (!data.ok) throw new Error(data.error || "Error inesperado");
+  return data;
+}
+
+function formatDate(day) {
+  if (!day) return "—";
+  return new Date(`${day}T12:00:00Z`).toLocaleDateString("es-MX", { day: "numeric", month: "short", year: "numeric", timeZone: "UTC" });
+}
+
+function badge(text, key) {
+  const span = document.createElement("span");
+  span.className = `badge badge-${key}`;
+  span.textContent = text;
+  return span;
+}
+
+function cell(content) {
+  const td = document.createElement("td");
+  if (content instanceof Node) td.append(content);
+  else td.textContent = content || "";
+  return td;
+}
+
+function showLogin() {
+  app.hidden = true;
+  loginPanel.hidden = false;
+}
+
+// =========================
+// TABLA
+// =========================
+
+function renderCards(counts) {
+  cards.replaceChildren(...Object.keys(STATUS_LABELS).map((status) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = `card badge-${status}`;
+    button.innerHTML = "<strong></strong>";
+    button.firstChild.textContent = counts[status];
+    button.append(STATUS_LABELS[status]);
+    button.addEventListener("click", () => {
+      statusFilter.value = status;
+      loadWorkers();
+    });
+    return button;
+  }));
+}
+
+function renderHead() {
+  const labels = ["No.", "Nombre", "Puesto / área", ...profile.services.map((service) => service.title), "Aptitud", ""];
+  workersHead.replaceChildren(...labels.map((label) => {
+    const th = document.createElement("th");
+    th.textContent = label;
+    return th;
+  }));
+}
+
+function trackingCell(worker, service) {
+  const td = document.createElement("td");
+  const entry = worker.tracking.find((candidate) => candidate.service === service.slug);
+  if (!entry) {
+    td.textContent = "—";
+    return td;
+  }
+  td.append(badge(STATUS_LABELS[entry.status], entry.status));
+  if (entry.lastExam) {
+    const dates = document.createElement("div");
+    dates.className = "dates";
+    dates.textContent = `Último: ${formatDate(entry.lastExam.date)} · Vence: ${formatDate(entry.dueDate)}`;
+    td.append(dates);
+  }
+  return td;
+}
+
+function actionsCell(worker) {
+  const td = document.createElement("td");
+  const edit = document.createElement("button");
+  edit.type = "button";
+  edit.textContent = "Editar";
+  edit.addEventListener("click", () => openWorker(worker));
+
+  const toggle = document.createElement("button");
+  toggle.type = "button";
+  toggle.textContent = worker.active ? "Dar de baja" : "Reactivar";
+  toggle.addEventListener("click", async () => {
+    if (worker.active && !confirm(`¿Dar de baja a ${worker.name}? Su historial se conserva.`)) return;
+    try {
+      await api(`workers/${worker.id}`, { method: "PATCH", body: JSON.stringify({ active: !worker.active }) });
+      loadWorkers();
+    } catch (error) {
+      showMessage(error.message, true);
+    }
+  });
+  td.append(edit, toggle);
+  return td;
+}
+
+function renderWorkers() {
+  workersBody.replaceChildren(...workers.map((worker) => {
+    const tr = document.createElement("tr");
+    if (!worker.active) tr.className = "inactive";
+    const aptitude = worker.aptitude ? badge(APTITUDE_LABELS[worker.aptitude], worker.aptitude) : "—";
+    tr.append(
+      cell(worker.employeeNumber),
+      cell(worker.name),
+      cell([worker.position, worker.area].filter(Boolean).join(" / ")),
+      ...profile.services.map((service) => trackingCell(worker, service)),
+      cell(aptitude),
+      actionsCell(worker)
+    );
+    return tr;
+  }));
+}
+
+async function loadWorkers() {
+  const params = new URLSearchParams();
+  new FormData(filtersForm).forEach((value, key) => {
+    if (value) params.set(key, value);
+  });
+  try {
+    const data = await api(`workers?${params}`);
+    workers = data.workers;
+    renderCards(data.summary);
+    summary.textContent = `${data.count} trabajadores · se avisa por email ${profile.reminderDays} días antes de cada vencimiento`;
+    renderWorkers();
+  } catch (error) {
+    showMessage(error.message, true);
+  }
+}
+
+// =========================
+// ALTA, EDICIÓN E IMPORTACIÓN
+// =========================
+
+function renderServicesField() {
+  const field = document.getElementById("servicesField");
+  field.replaceChildren(...profile.services.map((service) => {
+    const label = document.createElement("label");
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.name = "services";
+    input.value = service.slug;
+    label.append(input, `${service.title} (cada ${service.validityMonths} meses)`);
+    return label;
+  }));
+}
+
+function openWorker(worker) {
+  editingId = worker ? worker.id : null;
+  document.getElementById("workerTitle").textContent = worker ? `Editar a ${worker.name}` : "Agregar trabajador";
+  workerForm.reset();
+  for (const name of ["employeeNumber", "name", "position", "area", "email"]) {
+    workerForm.elements[name].value = worker ? worker[name] || "" : "";
+  }
+  const selected = worker ? worker.services : ["examen-periodico"];
+  workerForm.querySelectorAll('input[name="services"]').forEach((input) => {
+    input.checked = selected.includes(input.value);
+  });
+  workerPanel.hidden = false;
+  workerPanel.scrollIntoView({ behavior: "smooth" });
+}
+
+workerForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const data = new FormData(workerForm);
+  const body = {
+    employeeNumber: data.get("employeeNumber"),
+    name: data.get("name"),
+    position: data.get("position"),
+    area: data.get("area"),
+    email: data.get("email"),
+    services: data.getAll("services")
+  };
+  try {
+    if (editingId) {
+      await api(`workers/${editingId}`, { method: "PATCH", body: JSON.stringify(body) });
+    } else {
+      await api("workers", { method: "POST", body: JSON.stringify(body) });
+    }
+    workerPanel.hidden = true;
+    showMessage("Trabajador guardado.");
+    loadWorkers();
+  } catch (error) {
+    showMessage(error.message, true);
+  }
+});
+
+document.getElementById("newWorker").addEventListener("click", () => openWorker(null));
+document.getElementById("cancelWorker").addEventListener("click", () => {
+  workerPanel.hidden = true;
+});
+
+importForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const file = importForm.elements.file.files[0];
+  if (!file) return;
+  importErrors.replaceChildren();
+  try {
+    const result = await api("workers/import", { method: "POST", headers: { "Content-Type": "text/csv" }, body: await file.text() });
+    showMessage(`Plantilla cargada: ${result.created} altas, ${result.updated} actualizados${result.errors.length ? `, ${result.errors.length} filas con error` : ""}.`, result.errors.length > 0);
+    importErrors.replaceChildren(...result.errors.map((entry) => {
+      const li = document.createElement("li");
+      li.textContent = `Línea ${entry.line}: ${entry.error}`;
+      return li;
+    }));
+    importForm.reset();
+    loadWorkers();
+  } catch (error) {
+    showMessage(error.message, true);
+  }
+});
+
+filtersForm.addEventListener("change", loadWorkers);
+
+// =========================
+// SORTEO ANTIDOPING
+// =========================
+
+const programForm = document.getElementById("programForm");
+const drawForm = document.getElementById("drawForm");
+const drawsBody = document.getElementById("drawsBody");
+
+function formatTimestamp(iso) {
+  return new Date(iso).toLocaleString("es-MX", { dateStyle: "medium", timeStyle: "short", timeZone: "America/Mexico_City" });
+}
+
+function drawRow(draw) {
+  const tr = document.createElement("tr");
+  const selected = draw.selected.map((worker) => `${worker.employeeNumber} ${worker.name}`).join("\n");
+  const td = document.createElement("td");
+  const pdf = document.createElement("a");
+  pdf.href = `api/sorteo/draws/${draw.id}.pdf`;
+  pdf.textContent = "Acta PDF";
+  const verify = document.createElement("button");
+  verify.type = "button";
+  verify.textContent = "Verificar";
+  verify.addEventListener("click", async () => {
+    try {
+      const check = await api(`sorteo/draws/${draw.id}/verify`);
+      const valid = check.signatureValid && check.populationHashValid && check.reproducible;
+      showMessage(valid ? `${check.folio}: firma válida y el sorteo se reproduce igual.` : `${check.folio}: el acta no coincide con su firma.`, !valid);
+    } catch (error) {
+      showMessage(error.message, true);
+    }
+  });
+  td.append(pdf, " ", verify);
+
+  const count = cell(String(draw.selected.length));
+  count.title = selected;
+  tr.append(cell(draw.folio), cell(draw.period), cell(formatTimestamp(draw.drawnAt)), cell(String(draw.populationSize)), count, cell(draw.seed), td);
+  return tr;
+}
+
+async function loadSorteo() {
+  try {
+    const data = await api("sorteo");
+    const frequency = document.getElementById("frequencyField");
+    if (!frequency.options.length) data.frequencies.forEach((value) => frequency.add(new Option(value, value)));
+    programForm.elements.percentage.value = data.program.percentage;
+    programForm.elements.frequency.value = data.program.frequency;
+    programForm.elements.area.value = data.program.area;
+    document.getElementById("sorteoSummary").textContent = `Universo actual: ${data.population} trabajadores`;
+    drawsBody.replaceChildren(...data.draws.map(drawRow));
+  } catch (error) {
+    showMessage(error.message, true);
+  }
+}
+
+programForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const data = new FormData(programForm);
+  try {
+    await api("sorteo/program", {
+      method: "PUT",
+      body: JSON.stringify({ percentage: data.get("percentage"), frequency: data.get("frequency"), area: data.get("area") })
+    });
+    showMessage("Programa guardado.");
+    loadSorteo();
+  } catch (error) {
+    showMessage(error.message, true);
+  }
+});
+
+drawForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  if (!confirm("El sorteo del periodo solo se puede hacer una vez. ¿Sortear ahora?")) return;
+  try {
+    const { draw } = await api("sorteo/draws", { method: "POST", body: JSON.stringify({ seed: drawForm.elements.seed.value }) });
+    showMessage(`Sorteo ${draw.folio}: ${draw.selected.length} seleccionados (${draw.selected.map((worker) => worker.name).join(", ")}).`);
+    drawForm.reset();
+    loadSorteo();
+  } catch (error) {
+    showMessage(error.message, true);
+  }
+});
+
+// =========================
+// CADENA DE CUSTODIA
+// =========================
+
+const CUSTODY_LABELS = {
+  collected: "Recolectada",
+  sealed: "Sellada",
+  shipped: "En camino al laboratorio",
+  analyzed: "Analizada",
+  mro_reviewed: "Revisada por el MRO",
+  delivered: "Resultado entregado"
+};
+
+async function loadCustody() {
+  try {
+    const { samples } = await api("custody/samples");
+    document.getElementById("custodyPanel").hidden = !samples.length;
+    document.getElementById("custodyBody").replaceChildren(...samples.map((sample) => {
+      const tr = document.createElement("tr");
+      const last = sample.history[sample.history.length - 1];
+      tr.append(
+        cell(sample.folio),
+        cell([sample.donor.employeeNumber, sample.donor.name].filter(Boolean).join(" ")),
+        cell(`${sample.panel} elementos`),
+        cell(sample.drawFolio || "—"),
+        cell(badge(CUSTODY_LABELS[sample.status], sample.status)),
+        cell(formatTimestamp(last.at))
+      );
+      return tr;
+    }));
+  } catch (error) {
+    showMessage(error.message, true);
+  }
+}
+
+// =========================
+// SESIÓN
+// =========================
+
+document.getElementById("loginForm").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const email = new FormData(e.target).get("email");
+  try {
+    const data = await api("login", { method: "POST", body: JSON.stringify({ email }) });
+    showMessage(data.message);
+  } catch (error) {
+    showMessage(error.message, true);
+  }
+});
+
+document.getElementById("logout").addEventListener("click", async () => {
+  await api("logout", { method: "POST" }).catch(() => {});
+  showMessage("Sesión cerrada.");
+  showLogin();
+});
+
+async function start() {
+  const params = new URLSearchParams(location.search);
+  const token = params.get("token");
+  if (token) {
+    history.replaceState(null, "", location.pathname);
+    try {
+      await api("session", { method: "POST", body: JSON.stringify({ token }) });
+    } catch (error) {
+      showMessage(error.message, true);
+    }
+  }
+
+  try {
+    profile = await api("me");
+  } catch (error) {
+    // Sin sesión ya quedó el acceso a la vista; otro error (portal deshabilitado) se muestra
+    if (loginPanel.hidden) showMessage(error.message, true);
+    return;
+  }
+
+  document.getElementById("company").textContent = profile.employer.company;
+  document.getElementById("user").textContent = profile.user;
+  document.getElementById("csvColumns").textContent = profile.csvColumns.join(", ");
+  Object.entries(STATUS_LABELS).forEach(([status, label]) => statusFilter.add(new Option(label, status)));
+  renderHead();
+  renderServicesField();
+  loginPanel.hidden = true;
+  app.hidden = false;
+  loadWorkers();
+  loadSorteo();
+  loadCustody();
+}
+
+start();
@@ -0,0 +1,119 @@
+// Recordatorios de exámenes por vencer o vencidos (plantilla portal-reminder)
+// Una vez por empresa y corrida, un resumen a cada usuario en el idioma de la empresa. Cada
+// examen se avisa una vez al entrar a por_vencer y otra al vencer: lo ya avisado queda en
+// data/portal-reminders.json con la clave trabajador:servicio:vencimiento:estado, así que
+// un examen nuevo (otro vencimiento) vuelve a avisarse en su momento.
+// server.js corre sendDueReminders cada hora (startPortalReminders) y POST
+// /admin/api/portal/reminders los manda en el momento. El portal no corre en Vercel.
+
+const { createJsonStore } = require('../store/jsonFile');
+const { getCrmProvider } = require('../crm');
+const { renderEmail } = require('../email');
+const { listEmployers, listWorkers } = require('./roster');
+const { getConfig } = require('../config');
+const { intlLocale } = require('../i18n');
+const { child } = require('../logger');
+
+const logger = child({ module: 'portal' });
+
+const store = createJsonStore('portal-reminders.json', []);
+
+const REMINDER_STAGES = ['por_vencer', 'vencido'];
+const POLL_INTERVAL_MS = 60 * 60 * 1000;
+
+function reminderKey(worker, entry) {
+  return `${worker.id}:${entry.service}:${entry.dueDate}:${entry.status}`;
+}
+
+function formatDate(day, locale) {
+  return new Date(`${day}T12:00:00Z`).toLocaleDateString(intlLocale(locale), {
+    day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC'
+  });
+}
+
+// Exámenes de la empresa que toca avisar y que no se han avisado en ese estado
+async function pendingReminders(employer, sent, now) {
+  const workers = await listWorkers(employer.id, { now });
+  const items = [];
+  for (const worker of workers) {
+    for (const entry of worker.tracking) {
+      if (!REMINDER_STAGES.includes(entry.status) || sent.has(reminderKey(worker, entry))) continue;
+      items.push({
+        key: reminderKey(worker, entry),
+        status: entry.status,
+        worker: worker.name,
+        employeeNumber: worker.employeeNumber,
+        service: entry.title,
+        dueDate: formatDate(entry.dueDate, employer.locale)
+      });
+    }
+  }
+  return items;
+}
+
+// Devuelve { employers, emails, exams }: empresas avisadas, emails enviados y exámenes incluidos
+async function sendDueReminders({ now = Date.now(), provider = getCrmProvider() } = {}) {
+  const sent = new Set((await store.read()).map((entry) => entry.key));
+  const employers = (await listEmployers()).filter((employer) => employer.active);
+  const portalUrl = getConfig().site.url ? `${getConfig().site.url}/portal/` : null;
+  const result = { employers: 0, emails: 0, exams: 0 };
+
+  for (const employer of employers) {
+    const items = await pendingReminders(employer, sent, now);
+    if (!items.length) continue;
+
+    try {
+      for (const user of employer.users) {
+        await provider.sendNotification(renderEmail('portal-reminder', {
+          email: user.email,
+          name: user.name,
+          company: employer.company,
+          count: items.length,
+          dueSoon: items.filter((item) => item.status === 'por_vencer'),
+          overdue: items.filter((item) => item.status === 'vencido'),
+          reminderDays: getConfig().portal.reminderDays,
+          portalUrl
+        }, { locale: employer.locale }));
+        result.emails++;
+      }
+    } catch (error) {
+      // Se reintenta en la siguiente corrida
+      logger.error('No se pudo enviar el recordatorio del portal', { employerId: employer.id, error });
+      continue;
+    }
+
+    await store.update((log) => {
+      const sentAt = new Date(now).toISOString();
+      log.push(...items.map((item) => ({ key: item.key, employerId: employer.id, sentAt })));
+    });
+    result.employers++;
+    result.exams += items.length;
+  }
+
+  if (result.emails) logger.info('Recordatorios del portal enviados', result);
+  return result;
+}
+
+function startPortalReminders(intervalMs = POLL_INTERVAL_MS) {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await sendDueReminders();
+    } catch (error) {
+      logger.error('Error en los recordatorios del portal', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  sendDueReminders,
+  startPortalReminders
+};
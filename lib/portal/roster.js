@@ -0,0 +1,432 @@
+// Plantilla de trabajadores de las empresas cliente y el seguimiento de sus exámenes
+// El seguimiento sale del catálogo de servicios (lib/quote/catalog.js): los servicios con
+// tracking son los que se le asignan a cada trabajador, y su validityMonths marca cuándo
+// vence el último examen. Datos en data/:
+//   employers.json       { id, company, locale, users: [{ email, name, results }], active }
+//                        results: usuario autorizado para recibir resultados de laboratorio
+//                        (enlaces de lib/custody)
+//   portal-workers.json  { id, employerId, employeeNumber, name, position, area, email,
+//                          services: [slug], active, exams: [{ service, date, aptitude, … }] }
+// Estado de cada servicio del trabajador (trackingFor):
+//   sin_examen   no hay examen registrado
+//   vigente      vence después de PORTAL_REMINDER_DAYS
+//   por_vencer   vence dentro de PORTAL_REMINDER_DAYS
+//   vencido      ya pasó la fecha
+// Los exámenes los registra el equipo desde el panel (/admin/api/employers); la empresa solo
+// mantiene la plantilla. Un trabajador dado de baja (active: false) conserva su historial.
+
+const crypto = require('crypto');
+const { createJsonStore } = require('../store/jsonFile');
+const { SERVICES } = require('../quote/catalog');
+const { FIELDS, validateField } = require('../contactForm');
+const { parseCsv } = require('../admin/csv');
+const { localParts } = require('../schedule');
+const { getConfig } = require('../config');
+const { LOCALES, DEFAULT_LOCALE, localized } = require('../i18n');
+
+const employerStore = createJsonStore('employers.json', []);
+const workerStore = createJsonStore('portal-workers.json', []);
+
+const TRACKED_SERVICES = SERVICES.filter((service) => service.tracking);
+const APTITUDES = ['apto', 'apto_con_restricciones', 'no_apto'];
+const STATUSES = ['sin_examen', 'vigente', 'por_vencer', 'vencido'];
+
+// Mismo desfase que la agenda de citas: el día de vencimiento es el de la Ciudad de México
+const UTC_OFFSET = '-06:00';
+const MAX_IMPORT_ROWS = 2000;
+const TEXT_LIMITS = { employeeNumber: 40, name: 120, position: 80, area: 80, restrictions: 500 };
+
+// Error de negocio con el status HTTP que debe ver el cliente
+class PortalError extends Error {
+  constructor(message, status = 400, fields = null) {
+    super(message);
+    this.name = 'PortalError';
+    this.status = status;
+    this.fields = fields;
+  }
+}
+
+function today(now = Date.now()) {
+  return localParts(new Date(now), UTC_OFFSET).date;
+}
+
+// 2025-01-31 + 1 mes → 2025-02-28 (el día se ajusta al último del mes)
+function addMonths(date, months) {
+  const [year, month, day] = date.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T12:00:00Z`) - Date.parse(`${from}T12:00:00Z`)) / 86400000);
+}
+
+function isDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(`${value}T12:00:00Z`)) &&
+    new Date(`${value}T12:00:00Z`).toISOString().slice(0, 10) === value;
+}
+
+function trackedService(slug) {
+  return TRACKED_SERVICES.find((service) => service.slug === slug);
+}
+
+// =========================
+// SEGUIMIENTO
+// =========================
+
+// Último examen del servicio (o de uno de sus startedBy) y su vencimiento
+function trackingFor(worker, service, { now = Date.now(), reminderDays = getConfig().portal.reminderDays, locale = DEFAULT_LOCALE } = {}) {
+  const related = [service.slug, ...(service.tracking.startedBy || [])];
+  const last = worker.exams
+    .filter((exam) => related.includes(exam.service))
+    .sort((a, b) => b.date.localeCompare(a.date))[0];
+  const base = { service: service.slug, title: localized(service.title, locale) };
+  if (!last) return { ...base, status: 'sin_examen', lastExam: null, dueDate: null, daysLeft: null };
+
+  const dueDate = addMonths(last.date, service.tracking.validityMonths);
+  const daysLeft = daysBetween(today(now), dueDate);
+  const status = daysLeft < 0 ? 'vencido' : daysLeft <= reminderDays ? 'por_vencer' : 'vigente';
+  return { ...base, status, lastExam: last, dueDate, daysLeft };
+}
+
+// Trabajador con su seguimiento por servicio, el próximo vencimiento y la última aptitud
+function withTracking(worker, options) {
+  const tracking = worker.services
+    .map(trackedService)
+    .filter(Boolean)
+    .map((service) => trackingFor(worker, service, options));
+  const dueDates = tracking.map((entry) => entry.dueDate).filter(Boolean).sort();
+  const latest = [...worker.exams].sort((a, b) => b.date.localeCompare(a.date))[0];
+  return {
+    ...worker,
+    tracking,
+    nextDueDate: dueDates[0] || null,
+    aptitude: latest?.aptitude || null
+  };
+}
+
+// =========================
+// EMPRESAS
+// =========================
+
+function normalizeUsers(users) {
+  if (!Array.isArray(users) || users.length === 0) {
+    throw new PortalError('Agrega al menos un usuario { email, name }', 400, { users: 'Requerido' });
+  }
+  const seen = new Set();
+  return users.map((user) => {
+    const email = validateField(FIELDS.find((field) => field.name === 'email'), String(user?.email || '').trim(), 'es', { required: true });
+    if (email.error) throw new PortalError(`Usuario inválido: ${email.error}`, 400, { users: email.error });
+    if (seen.has(email.value)) throw new PortalError(`Usuario repetido: ${email.value}`, 400, { users: 'Repetido' });
+    seen.add(email.value);
+    return {
+      email: email.value,
+      name: String(user.name || '').trim().slice(0, TEXT_LIMITS.name),
+      results: user.results === true
+    };
+  });
+}
+
+// Un email solo puede entrar a una empresa: el enlace de acceso no pregunta cuál
+async function assertUsersAvailable(users, employerId) {
+  const employers = await employerStore.read();
+  for (const user of users) {
+    const owner = employers.find((employer) => employer.id !== employerId && employer.users.some((candidate) => candidate.email === user.email));
+    if (owner) throw new PortalError(`${user.email} ya es usuario de ${owner.company}`, 409, { users: 'En uso' });
+  }
+}
+
+function readEmployerFields(body, current = {}) {
+  const fields = {};
+  if (body.company !== undefined || !current.company) {
+    const company = String(body.company || '').trim().slice(0, TEXT_LIMITS.name);
+    if (!company) throw new PortalError('La empresa es requerida', 400, { company: 'Requerido' });
+    fields.company = company;
+  }
+  if (body.locale !== undefined) {
+    if (!LOCALES.includes(body.locale)) throw new PortalError(`Idioma inválido. Usa: ${LOCALES.join(', ')}`);
+    fields.locale = body.locale;
+  }
+  if (body.users !== undefined || !current.users) fields.users = normalizeUsers(body.users);
+  if (body.active !== undefined) fields.active = Boolean(body.active);
+  return fields;
+}
+
+async function createEmployer(body = {}, { user = null } = {}) {
+  const fields = readEmployerFields(body);
+  await assertUsersAvailable(fields.users);
+  const employer = {
+    id: crypto.randomUUID(),
+    locale: DEFAULT_LOCALE,
+    active: true,
+    ...fields,
+    createdBy: user,
+    createdAt: new Date().toISOString()
+  };
+  await employerStore.update((employers) => {
+    employers.push(employer);
+  });
+  return employer;
+}
+
+async function updateEmployer(id, body = {}) {
+  const employer = await getEmployer(id);
+  if (!employer) throw new PortalError('Empresa no encontrada', 404);
+  const fields = readEmployerFields(body, employer);
+  if (fields.users) await assertUsersAvailable(fields.users, id);
+  return employerStore.update((employers) => {
+    const stored = employers.find((candidate) => candidate.id === id);
+    Object.assign(stored, fields, { updatedAt: new Date().toISOString() });
+    return stored;
+  });
+}
+
+async function listEmployers() {
+  const [employers, workers] = await Promise.all([employerStore.read(), workerStore.read()]);
+  return employers
+    .map((employer) => ({
+      ...employer,
+      workers: workers.filter((worker) => worker.employerId === employer.id && worker.active).length
+    }))
+    .sort((a, b) => a.company.localeCompare(b.company, 'es'));
+}
+
+async function getEmployer(id) {
+  return (await employerStore.read()).find((employer) => employer.id === id) || null;
+}
+
+// Empresa activa a la que pertenece el email (acceso al portal)
+async function findEmployerByUser(email) {
+  const normalized = String(email || '').trim().toLowerCase();
+  const employers = await employerStore.read();
+  return employers.find((employer) => employer.active && employer.users.some((user) => user.email === normalized)) || null;
+}
+
+// =========================
+// TRABAJADORES
+// =========================
+
+function readText(body, name, { required = false } = {}) {
+  const value = String(body[name] ?? '').trim();
+  if (required && !value) throw new PortalError(`${WORKER_LABELS[name]} es requerido`, 400, { [name]: 'Requerido' });
+  if (value.length > TEXT_LIMITS[name]) {
+    throw new PortalError(`${WORKER_LABELS[name]}: máximo ${TEXT_LIMITS[name]} caracteres`, 400, { [name]: 'Muy largo' });
+  }
+  return value;
+}
+
+function readServices(raw) {
+  const list = Array.isArray(raw) ? raw : String(raw || '').split(/[|;]/);
+  const services = [];
+  for (const item of list.map((value) => String(value).trim()).filter(Boolean)) {
+    const service = TRACKED_SERVICES.find((candidate) => (
+      candidate.slug === item || Object.values(candidate.title).some((title) => title.toLowerCase() === item.toLowerCase())
+    ));
+    if (!service) {
+      throw new PortalError(`Servicio sin seguimiento: ${item}. Usa: ${TRACKED_SERVICES.map((candidate) => candidate.slug).join(', ')}`, 400, { services: 'Inválido' });
+    }
+    if (!services.includes(service.slug)) services.push(service.slug);
+  }
+  if (!services.length) throw new PortalError('Elige al menos un servicio', 400, { services: 'Requerido' });
+  return services;
+}
+
+// Campos que manda la empresa; en una edición solo se validan los que vienen
+function readWorkerFields(body, { partial = false } = {}) {
+  const fields = {};
+  for (const name of ['employeeNumber', 'name', 'position', 'area']) {
+    if (partial && body[name] === undefined) continue;
+    fields[name] = readText(body, name, { required: name === 'employeeNumber' || name === 'name' });
+  }
+  if (!partial || body.email !== undefined) {
+    const email = validateField(FIELDS.find((field) => field.name === 'email'), String(body.email || '').trim(), 'es', { required: false });
+    if (email.error) throw new PortalError(email.error, 400, { email: email.error });
+    fields.email = email.value;
+  }
+  if (!partial || body.services !== undefined) {
+    fields.services = body.services === undefined ? ['examen-periodico'] : readServices(body.services);
+  }
+  if (body.active !== undefined) fields.active = body.active !== false && body.active !== 'false';
+  return fields;
+}
+
+function assertUniqueNumber(workers, employerId, employeeNumber, id = null) {
+  const taken = workers.some((worker) => worker.employerId === employerId && worker.id !== id && worker.employeeNumber === employeeNumber);
+  if (taken) throw new PortalError(`Ya hay un trabajador con el número ${employeeNumber}`, 409, { employeeNumber: 'En uso' });
+}
+
+function newWorker(employerId, fields, user) {
+  return {
+    id: crypto.randomUUID(),
+    employerId,
+    position: '',
+    area: '',
+    email: null,
+    active: true,
+    ...fields,
+    exams: [],
+    createdBy: user,
+    createdAt: new Date().toISOString()
+  };
+}
+
+// includeInactive: también los dados de baja; status: filtra por el estado de algún servicio
+async function listWorkers(employerId, { includeInactive = false, status, now } = {}) {
+  const employer = await getEmployer(employerId);
+  const options = { now, locale: employer?.locale };
+  return (await workerStore.read())
+    .filter((worker) => worker.employerId === employerId && (includeInactive || worker.active))
+    .map((worker) => withTracking(worker, options))
+    .filter((worker) => !status || worker.tracking.some((entry) => entry.status === status))
+    .sort((a, b) => a.name.localeCompare(b.name, 'es'));
+}
+
+async function createWorker(employerId, body = {}, { user = null } = {}) {
+  const fields = readWorkerFields(body);
+  const worker = await workerStore.update((workers) => {
+    assertUniqueNumber(workers, employerId, fields.employeeNumber);
+    const created = newWorker(employerId, fields, user);
+    workers.push(created);
+    return created;
+  });
+  return withTracking(worker);
+}
+
+async function updateWorker(employerId, id, body = {}, { user = null } = {}) {
+  const fields = readWorkerFields(body, { partial: true });
+  const worker = await workerStore.update((workers) => {
+    const stored = workers.find((candidate) => candidate.id === id && candidate.employerId === employerId);
+    if (!stored) throw new PortalError('Trabajador no encontrado', 404);
+    if (fields.employeeNumber) assertUniqueNumber(workers, employerId, fields.employeeNumber, id);
+    Object.assign(stored, fields, { updatedBy: user, updatedAt: new Date().toISOString() });
+    return stored;
+  });
+  return withTracking(worker);
+}
+
+// Encabezados de la plantilla CSV (los mismos que muestra el portal) → campo
+const WORKER_LABELS = {
+  employeeNumber: 'Número de empleado',
+  name: 'Nombre',
+  position: 'Puesto',
+  area: 'Área',
+  email: 'Email',
+  services: 'Servicios',
+  active: 'Activo'
+};
+
+// Sin acentos ni mayúsculas: "Número de empleado", "numero de empleado" o "employeeNumber"
+function plain(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+function headerKey(label) {
+  const normalized = plain(label);
+  return Object.keys(WORKER_LABELS).find((key) => key.toLowerCase() === normalized || plain(WORKER_LABELS[key]) === normalized);
+}
+
+// Alta o actualización por número de empleado. Las filas con error se reportan con su
+// número de línea y no detienen el resto; los trabajadores que no vienen no se tocan.
+async function importWorkers(employerId, csvText, { user = null } = {}) {
+  const [header, ...rows] = parseCsv(csvText);
+  const keys = (header || []).map(headerKey);
+  if (!keys.includes('employeeNumber') || !keys.includes('name')) {
+    throw new PortalError(`El CSV debe traer las columnas "${WORKER_LABELS.employeeNumber}" y "${WORKER_LABELS.name}"`);
+  }
+  if (rows.length > MAX_IMPORT_ROWS) throw new PortalError(`Máximo ${MAX_IMPORT_ROWS} trabajadores por archivo`, 413);
+
+  const parsed = [];
+  const errors = [];
+  rows.forEach((cells, index) => {
+    const body = {};
+    keys.forEach((key, column) => {
+      if (key) body[key] = cells[column] ?? '';
+    });
+    if (body.active !== undefined) body.active = !/^(no|false|0|baja)$/i.test(body.active.trim());
+    if (body.services !== undefined && !body.services.trim()) delete body.services;
+    try {
+      parsed.push(readWorkerFields(body, { partial: true }));
+    } catch (error) {
+      errors.push({ line: index + 2, error: error.message });
+    }
+  });
+
+  let created = 0;
+  let updated = 0;
+  // Si un número se repite en el archivo, la última fila es la que queda
+  await workerStore.update((workers) => {
+    for (const fields of parsed) {
+      const existing = workers.find((worker) => worker.employerId === employerId && worker.employeeNumber === fields.employeeNumber);
+      if (existing) {
+        Object.assign(existing, fields, { updatedBy: user, updatedAt: new Date().toISOString() });
+        updated++;
+      } else {
+        workers.push(newWorker(employerId, { services: ['examen-periodico'], ...fields }, user));
+        created++;
+      }
+    }
+  });
+
+  return { created, updated, errors };
+}
+
+// =========================
+// EXÁMENES
+// =========================
+
+// Resultado de un examen aplicado; lo registra el equipo desde el panel
+async function recordExam(employerId, workerId, body = {}, { user = null } = {}) {
+  const service = SERVICES.find((candidate) => candidate.slug === body.service);
+  const relevant = service && (service.tracking || TRACKED_SERVICES.some((tracked) => tracked.tracking.startedBy?.includes(service.slug)));
+  if (!relevant) {
+    throw new PortalError('Servicio sin seguimiento en el portal', 400, { service: 'Inválido' });
+  }
+  if (!isDate(body.date) || body.date > today()) {
+    throw new PortalError('Fecha inválida (AAAA-MM-DD, no futura)', 400, { date: 'Inválida' });
+  }
+  if (!APTITUDES.includes(body.aptitude)) {
+    throw new PortalError(`Aptitud inválida. Usa: ${APTITUDES.join(', ')}`, 400, { aptitude: 'Inválida' });
+  }
+  const restrictions = String(body.restrictions || '').trim().slice(0, TEXT_LIMITS.restrictions);
+  if (body.aptitude === 'apto_con_restricciones' && !restrictions) {
+    throw new PortalError('Describe las restricciones', 400, { restrictions: 'Requerido' });
+  }
+
+  const worker = await workerStore.update((workers) => {
+    const stored = workers.find((candidate) => candidate.id === workerId && candidate.employerId === employerId);
+    if (!stored) throw new PortalError('Trabajador no encontrado', 404);
+    stored.exams.push({
+      id: crypto.randomUUID(),
+      service: service.slug,
+      date: body.date,
+      aptitude: body.aptitude,
+      restrictions: restrictions || null,
+      recordedBy: user,
+      recordedAt: new Date().toISOString()
+    });
+    return stored;
+  });
+  return withTracking(worker);
+}
+
+module.exports = {
+  TRACKED_SERVICES,
+  APTITUDES,
+  STATUSES,
+  WORKER_LABELS,
+  PortalError,
+  addMonths,
+  trackingFor,
+  createEmployer,
+  updateEmployer,
+  listEmployers,
+  getEmployer,
+  findEmployerByUser,
+  listWorkers,
+  createWorker,
+  updateWorker,
+  importWorkers,
+  recordExam
+};
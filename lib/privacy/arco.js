@@ -0,0 +1,322 @@
+// Solicitudes ARCO (acceso, rectificación, cancelación, oposición) de la LFPDPPP
+// El formulario de /aviso-de-privacidad crea la solicitud; para confirmar que quien la hace
+// es el dueño del email se le manda un enlace de un solo uso que vence en 24 horas. Al
+// abrirlo, la página llama a verify y la solicitud se ejecuta:
+//   access          exporta lo que guardamos del email: leads, cuentas, citas, consentimientos
+//                   y el contacto del CRM
+//   rectification   corrige nombre, empresa o teléfono aquí y en el CRM
+//   cancellation    borra leads, fichas de las cuentas, citas, entradas del outbox,
+//                   consentimientos y el contacto del CRM
+//   opposition      revoca las finalidades secundarias: ACEPTA_PUBLICIDAD=false y el contacto
+//                   queda bloqueado para campañas en el CRM
+// Si el CRM falla, lo local ya quedó hecho y la solicitud pasa a needs_review para que el
+// equipo la termine a mano; el aviso interno (privacy-request-notification) lo indica.
+// Las solicitudes quedan en data/privacy-requests.json como constancia, con el hash del
+// token y nunca el token. La respuesta al crear es la misma exista o no el email.
+
+const crypto = require('crypto');
+const { createJsonStore } = require('../store/jsonFile');
+const { getCrmProvider } = require('../crm');
+const { renderEmail } = require('../email');
+const { FIELDS, validateField, buildCrmAttributes, CONSENT_ATTRIBUTES } = require('../contactForm');
+const leadStore = require('../leads/store');
+const accounts = require('../leads/accounts');
+const appointments = require('../appointments');
+const outbox = require('../outbox');
+const { recordRevocation, consentsFor, eraseConsents } = require('./consent');
+const { NOTICE_PATH } = require('./notice');
+const { child } = require('../logger');
+const { t, getLocale } = require('../i18n');
+
+const logger = child({ module: 'privacy' });
+
+const store = createJsonStore('privacy-requests.json', []);
+
+const REQUEST_TYPES = ['access', 'rectification', 'cancellation', 'opposition'];
+const TOKEN_TTL_HOURS = 24;
+const DETAILS_MAX_LENGTH = 1000;
+
+// Campos que se pueden rectificar en línea; el resto se pide en details y lo atiende el equipo
+const CORRECTABLE_FIELDS = ['name', 'company', 'phone'];
+
+// Error de negocio con el status HTTP que debe ver el cliente
+class PrivacyError extends Error {
+  constructor(message, status = 400, fields = null) {
+    super(message);
+    this.name = 'PrivacyError';
+    this.status = status;
+    this.fields = fields;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function schemaField(name) {
+  return FIELDS.find((field) => field.name === name);
+}
+
+// =========================
+// CREAR Y VERIFICAR
+// =========================
+
+// corrections: { name, company, phone } validados con el esquema del formulario de contacto
+function validateCorrections(raw) {
+  const corrections = {};
+  const fields = {};
+  for (const name of CORRECTABLE_FIELDS) {
+    const value = String(raw?.[name] ?? '').trim();
+    if (!value) continue;
+    const result = validateField(schemaField(name), value, getLocale(), { required: true });
+    if (result.error) fields[name] = result.error;
+    else corrections[name] = result.value;
+  }
+
+  if (Object.keys(fields).length) {
+    throw new PrivacyError(Object.values(fields)[0], 400, fields);
+  }
+  if (!Object.keys(corrections).length) {
+    const error = t('api.privacy.correctionsRequired');
+    throw new PrivacyError(error, 400, { corrections: error });
+  }
+  return corrections;
+}
+
+function validateRequest(body) {
+  const type = String(body.type || '').trim();
+  if (!REQUEST_TYPES.includes(type)) {
+    throw new PrivacyError(t('api.privacy.invalidType', { types: REQUEST_TYPES.join(', ') }), 400);
+  }
+
+  const email = validateField(schemaField('email'), String(body.email || '').trim(), getLocale(), { required: true });
+  if (email.error) throw new PrivacyError(email.error, 400, { email: email.error });
+
+  const details = String(body.details || '').trim();
+  if (details.length > DETAILS_MAX_LENGTH) {
+    const error = t('api.privacy.detailsTooLong', { max: DETAILS_MAX_LENGTH });
+    throw new PrivacyError(error, 400, { details: error });
+  }
+
+  return {
+    type,
+    email: email.value,
+    details,
+    corrections: type === 'rectification' ? validateCorrections(body.corrections) : null
+  };
+}
+
+// Guarda la solicitud y manda el enlace de verificación al email (sin SITE_URL no hay enlace)
+async function createRequest(body = {}, { ip = null, siteUrl = null, now = Date.now(), provider = getCrmProvider() } = {}) {
+  const request = validateRequest(body);
+  if (!siteUrl) throw new PrivacyError(t('api.privacy.unavailable'), 503);
+  const locale = getLocale();
+  const token = crypto.randomBytes(32).toString('base64url');
+  const record = {
+    id: crypto.randomUUID(),
+    ...request,
+    // El teléfono se guarda en E.164; el objeto completo se rearma al ejecutar
+    corrections: request.corrections?.phone
+      ? { ...request.corrections, phone: request.corrections.phone.e164 }
+      : request.corrections,
+    locale,
+    ip,
+    status: 'pending_verification',
+    tokenHash: hashToken(token),
+    expiresAt: new Date(now + TOKEN_TTL_HOURS * 3600 * 1000).toISOString(),
+    createdAt: new Date(now).toISOString(),
+    verifiedAt: null,
+    completedAt: null,
+    result: null
+  };
+
+  await store.update((requests) => {
+    requests.push(record);
+  });
+
+  const link = `${siteUrl}${NOTICE_PATH}?solicitud=${record.id}&token=${token}${locale === 'es' ? '' : `&lang=${locale}`}#arco`;
+  await provider.sendNotification(renderEmail('privacy-verification', {
+    email: record.email,
+    typeLabel: t(`page.privacy.types.${record.type}`, {}, locale),
+    link,
+    hours: TOKEN_TTL_HOURS
+  }, { locale }));
+  logger.info('Solicitud ARCO creada', { privacyRequestId: record.id, type: record.type });
+
+  return { id: record.id, message: t('api.privacy.verificationSent') };
+}
+
+// Marca la solicitud como en proceso para que el mismo enlace no se ejecute dos veces
+async function claimRequest(id, token, now) {
+  return store.update((requests) => {
+    const record = requests.find((candidate) => candidate.id === id);
+    const valid = record &&
+      record.status === 'pending_verification' &&
+      Date.parse(record.expiresAt) > now &&
+      crypto.timingSafeEqual(Buffer.from(record.tokenHash), Buffer.from(hashToken(token)));
+    if (!valid) return null;
+    record.status = 'processing';
+    record.verifiedAt = new Date(now).toISOString();
+    return { ...record };
+  });
+}
+
+async function verifyRequest({ id, token } = {}, { now = Date.now(), provider = getCrmProvider() } = {}) {
+  const record = id && token ? await claimRequest(String(id), String(token), now) : null;
+  if (!record) throw new PrivacyError(t('api.privacy.invalidToken'), 400);
+
+  let outcome;
+  try {
+    outcome = await EXECUTORS[record.type](record, provider);
+  } catch (error) {
+    // Quedó a medias: el equipo la revisa desde el panel
+    await store.update((requests) => {
+      const stored = requests.find((candidate) => candidate.id === record.id);
+      Object.assign(stored, { status: 'needs_review', result: { error: error.message } });
+    });
+    throw error;
+  }
+  const status = outcome.crmError ? 'needs_review' : 'completed';
+  const result = { ...outcome.summary, crmError: outcome.crmError || undefined };
+
+  await store.update((requests) => {
+    const stored = requests.find((candidate) => candidate.id === record.id);
+    Object.assign(stored, { status, completedAt: new Date().toISOString(), result });
+  });
+  logger.info('Solicitud ARCO ejecutada', { privacyRequestId: record.id, type: record.type, status });
+
+  await notifyStaff({ ...record, status, result }, provider);
+
+  return {
+    status,
+    message: status === 'completed' ? t(`api.privacy.completed.${record.type}`) : t('api.privacy.partial'),
+    data: outcome.data
+  };
+}
+
+// =========================
+// EJECUCIÓN POR TIPO
+// =========================
+
+// Corre el paso del CRM; devuelve el mensaje de error en vez de lanzar.
+// Un 404 del CRM es que el contacto no está ahí: no hay nada que hacer.
+async function crmStep(task) {
+  try {
+    await task();
+    return null;
+  } catch (error) {
+    if (error.status === 404) return null;
+    logger.error('Paso de CRM de la solicitud ARCO fallido', error);
+    return error.message;
+  }
+}
+
+async function exportData(record, provider) {
+  const leads = await leadStore.findLeadsByEmail(record.email);
+  const leadIds = leads.map((lead) => lead.id);
+  let crmContact = null;
+  const crmError = await crmStep(async () => {
+    crmContact = await provider.getContact(record.email);
+  });
+
+  const data = {
+    email: record.email,
+    exportedAt: new Date().toISOString(),
+    // payload es la copia del lead en cuarentena: mismos datos que el registro
+    leads: leads.map(({ payload, ...lead }) => lead),
+    accounts: await accounts.findContactData(record.email),
+    appointments: await appointments.findAppointmentsForLeads(leadIds),
+    consents: await consentsFor(record.email),
+    crm: crmContact
+  };
+  return { summary: { leads: leads.length }, data, crmError };
+}
+
+async function rectifyData(record, provider) {
+  const corrections = { ...record.corrections };
+  if (corrections.phone) {
+    corrections.phone = validateField(schemaField('phone'), corrections.phone, record.locale, { required: true }).value;
+  }
+  const e164 = corrections.phone ? corrections.phone.e164 : undefined;
+  const flat = { ...corrections, phone: e164 };
+  for (const key of Object.keys(flat)) if (flat[key] === undefined) delete flat[key];
+
+  const leads = await leadStore.updateLeadsByEmail(record.email, (lead) => {
+    Object.assign(lead, flat);
+    if (lead.payload) Object.assign(lead.payload, corrections);
+  });
+  await accounts.rectifyContact(record.email, flat);
+
+  const crmError = await crmStep(() => provider.updateContact(record.email, buildCrmAttributes(corrections)));
+  return { summary: { leads, fields: Object.keys(flat) }, crmError };
+}
+
+async function eraseData(record, provider) {
+  const leadIds = await leadStore.eraseLeadsByEmail(record.email);
+  const summary = {
+    leads: leadIds.length,
+    accounts: await accounts.eraseContact(record.email),
+    appointments: await appointments.eraseAppointmentsForLeads(leadIds),
+    outbox: await outbox.purgeEntries((payload) => payload.email === record.email),
+    consents: await eraseConsents(record.email)
+  };
+  const crmError = await crmStep(() => provider.deleteContact(record.email));
+  return { summary, crmError };
+}
+
+async function opposeMarketing(record, provider) {
+  await recordRevocation(record.email, { requestId: record.id });
+  const leads = await leadStore.updateLeadsByEmail(record.email, (lead) => {
+    if (lead.consent) lead.consent.marketing = false;
+    if (lead.payload?.consent) lead.payload.consent.marketing = false;
+  });
+  const crmError = await crmStep(() => provider.updateContact(
+    record.email,
+    { [CONSENT_ATTRIBUTES.marketing]: false },
+    { emailBlacklisted: true }
+  ));
+  return { summary: { leads }, crmError };
+}
+
+const EXECUTORS = {
+  access: exportData,
+  rectification: rectifyData,
+  cancellation: eraseData,
+  opposition: opposeMarketing
+};
+
+// Aviso interno (plantilla privacy-request-notification); si falla solo se registra
+async function notifyStaff(record, provider) {
+  try {
+    await provider.sendNotification(renderEmail('privacy-request-notification', {
+      id: record.id,
+      email: record.email,
+      typeLabel: t(`page.privacy.types.${record.type}`, {}, 'es'),
+      details: record.details,
+      needsReview: record.status === 'needs_review',
+      crmError: record.result.crmError,
+      summary: Object.entries(record.result)
+        .filter(([key]) => key !== 'crmError')
+        .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : value}`)
+        .join(' · ')
+    }));
+  } catch (error) {
+    logger.warn('No se pudo enviar el aviso interno de la solicitud ARCO', error);
+  }
+}
+
+// Panel de administración: sin el hash del token
+async function listRequests() {
+  const requests = await store.read();
+  return requests
+    .map(({ tokenHash, ...request }) => request)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+module.exports = {
+  REQUEST_TYPES,
+  PrivacyError,
+  createRequest,
+  verifyRequest,
+  listRequests
+};
@@ -0,0 +1,97 @@
+// Consentimiento al aviso de privacidad (lib/privacy/notice.js)
+// Los formularios del sitio (contacto y agenda) mandan junto con el lead:
+//   privacyConsent        true: aceptó el aviso; sin él el lead se rechaza
+//   marketingConsent      true: acepta las finalidades secundarias (publicidad); opcional
+//   privacyNoticeVersion  versión del aviso que vio; si falta o no existe, la vigente
+// Cada aceptación se agrega a data/consents.json con fecha, IP y versión del aviso. Es un
+// registro de solo agregar: una oposición posterior agrega una revocación, no edita la
+// aceptación. El lead lleva el resumen sin IP, y el CRM lo recibe en AVISO_PRIVACIDAD,
+// FECHA_CONSENTIMIENTO y ACEPTA_PUBLICIDAD (lib/contactForm.js).
+
+const crypto = require('crypto');
+const { createJsonStore } = require('../store/jsonFile');
+const { currentVersion, isKnownVersion } = require('./notice');
+
+const store = createJsonStore('consents.json', []);
+
+const TRUE_VALUES = ['true', '1', 'on', 'si', 'sí', 'yes'];
+
+// Casillas: true, "true" u "on" (envío de formulario HTML sin JavaScript)
+function isChecked(value) {
+  return value === true || TRUE_VALUES.includes(String(value ?? '').trim().toLowerCase());
+}
+
+function readConsent(body = {}) {
+  const version = typeof body.privacyNoticeVersion === 'string' ? body.privacyNoticeVersion.trim() : '';
+  return {
+    privacy: isChecked(body.privacyConsent),
+    marketing: isChecked(body.marketingConsent),
+    noticeVersion: isKnownVersion(version) ? version : currentVersion()
+  };
+}
+
+// consent: lo que devuelve readConsent más acceptedAt
+async function recordConsent(consent, { email, leadId, source, ip = null, locale = null }) {
+  const record = {
+    id: crypto.randomUUID(),
+    kind: 'acceptance',
+    email,
+    leadId,
+    source,
+    privacy: consent.privacy,
+    marketing: consent.marketing,
+    noticeVersion: consent.noticeVersion,
+    ip,
+    locale,
+    at: consent.acceptedAt
+  };
+  await store.update((consents) => {
+    consents.push(record);
+  });
+  return record;
+}
+
+// Oposición a las finalidades secundarias (solicitud ARCO)
+async function recordRevocation(email, { requestId }) {
+  const record = {
+    id: crypto.randomUUID(),
+    kind: 'revocation',
+    email,
+    marketing: false,
+    privacyRequestId: requestId,
+    at: new Date().toISOString()
+  };
+  await store.update((consents) => {
+    consents.push(record);
+  });
+  return record;
+}
+
+async function consentsFor(email) {
+  return (await store.read()).filter((consent) => consent.email === email);
+}
+
+// Cancelación: devuelve cuántos registros se borraron
+async function eraseConsents(email) {
+  return store.update((consents) => {
+    const kept = consents.filter((consent) => consent.email !== email);
+    const removed = consents.length - kept.length;
+    consents.splice(0, consents.length, ...kept);
+    return removed;
+  });
+}
+
+// IP del visitante en el adaptador de Vercel (server.js usa req.ip)
+function requestIp(req) {
+  const forwarded = String(req.headers?.['x-forwarded-for'] || '').split(',')[0].trim();
+  return forwarded || req.socket?.remoteAddress || null;
+}
+
+module.exports = {
+  readConsent,
+  recordConsent,
+  recordRevocation,
+  consentsFor,
+  eraseConsents,
+  requestIp
+};
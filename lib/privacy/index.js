@@ -0,0 +1,55 @@
+// Privacidad: aviso versionado, consentimiento y solicitudes ARCO (LFPDPPP)
+//   lib/privacy/notice.js    texto y versión del aviso
+//   lib/privacy/consent.js   registro de consentimientos de los formularios
+//   lib/privacy/arco.js      solicitudes de acceso, rectificación, cancelación y oposición
+// Endpoints (server.js y api/privacy/*):
+//   GET  /api/privacy            aviso vigente en el idioma de la solicitud
+//   POST /api/privacy/requests   { type, email, details, corrections } → manda el enlace
+//   POST /api/privacy/verify     { id, token } → ejecuta la solicitud; access devuelve data
+
+const { getNotice } = require('./notice');
+const { PrivacyError, createRequest, verifyRequest } = require('./arco');
+const { CrmError } = require('../crm');
+const { child, newRequestId, runWithContext } = require('../logger');
+const { getConfig } = require('../config');
+const { t, getLocale } = require('../i18n');
+
+const logger = child({ module: 'privacy' });
+
+const ACTIONS = {
+  notice: { method: 'GET', run: () => ({ notice: getNotice(getLocale()) }) },
+  requests: { method: 'POST', run: (body, options) => createRequest(body, options) },
+  verify: { method: 'POST', run: (body) => verifyRequest(body) }
+};
+
+// Punto de entrada para los adaptadores: nunca lanza. ip queda en la solicitud como
+// constancia. El enlace de verificación se arma con SITE_URL, nunca con el Host de la
+// solicitud: si no, quien pide el acceso a nombre de otro recibiría el token en su dominio.
+function handlePrivacyRequest(action, method, { body, requestId, locale, ip = null } = {}) {
+  const id = newRequestId(requestId);
+  const siteUrl = getConfig().site.url;
+  return runWithContext({ requestId: id, locale }, () => runPrivacyRequest(action, method, body || {}, { ip, siteUrl, requestId: id }));
+}
+
+async function runPrivacyRequest(action, method, body, { ip, siteUrl, requestId }) {
+  const handler = ACTIONS[action];
+  if (!handler || handler.method !== method) {
+    return { statusCode: 405, body: { ok: false, error: t('api.methodNotAllowed') } };
+  }
+
+  try {
+    const result = await handler.run(body, { ip, siteUrl });
+    return { statusCode: 200, body: { ok: true, ...result } };
+  } catch (error) {
+    if (error instanceof PrivacyError || error instanceof CrmError) {
+      logger.warn('Solicitud de privacidad rechazada', { action, status: error.status, fields: error.fields ? Object.keys(error.fields) : undefined });
+      return { statusCode: error.status, body: { ok: false, error: error.message, fields: error.fields || undefined } };
+    }
+    logger.error('Error en la solicitud de privacidad', { action, error });
+    return { statusCode: 500, body: { ok: false, error: t('api.internalError'), requestId } };
+  }
+}
+
+module.exports = {
+  handlePrivacyRequest
+};
@@ -0,0 +1,45 @@
+// Aviso de privacidad versionado (LFPDPPP)
+// El texto vigente vive en lib/privacy/notice.json: version (fecha de publicación), history
+// con cada versión publicada y el texto por idioma. Para publicar un cambio se edita el
+// texto, se pone la nueva version y se agrega a history. Cada consentimiento guarda la
+// versión que vio el visitante; el texto de las anteriores queda en el historial de git.
+// En los párrafos, {business} y {address} se sustituyen con los datos del negocio (lib/content).
+
+const notice = require('./notice.json');
+const { DEFAULT_LOCALE } = require('../i18n');
+
+// Página pública del aviso y del formulario ARCO (lib/site)
+const NOTICE_PATH = '/aviso-de-privacidad';
+
+function currentVersion() {
+  return notice.version;
+}
+
+function isKnownVersion(version) {
+  return notice.history.some((entry) => entry.version === version);
+}
+
+// Aviso en un idioma: { version, publishedAt, history, title, sections }
+function getNotice(locale = DEFAULT_LOCALE) {
+  const text = notice[locale] || notice[DEFAULT_LOCALE];
+  const current = notice.history.find((entry) => entry.version === notice.version);
+  return {
+    version: notice.version,
+    publishedAt: current ? current.publishedAt : notice.version,
+    path: NOTICE_PATH,
+    history: notice.history.map((entry) => ({
+      version: entry.version,
+      publishedAt: entry.publishedAt,
+      changes: entry.changes[locale] || entry.changes[DEFAULT_LOCALE]
+    })),
+    title: text.title,
+    sections: text.sections
+  };
+}
+
+module.exports = {
+  NOTICE_PATH,
+  currentVersion,
+  isKnownVersion,
+  getNotice
+};
@@ -0,0 +1,100 @@
+// Catálogo de servicios con lista de precios (MXN, antes de IVA)
+// Los slugs coinciden con los servicios de lib/content/sections/services.json. Los textos
+// de las tarjetas, incluida la nota normativa (highlight) que se imprime en la cotización
+// PDF, viven en ese contenido y se editan desde el panel; aquí solo van precios y reglas.
+//
+// pricing:
+//   per_employee  unitPrice × número de empleados
+//   per_panel     precio por empleado según el panel elegido (panels: { elementos: precio })
+//   flat          precio fijo por servicio, no depende del número de empleados
+// minQuantity: se cobra al menos esta cantidad de empleados (jornadas en sitio)
+// addons: complementos opcionales por empleado (ver ADDONS)
+// title: { es, en } por idioma del visitante (lib/i18n)
+// tracking: seguimiento por trabajador en el portal de empresas (lib/portal).
+//   validityMonths  vigencia del resultado; al vencer el examen vuelve a tocar
+//   startedBy       otros servicios cuyo examen también cuenta (el de contratación abre el
+//                   ciclo del periódico)
+
+const SERVICES = [
+  {
+    slug: 'examen-contratacion',
+    title: { es: 'Examen médico de contratación', en: 'Pre-employment medical exam' },
+    pricing: 'per_employee',
+    unitPrice: 650,
+    addons: ['audiometria', 'espirometria']
+  },
+  {
+    slug: 'examen-periodico',
+    title: { es: 'Examen médico periódico', en: 'Periodic medical exam' },
+    pricing: 'per_employee',
+    unitPrice: 550,
+    addons: ['audiometria', 'espirometria'],
+    tracking: { validityMonths: 12, startedBy: ['examen-contratacion'] }
+  },
+  {
+    slug: 'expediente-ocupacional',
+    title: { es: 'Expediente médico ocupacional', en: 'Occupational medical record' },
+    pricing: 'per_employee',
+    unitPrice: 150,
+    tracking: { validityMonths: 12 }
+  },
+  {
+    slug: 'campana-deteccion',
+    title: { es: 'Campaña de detección inicial', en: 'Initial screening campaign' },
+    pricing: 'per_employee',
+    unitPrice: 120,
+    minQuantity: 20
+  },
+  {
+    slug: 'antidoping',
+    title: { es: 'Programa antidoping ocupacional', en: 'Occupational drug testing program' },
+    pricing: 'per_panel',
+    panels: { 3: 280, 5: 380, 10: 650 },
+    defaultPanel: 5,
+    tracking: { validityMonths: 12 }
+  },
+  {
+    slug: 'puestos-criticos',
+    title: { es: 'Aptitud para puestos críticos', en: 'Fitness for safety-critical roles' },
+    pricing: 'per_employee',
+    unitPrice: 750,
+    tracking: { validityMonths: 12 }
+  },
+  {
+    slug: 'farmacos-controlados',
+    title: { es: 'Detección de fármacos controlados', en: 'Controlled medication screening' },
+    pricing: 'per_employee',
+    unitPrice: 320
+  },
+  {
+    slug: 'cadena-custodia',
+    title: { es: 'Cadena de custodia', en: 'Chain of custody' },
+    pricing: 'flat',
+    unitPrice: 3500
+  }
+];
+
+const ADDONS = {
+  audiometria: { title: { es: 'Audiometría', en: 'Audiometry' }, unitPrice: 280 },
+  espirometria: { title: { es: 'Espirometría', en: 'Spirometry' }, unitPrice: 320 }
+};
+
+// Descuento por volumen sobre conceptos por empleado (el mayor tramo alcanzado)
+const VOLUME_DISCOUNTS = [
+  { minHeadcount: 20, rate: 0.05 },
+  { minHeadcount: 50, rate: 0.10 },
+  { minHeadcount: 100, rate: 0.15 }
+];
+
+const TAX_RATE = 0.16;
+const CURRENCY = 'MXN';
+const MAX_HEADCOUNT = 5000;
+
+module.exports = {
+  SERVICES,
+  ADDONS,
+  VOLUME_DISCOUNTS,
+  TAX_RATE,
+  CURRENCY,
+  MAX_HEADCOUNT
+};
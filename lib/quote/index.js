@@ -0,0 +1,235 @@
+// Cotizador de servicios
+// Calcula un estimado desglosado a partir del catálogo (catalog.js). El cliente solo envía
+// qué servicios quiere y cuántos empleados; los precios siempre se calculan aquí.
+//
+// buildQuote({ headcount: 35, items: [{ service: 'antidoping', panel: 5 },
+//                                     { service: 'examen-periodico', addons: ['audiometria'] }] })
+// Conceptos y mensajes salen en el idioma de la solicitud (lib/i18n).
+
+const catalog = require('./catalog');
+const { createJsonStore } = require('../store/jsonFile');
+const { child, runWithContext } = require('../logger');
+const { getConfig } = require('../config');
+const { t, localized } = require('../i18n');
+
+const logger = child({ module: 'quote' });
+
+// Último consecutivo de folio por año: { "2026": 17 }
+const folioStore = createJsonStore('quote-folios.json', {});
+
+class QuoteError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'QuoteError';
+    this.status = status;
+  }
+}
+
+// Todo se calcula en centavos para evitar errores de redondeo
+const toCents = (pesos) => Math.round(pesos * 100);
+const toPesos = (cents) => cents / 100;
+
+function findService(slug) {
+  return catalog.SERVICES.find((service) => service.slug === slug);
+}
+
+function volumeDiscountRate(headcount) {
+  let rate = 0;
+  for (const tier of catalog.VOLUME_DISCOUNTS) {
+    if (headcount >= tier.minHeadcount) rate = tier.rate;
+  }
+  return rate;
+}
+
+function parseHeadcount(value) {
+  const headcount = Number(value);
+  if (!Number.isInteger(headcount) || headcount < 1) {
+    throw new QuoteError(t('api.quote.invalidHeadcount'));
+  }
+  if (headcount > catalog.MAX_HEADCOUNT) {
+    throw new QuoteError(t('api.quote.maxHeadcount', { max: catalog.MAX_HEADCOUNT }));
+  }
+  return headcount;
+}
+
+// Líneas de un servicio: el servicio en sí y sus complementos
+function serviceLines(item, headcount) {
+  const service = findService(item.service);
+  if (!service) {
+    throw new QuoteError(t('api.quote.unknownService', { service: item.service }));
+  }
+  const title = localized(service.title);
+
+  const lines = [];
+  const quantity = service.pricing === 'flat'
+    ? 1
+    : Math.max(headcount, service.minQuantity || 0);
+
+  if (service.pricing === 'per_panel') {
+    const panel = Number(item.panel || service.defaultPanel);
+    const unitPrice = service.panels[panel];
+    if (!unitPrice) {
+      throw new QuoteError(t('api.quote.panelUnavailable', { service: title, options: Object.keys(service.panels).join(', ') }));
+    }
+    lines.push({
+      service: service.slug,
+      description: t('api.quote.panelLine', { service: title, panel }),
+      quantity,
+      unitPriceCents: toCents(unitPrice),
+      discountable: true
+    });
+  } else {
+    lines.push({
+      service: service.slug,
+      description: quantity > headcount
+        ? t('api.quote.minimumLine', { service: title, min: service.minQuantity })
+        : title,
+      quantity,
+      unitPriceCents: toCents(service.unitPrice),
+      discountable: service.pricing !== 'flat'
+    });
+  }
+
+  for (const addonKey of item.addons || []) {
+    const addon = catalog.ADDONS[addonKey];
+    if (!addon || !(service.addons || []).includes(addonKey)) {
+      throw new QuoteError(t('api.quote.addonUnavailable', { service: title, addon: addonKey }));
+    }
+    lines.push({
+      service: service.slug,
+      addon: addonKey,
+      description: t('api.quote.addonLine', { addon: localized(addon.title), service: title }),
+      quantity,
+      unitPriceCents: toCents(addon.unitPrice),
+      discountable: true
+    });
+  }
+
+  return lines;
+}
+
+function buildQuote(request = {}) {
+  const headcount = parseHeadcount(request.headcount);
+  const items = Array.isArray(request.items) ? request.items : [];
+
+  if (items.length === 0) {
+    throw new QuoteError(t('api.quote.noServices'));
+  }
+
+  const seen = new Set();
+  for (const item of items) {
+    if (seen.has(item?.service)) {
+      throw new QuoteError(t('api.quote.duplicateService', { service: item.service }));
+    }
+    seen.add(item?.service);
+    if (item?.addons != null && !Array.isArray(item.addons)) {
+      throw new QuoteError(t('api.quote.invalidAddons', { service: item.service }));
+    }
+  }
+
+  const lines = items.flatMap((item) => serviceLines(item || {}, headcount))
+    .map((line) => ({ ...line, amountCents: line.unitPriceCents * line.quantity }));
+
+  const subtotalCents = lines.reduce((sum, line) => sum + line.amountCents, 0);
+  const discountableCents = lines
+    .filter((line) => line.discountable)
+    .reduce((sum, line) => sum + line.amountCents, 0);
+
+  const discountRate = volumeDiscountRate(headcount);
+  const discountCents = Math.round(discountableCents * discountRate);
+  const taxableCents = subtotalCents - discountCents;
+  const taxCents = Math.round(taxableCents * catalog.TAX_RATE);
+
+  return {
+    currency: catalog.CURRENCY,
+    headcount,
+    lines: lines.map((line) => ({
+      service: line.service,
+      addon: line.addon,
+      description: line.description,
+      quantity: line.quantity,
+      unitPrice: toPesos(line.unitPriceCents),
+      amount: toPesos(line.amountCents)
+    })),
+    subtotal: toPesos(subtotalCents),
+    discount: { rate: discountRate, amount: toPesos(discountCents) },
+    tax: { rate: catalog.TAX_RATE, amount: toPesos(taxCents) },
+    total: toPesos(taxableCents + taxCents),
+    createdAt: new Date().toISOString(),
+    disclaimer: t('api.quote.disclaimer')
+  };
+}
+
+// Convierte un estimado en cotización formal: folio consecutivo por año (RX-2026-0001)
+// y fecha de vigencia. Se llama una sola vez, cuando el lead se acepta.
+async function issueQuote(quote, now = new Date()) {
+  const year = String(now.getFullYear());
+  const number = await folioStore.update((folios) => {
+    folios[year] = (folios[year] || 0) + 1;
+    return folios[year];
+  });
+
+  const validUntil = new Date(now.getTime() + getConfig().quote.validityDays * 24 * 60 * 60 * 1000);
+
+  return {
+    ...quote,
+    folio: `RX-${year}-${String(number).padStart(4, '0')}`,
+    issuedAt: now.toISOString(),
+    validUntil: validUntil.toISOString()
+  };
+}
+
+// Catálogo sin detalles internos, para que el formulario pinte las opciones
+function getPublicCatalog() {
+  return {
+    currency: catalog.CURRENCY,
+    taxRate: catalog.TAX_RATE,
+    maxHeadcount: catalog.MAX_HEADCOUNT,
+    volumeDiscounts: catalog.VOLUME_DISCOUNTS,
+    services: catalog.SERVICES.map((service) => ({
+      slug: service.slug,
+      title: localized(service.title),
+      pricing: service.pricing,
+      unitPrice: service.unitPrice,
+      panels: service.panels,
+      defaultPanel: service.defaultPanel,
+      minQuantity: service.minQuantity,
+      addons: (service.addons || []).map((key) => ({ key, ...catalog.ADDONS[key], title: localized(catalog.ADDONS[key].title) }))
+    }))
+  };
+}
+
+function runQuoteRequest(method, body) {
+  if (method === 'GET') {
+    return { statusCode: 200, body: { ok: true, catalog: getPublicCatalog() } };
+  }
+
+  if (method !== 'POST') {
+    return { statusCode: 405, body: { ok: false, error: t('api.methodNotAllowed') } };
+  }
+
+  try {
+    return { statusCode: 200, body: { ok: true, quote: buildQuote(body || {}) } };
+  } catch (error) {
+    if (error instanceof QuoteError) {
+      return { statusCode: error.status, body: { ok: false, error: error.message } };
+    }
+    logger.error('Error en el cotizador', error);
+    return { statusCode: 500, body: { ok: false, error: t('api.internalError') } };
+  }
+}
+
+// Punto de entrada común para los adaptadores HTTP (GET = catálogo, POST = cotización)
+// locale: idioma de la solicitud (lib/i18n) para títulos, conceptos y errores
+function handleQuoteRequest(method, body, { locale } = {}) {
+  return runWithContext({ locale }, () => runQuoteRequest(method, body));
+}
+
+module.exports = {
+  QuoteError,
+  buildQuote,
+  issueQuote,
+  findService,
+  getPublicCatalog,
+  handleQuoteRequest
+};
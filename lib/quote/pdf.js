@@ -0,0 +1,236 @@
+// Cotización formal en PDF
+// Se genera a partir de lead.quote ya emitido (con folio y vigencia, ver issueQuote) y se
+// adjunta al email de notificación. Devuelve un Buffer, no escribe a disco.
+// El documento es en español; solo los conceptos conservan el idioma en que se cotizó.
+
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const SVGtoPDF = require('svg-to-pdfkit');
+const { findService } = require('./index');
+const { getSection } = require('../content');
+const { localized } = require('../i18n');
+
+const LOGO_PATH = path.join(__dirname, '..', '..', 'assets', 'logos', 'rxlab.svg');
+
+const COLORS = {
+  band: '#0f172a',
+  accent: '#0284c7',
+  text: '#111827',
+  muted: '#6b7280',
+  border: '#d1d5db'
+};
+
+// Columnas de la tabla de conceptos (x, ancho, alineación)
+const COLUMNS = [
+  { key: 'description', label: 'Concepto', x: 50, width: 255, align: 'left' },
+  { key: 'quantity', label: 'Cant.', x: 305, width: 55, align: 'right' },
+  { key: 'unitPrice', label: 'P. unitario', x: 360, width: 95, align: 'right' },
+  { key: 'amount', label: 'Importe', x: 455, width: 107, align: 'right' }
+];
+
+const PAGE_BOTTOM = 720;
+
+let logoSvg = null;
+function readLogo() {
+  if (logoSvg === null) logoSvg = fs.readFileSync(LOGO_PATH, 'utf8');
+  return logoSvg;
+}
+
+function formatMoney(amount) {
+  return `$${amount.toLocaleString('es-MX', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleDateString('es-MX', { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+function fileNameFor(quote) {
+  return `Cotizacion-${quote.folio || 'RXLab'}.pdf`;
+}
+
+// Salta de página si el siguiente bloque no cabe
+function ensureSpace(doc, y, height) {
+  if (y + height <= PAGE_BOTTOM) return y;
+  doc.addPage();
+  return 50;
+}
+
+function drawHeader(doc, quote) {
+  doc.rect(0, 0, doc.page.width, 110).fill(COLORS.band);
+  // El logo es blanco, por eso va sobre la franja oscura
+  SVGtoPDF(doc, readLogo(), 50, 28, { width: 96, height: 55 });
+
+  doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(20)
+    .text('COTIZACIÓN', 300, 30, { width: 262, align: 'right' });
+  doc.font('Helvetica').fontSize(10)
+    .text(`Folio: ${quote.folio || '—'}`, 300, 58, { width: 262, align: 'right' })
+    .text(`Emitida: ${formatDate(quote.issuedAt || quote.createdAt)}`, { width: 262, align: 'right' })
+    .text(`Vigente hasta: ${quote.validUntil ? formatDate(quote.validUntil) : '—'}`, { width: 262, align: 'right' });
+}
+
+function drawClient(doc, lead) {
+  doc.fillColor(COLORS.muted).font('Helvetica').fontSize(9).text('PREPARADA PARA', 50, 135);
+  doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(12).text(lead.company || lead.name, 50, 149);
+  doc.font('Helvetica').fontSize(10)
+    .text(lead.name)
+    .text(lead.email)
+    .text(lead.phone?.international || lead.phone?.e164 || '');
+
+  doc.fillColor(COLORS.muted).fontSize(9).text('PLANTILLA', 400, 135, { width: 162, align: 'right' });
+  doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(12)
+    .text(`${lead.quote.headcount} empleados`, 400, 149, { width: 162, align: 'right' });
+
+  return 225;
+}
+
+function drawLines(doc, quote, y) {
+  doc.rect(50, y, 512, 22).fill(COLORS.band);
+  doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(9);
+  for (const column of COLUMNS) {
+    doc.text(column.label, column.x + 6, y + 7, { width: column.width - 12, align: column.align });
+  }
+  y += 30;
+
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.text);
+  for (const line of quote.lines) {
+    const values = {
+      description: line.description,
+      quantity: String(line.quantity),
+      unitPrice: formatMoney(line.unitPrice),
+      amount: formatMoney(line.amount)
+    };
+    const height = doc.heightOfString(values.description, { width: COLUMNS[0].width - 12 });
+    y = ensureSpace(doc, y, height + 10);
+
+    for (const column of COLUMNS) {
+      doc.text(values[column.key], column.x + 6, y, { width: column.width - 12, align: column.align });
+    }
+    y += height + 6;
+    doc.moveTo(50, y).lineTo(562, y).lineWidth(0.5).strokeColor(COLORS.border).stroke();
+    y += 6;
+  }
+
+  return y;
+}
+
+function drawTotals(doc, quote, y) {
+  const rows = [['Subtotal', formatMoney(quote.subtotal)]];
+  if (quote.discount.amount > 0) {
+    rows.push([`Descuento por volumen (${Math.round(quote.discount.rate * 100)}%)`, `-${formatMoney(quote.discount.amount)}`]);
+  }
+  rows.push([`IVA (${Math.round(quote.tax.rate * 100)}%)`, formatMoney(quote.tax.amount)]);
+
+  y = ensureSpace(doc, y + 4, rows.length * 16 + 30);
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.text);
+  for (const [label, value] of rows) {
+    doc.text(label, 300, y, { width: 150, align: 'right' });
+    doc.text(value, 455, y, { width: 101, align: 'right' });
+    y += 16;
+  }
+
+  doc.rect(300, y + 2, 262, 24).fill(COLORS.accent);
+  doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(11)
+    .text(`Total ${quote.currency}`, 300, y + 9, { width: 150, align: 'right' })
+    .text(formatMoney(quote.total), 455, y + 9, { width: 101, align: 'right' });
+
+  return y + 44;
+}
+
+// Nota de alineación normativa de cada servicio cotizado: el "highlight" de su tarjeta en el
+// contenido editable (en español, como el resto del documento)
+async function serviceNotes(quote) {
+  const { items } = await getSection('services');
+  const slugs = [...new Set(quote.lines.map((line) => line.service))];
+  return slugs
+    .map((slug) => {
+      const item = items.find((candidate) => candidate.slug === slug);
+      const service = findService(slug);
+      return { title: item?.title || (service && localized(service.title, 'es')), note: item?.highlight };
+    })
+    .filter((entry) => entry.title && entry.note);
+}
+
+function drawServiceNotes(doc, notes, y) {
+  if (notes.length === 0) return y;
+
+  y = ensureSpace(doc, y, 40);
+  doc.fillColor(COLORS.accent).font('Helvetica-Bold').fontSize(11)
+    .text('Alineación normativa (NOM-030-STPS-2009)', 50, y);
+  y = doc.y + 6;
+
+  for (const { title, note } of notes) {
+    const height = doc.font('Helvetica').fontSize(9).heightOfString(note, { width: 512 }) + 16;
+    y = ensureSpace(doc, y, height);
+    doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(10).text(title, 50, y);
+    doc.fillColor(COLORS.muted).font('Helvetica').fontSize(9).text(note, 50, doc.y + 1, { width: 512 });
+    y = doc.y + 8;
+  }
+
+  return y;
+}
+
+function drawConditions(doc, quote, y) {
+  const conditions = [
+    `Precios en ${quote.currency}. El total incluye IVA.`,
+    quote.validUntil
+      ? `Cotización válida hasta el ${formatDate(quote.validUntil)}; después de esa fecha los precios pueden cambiar.`
+      : null,
+    'Los servicios en sitio se programan según disponibilidad y número de trabajadores.',
+    `Para aceptar la cotización responde al correo con el folio ${quote.folio || 'indicado'}.`
+  ].filter(Boolean);
+
+  y = ensureSpace(doc, y + 4, conditions.length * 14 + 24);
+  doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(10).text('Condiciones', 50, y);
+  doc.fillColor(COLORS.muted).font('Helvetica').fontSize(9)
+    .list(conditions, 50, doc.y + 4, { width: 512, bulletRadius: 1.5 });
+}
+
+// Genera el PDF de la cotización del lead; resuelve con el Buffer completo
+async function renderQuotePdf(lead) {
+  const quote = lead.quote;
+  if (!quote) {
+    throw new Error('El lead no tiene cotización');
+  }
+  const notes = await serviceNotes(quote);
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margin: 50,
+      info: {
+        Title: `Cotización ${quote.folio || ''}`.trim(),
+        Author: 'RXLab',
+        Subject: `Cotización para ${lead.company || lead.name}`
+      }
+    });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      drawHeader(doc, quote);
+      let y = drawClient(doc, lead);
+      y = drawLines(doc, quote, y);
+      y = drawTotals(doc, quote, y);
+      y = drawServiceNotes(doc, notes, y);
+      drawConditions(doc, quote, y);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+// Adjunto listo para sendNotification ({ name, content } en base64)
+async function buildQuoteAttachment(lead) {
+  const pdf = await renderQuotePdf(lead);
+  return { name: fileNameFor(lead.quote), content: pdf.toString('base64') };
+}
+
+module.exports = {
+  renderQuotePdf,
+  buildQuoteAttachment,
+  serviceNotes
+};
@@ -0,0 +1,61 @@
+// Rate limiting en memoria para las funciones de Vercel, donde no corre express-rate-limit.
+// Ventana fija por clave (la IP): como express-rate-limit con su store en memoria, cuenta por
+// instancia; cada instancia caliente de la función lleva su propio contador.
+//
+//   const limiter = createRateLimiter(() => getConfig().rateLimit);
+//   if (applyRateLimit(limiter, req, res, locale)) return;   // ya respondió 429
+
+const { requestIp } = require('./privacy/consent');
+const { t } = require('./i18n');
+
+// Por encima de este número de claves se descartan las ventanas ya vencidas
+const PRUNE_THRESHOLD = 10000;
+
+// options: { windowMs, max } o una función que los devuelva. Con la función se leen al
+// contar, así el módulo de la función se carga aunque la configuración sea inválida.
+function createRateLimiter(options) {
+  const windows = new Map();
+  const settings = () => (typeof options === 'function' ? options() : options);
+
+  function prune(now) {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }
+
+  function hit(key, now = Date.now()) {
+    const { windowMs, max } = settings();
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      if (windows.size >= PRUNE_THRESHOLD) prune(now);
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count += 1;
+    return {
+      limited: window.count > max,
+      limit: max,
+      remaining: Math.max(max - window.count, 0),
+      resetAt: window.resetAt
+    };
+  }
+
+  return { hit };
+}
+
+// Cuenta la petición por IP y pone las cabeceras RateLimit-* (como standardHeaders en
+// server.js). Si se pasó del límite responde 429 y devuelve true.
+function applyRateLimit(limiter, req, res, locale) {
+  const { limited, limit, remaining, resetAt } = limiter.hit(requestIp(req) || 'unknown');
+  const resetSeconds = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 0);
+  res.setHeader('RateLimit-Limit', String(limit));
+  res.setHeader('RateLimit-Remaining', String(remaining));
+  res.setHeader('RateLimit-Reset', String(resetSeconds));
+  if (!limited) return false;
+
+  res.setHeader('Retry-After', String(resetSeconds));
+  res.status(429).json({ error: t('api.tooManyRequests', {}, locale) });
+  return true;
+}
+
+module.exports = { createRateLimiter, applyRateLimit };
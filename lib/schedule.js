@@ -0,0 +1,88 @@
+// Horarios semanales en hora local con desfase fijo, compartidos por la agenda de citas
+// y el ruteo de WhatsApp. Formato: { "mon-fri": ["08:00-18:00"], "sat": ["08:00-13:00"] }
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const UTC_OFFSET = /^[+-]\d{2}:\d{2}$/;
+
+// "mon-fri" → [1, 2, 3, 4, 5]; "sat" → [6]
+function parseDays(key) {
+  const [from, to = from] = key.split('-').map((name) => DAY_NAMES.indexOf(name));
+  if (from < 0 || to < 0 || to < from) return null;
+  return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+}
+
+// "07:30-13:30" → { start: 450, end: 810 } en minutos del día
+function parseRange(range) {
+  const match = /^(\d{2}):(\d{2})-(\d{2}):(\d{2})$/.exec(range);
+  if (!match) return null;
+  const start = Number(match[1]) * 60 + Number(match[2]);
+  const end = Number(match[3]) * 60 + Number(match[4]);
+  return end > start ? { start, end } : null;
+}
+
+// Problemas de un horario semanal; `label` antecede cada mensaje
+function validateHours(hours, label) {
+  const problems = [];
+  for (const [days, ranges] of Object.entries(hours || {})) {
+    if (!parseDays(days)) problems.push(`${label}: día inválido "${days}"`);
+    if (!Array.isArray(ranges)) {
+      problems.push(`${label}: los horarios de "${days}" deben ser una lista`);
+      continue;
+    }
+    for (const range of ranges) {
+      if (!parseRange(range)) problems.push(`${label}: horario inválido "${range}"`);
+    }
+  }
+  return problems;
+}
+
+function offsetMinutes(utcOffset) {
+  const sign = utcOffset.startsWith('-') ? -1 : 1;
+  const [hours, minutes] = utcOffset.slice(1).split(':').map(Number);
+  return sign * (hours * 60 + minutes);
+}
+
+// Fecha y hora locales para un instante
+function localParts(date, utcOffset) {
+  const shifted = new Date(date.getTime() + offsetMinutes(utcOffset) * 60000).toISOString();
+  return { date: shifted.slice(0, 10), time: shifted.slice(11, 16) };
+}
+
+function addDays(date, days) {
+  const next = new Date(`${date}T12:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+function minutesToTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// ¿El instante cae dentro del horario semanal?
+function isWithinHours(hours, date, utcOffset) {
+  const local = localParts(date, utcOffset);
+  const weekday = new Date(`${local.date}T12:00:00Z`).getUTCDay();
+  const [hh, mm] = local.time.split(':').map(Number);
+  const minute = hh * 60 + mm;
+
+  return Object.entries(hours || {}).some(([days, ranges]) =>
+    parseDays(days).includes(weekday) &&
+    ranges.some((range) => {
+      const { start, end } = parseRange(range);
+      return minute >= start && minute < end;
+    })
+  );
+}
+
+module.exports = {
+  DAY_NAMES,
+  UTC_OFFSET,
+  parseDays,
+  parseRange,
+  validateHours,
+  offsetMinutes,
+  localParts,
+  addDays,
+  minutesToTime,
+  isWithinHours
+};
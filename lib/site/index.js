@@ -0,0 +1,314 @@
+// Render del landing en el servidor
+// index.html es la plantilla: sus contenedores de contenido editable (#serviceTabs,
+// #faqList, #locationDetails…) vienen vacíos y aquí se llenan con el mismo marcado que usa
+// el navegador (lib/siteSections.js). Además se agregan al <head> el canonical, las
+// etiquetas Open Graph, el JSON-LD (lib/site/structuredData.js) y el contenido en
+// <script id="siteContent"> para que el navegador no vuelva a pedirlo.
+//
+// Idiomas (lib/i18n): los textos fijos de la plantilla llevan data-i18n="page.…" y se
+// sustituyen con el catálogo del idioma de la solicitud; el contenido editable sale de la
+// traducción de lib/content. El español vive en la URL sin parámetros y el resto en ?lang=
+// (la página en inglés de un servicio es /servicios/<slug>?lang=en), enlazadas con hreflang.
+//
+// Páginas:
+//   /                  portada
+//   /servicios/<slug>  el mismo landing con el servicio abierto, título y descripción propios
+//   /aviso-de-privacidad  aviso de privacidad y formulario ARCO (lib/site/privacyPage.js)
+//   /sitemap.xml       portada, una entrada por servicio y el aviso, en cada idioma
+//   /robots.txt        fuera de production bloquea todo para que staging no se indexe
+//
+// Las URLs absolutas salen de SITE_URL (en development, el servidor local).
+
+const fs = require('fs');
+const path = require('path');
+const sections = require('../siteSections');
+const { buildStructuredData } = require('./structuredData');
+const { renderPrivacyPage } = require('./privacyPage');
+const { currentVersion, NOTICE_PATH } = require('../privacy/notice');
+const { getAllContent, listSections } = require('../content');
+const { getConfig } = require('../config');
+const { LOCALES, DEFAULT_LOCALE, t, messagesFor, intlLocale, localePath } = require('../i18n');
+const { child, newRequestId, runWithContext } = require('../logger');
+
+const logger = child({ module: 'site' });
+
+const TEMPLATE_FILE = path.join(__dirname, '..', '..', 'index.html');
+const DESCRIPTION_LENGTH = 160;
+
+const { escapeHtml } = sections;
+
+let cachedTemplate = null;
+
+function readTemplate() {
+  // En development se relee para ver los cambios de index.html sin reiniciar
+  if (!cachedTemplate || getConfig().profile === 'development') {
+    cachedTemplate = fs.readFileSync(TEMPLATE_FILE, 'utf8');
+  }
+  return cachedTemplate;
+}
+
+// =========================
+// PLANTILLA
+// =========================
+
+function openingTag(id) {
+  return new RegExp(`<([a-zA-Z][\\w-]*)\\b[^>]*\\sid="${id}"[^>]*>`);
+}
+
+// Reemplaza el contenido del elemento con ese id (debe estar vacío o sin hijos del mismo tipo)
+function fillById(html, id, inner) {
+  const match = openingTag(id).exec(html);
+  if (!match) throw new Error(`index.html no tiene #${id}`);
+  const start = match.index + match[0].length;
+  const end = html.indexOf(`</${match[1]}>`, start);
+  return html.slice(0, start) + inner + html.slice(end);
+}
+
+// Cambia atributos de la etiqueta con ese id; null quita el atributo
+function setAttributes(html, id, attributes) {
+  return html.replace(openingTag(id), (tag) => {
+    let result = tag;
+    for (const [name, value] of Object.entries(attributes)) {
+      const existing = new RegExp(`\\s${name}(="[^"]*")?(?=[\\s/>])`);
+      const replacement = value === null ? '' : ` ${name}="${escapeHtml(value)}"`;
+      if (existing.test(result)) result = result.replace(existing, () => replacement);
+      else if (value !== null) result = result.replace(/\s*\/?>$/, (end) => `${replacement}${end}`);
+    }
+    return result;
+  });
+}
+
+// JSON dentro de <script>: "<" escapado para que "</script>" no cierre la etiqueta
+function scriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+function clip(text, length) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  if (clean.length <= length) return clean;
+  return `${clean.slice(0, length - 1).replace(/\s+\S*$/, '')}…`;
+}
+
+function findService(content, slug) {
+  return content.services.items.find((item) => item.slug === slug) || null;
+}
+
+// =========================
+// PÁGINAS
+// =========================
+
+// Textos fijos de la plantilla: elementos con data-i18n (sin hijos) y atributos traducibles
+function translateTemplate(html, locale) {
+  html = html.replace(/<html\b[^>]*>/, () => `<html lang="${intlLocale(locale)}">`);
+  html = html.replace(
+    /(<([a-zA-Z][\w-]*)\b[^>]*\sdata-i18n="([^"]+)"[^>]*>)[^<]*(<\/\2>)/g,
+    (match, open, tag, key, close) => `${open}${escapeHtml(t(key, {}, locale))}${close}`
+  );
+  return html.replace(/<[a-zA-Z][^>]*\sdata-i18n-(title|placeholder)="([^"]+)"[^>]*>/g, (tag, attribute, key) => {
+    const value = ` ${attribute}="${escapeHtml(t(key, {}, locale))}"`;
+    const existing = new RegExp(`\\s${attribute}="[^"]*"`);
+    return existing.test(tag) ? tag.replace(existing, () => value) : tag.replace(/\s*\/?>$/, (end) => `${value}${end}`);
+  });
+}
+
+// El selector apunta al otro idioma de la misma página
+function setLanguageSwitch(html, locale, page) {
+  const other = LOCALES.find((candidate) => candidate !== locale);
+  html = setAttributes(html, 'langSwitch', { href: localePath(page, other), hreflang: other, lang: other });
+  return fillById(html, 'langSwitch', escapeHtml(t('page.languageName', {}, other)));
+}
+
+// Botones de la tarjeta de servicio (el navegador los pinta igual al cambiar de pestaña)
+function serviceLabels(locale) {
+  return { requestInfo: t('page.services.requestInfo', {}, locale), book: t('page.services.book', {}, locale) };
+}
+
+// Textos del script del navegador: la rama client más los de la tarjeta de servicio
+function clientMessages(locale) {
+  return { ...messagesFor('client', locale), page: { services: messagesFor('page.services', locale) } };
+}
+
+function fillSections(html, content, service, locale) {
+  const { services, certifications, testimonials, faq, business } = content;
+  const active = Math.max(services.items.indexOf(service), 0);
+  const current = services.items[active];
+
+  html = fillById(html, 'servicesTitle', escapeHtml(services.title));
+  html = fillById(html, 'servicesIntro', escapeHtml(services.intro));
+  html = fillById(html, 'serviceTabs', sections.serviceTabs(services.items, active));
+  if (service) html = setAttributes(html, 'serviceTabs', { 'data-initial-service': service.slug });
+  html = fillById(html, 'serviceContent', sections.serviceCard(current, serviceLabels(locale)));
+  html = setAttributes(html, 'serviceImage', {
+    src: sections.assetUrl(current.image),
+    alt: current.title,
+    hidden: current.image ? null : ''
+  });
+
+  html = fillById(html, 'certKicker', escapeHtml(certifications.kicker));
+  html = fillById(html, 'certTitle', escapeHtml(certifications.title));
+  html = fillById(html, 'certSubtitle', escapeHtml(certifications.subtitle));
+  html = fillById(html, 'certTags', sections.certTags(certifications.tags));
+  html = fillById(html, 'certPoints', sections.certPoints(certifications.points));
+  html = fillById(html, 'certCta', escapeHtml(certifications.ctaLabel));
+  html = setAttributes(html, 'certCta', { hidden: certifications.ctaLabel ? null : '' });
+  html = setAttributes(html, 'certImage', {
+    src: sections.assetUrl(certifications.image),
+    alt: certifications.imageAlt || '',
+    hidden: certifications.image ? null : ''
+  });
+
+  html = fillById(html, 'testimonialsTitle', escapeHtml(testimonials.title));
+  html = fillById(html, 'testimonialsGrid', sections.testimonials(testimonials.items));
+
+  html = fillById(html, 'faqTitle', escapeHtml(faq.title));
+  html = fillById(html, 'faqIntro', escapeHtml(faq.intro));
+  html = fillById(html, 'faqList', sections.faqItems(faq.items));
+
+  html = fillById(html, 'locationTitle', escapeHtml(business.locationTitle));
+  html = fillById(html, 'locationIntro', escapeHtml(business.locationIntro));
+  html = fillById(html, 'locationDetails', sections.locationDetails(business));
+  if (business.mapEmbedUrl) html = setAttributes(html, 'locationMap', { src: business.mapEmbedUrl });
+  return html;
+}
+
+// Sin SITE_URL (fuera de development) no hay URLs absolutas: se omiten canonical, hreflang,
+// og:url y og:image, y el JSON-LD queda con rutas relativas
+function headTags({ title, description, page, content, siteUrl, service, noindex, locale }) {
+  const canonical = siteUrl && siteUrl + localePath(page, locale);
+  const alternates = LOCALES.map((lang) => `<link rel="alternate" hreflang="${lang}" href="${escapeHtml(siteUrl + localePath(page, lang))}" />`);
+  const links = !siteUrl ? [] : [
+    `<link rel="canonical" href="${escapeHtml(canonical)}" />`,
+    ...(noindex ? [] : alternates),
+    noindex ? '' : `<link rel="alternate" hreflang="x-default" href="${escapeHtml(siteUrl + page)}" />`
+  ];
+  return [
+    ...links,
+    noindex ? '<meta name="robots" content="noindex" />' : '',
+    '<meta property="og:type" content="website" />',
+    `<meta property="og:locale" content="${escapeHtml(t('page.ogLocale', {}, locale))}" />`,
+    `<meta property="og:site_name" content="${escapeHtml(content.business.name)}" />`,
+    `<meta property="og:title" content="${escapeHtml(title)}" />`,
+    `<meta property="og:description" content="${escapeHtml(description)}" />`,
+    canonical ? `<meta property="og:url" content="${escapeHtml(canonical)}" />` : '',
+    siteUrl && service?.image ? `<meta property="og:image" content="${escapeHtml(siteUrl + sections.assetUrl(service.image))}" />` : '',
+    `<script type="application/ld+json">${scriptJson(buildStructuredData(content, { siteUrl: siteUrl || '', service, locale }))}</script>`,
+    `<script type="application/json" id="siteContent">${scriptJson(content)}</script>`,
+    `<script type="application/json" id="siteMessages">${scriptJson(clientMessages(locale))}</script>`
+  ].filter(Boolean).map((tag) => `  ${tag}\n`).join('');
+}
+
+// HTML de la portada (service = null) o de la página de un servicio; content es el del idioma
+function renderLanding(content, { siteUrl, service = null, noindex = false, locale = DEFAULT_LOCALE }) {
+  const { business } = content;
+  const title = service ? `${service.title} | ${business.name}` : business.pageTitle;
+  const description = clip(service ? service.description : business.description, DESCRIPTION_LENGTH);
+  const page = service ? sections.servicePath(service) : '/';
+
+  let html = translateTemplate(readTemplate(), locale);
+  html = setLanguageSwitch(html, locale, page);
+  html = html.replace(/<title>[^<]*<\/title>/, () => `<title>${escapeHtml(title)}</title>`);
+  html = setAttributes(html, 'metaDescription', { content: description });
+  html = fillSections(html, content, service, locale);
+  // Versión del aviso que acepta quien envía los formularios, y su enlace en el idioma de la página
+  html = setAttributes(html, 'privacyNoticeVersion', { value: currentVersion() });
+  html = html.replaceAll(`href="${NOTICE_PATH}"`, () => `href="${escapeHtml(localePath(NOTICE_PATH, locale))}"`);
+  const head = headTags({ title, description, page, content, siteUrl, service, noindex, locale });
+  return html.replace('</head>', () => `${head}</head>`);
+}
+
+// Los slugs son los mismos en todos los idiomas: cada página aparece una vez por idioma
+function renderSitemap(content, { siteUrl, lastModified = null }) {
+  const paths = ['/', ...content.services.items.map((service) => sections.servicePath(service)), NOTICE_PATH];
+  const lastmod = lastModified ? `<lastmod>${lastModified.slice(0, 10)}</lastmod>` : '';
+  const urls = LOCALES.flatMap((locale) => paths.map((page) => (
+    `  <url><loc>${escapeHtml(siteUrl + localePath(page, locale))}</loc>${lastmod}</url>`
+  )));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n');
+}
+
+function renderRobots({ siteUrl, allowIndexing }) {
+  const rules = allowIndexing
+    ? ['Allow: /', 'Disallow: /admin', 'Disallow: /api/', 'Disallow: /data/']
+    : ['Disallow: /'];
+  const sitemap = siteUrl ? ['', `Sitemap: ${siteUrl}/sitemap.xml`] : [];
+  return ['User-agent: *', ...rules, ...sitemap, ''].join('\n');
+}
+
+// =========================
+// HTTP
+// =========================
+
+// El idioma puede salir de Accept-Language o de la cookie: los caches deben distinguirlos
+const HTML_HEADERS = { 'Content-Type': 'text/html; charset=utf-8', Vary: 'Accept-Language, Cookie' };
+
+async function runSiteRequest(pathname, { siteUrl, locale }) {
+  const isProduction = getConfig().isProduction;
+
+  if (pathname === '/robots.txt') {
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+      body: renderRobots({ siteUrl, allowIndexing: isProduction })
+    };
+  }
+
+  try {
+    const content = await getAllContent({ locale });
+
+    if (pathname === '/sitemap.xml') {
+      // El sitemap solo admite URLs absolutas
+      if (!siteUrl) {
+        return { statusCode: 404, headers: { 'Content-Type': 'text/plain; charset=utf-8' }, body: 'Sitemap no disponible: falta SITE_URL\n' };
+      }
+      const listed = await Promise.all(LOCALES.map((lang) => listSections({ locale: lang })));
+      const edits = listed.flat().map((section) => section.updatedAt).filter(Boolean).sort();
+      return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'application/xml; charset=utf-8' },
+        body: renderSitemap(content, { siteUrl, lastModified: edits[edits.length - 1] || null })
+      };
+    }
+
+    if (pathname === '/') {
+      return { statusCode: 200, headers: HTML_HEADERS, body: renderLanding(content, { siteUrl, locale }) };
+    }
+
+    if (pathname === NOTICE_PATH) {
+      return { statusCode: 200, headers: HTML_HEADERS, body: renderPrivacyPage(content, { siteUrl, locale }) };
+    }
+
+    const match = /^\/servicios\/([^/]+)\/?$/.exec(pathname);
+    const service = match ? findService(content, decodeURIComponent(match[1])) : null;
+    if (service) {
+      return { statusCode: 200, headers: HTML_HEADERS, body: renderLanding(content, { siteUrl, service, locale }) };
+    }
+
+    // Servicio inexistente: la portada con 404 para que no se indexe
+    return { statusCode: 404, headers: HTML_HEADERS, body: renderLanding(content, { siteUrl, noindex: true, locale }) };
+  } catch (error) {
+    // Sin contenido se entrega la plantilla tal cual: el navegador lo pide a /api/content
+    logger.error('Error al renderizar el sitio', { path: pathname, error });
+    return { statusCode: 200, headers: HTML_HEADERS, body: readTemplate() };
+  }
+}
+
+// Punto de entrada común para los adaptadores HTTP: nunca lanza, devuelve status + cuerpo
+// (texto) + encabezados. Canonical, sitemap y JSON-LD usan SITE_URL, no el Host de la solicitud.
+function handleSiteRequest(pathname, { requestId, locale = DEFAULT_LOCALE } = {}) {
+  const id = newRequestId(requestId);
+  const siteUrl = getConfig().site.url;
+  return runWithContext({ requestId: id, locale }, () => runSiteRequest(pathname, { siteUrl, locale }));
+}
+
+module.exports = {
+  renderLanding,
+  renderSitemap,
+  renderRobots,
+  handleSiteRequest
+};
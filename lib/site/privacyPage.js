@@ -0,0 +1,205 @@
+// Página del aviso de privacidad (/aviso-de-privacidad)
+// Se arma completa aquí, sin la plantilla del landing: el texto vigente del aviso
+// (lib/privacy/notice.js) con el nombre y domicilio del negocio, su versión e historial, y
+// el formulario ARCO (#arco). El enlace de verificación del email vuelve a esta página con
+// ?solicitud=<id>&token=<token>; el script la confirma con /api/privacy/verify y, si es de
+// acceso, ofrece descargar los datos en JSON. El token se quita de la barra de direcciones.
+
+const { escapeHtml } = require('../siteSections');
+const { getNotice, NOTICE_PATH } = require('../privacy/notice');
+const { REQUEST_TYPES } = require('../privacy/arco');
+const { LOCALES, t, messagesFor, intlLocale, localePath } = require('../i18n');
+
+function formatDate(day, locale) {
+  return new Date(`${day}T12:00:00Z`).toLocaleDateString(intlLocale(locale), {
+    day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC'
+  });
+}
+
+function businessAddress(business) {
+  return [business.streetAddress, business.locality, business.region, business.postalCode]
+    .filter(Boolean)
+    .join(', ');
+}
+
+function noticeSections(notice, business) {
+  const values = { business: business.name, address: businessAddress(business) };
+  return notice.sections.map((section) => [
+    `<h2>${escapeHtml(section.heading)}</h2>`,
+    ...section.paragraphs.map((paragraph) => (
+      `<p>${escapeHtml(paragraph.replace(/\{(\w+)\}/g, (match, name) => values[name] ?? match))}</p>`
+    ))
+  ].join('\n')).join('\n');
+}
+
+function arcoForm(locale) {
+  const label = (key) => escapeHtml(t(`page.privacy.${key}`, {}, locale));
+  const options = REQUEST_TYPES.map((type) => `<option value="${type}">${label(`options.${type}`)}</option>`).join('');
+  return `<section id="arco">
+<h2>${label('arcoTitle')}</h2>
+<p>${label('arcoIntro')}</p>
+<div id="arcoMessage" class="message" role="status" hidden></div>
+<a id="arcoDownload" class="btn" hidden download="mis-datos-rxlab.json">${label('download')}</a>
+<form id="arcoForm" novalidate>
+<label for="arcoType">${label('type')}</label>
+<select id="arcoType" name="type">${options}</select>
+<label for="arcoEmail">${label('email')}</label>
+<input id="arcoEmail" name="email" type="email" autocomplete="email" required>
+<fieldset id="arcoCorrections" hidden>
+<legend>${label('correctionsTitle')}</legend>
+<label for="arcoName">${label('name')}</label>
+<input id="arcoName" name="name" type="text" autocomplete="name">
+<label for="arcoCompany">${label('company')}</label>
+<input id="arcoCompany" name="company" type="text" autocomplete="organization">
+<label for="arcoPhone">${label('phone')}</label>
+<input id="arcoPhone" name="phone" type="tel" autocomplete="tel">
+</fieldset>
+<label for="arcoDetails">${label('details')}</label>
+<textarea id="arcoDetails" name="details" rows="4" maxlength="1000"></textarea>
+<button class="btn" type="submit">${label('submit')}</button>
+</form>
+</section>`;
+}
+
+const STYLES = `
+body{font-family:"Inter",system-ui,sans-serif;background:#020617;color:#e5e7eb;line-height:1.65;margin:0}
+main{max-width:760px;margin:0 auto;padding:2rem 1.25rem 4rem}
+header{display:flex;justify-content:space-between;gap:1rem;font-size:.9rem}
+a{color:#38bdf8}
+h1,h2{font-family:"Space Grotesk",sans-serif;line-height:1.25}
+h1{margin-top:2rem}
+h2{font-size:1.15rem;margin-top:2rem}
+.meta,.history{color:#9ca3af;font-size:.88rem}
+#arco{margin-top:3rem;padding:1.5rem;border:1px solid rgba(148,163,184,.22);border-radius:18px;background:#0f172a}
+label{display:block;margin:.9rem 0 .3rem;font-size:.9rem}
+input,select,textarea{width:100%;box-sizing:border-box;padding:.6rem .75rem;border-radius:10px;border:1px solid rgba(148,163,184,.35);background:#020617;color:inherit;font:inherit}
+fieldset{border:1px dashed rgba(148,163,184,.35);border-radius:12px;margin:1rem 0 0;padding:0 1rem 1rem}
+.btn{display:inline-block;margin-top:1.2rem;padding:.65rem 1.3rem;border:0;border-radius:999px;background:#38bdf8;color:#020617;font-weight:600;cursor:pointer;text-decoration:none}
+.message{margin:1rem 0;padding:.75rem 1rem;border-radius:12px;background:rgba(56,189,248,.12)}
+.message.error{background:rgba(239,68,68,.15);color:#fca5a5}
+`;
+
+// Envío del formulario y verificación del enlace del email
+const SCRIPT = `
+(function () {
+  var messages = JSON.parse(document.getElementById("privacyMessages").textContent);
+  var lang = document.documentElement.getAttribute("data-locale");
+  var headers = { "Content-Type": "application/json", "Accept-Language": lang };
+  var form = document.getElementById("arcoForm");
+  var box = document.getElementById("arcoMessage");
+  var type = document.getElementById("arcoType");
+  var corrections = document.getElementById("arcoCorrections");
+  var download = document.getElementById("arcoDownload");
+
+  function show(text, isError) {
+    box.hidden = false;
+    box.className = isError ? "message error" : "message";
+    box.textContent = text;
+  }
+
+  function value(id) {
+    return document.getElementById(id).value.trim();
+  }
+
+  function post(url, body) {
+    return fetch(url, { method: "POST", headers: headers, body: JSON.stringify(body) })
+      .then(function (response) { return response.json(); })
+      .catch(function () { return { ok: false, error: messages.networkError }; });
+  }
+
+  type.addEventListener("change", function () {
+    corrections.hidden = type.value !== "rectification";
+  });
+
+  form.addEventListener("submit", function (e) {
+    e.preventDefault();
+    var button = form.querySelector("button");
+    button.disabled = true;
+    show(messages.sending);
+    post("/api/privacy/requests", {
+      type: type.value,
+      email: value("arcoEmail"),
+      details: value("arcoDetails"),
+      corrections: type.value === "rectification"
+        ? { name: value("arcoName"), company: value("arcoCompany"), phone: value("arcoPhone") }
+        : undefined
+    }).then(function (result) {
+      button.disabled = false;
+      if (!result.ok) return show(result.error || messages.error, true);
+      form.reset();
+      corrections.hidden = true;
+      show(result.message);
+    });
+  });
+
+  var params = new URLSearchParams(location.search);
+  var id = params.get("solicitud");
+  var token = params.get("token");
+  if (!id || !token) return;
+  params.delete("solicitud");
+  params.delete("token");
+  history.replaceState(null, "", location.pathname + (params.toString() ? "?" + params : "") + "#arco");
+  form.hidden = true;
+  show(messages.verifying);
+  post("/api/privacy/verify", { id: id, token: token }).then(function (result) {
+    form.hidden = false;
+    if (!result.ok) return show(result.error || messages.error, true);
+    show(result.message);
+    if (result.data) {
+      var blob = new Blob([JSON.stringify(result.data, null, 2)], { type: "application/json" });
+      download.href = URL.createObjectURL(blob);
+      download.hidden = false;
+    }
+  });
+})();
+`;
+
+function renderPrivacyPage(content, { siteUrl, locale }) {
+  const { business } = content;
+  const notice = getNotice(locale);
+  const other = LOCALES.find((candidate) => candidate !== locale);
+  const title = `${notice.title} | ${business.name}`;
+  // Sin SITE_URL la página sale sin canonical ni hreflang (ver headTags en index.js)
+  const links = !siteUrl ? '' : [
+    `<link rel="canonical" href="${escapeHtml(siteUrl + localePath(NOTICE_PATH, locale))}" />`,
+    ...LOCALES.map((lang) => `<link rel="alternate" hreflang="${lang}" href="${escapeHtml(siteUrl + localePath(NOTICE_PATH, lang))}" />`)
+  ].join('\n');
+  const history = notice.history.map((entry) => (
+    `<li>${escapeHtml(entry.version)} · ${escapeHtml(entry.changes)}</li>`
+  )).join('');
+  const messages = JSON.stringify(messagesFor('client.privacy', locale)).replace(/</g, '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="${intlLocale(locale)}" data-locale="${locale}">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<title>${escapeHtml(title)}</title>
+<meta name="description" content="${escapeHtml(t('page.privacy.description', { business: business.name }, locale))}" />
+${links}
+<link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;600&family=Space+Grotesk:wght@500;700&display=swap" rel="stylesheet" />
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+<header>
+<a href="${escapeHtml(localePath('/', locale))}">${escapeHtml(t('page.privacy.back', { business: business.name }, locale))}</a>
+<a href="${escapeHtml(localePath(NOTICE_PATH, other))}" hreflang="${other}" lang="${other}">${escapeHtml(t('page.languageName', {}, other))}</a>
+</header>
+<h1>${escapeHtml(notice.title)}</h1>
+<p class="meta">${escapeHtml(t('page.privacy.version', { version: notice.version, date: formatDate(notice.publishedAt, locale) }, locale))}</p>
+${noticeSections(notice, business)}
+<h2>${escapeHtml(t('page.privacy.history', {}, locale))}</h2>
+<ul class="history">${history}</ul>
+${arcoForm(locale)}
+</main>
+<script type="application/json" id="privacyMessages">${messages}</script>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  renderPrivacyPage
+};
@@ -0,0 +1,96 @@
+// Datos estructurados (JSON-LD de schema.org) del landing
+// Un solo @graph por página: el negocio (MedicalBusiness, que también es LocalBusiness),
+// las preguntas frecuentes (FAQPage, solo en la portada para no duplicarlas) y un Service
+// por servicio que apunta al negocio con provider.@id. Las URLs de página son las del idioma
+// (?lang=); el @id del negocio es el mismo en todos los idiomas.
+
+const { assetUrl, servicePath } = require('../siteSections');
+const { DEFAULT_LOCALE, localePath } = require('../i18n');
+
+// Quita vacíos para no publicar propiedades sin valor
+function compact(object) {
+  const result = {};
+  for (const [key, value] of Object.entries(object)) {
+    if (value === undefined || value === null || value === '') continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+    result[key] = value;
+  }
+  return result;
+}
+
+function absoluteUrl(siteUrl, value) {
+  const url = assetUrl(value);
+  return url && url.startsWith('/') ? `${siteUrl}${url}` : url;
+}
+
+function businessId(siteUrl) {
+  return `${siteUrl}/#negocio`;
+}
+
+function businessNode(business, siteUrl, locale) {
+  return compact({
+    '@type': ['MedicalBusiness', 'LocalBusiness'],
+    '@id': businessId(siteUrl),
+    name: business.name,
+    description: business.description,
+    url: `${siteUrl}${localePath('/', locale)}`,
+    logo: `${siteUrl}/assets/logos/rxlab.svg`,
+    telephone: business.telephone,
+    address: compact({
+      '@type': 'PostalAddress',
+      streetAddress: business.streetAddress,
+      addressLocality: business.locality,
+      addressRegion: business.region,
+      postalCode: business.postalCode,
+      addressCountry: business.country
+    }),
+    geo: business.latitude && business.longitude
+      ? { '@type': 'GeoCoordinates', latitude: Number(business.latitude), longitude: Number(business.longitude) }
+      : null,
+    openingHours: business.openingHours,
+    areaServed: business.region
+  });
+}
+
+function faqNode(faq, siteUrl, locale) {
+  return {
+    '@type': 'FAQPage',
+    '@id': `${siteUrl}${localePath('/', locale)}#faq`,
+    inLanguage: locale,
+    mainEntity: faq.items.map((item) => ({
+      '@type': 'Question',
+      name: item.question,
+      acceptedAnswer: { '@type': 'Answer', text: item.answer }
+    }))
+  };
+}
+
+function serviceNode(service, business, siteUrl, locale) {
+  const url = `${siteUrl}${localePath(servicePath(service), locale)}`;
+  return compact({
+    '@type': 'Service',
+    '@id': `${siteUrl}${servicePath(service)}#servicio`,
+    inLanguage: locale,
+    name: service.title,
+    serviceType: service.title,
+    description: service.description,
+    url,
+    image: absoluteUrl(siteUrl, service.image),
+    provider: { '@id': businessId(siteUrl) },
+    areaServed: business.region
+  });
+}
+
+// Grafo de la portada (service = null) o de /servicios/<slug>
+function buildStructuredData(content, { siteUrl, service = null, locale = DEFAULT_LOCALE }) {
+  const graph = [businessNode(content.business, siteUrl, locale)];
+  if (service) {
+    graph.push(serviceNode(service, content.business, siteUrl, locale));
+  } else {
+    if (content.faq.items.length > 0) graph.push(faqNode(content.faq, siteUrl, locale));
+    graph.push(...content.services.items.map((item) => serviceNode(item, content.business, siteUrl, locale)));
+  }
+  return { '@context': 'https://schema.org', '@graph': graph };
+}
+
+module.exports = { buildStructuredData };
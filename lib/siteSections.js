@@ -0,0 +1,139 @@
+// Marcado de las secciones editables del landing (lib/content), compartido por el render
+// en el servidor (lib/site) y el navegador, que lo vuelve a pintar con el mismo HTML y le
+// agrega la interacción (pestañas, acordeones).
+//
+// En Node: require('./lib/siteSections'). En el navegador:
+// <script src="/lib/siteSections.js"> → window.RXLabSections
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RXLabSections = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  function escapeHtml(text) {
+    return String(text === null || text === undefined ? '' : text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Las imágenes del contenido son rutas relativas a la raíz (assets/…) o URLs https;
+  // con "/" al inicio funcionan también en /servicios/<slug>
+  function assetUrl(value) {
+    if (!value) return '';
+    return /^https?:\/\//.test(value) ? value : `/${value.replace(/^\/+/, '')}`;
+  }
+
+  function servicePath(service) {
+    return `/servicios/${encodeURIComponent(service.slug)}`;
+  }
+
+  function serviceTabs(items, active) {
+    return items.map((service, i) => `
+      <a class="service-item${i === active ? ' active' : ''}" href="${servicePath(service)}" data-index="${i}">
+        <div class="service-box">${escapeHtml(service.icon)}</div>
+        <div class="service-label">${escapeHtml(service.title)}</div>
+      </a>
+    `).join('');
+  }
+
+  // labels: { requestInfo, book } en el idioma de la página (page.services.* de lib/i18n)
+  function serviceCard(service, labels) {
+    return `
+      <div class="services-icon">${escapeHtml(service.icon)}</div>
+      <h3>${escapeHtml(service.title)}</h3>
+      <p>${escapeHtml(service.description)}</p>
+      ${service.highlight ? `<strong>${escapeHtml(service.highlight)}</strong>` : ''}
+      <a class="btn wa-cta" href="#contacto" data-quote="${escapeHtml(service.slug)}">${escapeHtml(labels.requestInfo)}</a>
+      <a class="ghost-btn" href="#bookingWidget" data-book="${escapeHtml(service.slug)}" hidden>${escapeHtml(labels.book)}</a>
+    `;
+  }
+
+  function certTags(tags) {
+    return tags.map((tag) => `<span class="cert-ref-tag">${escapeHtml(tag)}</span>`).join('');
+  }
+
+  function certPoints(points) {
+    return points.map((point) => `
+      <div class="cert-ref-point">
+        <button class="cert-ref-question" type="button">
+          ${escapeHtml(point.title)}
+          <span class="cert-ref-icon">+</span>
+        </button>
+        <div class="cert-ref-answer"><p>${escapeHtml(point.text)}</p></div>
+      </div>
+    `).join('');
+  }
+
+  function testimonials(items) {
+    return items.map((item) => {
+      const name = item.url
+        ? `<a href="${escapeHtml(item.url)}" target="_blank" rel="noopener" style="color:inherit;text-decoration:none;">${escapeHtml(item.name)}</a>`
+        : escapeHtml(item.name);
+      return `
+        <div class="testimonial">
+          <p class="testimonial-text">${escapeHtml(item.text)}</p>
+          <div class="testimonial-name">${name}</div>
+          ${item.role ? `<div class="testimonial-role">${escapeHtml(item.role)}</div>` : ''}
+        </div>
+      `;
+    }).join('');
+  }
+
+  function faqItems(items) {
+    return items.map((item) => `
+      <div class="faq-item">
+        <button class="faq-question" type="button">
+          ${escapeHtml(item.question)}
+          <span class="faq-icon">+</span>
+        </button>
+        <div class="faq-answer"><p>${escapeHtml(item.answer)}</p></div>
+      </div>
+    `).join('');
+  }
+
+  const DAY_LABELS = { Mo: 'Lun', Tu: 'Mar', We: 'Mié', Th: 'Jue', Fr: 'Vie', Sa: 'Sáb', Su: 'Dom' };
+
+  // "Mo-Fr 07:30-13:30" → "Lun a Vie 07:30 – 13:30"
+  function openingHoursLabel(spec) {
+    const [days, hours] = spec.split(' ');
+    const [from, to] = days.split('-');
+    const dayLabel = to ? `${DAY_LABELS[from]} a ${DAY_LABELS[to]}` : DAY_LABELS[from];
+    return `${dayLabel} ${hours.replace('-', ' – ')}`;
+  }
+
+  function locationDetails(business) {
+    const address = [business.streetAddress, business.locality, business.region, business.postalCode]
+      .filter(Boolean)
+      .join(', ');
+    const lines = [
+      address ? `<span>${escapeHtml(address)}</span>` : '',
+      business.telephone
+        ? `<a href="tel:${escapeHtml(business.telephone.replace(/[^\d+]/g, ''))}">${escapeHtml(business.telephone)}</a>`
+        : '',
+      business.openingHours.length
+        ? `<span>${business.openingHours.map((spec) => escapeHtml(openingHoursLabel(spec))).join(' · ')}</span>`
+        : ''
+    ].filter(Boolean);
+    return lines.join('\n');
+  }
+
+  return {
+    escapeHtml,
+    assetUrl,
+    servicePath,
+    serviceTabs,
+    serviceCard,
+    certTags,
+    certPoints,
+    testimonials,
+    faqItems,
+    openingHoursLabel,
+    locationDetails
+  };
+});
@@ -0,0 +1,275 @@
+// Sorteo antidoping: selección aleatoria y reproducible de trabajadores a examinar
+// Cada empresa del portal configura su programa (porcentaje, frecuencia y, si quiere, un
+// área). El universo son sus trabajadores activos con el servicio antidoping asignado.
+// Hay un sorteo por periodo (2026-10, 2026-T4…): repetirlo hasta que salga otro resultado
+// no es posible, y todos quedan en el historial de la empresa.
+//
+// Algoritmo (ALGORITHM, para reproducirlo fuera del sistema):
+//   1. Universo ordenado por número de empleado (comparación de cadenas).
+//   2. Semilla: el servidor genera al sortear un nonce de 32 caracteres hexadecimales. Si la
+//      empresa dio una semilla pública (p. ej. el número ganador de la Lotería Nacional), la
+//      semilla es "<semilla pública>:<nonce>"; si no, el nonce solo. Las tres quedan en el
+//      acta. Como el nonce no se conoce antes, la empresa no puede probar semillas por su
+//      cuenta hasta que alguien quede fuera.
+//   3. Entero aleatorio k-ésimo: primeros 4 bytes (big endian) de SHA-256("<semilla>:<k>"),
+//      k = 0, 1, 2…; para un rango n se descartan los valores >= floor(2^32 / n) * n y se
+//      toma el residuo (sin sesgo de módulo).
+//   4. Fisher-Yates parcial: para i = 0…seleccionados-1 se intercambia la posición i con
+//      i + entero(n - i). Los primeros "seleccionados" son el resultado.
+// Seleccionados = techo(universo × porcentaje / 100), al menos uno.
+//
+// El acta lleva hora (ISO 8601, UTC), el hash del universo y una firma HMAC-SHA256 con
+// SORTEO_SIGNING_SECRET sobre todos sus datos; verifyDraw recalcula ambas cosas. Datos en
+// data/sorteo-programs.json y data/sorteo-draws.json.
+
+const crypto = require('crypto');
+const { createJsonStore } = require('../store/jsonFile');
+const { listWorkers } = require('../portal/roster');
+const { localParts } = require('../schedule');
+const { getConfig } = require('../config');
+const { child } = require('../logger');
+
+const logger = child({ module: 'sorteo' });
+
+const programStore = createJsonStore('sorteo-programs.json', {});
+const drawStore = createJsonStore('sorteo-draws.json', []);
+
+const ALGORITHM = 'sha256-fisher-yates-v1';
+const SERVICE = 'antidoping';
+const UTC_OFFSET = '-06:00';
+
+// Frecuencia → meses por periodo y prefijo de la etiqueta (2026-B5, 2026-T4…)
+const FREQUENCIES = {
+  mensual: { months: 1, prefix: '' },
+  bimestral: { months: 2, prefix: 'B' },
+  trimestral: { months: 3, prefix: 'T' },
+  semestral: { months: 6, prefix: 'S' },
+  anual: { months: 12, prefix: null }
+};
+
+const DEFAULT_PROGRAM = { percentage: 10, frequency: 'trimestral', area: '' };
+
+class SorteoError extends Error {
+  constructor(message, status = 400, fields = null) {
+    super(message);
+    this.name = 'SorteoError';
+    this.status = status;
+    this.fields = fields;
+  }
+}
+
+function signingSecret() {
+  const secret = getConfig().sorteo.signingSecret;
+  if (!secret) throw new SorteoError('Sorteos deshabilitados (falta SORTEO_SIGNING_SECRET)', 503);
+  return secret;
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Etiqueta del periodo de una fecha AAAA-MM-DD: 2026-10, 2026-B5, 2026-T4, 2026-S2, 2026
+function periodOf(date, frequency) {
+  const { months, prefix } = FREQUENCIES[frequency];
+  const [year, month] = date.split('-');
+  if (prefix === null) return year;
+  if (months === 1) return `${year}-${month}`;
+  return `${year}-${prefix}${Math.ceil(Number(month) / months)}`;
+}
+
+// =========================
+// SELECCIÓN
+// =========================
+
+// Enteros uniformes en [0, n) a partir de la semilla (paso 3 del algoritmo)
+function randomStream(seed) {
+  let counter = 0;
+  return (n) => {
+    const limit = Math.floor(2 ** 32 / n) * n;
+    for (;;) {
+      const value = crypto.createHash('sha256').update(`${seed}:${counter++}`).digest().readUInt32BE(0);
+      if (value < limit) return value % n;
+    }
+  };
+}
+
+function selectionSize(total, percentage) {
+  return Math.min(total, Math.max(1, Math.ceil((total * percentage) / 100)));
+}
+
+// population: [{ employeeNumber, … }]; devuelve los seleccionados en orden de sorteo
+function drawSelection(population, percentage, seed) {
+  const pool = [...population].sort((a, b) => (a.employeeNumber < b.employeeNumber ? -1 : a.employeeNumber > b.employeeNumber ? 1 : 0));
+  const next = randomStream(seed);
+  const count = selectionSize(pool.length, percentage);
+  for (let i = 0; i < count; i++) {
+    const j = i + next(pool.length - i);
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, count);
+}
+
+function populationHash(population) {
+  return sha256(population.map((worker) => worker.employeeNumber).sort().join('\n'));
+}
+
+// Datos firmados del acta, en orden fijo
+function signedPayload(draw) {
+  return JSON.stringify([
+    draw.folio, draw.employerId, draw.company, draw.period, draw.frequency, draw.percentage, draw.area,
+    draw.algorithm, draw.seed, draw.populationHash,
+    draw.population.map((worker) => worker.employeeNumber),
+    draw.selected.map((worker) => worker.employeeNumber),
+    draw.drawnAt, draw.drawnBy
+  ]);
+}
+
+function sign(draw) {
+  return crypto.createHmac('sha256', signingSecret()).update(signedPayload(draw)).digest('hex');
+}
+
+// =========================
+// PROGRAMA
+// =========================
+
+async function getProgram(employerId) {
+  const programs = await programStore.read();
+  return { ...DEFAULT_PROGRAM, ...programs[employerId] };
+}
+
+async function saveProgram(employerId, body = {}, { user = null } = {}) {
+  const percentage = Number(body.percentage);
+  if (!Number.isFinite(percentage) || percentage < 1 || percentage > 100) {
+    throw new SorteoError('El porcentaje va de 1 a 100', 400, { percentage: 'Inválido' });
+  }
+  if (!FREQUENCIES[body.frequency]) {
+    throw new SorteoError(`Frecuencia inválida. Usa: ${Object.keys(FREQUENCIES).join(', ')}`, 400, { frequency: 'Inválida' });
+  }
+  const program = {
+    percentage: Math.round(percentage * 10) / 10,
+    frequency: body.frequency,
+    area: String(body.area || '').trim().slice(0, 80),
+    updatedBy: user,
+    updatedAt: new Date().toISOString()
+  };
+  await programStore.update((programs) => {
+    programs[employerId] = program;
+  });
+  return program;
+}
+
+// =========================
+// SORTEO E HISTORIAL
+// =========================
+
+// Trabajadores que entran al sorteo según el programa
+async function populationFor(employerId, program) {
+  const area = program.area.toLowerCase();
+  return (await listWorkers(employerId))
+    .filter((worker) => worker.services.includes(SERVICE) && (!area || worker.area.toLowerCase() === area))
+    .map(({ id, employeeNumber, name, area: workerArea, position }) => ({ workerId: id, employeeNumber, name, area: workerArea, position }));
+}
+
+// Semilla del sorteo (paso 2 del algoritmo)
+function combineSeed(publicSeed, nonce) {
+  return publicSeed ? `${publicSeed}:${nonce}` : nonce;
+}
+
+// seed opcional: la semilla pública que la empresa anunció antes del sorteo. Se combina con
+// el nonce del servidor: por sí sola no decide a quién le toca.
+async function runDraw(employer, { seed, user = null, now = Date.now() } = {}) {
+  signingSecret();
+  const program = await getProgram(employer.id);
+  const population = await populationFor(employer.id, program);
+  if (!population.length) {
+    throw new SorteoError(`No hay trabajadores activos con antidoping asignado${program.area ? ` en el área ${program.area}` : ''}`, 400);
+  }
+
+  const publicSeed = String(seed ?? '').trim() || null;
+  if (publicSeed && publicSeed.length > 200) throw new SorteoError('La semilla admite hasta 200 caracteres', 400, { seed: 'Muy larga' });
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const drawSeed = combineSeed(publicSeed, nonce);
+
+  const drawnAt = new Date(now).toISOString();
+  const period = periodOf(localParts(new Date(now), UTC_OFFSET).date, program.frequency);
+  const selected = drawSelection(population, program.percentage, drawSeed);
+
+  const draw = await drawStore.update((draws) => {
+    const existing = draws.find((candidate) => candidate.employerId === employer.id && candidate.period === period);
+    if (existing) {
+      throw new SorteoError(`El sorteo del periodo ${period} ya se hizo (${existing.folio})`, 409);
+    }
+    const year = drawnAt.slice(0, 4);
+    const number = draws.filter((candidate) => candidate.folio.startsWith(`SRT-${year}-`)).length + 1;
+    const record = {
+      id: crypto.randomUUID(),
+      folio: `SRT-${year}-${String(number).padStart(4, '0')}`,
+      employerId: employer.id,
+      company: employer.company,
+      period,
+      frequency: program.frequency,
+      percentage: program.percentage,
+      area: program.area,
+      algorithm: ALGORITHM,
+      publicSeed,
+      nonce,
+      seed: drawSeed,
+      populationHash: populationHash(population),
+      population,
+      selected,
+      drawnAt,
+      drawnBy: user
+    };
+    record.signature = sign(record);
+    draws.push(record);
+    return record;
+  });
+
+  logger.info('Sorteo antidoping realizado', { folio: draw.folio, employerId: employer.id, population: population.length, selected: selected.length });
+  return draw;
+}
+
+// Historial de la empresa (sin el universo completo, que va en el acta)
+async function listDraws(employerId) {
+  return (await drawStore.read())
+    .filter((draw) => draw.employerId === employerId)
+    .map(({ population, ...draw }) => ({ ...draw, populationSize: population.length }))
+    .sort((a, b) => b.drawnAt.localeCompare(a.drawnAt));
+}
+
+// employerId limita la búsqueda a una empresa (portal); sin él, cualquiera (panel)
+async function getDraw(id, { employerId } = {}) {
+  const draw = (await drawStore.read()).find((candidate) => candidate.id === id);
+  if (!draw || (employerId && draw.employerId !== employerId)) throw new SorteoError('Sorteo no encontrado', 404);
+  return draw;
+}
+
+// Firma intacta y mismo resultado al repetir el algoritmo con la semilla del acta. La firma
+// cubre la semilla; que salga de la semilla pública y el nonce se comprueba aparte.
+function verifyDraw(draw) {
+  const expected = Buffer.from(sign(draw));
+  const signatureValid = expected.length === Buffer.from(String(draw.signature)).length &&
+    crypto.timingSafeEqual(expected, Buffer.from(String(draw.signature)));
+  const replay = drawSelection(draw.population, draw.percentage, draw.seed).map((worker) => worker.employeeNumber);
+  return {
+    signatureValid,
+    populationHashValid: populationHash(draw.population) === draw.populationHash,
+    reproducible: Boolean(draw.nonce) && combineSeed(draw.publicSeed, draw.nonce) === draw.seed &&
+      JSON.stringify(replay) === JSON.stringify(draw.selected.map((worker) => worker.employeeNumber))
+  };
+}
+
+module.exports = {
+  ALGORITHM,
+  FREQUENCIES,
+  SorteoError,
+  periodOf,
+  drawSelection,
+  populationFor,
+  getProgram,
+  saveProgram,
+  runDraw,
+  listDraws,
+  getDraw,
+  verifyDraw
+};
@@ -0,0 +1,172 @@
+// Acta del sorteo antidoping en PDF para auditorías
+// Datos del sorteo, seleccionados, firma y cómo verificarlo; en el anexo, el universo
+// completo en el orden que usa el algoritmo. Devuelve un Buffer, no escribe a disco.
+
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const SVGtoPDF = require('svg-to-pdfkit');
+const { verifyDraw } = require('./index');
+
+const LOGO_PATH = path.join(__dirname, '..', '..', 'assets', 'logos', 'rxlab.svg');
+
+const COLORS = {
+  band: '#0f172a',
+  accent: '#0284c7',
+  text: '#111827',
+  muted: '#6b7280',
+  border: '#d1d5db',
+  danger: '#b91c1c'
+};
+
+const PAGE_BOTTOM = 720;
+
+let logoSvg = null;
+function readLogo() {
+  if (logoSvg === null) logoSvg = fs.readFileSync(LOGO_PATH, 'utf8');
+  return logoSvg;
+}
+
+// Fecha y hora de Ciudad de México, con la hora UTC exacta del acta entre paréntesis
+function formatTimestamp(iso) {
+  const local = new Date(iso).toLocaleString('es-MX', {
+    day: 'numeric', month: 'long', year: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit',
+    timeZone: 'America/Mexico_City'
+  });
+  return `${local} (${iso})`;
+}
+
+function fileNameFor(draw) {
+  return `Sorteo-antidoping-${draw.folio}.pdf`;
+}
+
+function ensureSpace(doc, y, height) {
+  if (y + height <= PAGE_BOTTOM) return y;
+  doc.addPage();
+  return 50;
+}
+
+function drawHeader(doc, draw) {
+  doc.rect(0, 0, doc.page.width, 110).fill(COLORS.band);
+  // El logo es blanco, por eso va sobre la franja oscura
+  SVGtoPDF(doc, readLogo(), 50, 28, { width: 96, height: 55 });
+
+  doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(18)
+    .text('ACTA DE SORTEO ANTIDOPING', 250, 30, { width: 312, align: 'right' });
+  doc.font('Helvetica').fontSize(10)
+    .text(`Folio: ${draw.folio}`, 250, 58, { width: 312, align: 'right' })
+    .text(`Periodo: ${draw.period}`, { width: 312, align: 'right' });
+}
+
+function drawDetails(doc, draw) {
+  const rows = [
+    ['Empresa', draw.company],
+    ['Fecha y hora', formatTimestamp(draw.drawnAt)],
+    ['Realizado por', draw.drawnBy || '—'],
+    ['Programa', `${draw.percentage}% del universo, frecuencia ${draw.frequency}${draw.area ? `, área ${draw.area}` : ''}`],
+    ['Universo', `${draw.population.length} trabajadores activos con antidoping asignado`],
+    ['Seleccionados', String(draw.selected.length)],
+    ['Algoritmo', draw.algorithm],
+    ...(draw.nonce ? [['Semilla pública', draw.publicSeed || 'Ninguna'], ['Nonce del servidor', draw.nonce]] : []),
+    ['Semilla', draw.seed],
+    ['Hash del universo', draw.populationHash]
+  ];
+
+  let y = 135;
+  for (const [label, value] of rows) {
+    doc.fillColor(COLORS.muted).font('Helvetica').fontSize(9).text(label.toUpperCase(), 50, y, { width: 120 });
+    doc.fillColor(COLORS.text).font('Helvetica').fontSize(10).text(value, 170, y, { width: 392 });
+    y = Math.max(doc.y, y + 12) + 5;
+  }
+  return y + 8;
+}
+
+// Tabla de trabajadores: orden, número, nombre, puesto / área
+function drawWorkers(doc, title, workers, y) {
+  y = ensureSpace(doc, y, 60);
+  doc.fillColor(COLORS.accent).font('Helvetica-Bold').fontSize(11).text(title, 50, y);
+  y = doc.y + 6;
+
+  const header = (top) => {
+    doc.rect(50, top, 512, 20).fill(COLORS.band);
+    doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(9)
+      .text('#', 56, top + 6, { width: 24 })
+      .text('No. empleado', 84, top + 6, { width: 90 })
+      .text('Nombre', 180, top + 6, { width: 200 })
+      .text('Puesto / área', 386, top + 6, { width: 170 });
+    return top + 26;
+  };
+  y = header(y);
+
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.text);
+  workers.forEach((worker, index) => {
+    if (y + 16 > PAGE_BOTTOM) {
+      doc.addPage();
+      y = header(50);
+      doc.font('Helvetica').fontSize(9).fillColor(COLORS.text);
+    }
+    doc.text(String(index + 1), 56, y, { width: 24 })
+      .text(worker.employeeNumber, 84, y, { width: 90 })
+      .text(worker.name, 180, y, { width: 200, lineBreak: false, ellipsis: true })
+      .text([worker.position, worker.area].filter(Boolean).join(' / '), 386, y, { width: 170, lineBreak: false, ellipsis: true });
+    y += 15;
+  });
+  return y + 10;
+}
+
+function drawSignature(doc, draw, y) {
+  const check = verifyDraw(draw);
+  const valid = check.signatureValid && check.populationHashValid && check.reproducible;
+  const instructions = [
+    'Ordena el universo del anexo por número de empleado (comparación de cadenas).',
+    ...(draw.nonce ? ['La semilla es "<semilla pública>:<nonce>", o el nonce solo si no hubo semilla pública. El nonce lo generó RXLab al sortear: nadie lo conocía antes.'] : []),
+    'El entero k-ésimo son los primeros 4 bytes de SHA-256("<semilla>:<k>"), k = 0, 1, 2…; para un rango n se descartan los valores >= floor(2^32 / n) × n y se toma el residuo.',
+    'Para i = 0 … seleccionados − 1 intercambia la posición i con i + entero(n − i). Los primeros son los seleccionados, en el orden de esta acta.'
+  ];
+
+  y = ensureSpace(doc, y, 150);
+  doc.fillColor(COLORS.accent).font('Helvetica-Bold').fontSize(11).text('Firma y verificación', 50, y);
+  doc.fillColor(COLORS.text).font('Courier').fontSize(9).text(`HMAC-SHA256: ${draw.signature}`, 50, doc.y + 6, { width: 512 });
+  doc.fillColor(valid ? COLORS.text : COLORS.danger).font('Helvetica-Bold').fontSize(9)
+    .text(valid ? 'Firma verificada por RXLab al emitir este documento.' : 'ATENCIÓN: el acta no coincide con su firma.', 50, doc.y + 4);
+  doc.fillColor(COLORS.muted).font('Helvetica').fontSize(9)
+    .text('Para reproducir el sorteo:', 50, doc.y + 8)
+    .list(instructions, 50, doc.y + 4, { width: 512, bulletRadius: 1.5 });
+  return doc.y + 12;
+}
+
+// Genera el PDF del acta; resuelve con el Buffer completo
+function renderDrawPdf(draw) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margin: 50,
+      info: {
+        Title: `Acta de sorteo antidoping ${draw.folio}`,
+        Author: 'RXLab',
+        Subject: `Sorteo antidoping de ${draw.company}, periodo ${draw.period}`
+      }
+    });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      drawHeader(doc, draw);
+      let y = drawDetails(doc, draw);
+      y = drawWorkers(doc, 'Trabajadores seleccionados', draw.selected, y);
+      y = drawSignature(doc, draw, y);
+      const ordered = [...draw.population].sort((a, b) => (a.employeeNumber < b.employeeNumber ? -1 : a.employeeNumber > b.employeeNumber ? 1 : 0));
+      drawWorkers(doc, 'Anexo: universo del sorteo', ordered, y);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+module.exports = {
+  renderDrawPdf,
+  fileNameFor
+};
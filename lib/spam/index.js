@@ -0,0 +1,114 @@
+// Protección anti-spam del formulario de contacto, compartida por server.js y api/brevo.js
+// Capas (cada una suma puntos; con SPAM_THRESHOLD o más el lead va a cuarentena):
+//   1. Honeypot: campo "website" oculto que solo llenan los bots
+//   2. Token de tiempo firmado (token.js): ausente, inválido, reutilizado o demasiado rápido
+//   3. Contenido: enlaces, frases de spam, email desechable, URLs en nombre/empresa
+// El rate limit por IP de express-rate-limit sigue aplicando aparte en server.js.
+
+const { issueFormToken, verifyFormToken } = require('./token');
+const { SPAM_PHRASES, DISPOSABLE_DOMAINS } = require('./lists');
+const { getConfig } = require('../config');
+const { t } = require('../i18n');
+
+const HONEYPOT_FIELD = 'website';
+const TOKEN_FIELD = 'formToken';
+
+const POINTS = {
+  honeypot: 100,
+  token_missing: 40,
+  token_malformed: 60,
+  token_signature: 60,
+  token_too_fast: 60,
+  token_reused: 40,
+  token_expired: 20,
+  link: 15,
+  many_links: 30,
+  url_in_identity: 40,
+  spam_phrase: 20,
+  disposable_email: 50
+};
+
+// Máximo que pueden sumar las frases de spam, para que un mensaje largo no se dispare solo
+const MAX_PHRASE_POINTS = 60;
+
+function getSpamThreshold() {
+  return getConfig().spam.threshold;
+}
+
+function foldText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+const LINK_REGEX = /\bhttps?:\/\/|\bwww\.|\[url=|<a\s/gi;
+
+function countLinks(text) {
+  return (String(text || '').match(LINK_REGEX) || []).length;
+}
+
+function findSpamPhrases(text) {
+  const folded = ` ${foldText(text).replace(/[^a-z0-9]+/g, ' ')} `;
+  return SPAM_PHRASES.filter((phrase) => folded.includes(` ${phrase} `));
+}
+
+function isDisposableEmail(email) {
+  const domain = String(email || '').split('@')[1] || '';
+  return DISPOSABLE_DOMAINS.some((disposable) => domain === disposable || domain.endsWith(`.${disposable}`));
+}
+
+// Evalúa un envío. body es el JSON crudo (honeypot y token), lead los datos ya validados.
+// Devuelve { score, reasons: [{ code, points, detail? }], quarantined, threshold }
+function assessSpam(body = {}, lead = {}, { now = Date.now(), threshold = getSpamThreshold() } = {}) {
+  const reasons = [];
+  const add = (code, detail) => reasons.push(detail === undefined
+    ? { code, points: POINTS[code] }
+    : { code, points: POINTS[code], detail });
+
+  if (body[HONEYPOT_FIELD] !== undefined && String(body[HONEYPOT_FIELD]).trim() !== '') {
+    add('honeypot');
+  }
+
+  const token = verifyFormToken(body[TOKEN_FIELD], now);
+  if (!token.valid) add(`token_${token.reason}`);
+
+  const links = countLinks(lead.message);
+  if (links > 2) {
+    reasons.push({ code: 'many_links', points: POINTS.many_links + (links - 3) * POINTS.link, detail: links });
+  } else if (links > 0) {
+    reasons.push({ code: 'link', points: POINTS.link * links, detail: links });
+  }
+
+  if (countLinks(`${lead.name || ''} ${lead.company || ''}`) > 0) add('url_in_identity');
+
+  const phrases = findSpamPhrases(`${lead.message || ''} ${lead.company || ''}`);
+  if (phrases.length > 0) {
+    reasons.push({
+      code: 'spam_phrase',
+      points: Math.min(phrases.length * POINTS.spam_phrase, MAX_PHRASE_POINTS),
+      detail: phrases.join(', ')
+    });
+  }
+
+  if (isDisposableEmail(lead.email)) add('disposable_email');
+
+  const score = reasons.reduce((sum, reason) => sum + reason.points, 0);
+  return { score, reasons, quarantined: score >= threshold, threshold };
+}
+
+// Punto de entrada común para GET /api/form-token
+function handleFormTokenRequest(method, { locale } = {}) {
+  if (method !== 'GET') {
+    return { statusCode: 405, body: { ok: false, error: t('api.methodNotAllowed', {}, locale) } };
+  }
+  return { statusCode: 200, body: { ok: true, token: issueFormToken() } };
+}
+
+module.exports = {
+  HONEYPOT_FIELD,
+  TOKEN_FIELD,
+  getSpamThreshold,
+  assessSpam,
+  handleFormTokenRequest
+};
@@ -0,0 +1,66 @@
+// Listas para las heurísticas de contenido. Todo en minúsculas y sin acentos.
+
+// Frases típicas de spam comercial que llega a formularios de contacto (es/en)
+const SPAM_PHRASES = [
+  'seo',
+  'backlinks',
+  'guest post',
+  'first page of google',
+  'primera pagina de google',
+  'increase your traffic',
+  'aumentar tu trafico',
+  'web design services',
+  'diseno web economico',
+  'bitcoin',
+  'crypto',
+  'criptomonedas',
+  'forex',
+  'casino',
+  'viagra',
+  'cialis',
+  'loan offer',
+  'prestamo inmediato',
+  'work from home',
+  'gana dinero',
+  'make money',
+  'unsubscribe',
+  'click here',
+  'haz clic aqui',
+  'lead generation',
+  'email list',
+  'base de datos de correos'
+];
+
+// Dominios de correo desechable más comunes
+const DISPOSABLE_DOMAINS = [
+  '10minutemail.com',
+  '20minutemail.com',
+  'dispostable.com',
+  'emailondeck.com',
+  'fakeinbox.com',
+  'getnada.com',
+  'guerrillamail.com',
+  'guerrillamail.net',
+  'mailcatch.com',
+  'maildrop.cc',
+  'mailinator.com',
+  'mailnesia.com',
+  'mintemail.com',
+  'mohmal.com',
+  'moakt.com',
+  'sharklasers.com',
+  'spamgourmet.com',
+  'temp-mail.org',
+  'tempmail.com',
+  'tempmail.net',
+  'tempmailo.com',
+  'throwawaymail.com',
+  'trashmail.com',
+  'yopmail.com',
+  'yopmail.net'
+];
+
+module.exports = {
+  SPAM_PHRASES,
+  DISPOSABLE_DOMAINS
+};
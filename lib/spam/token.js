@@ -0,0 +1,84 @@
+// Token de tiempo firmado por el servidor
+// El formulario pide un token al cargar (GET /api/form-token) y lo devuelve al enviar.
+// Un envío más rápido que SPAM_MIN_SUBMIT_MS desde que se emitió el token es de un bot.
+//
+// Formato: <emitidoEnMs>.<nonce>.<firma HMAC-SHA256 base64url>
+
+const crypto = require('crypto');
+const { child } = require('../logger');
+const { getConfig } = require('../config');
+
+const logger = child({ module: 'spam' });
+
+// Nonces ya usados (por proceso) para detectar el mismo token en muchos envíos
+const usedNonces = new Map();
+
+let fallbackSecret = null;
+
+// FORM_TOKEN_SECRET es lo recomendado. Sin él se deriva de BREVO_API_KEY para que todas
+// las instancias serverless firmen igual; como último recurso, un secreto por proceso.
+function getSecret() {
+  const config = getConfig();
+  if (config.spam.tokenSecret) return config.spam.tokenSecret;
+  if (config.brevo.apiKey) {
+    return crypto.createHash('sha256').update(`rxlab-form-token:${config.brevo.apiKey}`).digest('hex');
+  }
+  if (!fallbackSecret) {
+    fallbackSecret = crypto.randomBytes(32).toString('hex');
+    logger.warn('FORM_TOKEN_SECRET no está configurado: los tokens del formulario solo valen en este proceso');
+  }
+  return fallbackSecret;
+}
+
+function getTokenConfig() {
+  const { minSubmitMs, tokenTtlMs } = getConfig().spam;
+  return { minSubmitMs, ttlMs: tokenTtlMs };
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+function issueFormToken(now = Date.now()) {
+  const payload = `${now}.${crypto.randomBytes(9).toString('base64url')}`;
+  return `${payload}.${sign(payload)}`;
+}
+
+function forgetExpiredNonces(now, ttlMs) {
+  for (const [nonce, issuedAt] of usedNonces) {
+    if (now - issuedAt > ttlMs) usedNonces.delete(nonce);
+  }
+}
+
+// Devuelve { valid: true, ageMs } o { valid: false, reason }
+// reason: missing | malformed | signature | too_fast | expired | reused
+function verifyFormToken(token, now = Date.now(), config = getTokenConfig()) {
+  if (!token || typeof token !== 'string') return { valid: false, reason: 'missing' };
+
+  const parts = token.split('.');
+  if (parts.length !== 3 || !/^\d+$/.test(parts[0])) return { valid: false, reason: 'malformed' };
+
+  const [issued, nonce, signature] = parts;
+  const expected = Buffer.from(sign(`${issued}.${nonce}`));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'signature' };
+  }
+
+  const issuedAt = Number(issued);
+  const ageMs = now - issuedAt;
+  if (ageMs < config.minSubmitMs) return { valid: false, reason: 'too_fast', ageMs };
+  if (ageMs > config.ttlMs) return { valid: false, reason: 'expired', ageMs };
+
+  forgetExpiredNonces(now, config.ttlMs);
+  if (usedNonces.has(nonce)) return { valid: false, reason: 'reused', ageMs };
+  usedNonces.set(nonce, issuedAt);
+
+  return { valid: true, ageMs };
+}
+
+module.exports = {
+  getTokenConfig,
+  issueFormToken,
+  verifyFormToken
+};
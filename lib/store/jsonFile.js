@@ -0,0 +1,110 @@
+// Almacenamiento mínimo en archivos JSON para desarrollo y despliegues de un solo nodo
+// Las escrituras son atómicas (archivo temporal + rename) y se serializan por archivo
+// para que dos peticiones concurrentes no se pisen. Entre procesos (el servidor y un
+// comando de scripts/, p. ej. npm run outbox -- replay) cada update toma además un archivo
+// de bloqueo <archivo>.lock creado en exclusiva.
+
+const fs = require('fs/promises');
+const path = require('path');
+const { getConfig } = require('../config');
+
+// Directorio de datos, DATA_DIR (en Vercel, por defecto, el directorio temporal; ver lib/config.js)
+function getDataDir() {
+  return getConfig().dataDir;
+}
+
+const queues = new Map();
+
+// Un bloqueo más viejo que esto es de un proceso que murió a mitad de un update
+const LOCK_STALE_MS = 30 * 1000;
+const LOCK_TIMEOUT_MS = 10 * 1000;
+const LOCK_RETRY_MS = 25;
+
+// Encadena las operaciones sobre un mismo archivo
+function enqueue(filePath, task) {
+  const previous = queues.get(filePath) || Promise.resolve();
+  const next = previous.catch(() => {}).then(task);
+  queues.set(filePath, next);
+  return next;
+}
+
+async function readJson(filePath, fallback) {
+  try {
+    const text = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(text);
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+async function acquireLock(lockPath) {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      const handle = await fs.open(lockPath, 'wx');
+      await handle.writeFile(String(process.pid));
+      await handle.close();
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const stat = await fs.stat(lockPath).catch(() => null);
+    if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+      await fs.rm(lockPath, { force: true });
+      continue;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`No se pudo bloquear ${path.basename(lockPath)}: otro proceso lo está usando`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+}
+
+// Ejecuta task con el archivo bloqueado para los demás procesos
+async function withFileLock(filePath, task) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const lockPath = `${filePath}.lock`;
+  await acquireLock(lockPath);
+  try {
+    return await task();
+  } finally {
+    await fs.rm(lockPath, { force: true });
+  }
+}
+
+async function writeJson(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+  await fs.rename(tmpPath, filePath);
+}
+
+// Crea un store ligado a un archivo dentro del directorio de datos
+function createJsonStore(fileName, fallback = []) {
+  const filePath = () => path.join(getDataDir(), fileName);
+
+  return {
+    // Lee el contenido actual (copia independiente del valor por defecto)
+    read() {
+      return enqueue(filePath(), () => readJson(filePath(), structuredClone(fallback)));
+    },
+
+    // Lee, aplica mutator y guarda; devuelve lo que retorne el mutator
+    update(mutator) {
+      const target = filePath();
+      return enqueue(target, () => withFileLock(target, async () => {
+        const data = await readJson(target, structuredClone(fallback));
+        const result = await mutator(data);
+        await writeJson(target, data);
+        return result;
+      }));
+    }
+  };
+}
+
+module.exports = {
+  getDataDir,
+  createJsonStore
+};
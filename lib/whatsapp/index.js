@@ -0,0 +1,194 @@
+// Continuación por WhatsApp después de enviar el formulario o agendar una cita
+// El servidor arma el enlace wa.me con el mensaje ya escrito (incluye el ID del lead) y
+// decide a qué número va y si la página redirige. El ruteo vive en
+// lib/whatsapp/routing.json (o WHATSAPP_ROUTING_FILE):
+//   utcOffset      zona horaria del horario de atención
+//   businessHours  horario de atención ("mon-fri": ["08:00-18:00"])
+//   routes         reglas en orden; gana la primera cuyas condiciones se cumplan todas:
+//     when.services       el lead incluye alguno de estos servicios (cotización o cita)
+//     when.businessHours  true = dentro del horario, false = fuera
+//     when.quote          el lead trae cotización
+//     when.appointment    el lead trae cita
+//   Cada regla puede fijar number (E.164), template y redirect. Lo que no fije sale del
+//   valor por defecto: WHATSAPP_NUMBER, la plantilla según el lead y WHATSAPP_REDIRECT.
+//
+// Ejemplo: antidoping a otra línea y sin redirección fuera de horario
+//   { "name": "antidoping", "when": { "services": ["antidoping"] }, "number": "+525512345678" },
+//   { "name": "fuera-de-horario", "when": { "businessHours": false }, "redirect": false }
+//
+// Plantillas: lib/whatsapp/templates/<nombre>.txt con la sintaxis de los emails. Por defecto
+// appointment si hay cita, quote si hay cotización y lead en otro caso. Para leads en otro
+// idioma se usa templates/<idioma>/<nombre>.txt si existe (el visitante envía el mensaje).
+// Sin WHATSAPP_NUMBER ni número en la regla se usa WHATSAPP_LINK, que no lleva el mensaje.
+
+const fs = require('fs');
+const path = require('path');
+const { renderTemplate } = require('../email/template');
+const { parsePhone } = require('../phone');
+const { findService } = require('../quote');
+const { UTC_OFFSET, validateHours, isWithinHours } = require('../schedule');
+const { getConfig } = require('../config');
+const { DEFAULT_LOCALE } = require('../i18n');
+
+const DEFAULT_ROUTING_FILE = path.join(__dirname, 'routing.json');
+const TEMPLATES_DIR = path.join(__dirname, 'templates');
+const CONDITIONS = ['services', 'businessHours', 'quote', 'appointment'];
+
+class WhatsAppError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'WhatsAppError';
+    this.status = status;
+  }
+}
+
+// =========================
+// RUTEO
+// =========================
+
+let cachedRouting = null;
+
+function templateExists(name) {
+  return fs.existsSync(path.join(TEMPLATES_DIR, `${path.basename(name)}.txt`));
+}
+
+function validateRouting(data) {
+  const problems = [];
+  if (!UTC_OFFSET.test(data.utcOffset || '')) problems.push('utcOffset debe tener la forma -06:00');
+  problems.push(...validateHours(data.businessHours, 'businessHours'));
+  if (!Array.isArray(data.routes)) problems.push('routes debe ser una lista');
+
+  (data.routes || []).forEach((route, i) => {
+    const label = route.name || `routes[${i}]`;
+    for (const key of Object.keys(route.when || {})) {
+      if (!CONDITIONS.includes(key)) problems.push(`${label}: condición desconocida "${key}"`);
+    }
+    for (const slug of route.when?.services || []) {
+      if (!findService(slug)) problems.push(`${label}: servicio desconocido "${slug}"`);
+    }
+    if (route.number !== undefined && !parsePhone(route.number).valid) {
+      problems.push(`${label}: número inválido "${route.number}"`);
+    }
+    if (route.template !== undefined && !templateExists(route.template)) {
+      problems.push(`${label}: plantilla no encontrada "${route.template}"`);
+    }
+    if (route.redirect !== undefined && typeof route.redirect !== 'boolean') {
+      problems.push(`${label}: redirect debe ser true o false`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new WhatsAppError(`Ruteo de WhatsApp inválido: ${problems.join('; ')}`);
+  }
+  return data;
+}
+
+function getRouting() {
+  const file = getConfig().whatsapp.routingFile || DEFAULT_ROUTING_FILE;
+  if (!cachedRouting || cachedRouting.file !== file) {
+    const data = validateRouting(JSON.parse(fs.readFileSync(file, 'utf8')));
+    cachedRouting = { file, data };
+  }
+  return cachedRouting.data;
+}
+
+// Servicios del catálogo que menciona el lead
+function leadServices(lead) {
+  const services = new Set((lead.quote?.lines || []).map((line) => line.service));
+  if (lead.appointment) services.add(lead.appointment.service);
+  return [...services];
+}
+
+function matches(when = {}, facts) {
+  if (when.services && !when.services.some((slug) => facts.services.includes(slug))) return false;
+  if (when.businessHours !== undefined && when.businessHours !== facts.businessHours) return false;
+  if (when.quote !== undefined && when.quote !== facts.quote) return false;
+  if (when.appointment !== undefined && when.appointment !== facts.appointment) return false;
+  return true;
+}
+
+// Regla que aplica al lead (o null) y los hechos con los que se evaluó
+function resolveRoute(lead, now = Date.now()) {
+  const routing = getRouting();
+  const facts = {
+    services: leadServices(lead),
+    businessHours: isWithinHours(routing.businessHours, new Date(now), routing.utcOffset),
+    quote: Boolean(lead.quote),
+    appointment: Boolean(lead.appointment)
+  };
+  const route = routing.routes.find((candidate) => matches(candidate.when, facts)) || null;
+  return { route, facts };
+}
+
+// =========================
+// MENSAJE Y ENLACE
+// =========================
+
+function formatMoney(amount) {
+  return amount.toLocaleString('es-MX', { style: 'currency', currency: 'MXN' });
+}
+
+// Plantilla en el idioma del lead, o la base (español) si no hay traducción
+function templateFile(templateName, locale) {
+  const name = `${path.basename(templateName)}.txt`;
+  const translated = locale && locale !== DEFAULT_LOCALE && path.join(TEMPLATES_DIR, path.basename(locale), name);
+  return translated && fs.existsSync(translated) ? translated : path.join(TEMPLATES_DIR, name);
+}
+
+function renderMessage(templateName, lead, facts) {
+  const template = fs.readFileSync(templateFile(templateName, lead.locale), 'utf8');
+  const variables = {
+    leadId: lead.id,
+    firstName: String(lead.name || '').split(/\s+/)[0],
+    company: lead.company || '',
+    afterHours: !facts.businessHours,
+    quote: lead.quote
+      ? { folio: lead.quote.folio || '', headcount: lead.quote.headcount, total: formatMoney(lead.quote.total) }
+      : null,
+    appointment: lead.appointment
+      ? {
+        service: lead.appointment.serviceTitle,
+        type: lead.appointment.typeTitle,
+        date: lead.appointment.dateLabel,
+        time: lead.appointment.time
+      }
+      : null
+  };
+  return renderTemplate(template, variables, { escape: false }).replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function defaultTemplate(lead) {
+  if (lead.appointment) return 'appointment';
+  if (lead.quote) return 'quote';
+  return 'lead';
+}
+
+// Objeto de continuación que recibe el navegador:
+//   { url, message, redirect, route, prefilled }
+// prefilled = false cuando se usa WHATSAPP_LINK (el texto no viaja en el enlace)
+function buildHandoff(lead, { now = Date.now() } = {}) {
+  const config = getConfig();
+  const { route, facts } = resolveRoute(lead, now);
+  const message = renderMessage(route?.template || defaultTemplate(lead), lead, facts);
+  const redirect = route?.redirect ?? config.features.whatsappRedirect;
+  const number = route?.number ? parsePhone(route.number).e164 : config.whatsapp.number;
+
+  if (!number) {
+    return { url: config.whatsapp.link, message, redirect, route: route?.name || 'default', prefilled: false };
+  }
+
+  return {
+    url: `https://wa.me/${number.replace(/\D/g, '')}?text=${encodeURIComponent(message)}`,
+    message,
+    redirect,
+    route: route?.name || 'default',
+    prefilled: true
+  };
+}
+
+module.exports = {
+  WhatsAppError,
+  getRouting,
+  resolveRoute,
+  buildHandoff
+};
@@ -0,0 +1,41 @@
+// Comando de mantenimiento del historial de cuentas (lib/leads/accounts.js)
+// Uso:
+//   npm run accounts -- list [texto]     Lista cuentas con su número de solicitudes
+//   npm run accounts -- rebuild          Reconstruye data/accounts.json desde data/leads.json
+
+const accounts = require('../lib/leads/accounts');
+const leadStore = require('../lib/leads/store');
+
+async function main() {
+  const [command = 'list', ...args] = process.argv.slice(2);
+
+  if (command === 'list') {
+    const list = await accounts.listAccounts({ q: args.join(' ') });
+    for (const account of list) {
+      console.log([
+        account.id,
+        account.company,
+        `solicitudes=${account.leadCount}`,
+        `contactos=${account.contacts}`,
+        account.lastSeenAt
+      ].join('\t'));
+    }
+    console.log(`${list.length} cuenta(s)`);
+    return;
+  }
+
+  if (command === 'rebuild') {
+    const leads = await leadStore.listLeads({ inbox: 'all' });
+    const count = await accounts.rebuildAccounts(leads);
+    console.log(`🏢 ${count} cuenta(s) reconstruida(s) a partir de ${leads.length} lead(s)`);
+    return;
+  }
+
+  console.error(`Comando desconocido: ${command}`);
+  process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error('❌', error.message);
+  process.exitCode = 1;
+});
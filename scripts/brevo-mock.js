@@ -0,0 +1,231 @@
+// Servidor local que imita la API v3 de Brevo (contactos y smtp/email)
+// Sirve para probar el proveedor brevo sin tocar la cuenta real:
+//   npm run brevo-mock                   Escucha en BREVO_MOCK_PORT (4010 por defecto)
+//   BREVO_API_URL=http://localhost:4010/v3 CRM_PROVIDER=brevo npm start
+//
+// Por defecto se comporta como Brevo con estado en memoria:
+//   POST /contacts          201 nuevo · 204 si existe y updateEnabled · 400 duplicate_parameter
+//                           si el email existe sin updateEnabled o el SMS es de otro contacto
+//   PUT  /contacts/:email   204 · 404 si no existe · 400 duplicate_parameter por SMS
+//   POST /smtp/email        201 { messageId } · 400 missing_parameter
+//   GET  /contacts          200 { contacts, count }
+// Una api-key distinta a la esperada responde 401 en cualquier ruta.
+//
+// En pruebas se puede forzar la siguiente respuesta de una ruta:
+//   mock.script('POST /contacts', RESPONSES.duplicate(), RESPONSES.serverError())
+// Cada respuesta programada se usa una vez, en orden; después vuelve el comportamiento normal.
+// mock.requests guarda cada petición recibida ({ method, path, apiKey, body }).
+
+const http = require('http');
+const crypto = require('crypto');
+
+const API_PREFIX = '/v3';
+const DEFAULT_API_KEY = 'xkeysib-mock';
+
+// Respuestas con la forma exacta que devuelve Brevo
+const RESPONSES = {
+  created: (id = 1) => ({ status: 201, body: { id } }),
+  noContent: () => ({ status: 204 }),
+  duplicate: (message = 'Contact already exist') => ({
+    status: 400,
+    body: { code: 'duplicate_parameter', message }
+  }),
+  smsDuplicate: (action = 'create') => ({
+    status: 400,
+    body: { code: 'duplicate_parameter', message: `Unable to ${action} contact, SMS is already associated with another Contact` }
+  }),
+  notFound: () => ({ status: 404, body: { code: 'document_not_found', message: 'Contact does not exist' } }),
+  unauthorized: () => ({ status: 401, body: { code: 'unauthorized', message: 'Key not found' } }),
+  serverError: (status = 500) => ({
+    status,
+    body: { code: 'internal_error', message: 'Internal server error' }
+  })
+};
+
+// "PUT /contacts/ana%40empresa.com" → "PUT /contacts/:email"
+function routeKey(method, pathname) {
+  const route = pathname.startsWith('/contacts/') ? '/contacts/:email' : pathname;
+  return `${method} ${route}`;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : null);
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function send(res, { status, body }) {
+  if (body === undefined || status === 204) {
+    res.writeHead(status);
+    res.end();
+    return;
+  }
+  res.writeHead(status, { 'content-type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+function createBrevoMock({ apiKey = DEFAULT_API_KEY } = {}) {
+  const contacts = new Map();
+  const scripted = new Map();
+  const requests = [];
+  let nextId = 1;
+  let server = null;
+
+  function smsOwner(attributes, exceptEmail) {
+    const sms = attributes?.SMS;
+    if (!sms) return null;
+    for (const contact of contacts.values()) {
+      if (contact.email !== exceptEmail && contact.attributes.SMS === sms) return contact;
+    }
+    return null;
+  }
+
+  function saveContact(email, body) {
+    const now = new Date().toISOString();
+    const existing = contacts.get(email);
+    const contact = existing || { id: nextId++, email, attributes: {}, listIds: [], createdAt: now };
+    contact.attributes = { ...contact.attributes, ...(body.attributes || {}) };
+    contact.listIds = [...new Set([...contact.listIds, ...(body.listIds || [])])];
+    contact.modifiedAt = now;
+    contacts.set(email, contact);
+    return contact;
+  }
+
+  // Comportamiento normal de cada ruta (cuando no hay respuesta programada)
+  function respond(method, pathname, body, searchParams) {
+    if (method === 'POST' && pathname === '/contacts') {
+      const email = String(body?.email || '').toLowerCase();
+      if (!email) return { status: 400, body: { code: 'missing_parameter', message: 'email is missing' } };
+      const exists = contacts.has(email);
+      if (exists && !body.updateEnabled) return RESPONSES.duplicate();
+      if (smsOwner(body.attributes, email)) return RESPONSES.smsDuplicate(exists ? 'update' : 'create');
+      const contact = saveContact(email, body);
+      return exists ? RESPONSES.noContent() : RESPONSES.created(contact.id);
+    }
+
+    if (method === 'PUT' && pathname.startsWith('/contacts/')) {
+      const email = decodeURIComponent(pathname.slice('/contacts/'.length)).toLowerCase();
+      if (!contacts.has(email)) return RESPONSES.notFound();
+      if (smsOwner(body?.attributes, email)) return RESPONSES.smsDuplicate('update');
+      saveContact(email, body || {});
+      return RESPONSES.noContent();
+    }
+
+    if (method === 'GET' && pathname === '/contacts') {
+      const limit = Number(searchParams.get('limit')) || 50;
+      const offset = Number(searchParams.get('offset')) || 0;
+      const all = [...contacts.values()].reverse();
+      return { status: 200, body: { contacts: all.slice(offset, offset + limit), count: all.length } };
+    }
+
+    if (method === 'POST' && pathname === '/smtp/email') {
+      for (const field of ['sender', 'to', 'subject']) {
+        if (!body?.[field]) return { status: 400, body: { code: 'missing_parameter', message: `${field} is missing` } };
+      }
+      return { status: 201, body: { messageId: `<${crypto.randomUUID()}@smtp-relay.mailin.fr>` } };
+    }
+
+    return { status: 404, body: { code: 'not_found', message: 'Invalid route' } };
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (!url.pathname.startsWith(API_PREFIX)) {
+      send(res, { status: 404, body: { code: 'not_found', message: 'Invalid route' } });
+      return;
+    }
+
+    const pathname = url.pathname.slice(API_PREFIX.length);
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (error) {
+      send(res, { status: 400, body: { code: 'bad_request', message: 'Invalid JSON' } });
+      return;
+    }
+
+    const key = routeKey(req.method, pathname);
+    requests.push({ method: req.method, path: pathname, route: key, apiKey: req.headers['api-key'] || null, body });
+
+    if (req.headers['api-key'] !== apiKey) {
+      send(res, RESPONSES.unauthorized());
+      return;
+    }
+
+    const queue = scripted.get(key);
+    send(res, queue?.length ? queue.shift() : respond(req.method, pathname, body, url.searchParams));
+  }
+
+  return {
+    apiKey,
+    contacts,
+    requests,
+    url: null,
+
+    // Arranca en el puerto indicado (0 = uno libre); devuelve la URL base para BREVO_API_URL
+    start(port = 0) {
+      server = http.createServer((req, res) => {
+        handle(req, res).catch(() => send(res, RESPONSES.serverError()));
+      });
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+          this.url = `http://127.0.0.1:${server.address().port}${API_PREFIX}`;
+          resolve(this.url);
+        });
+      });
+    },
+
+    stop() {
+      if (!server) return Promise.resolve();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+
+    // Programa las próximas respuestas de una ruta ("POST /contacts", "PUT /contacts/:email"…)
+    script(route, ...responses) {
+      const queue = scripted.get(route) || [];
+      queue.push(...responses);
+      scripted.set(route, queue);
+    },
+
+    // Crea un contacto directamente (por ejemplo, el dueño previo de un SMS)
+    seedContact(email, attributes = {}, listIds = []) {
+      return saveContact(email.toLowerCase(), { attributes, listIds });
+    },
+
+    // Peticiones recibidas de una ruta, en orden
+    requestsTo(route) {
+      return requests.filter((request) => request.route === route);
+    },
+
+    reset() {
+      contacts.clear();
+      scripted.clear();
+      requests.length = 0;
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_API_KEY,
+  RESPONSES,
+  createBrevoMock
+};
+
+if (require.main === module) {
+  const mock = createBrevoMock({ apiKey: process.env.BREVO_API_KEY || DEFAULT_API_KEY });
+  mock.start(Number(process.env.BREVO_MOCK_PORT) || 4010).then((url) => {
+    console.log(`🧪 Brevo simulado en ${url} (api-key: ${mock.apiKey})`);
+    console.log(`   Usa BREVO_API_URL=${url} BREVO_API_KEY=${mock.apiKey}`);
+  });
+}
@@ -0,0 +1,54 @@
+// Comando de administración del outbox
+// Uso:
+//   npm run outbox -- list [status]      Lista entradas (pending | processing | delivered | dead)
+//   npm run outbox -- replay [id ...]    Reencola dead letters (todas si no se indican ids)
+//   npm run outbox -- process            Entrega ahora las entradas vencidas
+// Puede correr con el servidor arriba: cada escritura de data/outbox.json toma el bloqueo
+// entre procesos de lib/store/jsonFile.js, así no se pisa con el worker.
+
+const outbox = require('../lib/outbox');
+const { outboxHandlers } = require('../lib/leads/pipeline');
+
+async function main() {
+  const [command = 'list', ...args] = process.argv.slice(2);
+
+  if (command === 'list') {
+    const entries = await outbox.listEntries({ status: args[0] });
+    for (const entry of entries) {
+      console.log([
+        entry.id,
+        entry.type,
+        entry.status,
+        `intentos=${entry.attempts}`,
+        entry.createdAt,
+        entry.lastError || ''
+      ].join('\t'));
+    }
+    console.log(`${entries.length} entrada(s)`);
+    return;
+  }
+
+  if (command === 'replay') {
+    const replayed = await outbox.replayDeadLetters(args);
+    console.log(`🔁 ${replayed.length} entrada(s) reencolada(s)`);
+    if (replayed.length > 0) {
+      const processed = await outbox.processDue(outboxHandlers);
+      console.log(`📬 ${processed} entrada(s) procesada(s)`);
+    }
+    return;
+  }
+
+  if (command === 'process') {
+    const processed = await outbox.processDue(outboxHandlers);
+    console.log(`📬 ${processed} entrada(s) procesada(s)`);
+    return;
+  }
+
+  console.error(`Comando desconocido: ${command}`);
+  process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error('❌', error.message);
+  process.exitCode = 1;
+});
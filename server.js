@@ -1,321 +1,227 @@
 const express = require('express');
 const path = require('path');
 const rateLimit = require('express-rate-limit');
-require('dotenv').config();
+const { getConfig, getConfigWarnings, getPublicConfig } = require('./lib/config');
+const { handleLeadRequest, outboxHandlers } = require('./lib/leads/pipeline');
+const { startOutboxWorker } = require('./lib/outbox');
+const { createAdminRouter } = require('./lib/admin');
+const { createPortalRouter } = require('./lib/portal');
+const { startPortalReminders } = require('./lib/portal/reminders');
+const { handleResultRequest, RESULTS_PATH } = require('./lib/custody');
+const { handleQuoteRequest } = require('./lib/quote');
+const { handleFormTokenRequest } = require('./lib/spam');
+const { handleAppointmentRequest } = require('./lib/appointments');
+const { handleContentRequest } = require('./lib/content');
+const { handleSiteRequest } = require('./lib/site');
+const { handleEventRequest, eventsRateLimit } = require('./lib/analytics');
+const { handlePrivacyRequest } = require('./lib/privacy');
+const { logger, requestContext } = require('./lib/logger');
+const { LOCALE_COOKIE, localeFromRequest, normalizeLocale, t } = require('./lib/i18n');
+
+// Configuración validada al arrancar (lee .env): si algo falta, el servidor no inicia
+let config;
+try {
+  config = getConfig();
+} catch (error) {
+  logger.error('No se pudo iniciar: configuración inválida', { problems: error.problems || [error.message] });
+  process.exit(1);
+}
 
 const app = express();
-const PORT = 3000;
+const PORT = config.server.port;
 
 // Middleware
+// ID de correlación por petición (X-Request-Id) para todos los logs que genere
+app.use(requestContext());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Rate limiting: 30 requests por 15 minutos por IP
+// Idioma de la petición (lib/i18n): ?lang= → cookie → Accept-Language. El selector del sitio
+// enlaza a ?lang=; ese idioma se guarda en la cookie para las siguientes páginas y la API.
+app.use((req, res, next) => {
+  req.locale = localeFromRequest(req);
+  if (normalizeLocale(req.query.lang)) {
+    res.cookie(LOCALE_COOKIE, req.locale, { maxAge: 365 * 24 * 60 * 60 * 1000, path: '/', sameSite: 'lax' });
+  }
+  next();
+});
+
+// Rate limiting por IP (RATE_LIMIT_WINDOW_MS / RATE_LIMIT_MAX; por defecto 30 cada 15 minutos)
 const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutos
-  max: 30, // máximo 30 requests
-  message: { error: 'Demasiadas solicitudes. Por favor intenta más tarde.' },
+  windowMs: config.rateLimit.windowMs,
+  max: config.rateLimit.max,
+  message: (req) => ({ error: t('api.tooManyRequests', {}, req.locale) }),
   standardHeaders: true,
   legacyHeaders: false,
 });
 
-// Servir archivos estáticos
-app.use(express.static(path.join(__dirname)));
-
-// Endpoint para Brevo
-app.post('/api/brevo', limiter, async (req, res) => {
-  try {
-    // Log de los datos recibidos para debugging
-    console.log('📥 Datos recibidos:', JSON.stringify(req.body, null, 2));
-
-    // Obtener y sanitizar datos
-    const name = (req.body.name || req.body.Nombre || '').trim();
-    const company = (req.body.company || req.body.Empresa || '').trim();
-    const email = (req.body.email || req.body.Email || '').trim().toLowerCase();
-    const phone = (req.body.phone || req.body.Telefono || '').trim();
-    const message = (req.body.message || req.body.Mensaje || '').trim();
-
-    // Debug: ver qué datos se recibieron
-    console.log('📥 Datos recibidos en el servidor:');
-    console.log('  Nombre:', name);
-    console.log('  Email:', email);
-    console.log('  Teléfono recibido:', phone);
-    console.log('  Empresa:', company);
-    console.log('  Mensaje:', message.substring(0, 50) + '...');
-
-    // Validaciones
-    if (!name || name.length < 2) {
-      return res.status(400).json({ error: 'El nombre es requerido y debe tener al menos 2 caracteres' });
-    }
-
-    if (!email) {
-      return res.status(400).json({ error: 'El email es requerido' });
-    }
-
-    // Validar formato de email
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ error: 'El formato del email no es válido' });
-    }
-
-    if (!message || message.length < 10) {
-      return res.status(400).json({ error: 'El mensaje es requerido y debe tener al menos 10 caracteres' });
-    }
-
-    // Obtener API key de variables de entorno
-    const BREVO_API_KEY = process.env.BREVO_API_KEY;
-
-    if (!BREVO_API_KEY) {
-      console.error('❌ BREVO_API_KEY no está configurada en las variables de entorno');
-      return res.status(500).json({ error: 'Error de configuración del servidor' });
-    }
-
-    // Obtener ID de lista desde variables de entorno (por defecto 4)
-    const BREVO_LIST_ID = parseInt(process.env.BREVO_LIST_ID) || 4;
-
-    // Preparar datos para Brevo con atributos correctos
-    // Mapeo: NOMBRE = primera palabra, APELLIDOS = resto
-    const nameParts = name.split(' ');
-    const NOMBRE = nameParts[0] || name;
-    const APELLIDOS = nameParts.slice(1).join(' ') || '';
-
-    const contactData = {
-      email: email,
-      attributes: {
-        NOMBRE: NOMBRE,
-        APELLIDOS: APELLIDOS
-      },
-      listIds: [BREVO_LIST_ID],
-      updateEnabled: true
-    };
-
-    // Agregar empresa si existe (atributo: EMPRESA)
-    if (company) {
-      contactData.attributes.EMPRESA = company;
-      console.log('🏢 Empresa agregada a Brevo:', company);
-    } else {
-      console.log('⚠️ No se proporcionó empresa');
-    }
+// Los eventos del embudo llegan varios por visita: contador propio, más holgado
+const eventsLimiter = rateLimit({
+  ...eventsRateLimit(config),
+  message: (req) => ({ error: t('api.tooManyRequests', {}, req.locale) }),
+  standardHeaders: true,
+  legacyHeaders: false,
+});
 
-    // Agregar teléfono solo si existe (formato E.164: debe empezar con +)
-    // Brevo usa SMS como atributo estándar para teléfono
-    if (phone) {
-      // Asegurar que el teléfono tenga formato internacional
-      const phoneFormatted = phone.startsWith('+') ? phone : `+${phone}`;
-      contactData.attributes.SMS = phoneFormatted;
-      console.log('📱 Teléfono formateado para Brevo:', phoneFormatted);
-    } else {
-      console.log('⚠️ No se recibió teléfono en la petición');
-    }
+// Panel interno de leads (protegido con ADMIN_PASSWORD)
+app.use('/admin', createAdminRouter());
 
-    // Log de datos que se enviarán a Brevo
-    console.log('📤 Enviando a Brevo:', JSON.stringify(contactData, null, 2));
+// Portal de empresas: plantilla de trabajadores y vencimientos (PORTAL_SESSION_SECRET).
+// El límite va solo en el pedido del enlace: es lo que manda emails.
+app.use('/portal/api/login', limiter);
+app.use('/portal', createPortalRouter());
 
-    // Enviar a Brevo API
-    const brevoResponse = await fetch('https://api.brevo.com/v3/contacts', {
-      method: 'POST',
-      headers: {
-        'accept': 'application/json',
-        'api-key': BREVO_API_KEY,
-        'content-type': 'application/json'
-      },
-      body: JSON.stringify(contactData)
+// Resultados antidoping: enlace personal que vence y tiene descargas contadas (lib/custody).
+// GET muestra el botón de descarga; el POST de ese botón es la descarga.
+async function sendResultResponse(req, res) {
+  try {
+    const { statusCode, headers, body } = await handleResultRequest(req.method, req.params.token, {
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      locale: req.locale
     });
+    res.set(headers);
+    res.status(statusCode).send(body);
+  } catch (error) {
+    logger.error('Error en el enlace de resultados', { error });
+    res.status(500).set('Cache-Control', 'no-store').send('Error interno del servidor');
+  }
+}
 
-    // Manejar respuesta de Brevo
-    let brevoResult;
-    const contentType = brevoResponse.headers.get('content-type');
-    const responseText = await brevoResponse.text();
-    
-    console.log(`📨 Respuesta de Brevo - Status: ${brevoResponse.status}, Content-Type: ${contentType}`);
-    console.log(`📨 Respuesta completa: ${responseText.substring(0, 500)}`);
-    
-    if (contentType && contentType.includes('application/json')) {
-      try {
-        brevoResult = JSON.parse(responseText);
-      } catch (parseError) {
-        console.error('❌ Error al parsear JSON de Brevo:', parseError);
-        return res.status(500).json({ 
-          error: 'Error al procesar respuesta de Brevo' 
-        });
-      }
-    } else {
-      console.error('❌ Brevo devolvió respuesta no-JSON:', responseText);
-      return res.status(500).json({ 
-        error: `Error de comunicación con Brevo (status: ${brevoResponse.status})`,
-        details: responseText.substring(0, 200)
-      });
-    }
+app.get(`${RESULTS_PATH}/:token`, limiter, sendResultResponse);
+app.post(`${RESULTS_PATH}/:token`, limiter, sendResultResponse);
 
-    if (!brevoResponse.ok) {
-      // Log error completo para debugging
-      console.error('❌ Error de Brevo API:', {
-        status: brevoResponse.status,
-        statusText: brevoResponse.statusText,
-        message: brevoResult.message || 'Error desconocido',
-        code: brevoResult.code,
-        details: brevoResult
-      });
+// Landing renderizado en el servidor (lib/site): portada, páginas de servicio, sitemap y
+// robots. Va antes de los estáticos para que "/" no entregue index.html sin contenido.
+async function sendSitePage(req, res) {
+  try {
+    const { statusCode, headers, body } = await handleSiteRequest(req.path, {
+      requestId: req.id,
+      locale: req.locale
+    });
+    res.set(headers);
+    res.status(statusCode).send(body);
+  } catch (error) {
+    logger.error('Error al renderizar la página del sitio', { path: req.path, error });
+    res.status(500).set('Cache-Control', 'no-store').send('Error interno del servidor');
+  }
+}
+
+app.get(['/', '/servicios/:slug', '/aviso-de-privacidad', '/sitemap.xml', '/robots.txt'], sendSitePage);
+app.get('/index.html', (req, res) => res.redirect(301, '/'));
+
+// Archivos estáticos: solo lo que pide el navegador, nunca la raíz del proyecto (server.js,
+// lib/, data/, .env…). index.html es la plantilla de lib/site, no se sirve directo.
+//   /assets               imágenes y logos
+//   /lib/<módulo>.js      módulos UMD que el landing comparte con el servidor
+//   /lib/i18n/messages    catálogos que index.html pide si la página no trae los embebidos
+const STATIC_OPTIONS = { index: false, redirect: false };
+const BROWSER_MODULES = ['siteSections.js', 'phone.js', 'contactForm.js'];
+
+app.use('/assets', express.static(path.join(__dirname, 'assets'), STATIC_OPTIONS));
+app.use('/lib/i18n/messages', express.static(path.join(__dirname, 'lib', 'i18n', 'messages'), STATIC_OPTIONS));
+for (const file of BROWSER_MODULES) {
+  app.get(`/lib/${file}`, (req, res) => res.sendFile(path.join(__dirname, 'lib', file)));
+}
+
+// Endpoint para Brevo (adaptador Express del pipeline de leads)
+app.post('/api/brevo', limiter, async (req, res) => {
+  const { statusCode, body } = await handleLeadRequest(req.body, { requestId: req.id, locale: req.locale, ip: req.ip });
+  res.status(statusCode).json(body);
+});
 
-      // Si el contacto ya existe pero el SMS está asociado a otro contacto, intentar sin SMS
-      if (brevoResponse.status === 400 && brevoResult.message?.includes('SMS is already associated with another Contact')) {
-        console.log('⚠️ El teléfono ya está asociado a otro contacto. Intentando crear/actualizar sin teléfono...');
-        
-        // Crear contacto sin SMS
-        const contactDataWithoutPhone = {
-          email: email,
-          attributes: {
-            NOMBRE: NOMBRE,
-            APELLIDOS: APELLIDOS
-          },
-          listIds: [BREVO_LIST_ID],
-          updateEnabled: true
-        };
+// Token de tiempo firmado que el formulario envía junto con el lead (anti-spam)
+app.get('/api/form-token', limiter, (req, res) => {
+  const { statusCode, body } = handleFormTokenRequest('GET', { locale: req.locale });
+  res.set('Cache-Control', 'no-store');
+  res.status(statusCode).json(body);
+});
 
-        // Agregar empresa si existe
-        if (company) {
-          contactDataWithoutPhone.attributes.EMPRESA = company;
-        }
+// Configuración pública para el navegador (enlace de WhatsApp, toggles)
+app.get('/api/site-config', (req, res) => {
+  res.json({ ok: true, config: getPublicConfig() });
+});
 
-        const brevoResponseRetry = await fetch('https://api.brevo.com/v3/contacts', {
-          method: 'POST',
-          headers: {
-            'accept': 'application/json',
-            'api-key': BREVO_API_KEY,
-            'content-type': 'application/json'
-          },
-          body: JSON.stringify(contactDataWithoutPhone)
-        });
+// Cotizador: GET catálogo, POST estimado desglosado
+app.get('/api/quote', (req, res) => {
+  const { statusCode, body } = handleQuoteRequest('GET', undefined, { locale: req.locale });
+  res.status(statusCode).json(body);
+});
 
-        if (brevoResponseRetry.ok) {
-          const brevoResultRetry = await brevoResponseRetry.json();
-          console.log('✅ Contacto creado/actualizado sin teléfono:', brevoResultRetry.id || 'contacto actualizado');
-          // Continuar para enviar el email de notificación
-        } else {
-          const brevoResultRetryText = await brevoResponseRetry.text();
-          console.error('❌ Error al intentar sin teléfono:', brevoResultRetryText);
-          // Continuar de todos modos para enviar el email de notificación
-        }
-      } 
-      // Si el contacto ya existe (duplicate email), considerarlo éxito
-      else if (brevoResponse.status === 400 && (brevoResult.code === 'duplicate_parameter' || brevoResult.message?.toLowerCase().includes('duplicate'))) {
-        console.log('ℹ️ Contacto ya existe, se actualizará. Continuando...');
-        // Continuar para enviar el email de notificación
-      } else {
-        // Log detallado del error
-        console.error('❌ Error completo de Brevo:', JSON.stringify(brevoResult, null, 2));
-        
-        // Pasar el mensaje de error específico al frontend (sin exponer detalles sensibles)
-        let errorMessage = 'Error al procesar la solicitud';
-        
-        if (brevoResponse.status === 401) {
-          errorMessage = 'API Key inválida o expirada';
-        } else if (brevoResponse.status === 404) {
-          errorMessage = 'Recurso no encontrado (verifica el ID de lista)';
-        } else if (brevoResponse.status === 400) {
-          // Intentar dar un mensaje más útil
-          if (brevoResult.message) {
-            errorMessage = brevoResult.message;
-          } else if (brevoResult.code === 'invalid_parameter') {
-            errorMessage = 'Algunos datos no son válidos (verifica el formato del teléfono)';
-          } else {
-            errorMessage = 'Datos inválidos';
-          }
-        } else if (brevoResult.message) {
-          errorMessage = brevoResult.message;
-        }
+app.post('/api/quote', limiter, (req, res) => {
+  const { statusCode, body } = handleQuoteRequest('POST', req.body, { locale: req.locale });
+  res.status(statusCode).json(body);
+});
 
-        return res.status(500).json({ 
-          error: errorMessage 
-        });
-      }
-    } else {
-      console.log('✅ Contacto creado/actualizado en Brevo:', brevoResult.id || 'contacto actualizado');
-    }
+// Contenido editable del sitio (servicios, FAQ, testimonios, certificaciones)
+app.get('/api/content', async (req, res) => {
+  const { statusCode, body } = await handleContentRequest('GET', { query: req.query, requestId: req.id, locale: req.locale });
+  res.set('Cache-Control', 'public, max-age=60');
+  res.vary('Accept-Language').vary('Cookie');
+  res.status(statusCode).json(body);
+});
 
-    // Éxito - enviar email de notificación usando Brevo Transactional API
-    try {
-      const emailResponse = await fetch('https://api.brevo.com/v3/smtp/email', {
-        method: 'POST',
-        headers: {
-          'accept': 'application/json',
-          'api-key': BREVO_API_KEY,
-          'content-type': 'application/json'
-        },
-        body: JSON.stringify({
-          sender: {
-            name: 'RXLab Landing',
-            email: 'noreply@rxlab.com' // Cambia por tu email verificado en Brevo
-          },
-          to: [{
-            email: 'atapiarubio487@gmail.com', // Tu email de destino
-            name: 'RXLab'
-          }],
-          subject: 'Nuevo lead desde Landing RXLab',
-          htmlContent: `
-            <h2>Nuevo contacto desde el formulario</h2>
-            <p><strong>Nombre:</strong> ${name}</p>
-            <p><strong>Empresa:</strong> ${company || 'No proporcionada'}</p>
-            <p><strong>Email:</strong> ${email}</p>
-            <p><strong>Teléfono:</strong> ${phone || 'No proporcionado'}</p>
-            <p><strong>Mensaje:</strong></p>
-            <p>${message.replace(/\n/g, '<br>')}</p>
-          `,
-          textContent: `
-            Nuevo contacto desde el formulario
-            
-            Nombre: ${name}
-            Empresa: ${company || 'No proporcionada'}
-            Email: ${email}
-            Teléfono: ${phone || 'No proporcionado'}
-            Mensaje: ${message}
-          `
-        })
-      });
+// Agenda de citas: GET servicios agendables u horarios libres, POST reservar (crea el lead)
+app.get('/api/appointments', async (req, res) => {
+  const { statusCode, body } = await handleAppointmentRequest('GET', { query: req.query, requestId: req.id, locale: req.locale });
+  res.set('Cache-Control', 'no-store');
+  res.status(statusCode).json(body);
+});
 
-      if (emailResponse.ok) {
-        console.log('✅ Email de notificación enviado correctamente');
-      } else {
-        const emailErrorText = await emailResponse.text();
-        console.warn('⚠️ No se pudo enviar email de notificación:', emailResponse.status, emailErrorText);
-      }
-    } catch (emailError) {
-      // No fallar si el email no se puede enviar
-      console.warn('⚠️ Error al enviar email de notificación:', emailError.message);
-    }
+app.post('/api/appointments', limiter, async (req, res) => {
+  const { statusCode, body } = await handleAppointmentRequest('POST', { body: req.body, requestId: req.id, locale: req.locale, ip: req.ip });
+  res.status(statusCode).json(body);
+});
 
-    // Éxito
-    console.log('✅ Contacto procesado correctamente:', { email, name, company, phone });
-    res.status(200).json({ 
-      success: true, 
-      message: 'Mensaje enviado correctamente',
-      id: brevoResult.id || 'contacto actualizado'
-    });
+// Embudo de conversión: el landing registra cada paso (lib/analytics). Sin cookies ni IP.
+app.post('/api/events', eventsLimiter, async (req, res) => {
+  const { statusCode, body } = await handleEventRequest('POST', { body: req.body, requestId: req.id, locale: req.locale });
+  res.set('Cache-Control', 'no-store');
+  res.status(statusCode).json(body);
+});
 
-  } catch (error) {
-    // Log error completo para debugging
-    console.error('Error en el servidor:', {
-      message: error.message,
-      stack: error.stack
+// Aviso de privacidad y solicitudes ARCO (lib/privacy); la IP queda como constancia
+async function sendPrivacyResponse(action, req, res) {
+  const { statusCode, body } = await handlePrivacyRequest(action, req.method, {
+    body: req.body,
+    requestId: req.id,
+    locale: req.locale,
+    ip: req.ip
+  });
+  res.set('Cache-Control', 'no-store');
+  res.status(statusCode).json(body);
+}
+
+app.get('/api/privacy', (req, res) => sendPrivacyResponse('notice', req, res));
+app.post('/api/privacy/requests', limiter, (req, res) => sendPrivacyResponse('requests', req, res));
+app.post('/api/privacy/verify', limiter, (req, res) => sendPrivacyResponse('verify', req, res));
+
+// Iniciar servidor (al requerir el módulo, p. ej. desde las pruebas, solo se exporta la app)
+function start() {
+  return app.listen(PORT, () => {
+    // Worker que reintenta las entregas pendientes del outbox
+    startOutboxWorker(outboxHandlers);
+    // Recordatorios de exámenes por vencer a las empresas del portal
+    if (config.portal.sessionSecret) startPortalReminders();
+
+    logger.info('Servidor iniciado', {
+      profile: config.profile,
+      url: `http://localhost:${PORT}`,
+      leadsEndpoint: `http://localhost:${PORT}/api/brevo`,
+      adminUrl: `http://localhost:${PORT}/admin`,
+      portalUrl: `http://localhost:${PORT}/portal`,
+      crmProvider: config.crm.provider,
+      listIds: config.crm.listIds
     });
-    res.status(500).json({ 
-      error: 'Error interno del servidor. Por favor intenta más tarde.' 
-    });
-  }
-});
 
-// Ruta raíz - servir index.html
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'index.html'));
-});
+    for (const warning of getConfigWarnings()) {
+      logger.warn(warning);
+    }
+  });
+}
 
-// Iniciar servidor
-app.listen(PORT, () => {
-  console.log(`🚀 Servidor corriendo en http://localhost:${PORT}`);
-  console.log(`📧 Endpoint Brevo: http://localhost:${PORT}/api/brevo`);
-  
-  if (!process.env.BREVO_API_KEY) {
-    console.warn('⚠️  ADVERTENCIA: BREVO_API_KEY no está configurada. Crea un archivo .env con tu API key.');
-  }
-});
+if (require.main === module) {
+  start();
+}
 
+module.exports = app;
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeCompany, companySimilarity, addLead } = require('../lib/leads/accounts');
+
+let sequence = 0;
+
+function record(overrides = {}) {
+  sequence += 1;
+  return {
+    id: `lead-${sequence}`,
+    name: 'Ana López',
+    company: 'Transportes del Norte, S.A. de C.V.',
+    email: 'ana@tdn.mx',
+    phone: '+525512345678',
+    message: `Solicitud ${sequence}`,
+    quote: null,
+    createdAt: `2026-10-${String(sequence).padStart(2, '0')}T10:00:00.000Z`,
+    ...overrides
+  };
+}
+
+test('normalizeCompany ignora acentos, sufijos societarios y artículos', () => {
+  assert.equal(normalizeCompany('Transportes del Norte, S.A. de C.V.'), 'transportes norte');
+  assert.equal(normalizeCompany('TRANSPORTES DEL NORTE SA DE CV'), 'transportes norte');
+  assert.equal(normalizeCompany('Constructora Álamo S. de R.L.'), 'constructora alamo');
+  assert.ok(companySimilarity('Transportes del Norte', 'Transportes del Nortee') >= 0.85);
+  assert.ok(companySimilarity('Transportes del Norte', 'Transportes del Sur') < 0.85);
+  assert.equal(companySimilarity('RX', 'RXL'), 0);
+});
+
+test('addLead agrega solicitudes a la misma cuenta sin sobrescribir mensajes', () => {
+  const accounts = [];
+  const original = record();
+  const first = addLead(accounts, original);
+  const second = addLead(accounts, record({ company: 'TRANSPORTES DEL NORTE', message: 'Ahora 60 operadores' }));
+
+  assert.equal(first.isNew, true);
+  assert.equal(second.isNew, false);
+  assert.deepEqual(second.matchedBy, ['email', 'phone', 'company', 'domain']);
+  assert.equal(accounts.length, 1);
+  assert.deepEqual(accounts[0].timeline.map((entry) => entry.message), ['Solicitud 1', 'Ahora 60 operadores']);
+  assert.equal(accounts[0].contacts[0].leadCount, 2);
+
+  // El mismo lead no se registra dos veces
+  assert.equal(addLead(accounts, original), null);
+});
+
+test('addLead reconoce a otro contacto de la empresa y registra al dueño del teléfono', () => {
+  const accounts = [];
+  addLead(accounts, record());
+  const colleague = addLead(accounts, record({ name: 'Luis Pérez', email: 'luis@tdn.mx', company: 'Transportes Norte' }));
+  const personal = addLead(accounts, record({ name: 'Eva Ruiz', email: 'eva@gmail.com', phone: '+525598765432', company: 'Panadería La Espiga' }));
+
+  assert.equal(accounts.length, 2);
+  assert.equal(colleague.account.id, accounts[0].id);
+  assert.equal(colleague.phoneOwner, 'ana@tdn.mx');
+  assert.equal(accounts[0].timeline[1].phoneOwner, 'ana@tdn.mx');
+  assert.deepEqual(accounts[0].domains, ['tdn.mx']);
+  assert.equal(personal.isNew, true);
+});
+
+test('addLead fusiona dos cuentas cuando un lead las une por email', () => {
+  const accounts = [];
+  addLead(accounts, record({ email: 'compras@gmail.com', phone: '+525511111111', company: 'Grupo Alfa' }));
+  addLead(accounts, record({ email: 'rh@alfa.mx', phone: '+525522222222', company: 'Alfa Servicios Industriales' }));
+  assert.equal(accounts.length, 2);
+
+  // Mismo email que la primera y misma empresa que la segunda
+  const result = addLead(accounts, record({ email: 'rh@alfa.mx', phone: '+525511111111', company: 'Grupo Alfa' }));
+
+  assert.equal(accounts.length, 1);
+  assert.equal(result.merged.length, 1);
+  assert.equal(accounts[0].timeline.length, 3);
+  assert.deepEqual(accounts[0].contacts.map((contact) => contact.email).sort(), ['compras@gmail.com', 'rh@alfa.mx']);
+  assert.equal(accounts[0].merges[0].accountId, result.merged[0]);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rxlab-admin-'));
+process.env.APP_ENV = 'development';
+process.env.CRM_PROVIDER = 'local';
+process.env.ADMIN_PASSWORD = 'admin-secret';
+process.env.LOG_LEVEL = 'silent';
+
+const roster = require('../lib/portal/roster');
+
+const AUTHORIZATION = `Basic ${Buffer.from('admin:admin-secret').toString('base64')}`;
+
+test('los cambios del panel solo se aceptan en JSON y desde el mismo origen', async () => {
+  const app = require('../server');
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const post = (headers, body) => fetch(`${base}/admin/api/employers`, {
+    method: 'POST',
+    headers: { authorization: AUTHORIZATION, ...headers },
+    body
+  });
+
+  try {
+    // Lo que un formulario de otro sitio puede mandar con las credenciales guardadas
+    const form = await post({ 'content-type': 'application/x-www-form-urlencoded' }, 'company=Falsa&users[0][email]=x@falsa.mx');
+    assert.equal(form.status, 403);
+    const plain = await post({ 'content-type': 'text/plain' }, JSON.stringify({ company: 'Falsa', users: [{ email: 'x@falsa.mx' }] }));
+    assert.equal(plain.status, 403);
+    const crossOrigin = await post(
+      { 'content-type': 'application/json', origin: 'https://evil.example' },
+      JSON.stringify({ company: 'Falsa', users: [{ email: 'x@falsa.mx' }] })
+    );
+    assert.equal(crossOrigin.status, 403);
+    assert.equal((await roster.listEmployers()).length, 0);
+
+    const created = await post({ 'content-type': 'application/json', origin: base }, JSON.stringify({ company: 'Real', users: [{ email: 'rh@real.mx' }] }));
+    assert.equal(created.status, 201);
+    assert.equal((await fetch(`${base}/admin/api/employers`, { headers: { authorization: AUTHORIZATION } })).status, 200);
+
+    // Sin credenciales sigue siendo 401, no 403
+    assert.equal((await fetch(`${base}/admin/api/employers`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: '{}' })).status, 401);
+
+    const reset = await fetch(`${base}/admin/api/content/faq`, { method: 'DELETE', headers: { authorization: AUTHORIZATION, 'content-type': 'application/json' } });
+    assert.equal(reset.status, 200);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rxlab-analytics-'));
+process.env.APP_ENV = 'development';
+process.env.CRM_PROVIDER = 'local';
+process.env.FORM_TOKEN_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'silent';
+// Límite de /api/events: 4 × RATE_LIMIT_MAX = 8 por IP
+process.env.RATE_LIMIT_MAX = '2';
+
+const { normalizeAttribution, channelOf } = require('../lib/analytics/attribution');
+const { recordEvent, funnelReport, handleEventRequest, MAX_COUNTERS_PER_DAY } = require('../lib/analytics');
+const { buildCrmAttributes } = require('../lib/contactForm');
+const { handleLeadRequest } = require('../lib/leads/pipeline');
+const { issueFormToken } = require('../lib/spam/token');
+
+const CAMPAIGN = {
+  utmSource: 'google',
+  utmMedium: 'cpc',
+  utmCampaign: 'antidoping-norte',
+  referrer: 'https://www.google.com/search?q=antidoping',
+  landingPage: '/servicios/antidoping?utm_source=google',
+  landingSection: '#contacto',
+  lastService: 'antidoping'
+};
+
+function readData(file) {
+  return JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, file), 'utf8'));
+}
+
+test('la atribución se limpia campo por campo y descarta lo inválido sin fallar', () => {
+  assert.deepEqual(normalizeAttribution(CAMPAIGN), {
+    utmSource: 'google',
+    utmMedium: 'cpc',
+    utmCampaign: 'antidoping-norte',
+    referrer: 'www.google.com',
+    landingPage: '/servicios/antidoping',
+    landingSection: 'contacto',
+    lastService: 'antidoping'
+  });
+  assert.deepEqual(
+    normalizeAttribution({ utmSource: '  news\nletter  ', lastService: '../etc', landingPage: 'javascript:alert(1)', extra: 'x' }),
+    { utmSource: 'news letter' }
+  );
+  assert.equal(normalizeAttribution({ lastService: 'No Es Slug' }), null);
+  assert.equal(normalizeAttribution('google'), null);
+
+  assert.deepEqual(channelOf(null), { source: '(directo)', medium: '(ninguno)', campaign: '' });
+  assert.deepEqual(channelOf({ referrer: 'bing.com' }), { source: 'bing.com', medium: 'referencia', campaign: '' });
+
+  const attributes = buildCrmAttributes({ name: 'Ana López', attribution: normalizeAttribution(CAMPAIGN) });
+  assert.equal(attributes.UTM_SOURCE, 'google');
+  assert.equal(attributes.UTM_CAMPAIGN, 'antidoping-norte');
+  assert.equal(attributes.LANDING_SECTION, 'contacto');
+  assert.equal(attributes.LAST_SERVICE, 'antidoping');
+  assert.equal('UTM_TERM' in attributes, false);
+});
+
+test('el embudo guarda contadores agregados por día y canal, sin datos de la visita', async () => {
+  const now = Date.parse('2025-03-10T18:00:00Z');
+  for (const event of ['view', 'view', 'view', 'view', 'form_start', 'form_start', 'submit', 'success']) {
+    await recordEvent(event, { attribution: CAMPAIGN, locale: 'es', now });
+  }
+  await recordEvent('view', { attribution: null, locale: 'en', now });
+  await recordEvent('view', { attribution: CAMPAIGN, locale: 'es', now: Date.parse('2025-02-01T12:00:00Z') });
+
+  const counters = readData('analytics-events.json');
+  assert.equal(counters.length, 6);
+  assert.deepEqual(Object.keys(counters[0]).sort(), ['campaign', 'count', 'day', 'event', 'locale', 'medium', 'service', 'source']);
+  assert.equal(counters.find((counter) => counter.event === 'view' && counter.day === '2025-03-10' && counter.locale === 'es').count, 4);
+
+  const report = await funnelReport({ from: '2025-03-01', to: '2025-03-31' });
+  assert.deepEqual(report.steps.map((step) => step.count), [5, 2, 1, 1, 0]);
+  assert.deepEqual(report.steps.map((step) => step.stepRate), [null, 0.4, 0.5, 1, 0]);
+  assert.equal(report.steps[3].overallRate, 0.2);
+
+  const [paid, direct] = report.channels;
+  assert.deepEqual([paid.source, paid.medium, paid.campaign, paid.counts.view, paid.conversionRate], ['google', 'cpc', 'antidoping-norte', 4, 0.25]);
+  assert.deepEqual([direct.source, direct.counts.view, direct.conversionRate], ['(directo)', 1, 0]);
+  assert.deepEqual(report.services.map((row) => row.service), ['antidoping', '']);
+  assert.equal((await funnelReport()).steps[0].count, 6);
+});
+
+test('/api/events solo acepta POST con un paso conocido', async () => {
+  const accepted = await handleEventRequest('POST', { body: { event: 'whatsapp', locale: 'en' } });
+  assert.deepEqual(accepted, { statusCode: 200, body: { ok: true } });
+
+  const unknown = await handleEventRequest('POST', { body: { event: 'purchase' }, locale: 'en' });
+  assert.equal(unknown.statusCode, 400);
+  assert.match(unknown.body.error, /^Unknown event/);
+
+  assert.equal((await handleEventRequest('GET', {})).statusCode, 405);
+});
+
+test('los contadores acotan los valores del navegador y pasan el exceso del día a "(otro)"', async () => {
+  const now = Date.parse('2025-04-01T18:00:00Z');
+  const day = (counter) => counter.day === '2025-04-01';
+  await recordEvent('view', { attribution: { utmSource: 'Google', utmMedium: 'CPC', utmCampaign: 'x'.repeat(150) }, locale: 'es', now });
+  const [first] = readData('analytics-events.json').filter(day);
+  assert.deepEqual([first.source, first.medium, first.campaign], ['google', 'cpc', 'x'.repeat(60)]);
+
+  for (let i = 1; i < MAX_COUNTERS_PER_DAY + 25; i++) {
+    await recordEvent('view', { attribution: { utmSource: 'spam', utmCampaign: `c-${i}` }, locale: 'es', now });
+  }
+  await recordEvent('view', { attribution: { utmSource: 'Google', utmMedium: 'cpc', utmCampaign: 'x'.repeat(150) }, locale: 'es', now });
+
+  const counters = readData('analytics-events.json').filter(day);
+  assert.equal(counters.length, MAX_COUNTERS_PER_DAY + 1);
+  assert.equal(counters.find((counter) => counter.campaign === first.campaign).count, 2);
+  const other = counters.find((counter) => counter.source === '(otro)');
+  assert.deepEqual([other.medium, other.campaign, other.service, other.count], ['(otro)', '(otro)', '(otro)', 25]);
+});
+
+test('api/events en Vercel aplica el mismo límite por IP que server.js', async () => {
+  const { default: handler } = await import('../api/events.js');
+  async function post(ip) {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      status(code) { this.statusCode = code; return this; },
+      json(payload) { this.body = payload; return this; },
+      setHeader(name, value) { this.headers[name.toLowerCase()] = value; }
+    };
+    await handler({ method: 'POST', headers: { 'x-forwarded-for': ip }, body: { event: 'view' } }, res);
+    return res;
+  }
+
+  for (let i = 0; i < 8; i++) assert.equal((await post('203.0.113.7')).statusCode, 200);
+  const limited = await post('203.0.113.7');
+  assert.equal(limited.statusCode, 429);
+  assert.equal(limited.headers['ratelimit-remaining'], '0');
+  assert.ok(Number(limited.headers['retry-after']) > 0);
+  assert.match(limited.body.error, /Demasiadas solicitudes/);
+  assert.equal((await post('203.0.113.8')).statusCode, 200);
+});
+
+test('el lead guarda su atribución, la manda al CRM y la muestra en el aviso interno', async () => {
+  const { statusCode } = await handleLeadRequest({
+    name: 'Ana López',
+    company: 'Transportes del Norte',
+    email: 'ana@tdn.mx',
+    phone: '+525512345678',
+    message: 'Necesitamos antidoping para 80 operadores',
+    attribution: CAMPAIGN,
+    privacyConsent: true,
+    formToken: issueFormToken(Date.now() - 5000),
+    website: ''
+  });
+  assert.equal(statusCode, 200);
+
+  const [contact] = readData('crm-contacts.json');
+  assert.equal(contact.attributes.UTM_MEDIUM, 'cpc');
+  assert.equal(contact.attributes.REFERRER, 'www.google.com');
+  assert.equal(contact.attributes.LANDING_PAGE, '/servicios/antidoping');
+
+  const [lead] = readData('leads.json');
+  assert.equal(lead.attribution.utmCampaign, 'antidoping-norte');
+
+  const [notification] = readData('crm-notifications.json');
+  assert.match(notification.text, /Origen: google \/ cpc · antidoping-norte · entró por \/servicios\/antidoping #contacto/);
+  assert.match(notification.text, /Último servicio visto: antidoping/);
+});
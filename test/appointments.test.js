@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rxlab-appointments-'));
+process.env.APP_ENV = 'development';
+process.env.CRM_PROVIDER = 'local';
+process.env.FORM_TOKEN_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'silent';
+
+const { listAvailability, bookAppointment, listAppointments } = require('../lib/appointments');
+const { buildIcs } = require('../lib/appointments/ics');
+const { issueFormToken } = require('../lib/spam/token');
+
+function booking(slot, overrides = {}) {
+  return {
+    service: 'campana-deteccion',
+    type: 'onsite-campaign',
+    start: slot.start,
+    address: 'Av. Industria 120, Tlalnepantla, Edo. Méx.',
+    headcount: 40,
+    name: 'Ana López',
+    company: 'Transportes del Norte',
+    email: 'ana@tdn.mx',
+    phone: '+525512345678',
+    formToken: issueFormToken(Date.now() - 5000),
+    website: '',
+    privacyConsent: true,
+    ...overrides
+  };
+}
+
+function readData(file) {
+  return JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, file), 'utf8'));
+}
+
+test('listAvailability respeta el aviso mínimo y rechaza servicios sin esa modalidad', async () => {
+  const now = Date.parse('2026-10-19T15:00:00.000Z'); // lunes 09:00 en CDMX
+  const { days } = await listAvailability({ service: 'antidoping', type: 'lab-visit', days: 3 }, now);
+
+  assert.equal(days[0].date, '2026-10-20');
+  assert.equal(days[0].slots[0].time, '09:00');
+  assert.equal(days[0].slots[0].start, '2026-10-20T15:00:00.000Z');
+  assert.equal(days[0].slots[0].remaining, 3);
+
+  await assert.rejects(
+    listAvailability({ service: 'expediente-ocupacional', type: 'lab-visit' }, now),
+    (error) => error.status === 400
+  );
+});
+
+test('buildIcs genera un VEVENT con saltos CRLF, texto escapado y líneas plegadas', () => {
+  const ics = buildIcs({
+    uid: 'cita-1@rxlab.com',
+    start: '2026-10-20T15:00:00.000Z',
+    end: '2026-10-20T15:30:00.000Z',
+    stamp: '2026-10-18T10:00:00.000Z',
+    summary: 'RXLab · Antidoping',
+    description: 'Visita al laboratorio; traer identificación, y ayuno\nPersonas: 3',
+    location: 'Laboratorio RXLab, Ciudad de México'
+  });
+
+  assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\n'));
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  assert.match(ics, /\r\nDTSTART:20261020T150000Z\r\n/);
+  assert.match(ics, /\r\nDTEND:20261020T153000Z\r\n/);
+  assert.match(ics, /LOCATION:Laboratorio RXLab\\, Ciudad de México/);
+  assert.ok(ics.split('\r\n').every((line) => Buffer.byteLength(line) <= 75));
+  assert.match(ics.replace(/\r\n /g, ''), /DESCRIPTION:Visita al laboratorio\\; traer identificación\\, y ayuno\\nPersonas: 3/);
+});
+
+test('bookAppointment liga la cita al lead y adjunta la invitación .ics', async () => {
+  const { days } = await listAvailability({ service: 'campana-deteccion', type: 'onsite-campaign' });
+  const result = await bookAppointment(booking(days[0].slots[0]));
+
+  assert.ok(result.leadId);
+  assert.equal(result.appointment.location.address, 'Av. Industria 120, Tlalnepantla, Edo. Méx.');
+
+  const [appointment] = await listAppointments();
+  assert.equal(appointment.status, 'confirmed');
+  assert.equal(appointment.leadId, result.leadId);
+
+  const lead = readData('leads.json').find((item) => item.id === result.leadId);
+  assert.equal(lead.appointment.id, appointment.id);
+  assert.match(lead.message, /Jornada en sitio/);
+
+  const notifications = readData('crm-notifications.json');
+  assert.ok(notifications.length >= 2);
+  for (const notification of notifications) {
+    const ics = notification.attachments.find((attachment) => attachment.name.endsWith('cita-rxlab.ics'));
+    assert.ok(ics, 'cada email lleva la invitación');
+    assert.match(fs.readFileSync(ics.path, 'utf8'), new RegExp(`UID:${appointment.id}@rxlab.com`));
+  }
+});
+
+test('bookAppointment no permite rebasar la capacidad del horario ni del día', async () => {
+  const before = await listAvailability({ service: 'campana-deteccion', type: 'onsite-campaign' });
+  const day = before.days.find((item) => item.remaining === 2 && item.slots.length === 2);
+  const [morning, afternoon] = day.slots;
+
+  await bookAppointment(booking(morning, { email: 'luis@tdn.mx', phone: '+525587654321' }));
+  await assert.rejects(
+    bookAppointment(booking(morning, { email: 'eva@otra.mx', phone: '+525511112222' })),
+    (error) => error.status === 409
+  );
+
+  const during = await listAvailability({ service: 'campana-deteccion', type: 'onsite-campaign', from: day.date, days: 1 });
+  assert.equal(during.days[0].remaining, 1);
+  assert.deepEqual(during.days[0].slots.map((slot) => slot.start), [afternoon.start]);
+
+  await bookAppointment(booking(afternoon, { email: 'eva@otra.mx', phone: '+525511112222' }));
+  const after = await listAvailability({ service: 'campana-deteccion', type: 'onsite-campaign', from: day.date, days: 1 });
+  assert.deepEqual(after.days, []);
+});
@@ -0,0 +1,270 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBrevoMock, RESPONSES, DEFAULT_API_KEY } = require('../scripts/brevo-mock');
+
+// Los dos adaptadores HTTP (Express y Vercel) contra el Brevo simulado.
+// La configuración se lee una vez, así que el entorno se fija antes de cargar los módulos.
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rxlab-brevo-'));
+process.env.APP_ENV = 'development';
+process.env.CRM_PROVIDER = 'brevo';
+process.env.BREVO_API_KEY = DEFAULT_API_KEY;
+process.env.BREVO_LIST_ID = '2';
+process.env.FORM_TOKEN_SECRET = 'secreto-de-prueba';
+process.env.EMAIL_VISITOR_CONFIRMATION = 'true';
+process.env.LOG_LEVEL = 'silent';
+
+const mock = createBrevoMock();
+const adapters = {};
+let expressServer;
+let requestCounter = 0;
+
+const LEAD = {
+  name: 'Ana López Ruiz',
+  email: 'ana@empresa.com',
+  phone: '+525512345678',
+  company: 'Transportes del Norte',
+  message: 'Necesitamos exámenes periódicos para 40 operadores',
+  privacyConsent: true
+};
+
+// Consentimiento del aviso vigente, aceptado hoy y sin publicidad
+const CONSENT_ATTRIBUTES = {
+  AVISO_PRIVACIDAD: '2025-06-01',
+  FECHA_CONSENTIMIENTO: new Date().toISOString().slice(0, 10),
+  ACEPTA_PUBLICIDAD: false
+};
+
+const CONTACT_PAYLOAD = {
+  email: 'ana@empresa.com',
+  attributes: {
+    NOMBRE: 'Ana',
+    APELLIDOS: 'López Ruiz',
+    EMPRESA: 'Transportes del Norte',
+    TELEFONO: 5512345678,
+    SMS: '+525512345678',
+    LANGUAGE: 'es',
+    ...CONSENT_ATTRIBUTES
+  },
+  listIds: [2],
+  updateEnabled: true
+};
+
+const BACKUP_PAYLOAD = {
+  ...CONTACT_PAYLOAD,
+  attributes: {
+    NOMBRE: 'Ana',
+    APELLIDOS: 'López Ruiz',
+    EMPRESA: 'Transportes del Norte',
+    PHONE_BACKUP: '5512345678',
+    LANGUAGE: 'es',
+    ...CONSENT_ATTRIBUTES
+  }
+};
+
+const CONTACT_PATH = '/contacts/ana%40empresa.com';
+
+before(async () => {
+  process.env.BREVO_API_URL = await mock.start();
+
+  const app = require('../server');
+  expressServer = await new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+  adapters.express = async (body, requestId) => {
+    const response = await fetch(`http://127.0.0.1:${expressServer.address().port}/api/brevo`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'x-request-id': requestId },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const { default: vercelHandler } = await import('../api/brevo.js');
+  adapters.vercel = async (body, requestId) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      status(code) { this.statusCode = code; return this; },
+      json(payload) { this.body = payload; return this; },
+      setHeader(name, value) { this.headers[name.toLowerCase()] = value; }
+    };
+    await vercelHandler({ method: 'POST', headers: { 'x-request-id': requestId }, body }, res);
+    return { status: res.statusCode, body: res.body };
+  };
+});
+
+after(async () => {
+  await new Promise((resolve) => expressServer.close(resolve));
+  await mock.stop();
+});
+
+beforeEach(() => mock.reset());
+
+// Envía el lead con un token de formulario válido; devuelve la respuesta y su entrada del outbox
+async function submit(adapter) {
+  const { issueFormToken } = require('../lib/spam/token');
+  const { listEntries } = require('../lib/outbox');
+  const requestId = `test-brevo-${++requestCounter}`;
+  const body = { ...LEAD, formToken: issueFormToken(Date.now() - 5000) };
+
+  const response = await adapters[adapter](body, requestId);
+  const entry = (await listEntries()).find((e) => e.requestId === requestId);
+  return { ...response, entry };
+}
+
+function routes() {
+  return mock.requests.map((request) => request.route);
+}
+
+function contactCalls() {
+  return mock.requests.filter((request) => request.route !== 'POST /smtp/email');
+}
+
+for (const adapter of ['express', 'vercel']) {
+  describe(`POST /api/brevo (${adapter}) contra Brevo simulado`, () => {
+    test('contacto nuevo: un POST /contacts y los dos emails', async () => {
+      const { status, body, entry } = await submit(adapter);
+
+      assert.equal(status, 200);
+      assert.equal(body.ok, true);
+      assert.equal(body.queued, false);
+      assert.equal(entry.status, 'delivered');
+      assert.deepEqual(routes(), ['POST /contacts', 'POST /smtp/email', 'POST /smtp/email']);
+      assert.deepEqual(mock.requests[0].body, CONTACT_PAYLOAD);
+      assert.equal(mock.requests[0].apiKey, DEFAULT_API_KEY);
+
+      const [notification, confirmation] = mock.requestsTo('POST /smtp/email').map((request) => request.body);
+      assert.deepEqual(notification.sender, { name: 'RXLab Landing', email: 'noreply@rxlab.com' });
+      assert.deepEqual(notification.to, [{ email: 'atapiarubio487@gmail.com', name: 'RXLab' }]);
+      assert.deepEqual(notification.replyTo, { email: 'ana@empresa.com', name: 'Ana López Ruiz' });
+      assert.equal(notification.subject, 'Nuevo lead desde Landing RXLab');
+      assert.match(notification.htmlContent, /Transportes del Norte/);
+      assert.equal(notification.attachment, undefined);
+
+      assert.deepEqual(confirmation.to, [{ email: 'ana@empresa.com', name: 'Ana López Ruiz' }]);
+      assert.deepEqual(confirmation.replyTo, { email: 'atapiarubio487@gmail.com', name: 'RXLab' });
+      assert.equal(confirmation.subject, 'Recibimos tu mensaje, Ana');
+    });
+
+    test('duplicate_parameter: actualiza por email con el mismo payload', async () => {
+      mock.script('POST /contacts', RESPONSES.duplicate());
+      mock.seedContact('ana@empresa.com');
+
+      const { body, entry } = await submit(adapter);
+
+      assert.equal(body.queued, false);
+      assert.equal(entry.status, 'delivered');
+      const calls = contactCalls();
+      assert.deepEqual(calls.map((call) => call.route), ['POST /contacts', 'PUT /contacts/:email']);
+      assert.equal(calls[1].path, CONTACT_PATH);
+      assert.deepEqual(calls[1].body, CONTACT_PAYLOAD);
+      assert.equal(mock.requestsTo('POST /smtp/email').length, 2);
+    });
+
+    test('SMS de otro contacto: reintenta con PHONE_BACKUP', async () => {
+      mock.seedContact('ana@empresa.com');
+      mock.seedContact('otro@empresa.com', { SMS: '+525512345678' });
+
+      const { body, entry } = await submit(adapter);
+
+      assert.equal(body.queued, false);
+      assert.equal(entry.status, 'delivered');
+      const calls = contactCalls();
+      assert.deepEqual(calls.map((call) => call.route), ['POST /contacts', 'PUT /contacts/:email', 'POST /contacts']);
+      assert.deepEqual(calls[1].body, CONTACT_PAYLOAD);
+      assert.deepEqual(calls[2].body, BACKUP_PAYLOAD);
+      assert.equal(mock.contacts.get('ana@empresa.com').attributes.PHONE_BACKUP, '5512345678');
+      assert.equal(mock.contacts.get('ana@empresa.com').attributes.SMS, undefined);
+    });
+
+    test('PHONE_BACKUP: si el POST de respaldo falla lo guarda con PUT', async () => {
+      mock.seedContact('ana@empresa.com');
+      mock.script('POST /contacts', RESPONSES.smsDuplicate(), RESPONSES.duplicate());
+      mock.script('PUT /contacts/:email', RESPONSES.smsDuplicate('update'));
+
+      const { body, entry } = await submit(adapter);
+
+      assert.equal(body.queued, false);
+      assert.equal(entry.status, 'delivered');
+      const calls = contactCalls();
+      assert.deepEqual(calls.map((call) => call.route), [
+        'POST /contacts', 'PUT /contacts/:email', 'POST /contacts', 'PUT /contacts/:email'
+      ]);
+      assert.deepEqual(calls[3].body, BACKUP_PAYLOAD);
+      assert.equal(calls[3].path, CONTACT_PATH);
+    });
+
+    test('PHONE_BACKUP también rechazado: el lead queda en el outbox', async () => {
+      mock.script('POST /contacts', RESPONSES.smsDuplicate(), RESPONSES.smsDuplicate());
+      mock.script('PUT /contacts/:email', RESPONSES.smsDuplicate('update'), RESPONSES.serverError());
+
+      const { body, entry } = await submit(adapter);
+
+      assert.equal(body.queued, true);
+      assert.equal(entry.status, 'pending');
+      assert.equal(entry.lastError, 'Internal server error');
+      assert.equal(contactCalls().length, 4);
+      assert.deepEqual(mock.requestsTo('POST /smtp/email'), []);
+    });
+
+    test('duplicado sin conflicto de SMS: un PUT fallido no intenta PHONE_BACKUP', async () => {
+      mock.script('POST /contacts', RESPONSES.duplicate());
+      mock.script('PUT /contacts/:email', RESPONSES.serverError(502));
+
+      const { body, entry } = await submit(adapter);
+
+      assert.equal(body.queued, true);
+      assert.equal(entry.lastError, 'Internal server error');
+      assert.deepEqual(routes(), ['POST /contacts', 'PUT /contacts/:email']);
+    });
+
+    test('401: no reintenta y manda la entrega a dead letter con un error legible', async () => {
+      mock.script('POST /contacts', RESPONSES.unauthorized());
+
+      const { status, body, entry } = await submit(adapter);
+
+      assert.equal(status, 200);
+      assert.equal(body.ok, true);
+      assert.equal(body.queued, true);
+      assert.equal(entry.status, 'dead');
+      assert.equal(entry.attempts, 1);
+      assert.equal(entry.lastError, 'API Key inválida o expirada');
+      assert.deepEqual(routes(), ['POST /contacts']);
+    });
+
+    test('403: tampoco se reintenta', async () => {
+      mock.script('POST /contacts', { status: 403, body: { code: 'permission_denied', message: 'Unrecognised IP address' } });
+
+      const { body, entry } = await submit(adapter);
+
+      assert.equal(body.queued, true);
+      assert.equal(entry.status, 'dead');
+      assert.equal(entry.lastError, 'Unrecognised IP address');
+    });
+
+    test('5xx de Brevo: el lead se reprograma en el outbox', async () => {
+      mock.script('POST /contacts', RESPONSES.serverError(503));
+
+      const { body, entry } = await submit(adapter);
+
+      assert.equal(body.queued, true);
+      assert.equal(entry.status, 'pending');
+      assert.ok(new Date(entry.nextAttemptAt) > new Date(entry.updatedAt));
+      assert.deepEqual(routes(), ['POST /contacts']);
+    });
+
+    test('un fallo de smtp/email no bloquea la entrega del lead', async () => {
+      mock.script('POST /smtp/email', RESPONSES.serverError());
+
+      const { body, entry } = await submit(adapter);
+
+      assert.equal(body.queued, false);
+      assert.equal(entry.status, 'delivered');
+      assert.deepEqual(routes(), ['POST /contacts', 'POST /smtp/email', 'POST /smtp/email']);
+      assert.deepEqual(mock.requestsTo('POST /smtp/email')[1].body.to, [{ email: 'ana@empresa.com', name: 'Ana López Ruiz' }]);
+    });
+  });
+}
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const { loadConfig, ConfigError } = require('../lib/config');
+
+test('loadConfig usa valores por defecto y el perfil development', () => {
+  const { config, warnings } = loadConfig({});
+
+  assert.equal(config.profile, 'development');
+  assert.equal(config.server.port, 3000);
+  assert.deepEqual(config.crm.listIds, [2]);
+  assert.deepEqual(config.email.sender, { name: 'RXLab Landing', email: 'noreply@rxlab.com' });
+  assert.equal(config.log.format, 'pretty');
+  assert.equal(config.rateLimit.windowMs, 15 * 60 * 1000);
+  assert.match(warnings[0], /BREVO_API_KEY/);
+  assert.ok(Object.isFrozen(config.email));
+});
+
+test('loadConfig interpreta tipos: puertos, listas, direcciones y toggles', () => {
+  const { config } = loadConfig({
+    PORT: '8080',
+    BREVO_LIST_ID: '2, 7',
+    EMAIL_SENDER: 'Cotizaciones RXLab <Cotizaciones@RXLab.mx>',
+    NOTIFICATION_RECIPIENTS: 'ventas@rxlab.mx, Dirección <direccion@rxlab.mx>',
+    EMAIL_VISITOR_CONFIRMATION: 'no',
+    QUOTE_PDF_TO_PROSPECT: 'true',
+    WHATSAPP_LINK: 'https://wa.me/5215512345678/',
+    WHATSAPP_NUMBER: '55 1234 5678'
+  });
+
+  assert.equal(config.server.port, 8080);
+  assert.deepEqual(config.crm.listIds, [2, 7]);
+  assert.deepEqual(config.email.sender, { name: 'Cotizaciones RXLab', email: 'cotizaciones@rxlab.mx' });
+  assert.deepEqual(config.email.notificationRecipients, [
+    { email: 'ventas@rxlab.mx' },
+    { name: 'Dirección', email: 'direccion@rxlab.mx' }
+  ]);
+  assert.deepEqual(config.email.replyTo, { email: 'ventas@rxlab.mx' });
+  assert.equal(config.features.visitorConfirmation, false);
+  assert.equal(config.features.quotePdfToProspect, true);
+  assert.equal(config.whatsapp.link, 'https://wa.me/5215512345678');
+  assert.equal(config.whatsapp.number, '+525512345678');
+});
+
+test('loadConfig reúne todos los problemas en un solo ConfigError', () => {
+  assert.throws(
+    () => loadConfig({ PORT: '99999', BREVO_LIST_ID: 'dos', NOTIFICATION_RECIPIENTS: 'no-es-email', LOG_LEVEL: 'verbose' }),
+    (error) => {
+      assert.ok(error instanceof ConfigError);
+      assert.equal(error.problems.length, 4);
+      assert.match(error.message, /PORT/);
+      assert.match(error.message, /NOTIFICATION_RECIPIENTS/);
+      return true;
+    }
+  );
+});
+
+test('production exige BREVO_API_KEY con el proveedor brevo', () => {
+  assert.throws(() => loadConfig({ APP_ENV: 'production' }), /BREVO_API_KEY/);
+  assert.throws(() => loadConfig({ NODE_ENV: 'production' }), /BREVO_API_KEY/);
+
+  const { config, warnings } = loadConfig({ APP_ENV: 'production', CRM_PROVIDER: 'local', SITE_URL: 'https://rxlab.mx' });
+  assert.equal(config.log.format, 'json');
+  assert.ok(warnings.some((warning) => /CRM_PROVIDER=local/.test(warning)));
+});
+
+test('staging no envía confirmaciones a visitantes salvo que se activen', () => {
+  const base = { APP_ENV: 'staging', BREVO_API_KEY: 'xkeysib-test', SITE_URL: 'https://staging.rxlab.mx' };
+  assert.equal(loadConfig(base).config.features.visitorConfirmation, false);
+  assert.equal(loadConfig({ ...base, EMAIL_VISITOR_CONFIRMATION: 'true' }).config.features.visitorConfirmation, true);
+  assert.throws(() => loadConfig({ APP_ENV: 'qa' }), /APP_ENV/);
+});
+
+test('sin SITE_URL fuera de development solo se advierte; en development apunta al servidor local', () => {
+  const { config, warnings } = loadConfig({ APP_ENV: 'production', CRM_PROVIDER: 'local' });
+  assert.equal(config.site.url, null);
+  assert.ok(warnings.some((warning) => /SITE_URL no está configurada/.test(warning)));
+  assert.throws(() => loadConfig({ APP_ENV: 'production', CRM_PROVIDER: 'local', SITE_URL: 'rxlab.mx' }), /SITE_URL debe ser una URL/);
+  assert.equal(loadConfig({ APP_ENV: 'production', CRM_PROVIDER: 'local', SITE_URL: 'https://rxlab.mx/' }).config.site.url, 'https://rxlab.mx');
+  assert.equal(loadConfig({ PORT: '8080' }).config.site.url, 'http://localhost:8080');
+});
+
+test('en Vercel los datos van al directorio temporal y se advierte que el outbox no es durable', () => {
+  const { config, warnings } = loadConfig({ VERCEL: '1', CRM_PROVIDER: 'local' });
+  assert.equal(config.dataDir, path.join(os.tmpdir(), 'rxlab-data'));
+  assert.ok(warnings.some((warning) => /outbox/.test(warning)));
+  assert.equal(loadConfig({ VERCEL: '1', DATA_DIR: '/srv/datos' }).config.dataDir, '/srv/datos');
+  assert.ok(!loadConfig({}).warnings.some((warning) => /outbox/.test(warning)));
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rxlab-content-'));
+process.env.LOG_LEVEL = 'silent';
+
+const { getSection, saveSection, resetSection, listSections, handleContentRequest, ContentError } = require('../lib/content');
+
+test('el contenido de fábrica cubre las secciones del sitio y los datos del negocio', async () => {
+  const { statusCode, body } = await handleContentRequest('GET');
+
+  assert.equal(statusCode, 200);
+  assert.deepEqual(Object.keys(body.content), ['services', 'faq', 'testimonials', 'certifications', 'business']);
+  assert.equal(body.content.services.items.length, 8);
+  assert.equal(body.content.services.items[0].slug, 'examen-contratacion');
+  assert.ok(body.content.certifications.tags.includes('NOM-030-STPS-2009'));
+});
+
+test('saveSection publica la edición y resetSection vuelve al archivo', async () => {
+  const faq = await getSection('faq');
+  faq.items.push({ question: '  ¿Entregan   resultados en línea? ', answer: 'Sí, en el portal.\r\nSin costo.', extra: 'x' });
+
+  const saved = await saveSection('faq', faq, { user: 'marketing' });
+  assert.deepEqual(saved.items.at(-1), { question: '¿Entregan resultados en línea?', answer: 'Sí, en el portal.\nSin costo.' });
+  assert.equal((await getSection('faq')).items.length, 4);
+
+  const info = (await listSections()).find((section) => section.name === 'faq');
+  assert.equal(info.customized, true);
+  assert.equal(info.updatedBy, 'marketing');
+
+  await resetSection('faq');
+  assert.equal((await getSection('faq')).items.length, 3);
+});
+
+test('saveSection rechaza campos inválidos con el detalle por ruta', async () => {
+  const services = await getSection('services');
+  services.items[1].slug = services.items[0].slug;
+  services.items[2].image = 'javascript:alert(1)';
+  services.items[3].title = '';
+
+  await assert.rejects(saveSection('services', services), (error) => {
+    assert.ok(error instanceof ContentError);
+    assert.equal(error.status, 400);
+    assert.deepEqual(Object.keys(error.fields).sort(), ['items.1.slug', 'items.2.image', 'items.3.title']);
+    return true;
+  });
+
+  const { statusCode } = await handleContentRequest('GET', { query: { section: 'precios' } });
+  assert.equal(statusCode, 404);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rxlab-crm-'));
+process.env.APP_ENV = 'development';
+process.env.LOG_LEVEL = 'silent';
+
+const { createLocalProvider } = require('../lib/crm/local');
+
+const provider = createLocalProvider({ listIds: [2] });
+
+function lead(email, name) {
+  return { email, nombre: name, empresa: 'Transportes del Norte' };
+}
+
+test('el proveedor local hace upsert por email y conserva las listas', async () => {
+  const created = await provider.upsertContact(lead('ana@example.com', 'Ana López'));
+  const updated = await provider.upsertContact(lead('ana@example.com', 'Ana López Ruiz'));
+
+  assert.equal(updated.id, created.id);
+  assert.equal(created.phoneBackup, false);
+  const contact = await provider.getContact('ana@example.com');
+  assert.deepEqual(contact.listIds, [2]);
+  assert.notEqual(contact.createdAt, undefined);
+  assert.equal((await provider.listContacts()).count, 1);
+});
+
+test('borrar un contacto no hace que su id se reutilice', async () => {
+  const first = await provider.upsertContact(lead('beto@example.com', 'Beto'));
+  const second = await provider.upsertContact(lead('carla@example.com', 'Carla'));
+  assert.equal(await provider.deleteContact('beto@example.com'), true);
+  assert.equal(await provider.deleteContact('beto@example.com'), false);
+
+  const third = await provider.upsertContact(lead('dani@example.com', 'Dani'));
+  const ids = (await provider.listContacts()).contacts.map((contact) => contact.id);
+  assert.equal(new Set(ids).size, ids.length);
+  assert.ok(![first.id, second.id].includes(third.id));
+  assert.equal(await provider.getContact('beto@example.com'), null);
+});
+
+test('actualizar un contacto inexistente responde 404', async () => {
+  await assert.rejects(provider.updateContact('nadie@example.com', {}), { status: 404, code: 'document_not_found' });
+});
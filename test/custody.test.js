@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rxlab-custody-'));
+process.env.APP_ENV = 'development';
+process.env.CRM_PROVIDER = 'local';
+process.env.CUSTODY_LINK_HOURS = '48';
+process.env.CUSTODY_LINK_MAX_DOWNLOADS = '2';
+process.env.LOG_LEVEL = 'silent';
+
+const roster = require('../lib/portal/roster');
+const custody = require('../lib/custody');
+const { renderCustodyForm, renderConsent } = require('../lib/custody/pdf');
+
+const NOW = Date.parse('2026-10-18T17:00:00Z');
+
+function readNotifications() {
+  const file = path.join(process.env.DATA_DIR, 'crm-notifications.json');
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+}
+
+async function employerWithContact(company, domain) {
+  return roster.createEmployer({
+    company,
+    users: [{ email: `rh@${domain}`, name: 'Recursos Humanos' }, { email: `medico@${domain}`, name: 'Dra. Ruiz', results: true }]
+  });
+}
+
+function sampleFor(employer, overrides = {}) {
+  return {
+    employerId: employer.id,
+    donor: { name: 'Juan Pérez', employeeNumber: 'E10' },
+    idDocument: 'INE 1234567890',
+    reason: 'aleatorio',
+    panel: 5,
+    drawFolio: 'SRT-2026-0001',
+    collector: 'Enf. López',
+    consent: { accepted: true, signedName: 'Juan Pérez' },
+    ...overrides
+  };
+}
+
+// Lleva la muestra hasta la revisión del MRO
+async function reviewedSample(employer, determination = 'positivo') {
+  const sample = await custody.createSample(sampleFor(employer), { user: 'lopez@rxlab.mx', now: NOW });
+  await custody.transitionSample(sample.id, { to: 'sealed', sealNumber: 'S-778' }, { user: 'lopez@rxlab.mx' });
+  await custody.transitionSample(sample.id, { to: 'shipped', carrier: 'Estafeta', trackingNumber: '123456' }, { user: 'lopez@rxlab.mx' });
+  await custody.transitionSample(sample.id, { to: 'analyzed', sealCheck: 'intacto', labResult: 'no_negativo' }, { user: 'lab@rxlab.mx' });
+  return custody.transitionSample(sample.id, { to: 'mro_reviewed', mroName: 'Dr. Salas', determination }, { user: 'salas@rxlab.mx' });
+}
+
+test('la muestra se registra con folio consecutivo, consentimiento firmado y sus documentos', async () => {
+  const employer = await employerWithContact('Transportes del Norte', 'tdn.mx');
+  await assert.rejects(custody.createSample(sampleFor(employer, { consent: { accepted: false, signedName: 'Juan Pérez' } })), { status: 400, fields: { consent: 'Requerido' } });
+  await assert.rejects(custody.createSample(sampleFor(employer, { panel: 7 })), { status: 400 });
+  await assert.rejects(custody.createSample(sampleFor(employer, { employerId: 'otra' })), { status: 404 });
+
+  const first = await custody.createSample(sampleFor(employer), { user: 'lopez@rxlab.mx', now: NOW });
+  const second = await custody.createSample(sampleFor(employer, { reason: 'preingreso', drawFolio: '' }), { now: NOW });
+  assert.equal(first.folio, 'CC-2026-00001');
+  assert.equal(second.folio, 'CC-2026-00002');
+  assert.equal(second.drawFolio, null);
+  assert.equal(first.status, 'collected');
+  assert.deepEqual(first.consent, { signedName: 'Juan Pérez', acceptedAt: '2026-10-18T17:00:00.000Z' });
+  assert.deepEqual(first.history, [{ state: 'collected', at: '2026-10-18T17:00:00.000Z', by: 'lopez@rxlab.mx', details: null }]);
+
+  for (const pdf of [await renderCustodyForm(first), await renderConsent(first)]) {
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+    assert.ok(pdf.length > 2000);
+  }
+});
+
+test('los pasos van en orden, con quién y cuándo; un sello roto solo admite invalido', async () => {
+  const employer = await employerWithContact('Minera Sur', 'minera.mx');
+  const sample = await custody.createSample(sampleFor(employer), { now: NOW });
+
+  await assert.rejects(custody.transitionSample(sample.id, { to: 'shipped', carrier: 'DHL', trackingNumber: '1' }), { status: 409, message: /sealed/ });
+  await assert.rejects(custody.transitionSample(sample.id, { to: 'sealed' }), { status: 400 });
+  await assert.rejects(custody.transitionSample(sample.id, { to: 'delivered' }), { status: 400 });
+  await custody.transitionSample(sample.id, { to: 'sealed', sealNumber: 'S-1' }, { user: 'lopez@rxlab.mx', now: NOW + 60000 });
+  await custody.transitionSample(sample.id, { to: 'shipped', carrier: 'DHL', trackingNumber: '99' }, { user: 'lopez@rxlab.mx' });
+  await assert.rejects(custody.transitionSample(sample.id, { to: 'analyzed', sealCheck: 'roto', labResult: 'negativo' }), { status: 400 });
+  const analyzed = await custody.transitionSample(sample.id, { to: 'analyzed', sealCheck: 'roto', labResult: 'invalido' }, { user: 'lab@rxlab.mx' });
+
+  assert.equal(analyzed.status, 'analyzed');
+  assert.deepEqual(analyzed.history.map((entry) => [entry.state, entry.by]), [
+    ['collected', null], ['sealed', 'lopez@rxlab.mx'], ['shipped', 'lopez@rxlab.mx'], ['analyzed', 'lab@rxlab.mx']
+  ]);
+  assert.equal(analyzed.history[1].at, '2026-10-18T17:01:00.000Z');
+  assert.deepEqual(analyzed.history[1].details, { number: 'S-1' });
+  await assert.rejects(custody.deliverResult(sample.id, { to: 'medico@minera.mx' }), { status: 409 });
+});
+
+test('el resultado se entrega por un enlace que vence, cuenta descargas y registra cada acceso', async () => {
+  const employer = await employerWithContact('Alimentos del Valle', 'valle.mx');
+  const sample = await reviewedSample(employer);
+
+  await assert.rejects(custody.deliverResult(sample.id, { to: 'rh@valle.mx' }), { status: 400, fields: { to: 'No autorizado' } });
+  // Sin SITE_URL no hay con qué armar el enlace
+  await assert.rejects(custody.deliverResult(sample.id, { to: 'Medico@valle.mx' }), { status: 503 });
+  const delivered = await custody.deliverResult(sample.id, { to: 'Medico@valle.mx', siteUrl: 'https://rxlab.mx', user: 'ops@rxlab.mx', now: NOW });
+  const [delivery] = delivered.deliveries;
+  assert.equal(delivery.tokenHash, undefined);
+  assert.equal(delivery.expiresAt, '2026-10-20T17:00:00.000Z');
+  assert.equal(delivery.maxDownloads, 2);
+
+  const email = readNotifications().find((notification) => notification.subject.includes(sample.folio));
+  assert.equal(email.to[0].email, 'medico@valle.mx');
+  assert.doesNotMatch(email.text, /positivo/i);
+  const token = email.text.match(/https:\/\/rxlab\.mx\/resultados\/(\S+)/)[1];
+
+  // Abrir el enlace (lo que hacen los antivirus del correo y las vistas previas) no descarga
+  for (let i = 0; i < 3; i++) {
+    const page = await custody.handleResultRequest('GET', token, { now: NOW + 60 * 1000 });
+    assert.equal(page.statusCode, 200);
+    assert.match(page.headers['Content-Type'], /text\/html/);
+    assert.match(page.body, /<form method="post">/);
+    assert.match(page.body, new RegExp(sample.folio));
+    assert.doesNotMatch(page.body, /positivo/i);
+  }
+  assert.equal((await custody.getSample(sample.id)).status, 'mro_reviewed');
+  assert.deepEqual((await custody.getSample(sample.id)).deliveries[0].accesses, []);
+
+  const first = await custody.handleResultRequest('POST', token, { ip: '10.0.0.1', userAgent: 'Firefox', now: NOW + 3600 * 1000 });
+  assert.equal(first.statusCode, 200);
+  assert.equal(first.headers['Content-Type'], 'application/pdf');
+  assert.equal(first.headers['Cache-Control'], 'no-store');
+  assert.equal(first.body.subarray(0, 5).toString(), '%PDF-');
+  assert.equal((await custody.handleResultRequest('POST', token, { now: NOW + 7200 * 1000 })).statusCode, 200);
+  assert.equal((await custody.handleResultRequest('POST', token, { now: NOW + 7300 * 1000 })).statusCode, 410);
+  assert.equal((await custody.handleResultRequest('GET', token, { now: NOW + 7300 * 1000 })).statusCode, 410);
+  assert.equal((await custody.handleResultRequest('POST', 'no-existe')).statusCode, 404);
+  assert.equal((await custody.handleResultRequest('GET', 'no-existe')).statusCode, 404);
+
+  const stored = await custody.getSample(sample.id);
+  assert.equal(stored.status, 'delivered');
+  assert.equal(stored.history.filter((entry) => entry.state === 'delivered').length, 1);
+  assert.deepEqual(stored.deliveries[0].accesses.map((access) => [access.granted, access.reason]), [[true, null], [true, null], [false, 'limit']]);
+  assert.deepEqual(stored.deliveries[0].accesses[0], { at: '2026-10-18T18:00:00.000Z', ip: '10.0.0.1', userAgent: 'Firefox', granted: true, reason: null });
+});
+
+test('un enlace vencido se rechaza y el portal no ve resultados', async () => {
+  const employer = await employerWithContact('Constructora Bajío', 'bajio.mx');
+  const sample = await reviewedSample(employer, 'negativo');
+  await custody.deliverResult(sample.id, { to: 'medico@bajio.mx', siteUrl: 'https://rxlab.mx', now: NOW });
+  const email = readNotifications().find((notification) => notification.subject.includes(sample.folio));
+  const token = email.text.match(/\/resultados\/(\S+)/)[1];
+
+  const expired = await custody.handleResultRequest('POST', token, { now: NOW + 49 * 3600 * 1000 });
+  assert.equal(expired.statusCode, 410);
+  assert.match(expired.body, /venció/);
+  const stored = await custody.getSample(sample.id);
+  assert.equal(stored.status, 'mro_reviewed');
+  assert.equal(stored.deliveries[0].accesses[0].reason, 'expired');
+
+  const [listed] = await custody.listSamplesForEmployer(employer.id);
+  assert.equal(listed.folio, sample.folio);
+  assert.equal(listed.status, 'mro_reviewed');
+  assert.equal(listed.review, undefined);
+  assert.equal(listed.analysis, undefined);
+  assert.equal(listed.deliveries, undefined);
+  assert.doesNotMatch(JSON.stringify(listed), /negativo|no_negativo|INE/);
+  assert.deepEqual(await custody.listSamplesForEmployer('otra-empresa'), []);
+});
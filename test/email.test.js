@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderTemplate } = require('../lib/email/template');
+const { renderEmail, EmailTemplateError } = require('../lib/email');
+
+test('renderTemplate escapa variables en HTML salvo con triple llave', () => {
+  const html = renderTemplate('<p>{{name}}</p>{{{raw}}}', { name: '<Ana & Co>', raw: '<b>ok</b>' });
+  assert.equal(html, '<p>&lt;Ana &amp; Co&gt;</p><b>ok</b>');
+  assert.equal(renderTemplate('{{name}}', { name: '<Ana>' }, { escape: false }), '<Ana>');
+});
+
+test('renderTemplate resuelve secciones, listas, rutas con puntos y secciones invertidas', () => {
+  const template = [
+    '{{#quote}}',
+    'Folio {{folio}} de {{company}}',
+    '{{#lines}}',
+    '- {{description}}',
+    '{{/lines}}',
+    '{{/quote}}',
+    '{{^quote}}',
+    'Sin cotización',
+    '{{/quote}}',
+    'Total: {{quote.total}}'
+  ].join('\n');
+
+  const withQuote = renderTemplate(template, {
+    company: 'ACME',
+    quote: { folio: 'RX-2026-0001', total: '$10.00', lines: [{ description: 'A' }, { description: 'B' }] }
+  }, { escape: false });
+  assert.equal(withQuote, 'Folio RX-2026-0001 de ACME\n- A\n- B\nTotal: $10.00');
+
+  assert.equal(renderTemplate(template, { quote: null }, { escape: false }), 'Sin cotización\nTotal: ');
+});
+
+test('renderEmail arma remitente, destinatarios y asunto desde meta.json', () => {
+  const email = renderEmail('visitor-confirmation', {
+    name: 'Ana López',
+    firstName: 'Ana',
+    email: 'ana@example.com',
+    message: 'Hola'
+  }, { locale: 'en' });
+
+  assert.deepEqual(email.to, [{ email: 'ana@example.com', name: 'Ana López' }]);
+  assert.equal(email.subject, 'We received your message, Ana');
+  assert.match(email.text, /^Hi Ana,/);
+  assert.ok(email.sender.email);
+});
+
+test('renderEmail usa español si no existe el idioma pedido', () => {
+  const email = renderEmail('visitor-confirmation', { firstName: 'Ana', email: 'ana@example.com' }, { locale: 'fr' });
+  assert.match(email.text, /^Hola Ana,/);
+  assert.equal(email.subject, 'Recibimos tu mensaje, Ana');
+});
+
+test('renderEmail rechaza plantillas inexistentes', () => {
+  assert.throws(() => renderEmail('no-existe', {}), EmailTemplateError);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rxlab-i18n-'));
+process.env.APP_ENV = 'development';
+process.env.CRM_PROVIDER = 'local';
+process.env.FORM_TOKEN_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'silent';
+process.env.SITE_URL = 'https://rxlab.example.mx';
+
+const { LOCALES, localeFromRequest, negotiateLocale, readCookie, t } = require('../lib/i18n');
+const { handleQuoteRequest } = require('../lib/quote');
+const { handleLeadRequest } = require('../lib/leads/pipeline');
+const { handleSiteRequest } = require('../lib/site');
+const { getSection, saveSection, ContentError } = require('../lib/content');
+const { issueFormToken } = require('../lib/spam/token');
+
+function keys(node, prefix = '') {
+  return Object.entries(node).flatMap(([key, value]) => (
+    value && typeof value === 'object' ? keys(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+  ));
+}
+
+function readData(file) {
+  return JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, file), 'utf8'));
+}
+
+test('el idioma sale de ?lang, luego de la cookie y luego de Accept-Language', () => {
+  assert.equal(negotiateLocale('fr-FR,en;q=0.8,es;q=0.9'), 'es');
+  assert.equal(negotiateLocale('en-US,en;q=0.9'), 'en');
+  assert.equal(negotiateLocale('de, fr;q=0.5'), 'es');
+  assert.equal(negotiateLocale(''), 'es');
+
+  const headers = { cookie: 'otra=1; rxlab_lang=en', 'accept-language': 'es-MX' };
+  assert.equal(localeFromRequest({ headers }), 'en');
+  assert.equal(localeFromRequest({ headers, query: { lang: 'es' } }), 'es');
+  assert.equal(localeFromRequest({ headers: { 'accept-language': 'en-GB' }, query: { lang: 'xx' } }), 'en');
+});
+
+test('una cookie de idioma mal codificada se ignora en lugar de responder 500', async () => {
+  const headers = { cookie: 'rxlab_lang=%E0%A4%A', 'accept-language': 'en-US' };
+  assert.equal(readCookie(headers.cookie, 'rxlab_lang'), null);
+  assert.equal(localeFromRequest({ headers }), 'en');
+
+  const app = require('../server');
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/quote`, { headers });
+    assert.equal(response.status, 200);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test('los catálogos tienen las mismas claves y cubren todos los data-i18n de index.html', () => {
+  const catalogues = LOCALES.map((locale) => (
+    JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'lib', 'i18n', 'messages', `${locale}.json`), 'utf8'))
+  ));
+  const [base, ...others] = catalogues.map((catalogue) => keys(catalogue).sort());
+  for (const other of others) assert.deepEqual(other, base);
+
+  const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+  const used = [...html.matchAll(/data-i18n(?:-title|-placeholder)?="([^"]+)"/g)].map((match) => match[1]);
+  assert.ok(used.length > 50);
+  for (const key of used) assert.ok(base.includes(key), `falta ${key}`);
+});
+
+test('la API responde en el idioma de la solicitud y el CRM guarda LANGUAGE', async () => {
+  const invalid = handleQuoteRequest('POST', { headcount: 0, items: [] }, { locale: 'en' });
+  assert.equal(invalid.statusCode, 400);
+  assert.equal(invalid.body.error, t('api.quote.invalidHeadcount', {}, 'en'));
+
+  const catalog = handleQuoteRequest('GET', undefined, { locale: 'en' });
+  assert.equal(catalog.body.catalog.services.find((service) => service.slug === 'antidoping').title, 'Occupational drug testing program');
+
+  const { statusCode, body } = await handleLeadRequest({
+    name: 'Jane Doe',
+    company: 'Northern Freight',
+    email: 'jane@northern.example',
+    phone: '+525512345678',
+    message: 'We need periodic exams for 40 drivers',
+    privacyConsent: true,
+    formToken: issueFormToken(Date.now() - 5000),
+    website: ''
+  }, { locale: 'en' });
+  assert.equal(statusCode, 200);
+  assert.ok([t('api.lead.sent', {}, 'en'), t('api.lead.queued', {}, 'en')].includes(body.message));
+
+  assert.equal(readData('leads.json')[0].locale, 'en');
+  assert.equal(readData('crm-contacts.json')[0].attributes.LANGUAGE, 'en');
+});
+
+test('la portada en inglés traduce la plantilla y el contenido y enlaza ambos idiomas', async () => {
+  const { statusCode, headers, body } = await handleSiteRequest('/servicios/antidoping', { locale: 'en' });
+
+  assert.equal(statusCode, 200);
+  assert.match(headers.Vary, /Accept-Language/);
+  assert.match(body, /<html lang="en-US">/);
+  assert.match(body, /<a href="#contacto" data-i18n="page.nav.contact">Contact<\/a>/);
+  assert.match(body, /<title>Occupational drug testing program \| RXLab<\/title>/);
+  assert.match(body, /<link rel="canonical" href="https:\/\/rxlab\.example\.mx\/servicios\/antidoping\?lang=en" \/>/);
+  assert.match(body, /<link rel="alternate" hreflang="es" href="https:\/\/rxlab\.example\.mx\/servicios\/antidoping" \/>/);
+  assert.match(body, /id="langSwitch" hreflang="es" lang="es">Español<\/a>/);
+  assert.match(body, /<meta property="og:locale" content="en_US" \/>/);
+
+  const messages = JSON.parse(/<script type="application\/json" id="siteMessages">([\s\S]*?)<\/script>/.exec(body)[1]);
+  assert.equal(messages.quote.total, t('client.quote.total', {}, 'en'));
+  assert.equal(messages.page.services.requestInfo, 'Request information');
+
+  // Botones de la tarjeta de servicio
+  assert.match(body, /data-quote="antidoping">Request information<\/a>/);
+  assert.match(body, /data-book="antidoping" hidden>Book an appointment<\/a>/);
+  assert.doesNotMatch(body, />(Solicitar información|Agendar cita)</);
+
+  // Una traducción no puede inventar servicios que no existen en español
+  const services = await getSection('services', { locale: 'en' });
+  services.items[0].slug = 'servicio-nuevo';
+  await assert.rejects(saveSection('services', services, { locale: 'en' }), ContentError);
+});
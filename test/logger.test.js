@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { redact, createLogger, runWithContext, newRequestId } = require('../lib/logger');
+
+test('redact oculta email, teléfono, nombre y mensaje según la clave', () => {
+  const redacted = redact({
+    name: 'Ana López Ruiz',
+    email: 'ana@empresa.com',
+    phone: { e164: '+525512345678', international: '+52 55 1234 5678' },
+    message: 'Necesitamos exámenes',
+    company: 'Transportes del Norte',
+    attributes: { NOMBRE: 'Ana', SMS: '+525512345678' },
+    to: [{ email: 'rx@rxlab.com', name: 'RXLab' }],
+    apiKey: 'xkeysib-123'
+  });
+
+  assert.deepEqual(redacted, {
+    name: 'A. L. R.',
+    email: 'a***@empresa.com',
+    phone: { e164: '***5678', international: '***5678' },
+    message: '[20 chars]',
+    company: 'Transportes del Norte',
+    attributes: { NOMBRE: 'A.', SMS: '***5678' },
+    to: [{ email: 'r***@rxlab.com', name: 'R.' }],
+    apiKey: '[redacted]'
+  });
+});
+
+test('redact limpia emails y teléfonos dentro de texto libre y errores', () => {
+  const redacted = redact({
+    detail: 'Contact already exist: ana@empresa.com / +52 55 1234 5678',
+    at: '2026-10-18T15:03:00.000Z',
+    error: new Error('Fallo para ana@empresa.com')
+  });
+
+  assert.equal(redacted.detail, 'Contact already exist: a***@empresa.com / ***5678');
+  assert.equal(redacted.at, '2026-10-18T15:03:00.000Z');
+  assert.equal(redacted.error.message, 'Fallo para a***@empresa.com');
+});
+
+test('el logger escribe JSON con el requestId del contexto', (t) => {
+  const lines = [];
+  t.mock.method(process.stdout, 'write', (chunk) => {
+    lines.push(String(chunk));
+    return true;
+  });
+
+  runWithContext({ requestId: 'req-12345678' }, () => {
+    createLogger({ module: 'test' }).info('Lead recibido', { email: 'ana@empresa.com' });
+  });
+
+  t.mock.restoreAll();
+  const entry = JSON.parse(lines[0]);
+  assert.equal(entry.level, 'info');
+  assert.equal(entry.msg, 'Lead recibido');
+  assert.equal(entry.requestId, 'req-12345678');
+  assert.equal(entry.module, 'test');
+  assert.equal(entry.email, 'a***@empresa.com');
+});
+
+test('newRequestId reutiliza IDs válidos y genera uno nuevo si no', () => {
+  assert.equal(newRequestId('iad1::abc12-345678'), 'iad1::abc12-345678');
+  assert.match(newRequestId('<script>'), /^[0-9a-f-]{36}$/);
+  assert.match(newRequestId(undefined), /^[0-9a-f-]{36}$/);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rxlab-outbox-'));
+process.env.APP_ENV = 'development';
+process.env.LOG_LEVEL = 'silent';
+
+const outbox = require('../lib/outbox');
+
+const SCHEDULE = { maxAttempts: 5, baseDelayMs: 30 * 1000, maxDelayMs: 5 * 60 * 1000, pollIntervalMs: 1000 };
+// Sin espera entre intentos, para llegar a dead letter sin relojes falsos
+const IMMEDIATE = { ...SCHEDULE, maxAttempts: 3, baseDelayMs: 0 };
+
+function failing(calls) {
+  return {
+    lead: async (payload) => {
+      calls.push(payload);
+      throw new Error('CRM caído');
+    }
+  };
+}
+
+async function entryById(id) {
+  return (await outbox.listEntries()).find((entry) => entry.id === id);
+}
+
+test('el backoff se duplica en cada intento y se topa en maxDelayMs', () => {
+  assert.deepEqual([1, 2, 3, 4, 5, 6, 10].map((attempts) => outbox.backoffDelay(attempts, SCHEDULE)), [
+    30 * 1000, 60 * 1000, 120 * 1000, 240 * 1000, 300 * 1000, 300 * 1000, 300 * 1000
+  ]);
+});
+
+test('una entrega fallida queda pendiente y se reprograma según el backoff', async () => {
+  const calls = [];
+  const entry = await outbox.enqueue('lead', { email: 'ana@example.com' });
+  const before = Date.now();
+  const settled = await outbox.deliverNow(entry.id, failing(calls), SCHEDULE);
+  const after = Date.now();
+
+  assert.equal(calls.length, 1);
+  assert.equal(settled.status, 'pending');
+  assert.equal(settled.attempts, 1);
+  assert.equal(settled.lastError, 'CRM caído');
+  const nextAttemptAt = new Date(settled.nextAttemptAt).getTime();
+  assert.ok(nextAttemptAt >= before + 30 * 1000 && nextAttemptAt <= after + 30 * 1000);
+
+  // Todavía no vence: processDue no la toca ni la reclama
+  assert.equal(await outbox.processDue(failing(calls), SCHEDULE), 0);
+  assert.equal(await outbox.deliverNow(entry.id, failing(calls), SCHEDULE), null);
+  assert.equal(calls.length, 1);
+  assert.equal((await entryById(entry.id)).status, 'pending');
+
+  await outbox.purgeEntries((payload) => payload.email === 'ana@example.com');
+});
+
+test('tras maxAttempts la entrada pasa a dead y ya no se reintenta', async () => {
+  const calls = [];
+  const entry = await outbox.enqueue('lead', { email: 'beto@example.com' });
+
+  assert.equal((await outbox.deliverNow(entry.id, failing(calls), IMMEDIATE)).status, 'pending');
+  assert.equal(await outbox.processDue(failing(calls), IMMEDIATE), 1);
+  assert.equal(await outbox.processDue(failing(calls), IMMEDIATE), 1);
+  assert.equal(await outbox.processDue(failing(calls), IMMEDIATE), 0);
+
+  const dead = await entryById(entry.id);
+  assert.equal(calls.length, 3);
+  assert.equal(dead.status, 'dead');
+  assert.equal(dead.attempts, 3);
+  assert.equal(dead.lastError, 'CRM caído');
+  assert.deepEqual((await outbox.listEntries({ status: 'dead' })).map((e) => e.id), [entry.id]);
+});
+
+test('el replay reinicia los intentos y la entrada se entrega', async () => {
+  const calls = [];
+  const [dead] = await outbox.listEntries({ status: 'dead' });
+  const other = await outbox.enqueue('lead', { email: 'carla@example.com' });
+  for (let i = 0; i < IMMEDIATE.maxAttempts; i++) await outbox.processDue(failing([]), IMMEDIATE);
+  assert.equal((await entryById(other.id)).status, 'dead');
+
+  // Solo los ids indicados
+  assert.deepEqual(await outbox.replayDeadLetters([dead.id]), [dead.id]);
+  const replayed = await entryById(dead.id);
+  assert.equal(replayed.status, 'pending');
+  assert.equal(replayed.attempts, 0);
+  assert.ok(new Date(replayed.nextAttemptAt).getTime() <= Date.now());
+  assert.equal((await entryById(other.id)).status, 'dead');
+
+  // Tras el replay vuelve a tener todos los intentos
+  assert.equal(await outbox.processDue(failing([]), IMMEDIATE), 1);
+  const retried = await entryById(dead.id);
+  assert.equal(retried.status, 'pending');
+  assert.equal(retried.attempts, 1);
+
+  const delivered = await outbox.deliverNow(dead.id, { lead: async (payload) => calls.push(payload) }, IMMEDIATE);
+  assert.deepEqual(calls, [{ email: 'beto@example.com' }]);
+  assert.equal(delivered.status, 'delivered');
+  assert.equal(delivered.attempts, 2);
+  assert.equal(delivered.lastError, null);
+  assert.ok(delivered.deliveredAt);
+
+  // Sin ids se reencolan todas las que sigan en dead
+  assert.deepEqual(await outbox.replayDeadLetters(), [other.id]);
+  assert.deepEqual(await outbox.listEntries({ status: 'dead' }), []);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePhone } = require('../lib/phone');
+
+// [entrada, e164 esperado, número local para TELEFONO, país]
+const VALID_NUMBERS = [
+  ['55 1234 5678', '+525512345678', '5512345678', 'MX'],
+  ['5512345678', '+525512345678', '5512345678', 'MX'],
+  ['(55) 1234-5678', '+525512345678', '5512345678', 'MX'],
+  ['55.1234.5678', '+525512345678', '5512345678', 'MX'],
+  ['+52 55 1234 5678', '+525512345678', '5512345678', 'MX'],
+  ['+525512345678', '+525512345678', '5512345678', 'MX'],
+  ['+52 1 55 1234 5678', '+525512345678', '5512345678', 'MX'],
+  ['0052 55 1234 5678', '+525512345678', '5512345678', 'MX'],
+  ['52 55 1234 5678', '+525512345678', '5512345678', 'MX'],
+  ['521 55 1234 5678', '+525512345678', '5512345678', 'MX'],
+  ['044 55 1234 5678', '+525512345678', '5512345678', 'MX'],
+  ['045 33 1234 5678', '+523312345678', '3312345678', 'MX'],
+  ['01 614 123 4567', '+526141234567', '6141234567', 'MX'],
+  ['614 123 4567', '+526141234567', '6141234567', 'MX'],
+  ['+52 81 8123 4567', '+528181234567', '8181234567', 'MX'],
+  ['800 123 4567', '+528001234567', '8001234567', 'MX'],
+  ['+1 212 555 0100', '+12125550100', '2125550100', 'NANP'],
+  ['+1 (415) 555-2671', '+14155552671', '4155552671', 'NANP'],
+  ['001 415 555 2671', '+14155552671', '4155552671', 'NANP'],
+  ['+34 612 345 678', '+34612345678', '612345678', 'ES'],
+  ['+44 20 7946 0958', '+442079460958', '2079460958', 'GB'],
+  ['+502 2345 6789', '+50223456789', '23456789', 'GT'],
+  ['+57 300 123 4567', '+573001234567', '3001234567', 'CO']
+];
+
+// [entrada, motivo esperado]
+const INVALID_NUMBERS = [
+  ['', 'empty'],
+  ['+52', 'empty'],
+  ['   ', 'empty'],
+  ['55 1234 567', 'mxLength'],
+  ['55 1234 56789', 'mxLength'],
+  ['+52 55 1234', 'mxLength'],
+  ['123', 'mxLength'],
+  ['0123456789', 'mxArea'],
+  ['1234567890', 'mxArea'],
+  ['5712345678', 'mxArea'],
+  ['+52 57 1234 5678', 'mxArea'],
+  ['55 1234 5678 ext 12', 'characters'],
+  ['tel: 5512345678', 'characters'],
+  ['+1 012 555 0100', 'nanp'],
+  ['+1 212 555 010', 'nanp'],
+  ['+34 12345', 'length'],
+  ['+34 1234 5678 9012 345', 'length'],
+  ['+0 123 456 789', 'countryCode']
+];
+
+test('parsePhone normaliza números válidos', async (t) => {
+  for (const [input, e164, local, country] of VALID_NUMBERS) {
+    await t.test(input, () => {
+      const result = parsePhone(input);
+      assert.equal(result.valid, true, result.error);
+      assert.equal(result.e164, e164);
+      assert.equal(result.local, local);
+      assert.equal(result.country, country);
+    });
+  }
+});
+
+test('parsePhone rechaza números inválidos con un motivo', async (t) => {
+  for (const [input, reason] of INVALID_NUMBERS) {
+    await t.test(JSON.stringify(input), () => {
+      const result = parsePhone(input);
+      assert.equal(result.valid, false);
+      assert.equal(result.reason, reason);
+      assert.ok(result.error);
+    });
+  }
+});
+
+test('parsePhone distingue el tipo de número mexicano', () => {
+  assert.equal(parsePhone('044 55 1234 5678').type, 'mobile');
+  assert.equal(parsePhone('+52 1 55 1234 5678').type, 'mobile');
+  assert.equal(parsePhone('55 1234 5678').type, 'geographic');
+  assert.equal(parsePhone('800 123 4567').type, 'toll_free');
+  assert.equal(parsePhone('900 123 4567').type, 'premium');
+});
+
+test('parsePhone genera la forma internacional legible', () => {
+  assert.equal(parsePhone('5512345678').international, '+52 55 1234 5678');
+  assert.equal(parsePhone('6141234567').international, '+52 614 123 4567');
+});
+
+test('parsePhone acepta valores no string', () => {
+  assert.equal(parsePhone(5512345678).e164, '+525512345678');
+  assert.equal(parsePhone(null).valid, false);
+  assert.equal(parsePhone(undefined).valid, false);
+});
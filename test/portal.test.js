@@ -0,0 +1,233 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rxlab-portal-'));
+process.env.APP_ENV = 'development';
+process.env.CRM_PROVIDER = 'local';
+process.env.PORTAL_SESSION_SECRET = 'portal-secret';
+process.env.PORTAL_REMINDER_DAYS = '30';
+process.env.SITE_URL = 'https://rxlab.example.mx';
+process.env.LOG_LEVEL = 'silent';
+
+const roster = require('../lib/portal/roster');
+const { sendDueReminders } = require('../lib/portal/reminders');
+
+const DAY_MS = 24 * 3600 * 1000;
+
+function daysFromNow(days) {
+  return new Date(Date.now() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function readData(file) {
+  const filePath = path.join(process.env.DATA_DIR, file);
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : [];
+}
+
+function emailsTo(email) {
+  return readData('crm-notifications.json').filter((notification) => notification.to?.[0]?.email === email);
+}
+
+async function createEmployerWithWorker(company, email) {
+  const employer = await roster.createEmployer({ company, users: [{ email, name: 'Laura' }] }, { user: 'admin' });
+  const worker = await roster.createWorker(employer.id, {
+    employeeNumber: 'A-1',
+    name: 'Pedro Ruiz',
+    position: 'Operador',
+    services: ['examen-periodico', 'antidoping']
+  });
+  return { employer, worker };
+}
+
+test('el vencimiento sale del catálogo: el examen de contratación abre el ciclo del periódico', async () => {
+  assert.equal(roster.addMonths('2025-01-31', 1), '2025-02-28');
+  assert.equal(roster.addMonths('2024-02-29', 12), '2025-02-28');
+
+  const { employer, worker } = await createEmployerWithWorker('Transportes del Norte', 'rh@tdn.mx');
+  assert.deepEqual(worker.tracking.map((entry) => entry.status), ['sin_examen', 'sin_examen']);
+
+  await roster.recordExam(employer.id, worker.id, { service: 'examen-contratacion', date: daysFromNow(-350), aptitude: 'apto' });
+  const updated = await roster.recordExam(employer.id, worker.id, {
+    service: 'antidoping', date: daysFromNow(-400), aptitude: 'apto_con_restricciones', restrictions: 'Sin turnos nocturnos'
+  });
+  const [periodic, antidoping] = updated.tracking;
+  assert.equal(periodic.status, 'por_vencer');
+  assert.equal(periodic.dueDate, roster.addMonths(daysFromNow(-350), 12));
+  assert.equal(antidoping.status, 'vencido');
+  assert.equal(updated.aptitude, 'apto');
+  assert.equal(updated.nextDueDate, antidoping.dueDate);
+
+  const [listed] = await roster.listWorkers(employer.id, { status: 'vencido' });
+  assert.equal(listed.id, worker.id);
+
+  const invalid = [
+    { service: 'campana-deteccion', date: daysFromNow(-1), aptitude: 'apto' },
+    { service: 'antidoping', date: daysFromNow(5), aptitude: 'apto' },
+    { service: 'antidoping', date: daysFromNow(-1), aptitude: 'apto_con_restricciones' }
+  ];
+  for (const body of invalid) {
+    await assert.rejects(roster.recordExam(employer.id, worker.id, body), { status: 400 });
+  }
+  await assert.rejects(roster.createEmployer({ company: 'Otra', users: [{ email: 'RH@tdn.mx' }] }), { status: 409 });
+});
+
+test('la plantilla CSV da de alta o actualiza por número de empleado y reporta las filas con error', async () => {
+  const employer = await roster.createEmployer({ company: 'Logística Bajío', users: [{ email: 'rh@bajio.mx' }] });
+  await roster.createWorker(employer.id, { employeeNumber: '100', name: 'Ana Soto' });
+
+  const csv = [
+    'Número de empleado;Nombre;Puesto;Servicios;Activo',
+    '100;Ana Soto Pérez;Montacarguista;Examen médico periódico|antidoping;Sí',
+    '101;Luis Mora;Chofer;puestos-criticos;',
+    '102;;Almacén;;',
+    '103;Eva Ríos;;rayos-x;',
+    '104;"Gómez; Raúl";;;No'
+  ].join('\r\n');
+  const result = await roster.importWorkers(employer.id, `\uFEFF${csv}`, { user: 'rh@bajio.mx' });
+  assert.equal(result.created, 2);
+  assert.equal(result.updated, 1);
+  assert.deepEqual(result.errors.map((entry) => entry.line), [4, 5]);
+
+  const workers = await roster.listWorkers(employer.id, { includeInactive: true });
+  const byNumber = Object.fromEntries(workers.map((worker) => [worker.employeeNumber, worker]));
+  assert.equal(byNumber['100'].name, 'Ana Soto Pérez');
+  assert.deepEqual(byNumber['100'].services, ['examen-periodico', 'antidoping']);
+  assert.deepEqual(byNumber['101'].services, ['puestos-criticos']);
+  assert.equal(byNumber['104'].name, 'Gómez; Raúl');
+  assert.equal(byNumber['104'].active, false);
+  assert.deepEqual(byNumber['104'].services, ['examen-periodico']);
+  assert.equal((await roster.listWorkers(employer.id)).length, 2);
+
+  await assert.rejects(roster.importWorkers(employer.id, 'Nombre\nAna'), { status: 400 });
+});
+
+test('acceso con enlace por email: sesión por cookie y cada empresa ve solo su plantilla', async () => {
+  const { employer, worker } = await createEmployerWithWorker('Constructora Sur', 'rh@sur.mx');
+  const other = await createEmployerWithWorker('Minera Norte', 'rh@minera.mx');
+
+  const app = require('../server');
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/portal`;
+  const call = (url, { cookie, body, lang, method = body ? 'POST' : 'GET' } = {}) => fetch(`${base}${url}`, {
+    method,
+    headers: { 'content-type': 'application/json', ...(cookie ? { cookie } : {}), ...(lang ? { 'accept-language': lang } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  try {
+    const unknown = await (await call('/api/login', { body: { email: 'nadie@sur.mx' } })).json();
+    const known = await (await call('/api/login', { body: { email: 'RH@sur.mx' } })).json();
+    assert.equal(unknown.message, known.message);
+    assert.match(known.message, /Vence en 30 minutos/);
+    assert.equal(emailsTo('nadie@sur.mx').length, 0);
+    const english = await (await call('/api/login', { body: { email: 'nadie@sur.mx' }, lang: 'en' })).json();
+    assert.match(english.message, /It expires in 30 minutes/);
+
+    const [email] = emailsTo('rh@sur.mx');
+    assert.equal(email.subject, 'Tu enlace para entrar al portal de RXLab');
+    const [, token] = /\/portal\/\?token=([\w-]+)/.exec(email.text);
+    assert.equal(JSON.stringify(readData('portal-logins.json')).includes(token), false);
+
+    const signedOut = await call('/api/me', { lang: 'en' });
+    assert.equal(signedOut.status, 401);
+    assert.match((await signedOut.json()).error, /Your session has ended/);
+
+    const session = await call('/api/session', { body: { token } });
+    assert.equal(session.status, 200);
+    const setCookie = session.headers.get('set-cookie');
+    assert.match(setCookie, /HttpOnly/);
+    assert.match(setCookie, /SameSite=Lax/);
+    const cookie = setCookie.split(';')[0];
+    const reused = await call('/api/session', { body: { token } });
+    assert.equal(reused.status, 401);
+    assert.match((await reused.json()).error, /ya se usó o venció/);
+
+    const me = await (await call('/api/me', { cookie })).json();
+    assert.equal(me.employer.company, 'Constructora Sur');
+    assert.deepEqual(me.services.map((service) => service.slug), ['examen-periodico', 'expediente-ocupacional', 'antidoping', 'puestos-criticos']);
+
+    const list = await (await call('/api/workers', { cookie })).json();
+    assert.deepEqual(list.workers.map((candidate) => candidate.id), [worker.id]);
+    assert.equal(list.summary.sin_examen, 2);
+
+    const created = await call('/api/workers', { cookie, body: { employeeNumber: 'A-2', name: 'Rosa Díaz', services: ['puestos-criticos'] } });
+    assert.equal(created.status, 201);
+    assert.equal((await call('/api/workers', { cookie, body: { employeeNumber: 'A-2', name: 'Otra' } })).status, 409);
+
+    const dismissed = await (await call(`/api/workers/${worker.id}`, { cookie, method: 'PATCH', body: { active: false } })).json();
+    assert.equal(dismissed.worker.active, false);
+    assert.equal((await call(`/api/workers/${other.worker.id}`, { cookie, method: 'PATCH', body: { active: false } })).status, 404);
+
+    await roster.updateEmployer(employer.id, { active: false });
+    assert.equal((await call('/api/me', { cookie })).status, 401);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test('recordatorios: un resumen por empresa al entrar a por vencer y otro al vencer', async () => {
+  const { employer, worker } = await createEmployerWithWorker('Alimentos del Valle', 'rh@valle.mx');
+  await roster.updateEmployer(employer.id, { locale: 'en' });
+  await roster.recordExam(employer.id, worker.id, { service: 'examen-periodico', date: daysFromNow(-345), aptitude: 'apto' });
+  await roster.recordExam(employer.id, worker.id, { service: 'antidoping', date: daysFromNow(-100), aptitude: 'apto' });
+
+  await sendDueReminders();
+  const [first] = emailsTo('rh@valle.mx');
+  assert.equal(first.subject, 'Exams to renew at Alimentos del Valle (1)');
+  assert.match(first.text, /Expiring in the next 30 days:\n- Pedro Ruiz \(No\. A-1\): Periodic medical exam, expires on/);
+  assert.doesNotMatch(first.text, /Expired:/);
+
+  await sendDueReminders();
+  assert.equal(emailsTo('rh@valle.mx').length, 1);
+
+  await sendDueReminders({ now: Date.now() + 40 * DAY_MS });
+  const second = emailsTo('rh@valle.mx');
+  assert.equal(second.length, 2);
+  assert.match(second[1].text, /Expired:\n- Pedro Ruiz \(No\. A-1\): Periodic medical exam, expired on/);
+  assert.equal(readData('portal-reminders.json').filter((entry) => entry.employerId === employer.id).length, 2);
+});
+
+test('el enlace de acceso sale de SITE_URL aunque la solicitud traiga otro Host', async () => {
+  await createEmployerWithWorker('Químicos del Golfo', 'rh@golfo.mx');
+
+  const app = require('../server');
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    // fetch no deja cambiar el Host; http.request sí
+    const status = await new Promise((resolve, reject) => {
+      const request = http.request({
+        host: '127.0.0.1',
+        port: server.address().port,
+        path: '/portal/api/login',
+        method: 'POST',
+        headers: { host: 'evil.example', 'content-type': 'application/json', 'x-forwarded-host': 'evil.example' }
+      }, (response) => {
+        response.resume();
+        response.on('end', () => resolve(response.statusCode));
+      });
+      request.on('error', reject);
+      request.end(JSON.stringify({ email: 'rh@golfo.mx' }));
+    });
+    assert.equal(status, 200);
+
+    const [email] = emailsTo('rh@golfo.mx');
+    assert.match(email.text, /https:\/\/rxlab\.example\.mx\/portal\/\?token=[\w-]+/);
+    assert.doesNotMatch(email.text + email.html, /evil\.example/);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test('sin SITE_URL el acceso al portal queda deshabilitado', async () => {
+  await createEmployerWithWorker('Cementos del Istmo', 'rh@istmo.mx');
+  const { requestLogin } = require('../lib/portal/auth');
+  await assert.rejects(requestLogin('rh@istmo.mx', {}), { status: 503 });
+  assert.deepEqual(emailsTo('rh@istmo.mx'), []);
+});
@@ -0,0 +1,191 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rxlab-privacy-'));
+process.env.APP_ENV = 'development';
+process.env.CRM_PROVIDER = 'local';
+process.env.FORM_TOKEN_SECRET = 'test-secret';
+process.env.SITE_URL = 'https://rxlab.example.mx';
+process.env.LOG_LEVEL = 'silent';
+
+const { handleLeadRequest } = require('../lib/leads/pipeline');
+const { handlePrivacyRequest } = require('../lib/privacy');
+const { createRequest } = require('../lib/privacy/arco');
+const { handleSiteRequest } = require('../lib/site');
+const { issueFormToken } = require('../lib/spam/token');
+
+function readData(file) {
+  const filePath = path.join(process.env.DATA_DIR, file);
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : [];
+}
+
+function sendLead(email, overrides = {}) {
+  return handleLeadRequest({
+    name: 'Ana López',
+    company: 'Transportes del Norte',
+    email,
+    phone: '+525512345678',
+    message: 'Necesitamos antidoping para 80 operadores',
+    formToken: issueFormToken(Date.now() - 5000),
+    website: '',
+    ...overrides
+  }, { ip: '203.0.113.7' });
+}
+
+// Crea la solicitud y saca id y token del enlace del email de verificación
+async function requestAndConfirm(body, locale = 'es') {
+  const created = await handlePrivacyRequest('requests', 'POST', { body, locale, ip: '203.0.113.9' });
+  assert.equal(created.statusCode, 200);
+  const email = readData('crm-notifications.json').filter((notification) => notification.to?.[0]?.email === body.email.toLowerCase()).pop();
+  const [, id, token] = /https:\/\/rxlab\.example\.mx\/aviso-de-privacidad\?solicitud=([\w-]+)&token=([\w-]+)/.exec(email.text);
+  return { created, email, id, token };
+}
+
+test('sin aceptar el aviso el lead se rechaza; al aceptarlo queda la constancia con IP y versión', async () => {
+  const rejected = await sendLead('sin.aviso@tdn.mx');
+  assert.equal(rejected.statusCode, 400);
+  assert.equal(rejected.body.code, 'consent_required');
+  assert.ok(rejected.body.fields.privacyConsent);
+
+  const accepted = await sendLead('ana@tdn.mx', { privacyConsent: 'on', marketingConsent: true, privacyNoticeVersion: '1999-01-01' });
+  assert.equal(accepted.statusCode, 200);
+
+  const [consent] = readData('consents.json');
+  assert.deepEqual(
+    [consent.kind, consent.email, consent.ip, consent.noticeVersion, consent.marketing, consent.source],
+    ['acceptance', 'ana@tdn.mx', '203.0.113.7', '2025-06-01', true, 'contacto']
+  );
+  assert.equal(readData('leads.json')[0].consent.noticeVersion, '2025-06-01');
+
+  const contact = readData('crm-contacts.json').find((candidate) => candidate.email === 'ana@tdn.mx');
+  assert.equal(contact.attributes.AVISO_PRIVACIDAD, '2025-06-01');
+  assert.equal(contact.attributes.ACEPTA_PUBLICIDAD, true);
+  assert.equal(contact.attributes.FECHA_CONSENTIMIENTO, consent.at.slice(0, 10));
+});
+
+test('acceso: el enlace del email exporta los datos una sola vez', async () => {
+  const { created, email, id, token } = await requestAndConfirm({ type: 'access', email: 'ANA@tdn.mx' }, 'en');
+  assert.equal(created.body.message, 'We sent you a link to confirm the request. Check your email; it expires in 24 hours.');
+  assert.equal(email.subject, 'Confirm your access request');
+  assert.match(email.text, /^Hi,/);
+  assert.match(email.text, /&lang=en#arco/);
+
+  const stored = readData('privacy-requests.json').find((request) => request.id === id);
+  assert.equal(stored.status, 'pending_verification');
+  assert.equal(stored.ip, '203.0.113.9');
+  assert.equal(JSON.stringify(stored).includes(token), false);
+
+  const verified = await handlePrivacyRequest('verify', 'POST', { body: { id, token }, locale: 'en' });
+  assert.equal(verified.statusCode, 200);
+  assert.equal(verified.body.status, 'completed');
+  const { data } = verified.body;
+  assert.equal(data.email, 'ana@tdn.mx');
+  assert.equal(data.leads.length, 1);
+  assert.equal(data.accounts[0].contact.name, 'Ana López');
+  assert.equal(data.consents[0].ip, '203.0.113.7');
+  assert.equal(data.crm.attributes.EMPRESA, 'Transportes del Norte');
+
+  const reused = await handlePrivacyRequest('verify', 'POST', { body: { id, token } });
+  assert.equal(reused.statusCode, 400);
+  assert.match(reused.body.error, /ya se usó o venció/);
+});
+
+test('oposición y cancelación: se aplican aquí y en el CRM, y el equipo recibe el aviso', async () => {
+  const opposition = await requestAndConfirm({ type: 'opposition', email: 'ana@tdn.mx' });
+  const opposed = await handlePrivacyRequest('verify', 'POST', { body: { id: opposition.id, token: opposition.token } });
+  assert.equal(opposed.body.status, 'completed');
+  assert.equal(readData('leads.json').find((lead) => lead.email === 'ana@tdn.mx').consent.marketing, false);
+  assert.equal(readData('consents.json').filter((consent) => consent.kind === 'revocation').length, 1);
+  const crmContact = readData('crm-contacts.json').find((contact) => contact.email === 'ana@tdn.mx');
+  assert.equal(crmContact.attributes.ACEPTA_PUBLICIDAD, false);
+  assert.equal(crmContact.emailBlacklisted, true);
+
+  const cancellation = await requestAndConfirm({ type: 'cancellation', email: 'ana@tdn.mx', details: 'Ya no trabajo ahí' });
+  const cancelled = await handlePrivacyRequest('verify', 'POST', { body: { id: cancellation.id, token: cancellation.token } });
+  assert.equal(cancelled.body.message, 'Solicitud confirmada. Borramos tus datos de nuestros sistemas.');
+
+  assert.equal(readData('leads.json').some((lead) => lead.email === 'ana@tdn.mx'), false);
+  assert.equal(readData('accounts.json').some((account) => account.contacts.some((contact) => contact.email === 'ana@tdn.mx')), false);
+  assert.equal(readData('consents.json').some((consent) => consent.email === 'ana@tdn.mx'), false);
+  assert.equal(readData('outbox.json').some((entry) => entry.payload?.email === 'ana@tdn.mx'), false);
+  assert.equal(readData('crm-contacts.json').some((contact) => contact.email === 'ana@tdn.mx'), false);
+
+  const staff = readData('crm-notifications.json').filter((notification) => /^Solicitud ARCO/.test(notification.subject));
+  assert.deepEqual(staff.slice(-2).map((notification) => notification.subject), ['Solicitud ARCO de oposición', 'Solicitud ARCO de cancelación']);
+  assert.match(staff[staff.length - 1].text, /leads: 1 · accounts: 1/);
+  assert.match(staff[staff.length - 1].text, /Ya no trabajo ahí/);
+});
+
+test('solicitudes inválidas, enlaces vencidos y la página del aviso', async () => {
+  const badType = await handlePrivacyRequest('requests', 'POST', { body: { type: 'borrar', email: 'ana@tdn.mx' } });
+  assert.equal(badType.statusCode, 400);
+
+  const noCorrections = await handlePrivacyRequest('requests', 'POST', { body: { type: 'rectification', email: 'ana@tdn.mx' } });
+  assert.equal(noCorrections.statusCode, 400);
+  assert.ok(noCorrections.body.fields.corrections);
+
+  assert.equal((await handlePrivacyRequest('verify', 'GET', {})).statusCode, 405);
+
+  // Sin SITE_URL no hay enlace de verificación que mandar
+  await assert.rejects(createRequest({ type: 'access', email: 'luis@tdn.mx' }, {}), { status: 503 });
+
+  const { id } = await createRequest({ type: 'access', email: 'luis@tdn.mx' }, { siteUrl: process.env.SITE_URL, now: Date.now() - 25 * 3600 * 1000 });
+  const expired = await handlePrivacyRequest('verify', 'POST', { body: { id, token: 'cualquiera' } });
+  assert.equal(expired.statusCode, 400);
+
+  const notice = await handlePrivacyRequest('notice', 'GET', { locale: 'en' });
+  assert.equal(notice.body.notice.version, '2025-06-01');
+  assert.equal(notice.body.notice.title, 'Privacy notice');
+
+  const page = await handleSiteRequest('/aviso-de-privacidad', { locale: 'en' });
+  assert.equal(page.statusCode, 200);
+  assert.match(page.body, /<h1>Privacy notice<\/h1>/);
+  assert.match(page.body, /RXLab, located at Benito Juárez, Ciudad de México/);
+  assert.match(page.body, /<link rel="canonical" href="https:\/\/rxlab\.example\.mx\/aviso-de-privacidad\?lang=en" \/>/);
+
+  const landing = await handleSiteRequest('/');
+  assert.match(landing.body, /id="privacyNoticeVersion" value="2025-06-01"/);
+});
+
+test('el enlace de verificación y el canonical usan SITE_URL aunque la solicitud traiga otro Host', async () => {
+  const app = require('../server');
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  // fetch no deja cambiar el Host; http.request sí
+  const call = (method, url, body) => new Promise((resolve, reject) => {
+    const request = http.request({
+      host: '127.0.0.1',
+      port: server.address().port,
+      path: url,
+      method,
+      headers: { host: 'evil.example', 'content-type': 'application/json' }
+    }, (response) => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => { text += chunk; });
+      response.on('end', () => resolve({ status: response.statusCode, text }));
+    });
+    request.on('error', reject);
+    request.end(body ? JSON.stringify(body) : undefined);
+  });
+
+  try {
+    const created = await call('POST', '/api/privacy/requests', { type: 'access', email: 'victima@tdn.mx' });
+    assert.equal(created.status, 200);
+    const email = readData('crm-notifications.json').filter((notification) => notification.to?.[0]?.email === 'victima@tdn.mx').pop();
+    assert.match(email.text, /https:\/\/rxlab\.example\.mx\/aviso-de-privacidad\?solicitud=/);
+    assert.doesNotMatch(email.text, /evil\.example/);
+
+    const landing = await call('GET', '/');
+    assert.match(landing.text, /<link rel="canonical" href="https:\/\/rxlab\.example\.mx\/" \/>/);
+    assert.doesNotMatch(landing.text, /evil\.example/);
+    assert.doesNotMatch((await call('GET', '/sitemap.xml')).text, /evil\.example/);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
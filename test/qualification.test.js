@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rxlab-qualification-'));
+process.env.APP_ENV = 'development';
+process.env.CRM_PROVIDER = 'local';
+process.env.FORM_TOKEN_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'silent';
+
+const { validateContactForm, buildCrmAttributes } = require('../lib/contactForm');
+const { scoreLead } = require('../lib/leads/score');
+const { handleLeadRequest } = require('../lib/leads/pipeline');
+const { issueFormToken } = require('../lib/spam/token');
+
+const CONTACT = {
+  name: 'Ana López',
+  company: 'Transportes del Norte',
+  email: 'ana@tdn.mx',
+  phone: '+525512345678',
+  message: 'Necesitamos exámenes periódicos para los operadores',
+  privacyConsent: true
+};
+
+function readData(file) {
+  return JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, file), 'utf8'));
+}
+
+test('scoreLead suma plantilla, giro, turnos, servicios, urgencia e inspección', () => {
+  const hot = scoreLead({
+    headcount: 320,
+    industry: 'logistica',
+    shifts: 'rotativos',
+    services: ['antidoping', 'examen-periodico', 'puestos-criticos', 'cadena-custodia'],
+    urgency: 'inmediata',
+    stpsInspection: true
+  });
+  assert.equal(hot.score, 100);
+  assert.equal(hot.band, 'caliente');
+  assert.deepEqual(hot.reasons.map((reason) => reason.code), ['headcount', 'industry', 'shifts', 'services', 'urgency', 'stps_inspection']);
+  assert.equal(hot.reasons.find((reason) => reason.code === 'services').points, 15);
+
+  const warm = scoreLead({ headcount: 40, industry: 'servicios', urgency: 'trimestre', stpsInspection: true });
+  assert.equal(warm.score, 40);
+  assert.equal(warm.band, 'tibio');
+
+  assert.deepEqual(scoreLead({ urgency: 'explorando' }), { score: 0, band: 'frío', reasons: [] });
+});
+
+test('la calificación es opcional para la API pero el formulario exige sus campos marcados', () => {
+  assert.equal(validateContactForm(CONTACT).valid, true);
+
+  const form = validateContactForm(CONTACT, { form: true });
+  assert.deepEqual(Object.keys(form.errors), ['headcount', 'industry', 'urgency']);
+  assert.equal(form.errors.urgency, 'Indica para cuándo lo necesitas');
+
+  const step = validateContactForm({ company: 'TDN', headcount: '0', industry: 'pesca' }, { form: true, step: 'company' });
+  assert.deepEqual(Object.keys(step.errors), ['headcount', 'industry']);
+
+  const choices = { services: ['antidoping', 'examen-periodico'] };
+  const answers = { ...CONTACT, services: ['antidoping', 'no-existe'], stpsInspection: 'sí' };
+  assert.match(validateContactForm(answers, { choices }).errors.services, /Servicios de interés/);
+
+  const valid = validateContactForm({ ...answers, services: 'antidoping, examen-periodico, antidoping' }, { choices });
+  assert.deepEqual(valid.data.services, ['antidoping', 'examen-periodico']);
+  assert.equal(valid.data.stpsInspection, true);
+  assert.equal(buildCrmAttributes(valid.data).SERVICIOS_INTERES, 'antidoping, examen-periodico');
+});
+
+test('el lead calificado llega al CRM con sus atributos y el puntaje queda en el panel', async () => {
+  const { statusCode } = await handleLeadRequest({
+    ...CONTACT,
+    headcount: '120',
+    industry: 'manufactura',
+    shifts: 'tres',
+    services: ['antidoping', 'examen-periodico'],
+    urgency: 'inmediata',
+    stpsInspection: 'true',
+    formToken: issueFormToken(Date.now() - 5000),
+    website: ''
+  });
+  assert.equal(statusCode, 200);
+
+  const [contact] = readData('crm-contacts.json');
+  assert.deepEqual(
+    [contact.attributes.EMPLEADOS, contact.attributes.GIRO, contact.attributes.TURNOS, contact.attributes.URGENCIA],
+    [120, 'manufactura', 'tres', 'inmediata']
+  );
+  assert.equal(contact.attributes.SERVICIOS_INTERES, 'antidoping, examen-periodico');
+  assert.equal(contact.attributes.INSPECCION_STPS, true);
+  assert.equal(contact.attributes.LEAD_SCORE, 88);
+
+  const [lead] = readData('leads.json');
+  assert.equal(lead.leadScore, 88);
+  assert.equal(lead.leadBand, 'caliente');
+  assert.deepEqual(lead.services, ['antidoping', 'examen-periodico']);
+
+  const notification = readData('crm-notifications.json')[0];
+  assert.match(notification.text, /Puntaje del lead: 88\/100 \(caliente\)/);
+  assert.match(notification.text, /Giro: Manufactura/);
+
+  const unknown = await handleLeadRequest({ ...CONTACT, services: ['servicio-inventado'], formToken: issueFormToken(Date.now() - 5000) });
+  assert.equal(unknown.statusCode, 400);
+  assert.ok(unknown.body.fields.services);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rxlab-quote-'));
+
+const { buildQuote, issueQuote, QuoteError } = require('../lib/quote');
+const { renderQuotePdf, serviceNotes } = require('../lib/quote/pdf');
+const { getSection, saveSection } = require('../lib/content');
+
+test('buildQuote cobra por empleado y suma IVA', () => {
+  const quote = buildQuote({ headcount: 10, items: [{ service: 'examen-periodico' }] });
+  assert.equal(quote.subtotal, 5500);
+  assert.equal(quote.discount.amount, 0);
+  assert.equal(quote.tax.amount, 880);
+  assert.equal(quote.total, 6380);
+});
+
+test('buildQuote usa el precio del panel antidoping elegido', () => {
+  const quote = buildQuote({ headcount: 10, items: [{ service: 'antidoping', panel: 3 }] });
+  assert.equal(quote.lines[0].unitPrice, 280);
+  assert.match(quote.lines[0].description, /panel de 3 elementos/);
+});
+
+test('buildQuote agrega complementos como líneas propias', () => {
+  const quote = buildQuote({
+    headcount: 10,
+    items: [{ service: 'examen-contratacion', addons: ['audiometria', 'espirometria'] }]
+  });
+  assert.deepEqual(quote.lines.map((line) => line.addon), [undefined, 'audiometria', 'espirometria']);
+  assert.equal(quote.subtotal, (650 + 280 + 320) * 10);
+});
+
+test('buildQuote aplica el descuento por volumen solo a conceptos por empleado', () => {
+  const quote = buildQuote({
+    headcount: 50,
+    items: [{ service: 'expediente-ocupacional' }, { service: 'cadena-custodia' }]
+  });
+  assert.equal(quote.discount.rate, 0.10);
+  assert.equal(quote.discount.amount, 750);
+  assert.equal(quote.subtotal, 7500 + 3500);
+});
+
+test('buildQuote respeta la cantidad mínima de la campaña en sitio', () => {
+  const quote = buildQuote({ headcount: 5, items: [{ service: 'campana-deteccion' }] });
+  assert.equal(quote.lines[0].quantity, 20);
+});
+
+test('buildQuote rechaza solicitudes inválidas', () => {
+  const invalid = [
+    { headcount: 0, items: [{ service: 'antidoping' }] },
+    { headcount: 2.5, items: [{ service: 'antidoping' }] },
+    { headcount: 10, items: [] },
+    { headcount: 10, items: [{ service: 'no-existe' }] },
+    { headcount: 10, items: [{ service: 'antidoping', panel: 7 }] },
+    { headcount: 10, items: [{ service: 'expediente-ocupacional', addons: ['audiometria'] }] },
+    { headcount: 10, items: [{ service: 'antidoping' }, { service: 'antidoping' }] },
+    { headcount: 10, items: [{ service: 'examen-periodico', addons: {} }] },
+    { headcount: 10, items: [{ service: 'examen-periodico', addons: 5 }] },
+    { headcount: 10, items: [{ service: 'examen-periodico', addons: 'audiometria' }] }
+  ];
+
+  for (const request of invalid) {
+    assert.throws(() => buildQuote(request), QuoteError, JSON.stringify(request));
+  }
+  assert.throws(() => buildQuote({ headcount: 10, items: [{ service: 'examen-periodico', addons: {} }] }), { status: 400, message: /deben ser una lista/ });
+});
+
+test('issueQuote asigna folios consecutivos por año y la vigencia', async () => {
+  const quote = buildQuote({ headcount: 10, items: [{ service: 'antidoping' }] });
+  const now = new Date('2026-03-10T12:00:00Z');
+
+  const first = await issueQuote(quote, now);
+  const second = await issueQuote(quote, now);
+  const nextYear = await issueQuote(quote, new Date('2027-01-05T12:00:00Z'));
+
+  assert.equal(first.folio, 'RX-2026-0001');
+  assert.equal(second.folio, 'RX-2026-0002');
+  assert.equal(nextYear.folio, 'RX-2027-0001');
+  assert.equal(first.validUntil, '2026-04-09T12:00:00.000Z');
+});
+
+test('renderQuotePdf genera un PDF con la cotización', async () => {
+  const quote = await issueQuote(buildQuote({
+    headcount: 25,
+    items: [{ service: 'examen-periodico', addons: ['audiometria'] }, { service: 'cadena-custodia' }]
+  }));
+  const pdf = await renderQuotePdf({
+    name: 'Ana López',
+    company: 'Transportes del Norte',
+    email: 'ana@example.com',
+    phone: { international: '+52 55 1234 5678' },
+    quote
+  });
+
+  assert.ok(Buffer.isBuffer(pdf));
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+});
+
+test('las notas normativas del PDF salen del contenido editable de los servicios', async () => {
+  const quote = buildQuote({ headcount: 10, items: [{ service: 'examen-periodico', addons: ['audiometria'] }, { service: 'antidoping' }] });
+  const [periodic] = await serviceNotes(quote);
+  assert.equal(periodic.title, 'Examen médico periódico');
+  assert.match(periodic.note, /Numeral 5\.5/);
+
+  const services = await getSection('services');
+  const edited = services.items.map((item) => (item.slug === 'antidoping' ? { ...item, highlight: 'Nota revisada por el área legal.' } : item));
+  await saveSection('services', { ...services, items: edited });
+  const notes = await serviceNotes(quote);
+  assert.deepEqual(notes.map((entry) => entry.note).slice(1), ['Nota revisada por el área legal.']);
+  assert.equal(notes.length, 2);
+});
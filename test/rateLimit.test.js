@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Las funciones de Vercel aplican el mismo límite por IP que server.js (aquí 2 por ventana)
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rxlab-ratelimit-'));
+process.env.APP_ENV = 'development';
+process.env.CRM_PROVIDER = 'local';
+process.env.RATE_LIMIT_MAX = '2';
+process.env.LOG_LEVEL = 'silent';
+
+const { createRateLimiter } = require('../lib/rateLimit');
+
+function call(handler, { method = 'POST', ip = '203.0.113.7', body = {} } = {}) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; }
+  };
+  return Promise.resolve(handler({ method, headers: { 'x-forwarded-for': ip }, query: {}, body }, res)).then(() => res);
+}
+
+test('el limitador en memoria cuenta por clave y se reinicia al pasar la ventana', () => {
+  const limiter = createRateLimiter({ windowMs: 1000, max: 2 });
+  assert.deepEqual([1, 2, 3].map(() => limiter.hit('10.0.0.1', 0).limited), [false, false, true]);
+  assert.equal(limiter.hit('10.0.0.2', 0).remaining, 1);
+  assert.deepEqual(limiter.hit('10.0.0.1', 1000), { limited: false, limit: 2, remaining: 1, resetAt: 2000 });
+});
+
+test('las funciones de Vercel que escriben o mandan emails responden 429 al pasar el límite', async () => {
+  for (const file of ['brevo', 'privacy/requests', 'privacy/verify', 'appointments', 'quote', 'form-token']) {
+    const { default: handler } = await import(`../api/${file}.js`);
+    const method = file === 'form-token' ? 'GET' : 'POST';
+    for (let i = 0; i < 2; i++) {
+      assert.notEqual((await call(handler, { method })).statusCode, 429, file);
+    }
+    const limited = await call(handler, { method });
+    assert.equal(limited.statusCode, 429, file);
+    assert.match(limited.body.error, /Demasiadas solicitudes/);
+    assert.equal(limited.headers['ratelimit-remaining'], '0');
+    assert.ok(Number(limited.headers['retry-after']) > 0);
+    assert.notEqual((await call(handler, { method, ip: '203.0.113.8' })).statusCode, 429, file);
+  }
+});
+
+test('consultar horarios y el catálogo del cotizador no cuenta para el límite', async () => {
+  for (const file of ['appointments', 'quote']) {
+    const { default: handler } = await import(`../api/${file}.js`);
+    for (let i = 0; i < 4; i++) {
+      assert.notEqual((await call(handler, { method: 'GET', ip: '198.51.100.1' })).statusCode, 429, file);
+    }
+  }
+});
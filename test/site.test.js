@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rxlab-site-'));
+process.env.LOG_LEVEL = 'silent';
+process.env.SITE_URL = 'https://rxlab.example.mx/';
+
+const { handleSiteRequest, renderLanding, renderRobots } = require('../lib/site');
+const { renderPrivacyPage } = require('../lib/site/privacyPage');
+const { getSection, saveSection, getAllContent } = require('../lib/content');
+
+function jsonLd(html) {
+  const match = /<script type="application\/ld\+json">([\s\S]*?)<\/script>/.exec(html);
+  return JSON.parse(match[1])['@graph'];
+}
+
+test('la portada llega con las secciones pintadas y el JSON-LD del negocio, FAQ y servicios', async () => {
+  const { statusCode, headers, body } = await handleSiteRequest('/');
+
+  assert.equal(statusCode, 200);
+  assert.match(headers['Content-Type'], /text\/html/);
+  assert.match(body, /<link rel="canonical" href="https:\/\/rxlab\.example\.mx\/" \/>/);
+  assert.match(body, /<a class="service-item active" href="\/servicios\/examen-contratacion" data-index="0">/);
+  assert.match(body, /class="faq-question"/);
+  assert.match(body, /<meta name="description" id="metaDescription" content="Laboratorio clínico/);
+  assert.match(body, /<script type="application\/json" id="siteContent">/);
+
+  const graph = jsonLd(body);
+  const business = graph.find((node) => node['@id'] === 'https://rxlab.example.mx/#negocio');
+  assert.deepEqual(business['@type'], ['MedicalBusiness', 'LocalBusiness']);
+  assert.equal(business.address.addressCountry, 'MX');
+  assert.equal(typeof business.geo.latitude, 'number');
+  assert.equal(graph.find((node) => node['@type'] === 'FAQPage').mainEntity.length, 3);
+
+  const services = graph.filter((node) => node['@type'] === 'Service');
+  assert.equal(services.length, 8);
+  assert.deepEqual(services[0].provider, { '@id': business['@id'] });
+});
+
+test('cada servicio tiene su página con título, descripción y canonical propios', async () => {
+  const { statusCode, body } = await handleSiteRequest('/servicios/antidoping');
+
+  assert.equal(statusCode, 200);
+  assert.match(body, /<title>[^<]*Antidoping[^<]* \| RXLab<\/title>/i);
+  assert.match(body, /<link rel="canonical" href="https:\/\/rxlab\.example\.mx\/servicios\/antidoping" \/>/);
+  assert.match(body, /id="serviceTabs" data-initial-service="antidoping"/);
+  assert.ok(jsonLd(body).some((node) => node['@type'] === 'Service' && node.url.endsWith('/servicios/antidoping')));
+  assert.ok(!jsonLd(body).some((node) => node['@type'] === 'FAQPage'));
+
+  const description = /<meta name="description" id="metaDescription" content="([^"]*)"/.exec(body)[1];
+  assert.ok(description.length > 0 && description.length <= 160);
+
+  const missing = await handleSiteRequest('/servicios/no-existe');
+  assert.equal(missing.statusCode, 404);
+  assert.match(missing.body, /<meta name="robots" content="noindex" \/>/);
+});
+
+test('el HTML del contenido editado se escapa y el sitemap lista portada, servicios y aviso en cada idioma', async () => {
+  const faq = await getSection('faq');
+  faq.items[0].question = '¿Y si escribo </script><b>?';
+  await saveSection('faq', faq, { user: 'marketing' });
+
+  const { body } = await handleSiteRequest('/');
+  assert.match(body, /¿Y si escribo &lt;\/script&gt;&lt;b&gt;\?/);
+  assert.doesNotMatch(body, /<\/script><b>/);
+
+  const sitemap = await handleSiteRequest('/sitemap.xml');
+  assert.match(sitemap.headers['Content-Type'], /application\/xml/);
+  assert.equal((sitemap.body.match(/<loc>/g) || []).length, 20);
+  assert.match(sitemap.body, /<loc>https:\/\/rxlab\.example\.mx\/aviso-de-privacidad\?lang=en<\/loc>/);
+  assert.match(sitemap.body, /<loc>https:\/\/rxlab\.example\.mx\/servicios\/antidoping<\/loc><lastmod>\d{4}-\d{2}-\d{2}<\/lastmod>/);
+
+  const robots = await handleSiteRequest('/robots.txt');
+  assert.match(robots.body, /Sitemap: https:\/\/rxlab\.example\.mx\/sitemap\.xml/);
+});
+
+test('sin SITE_URL las páginas salen sin canonical ni hreflang y robots.txt sin sitemap', async () => {
+  const content = await getAllContent();
+  for (const html of [renderLanding(content, { siteUrl: null }), renderPrivacyPage(content, { siteUrl: null, locale: 'es' })]) {
+    assert.doesNotMatch(html, /rel="canonical"|rel="alternate"|og:url|og:image|null\//);
+  }
+  assert.match(renderLanding(content, { siteUrl: null }), /<script type="application\/ld\+json">/);
+  assert.doesNotMatch(renderRobots({ siteUrl: null, allowIndexing: true }), /Sitemap/);
+});
+
+test('el servidor solo entrega los archivos del navegador, no el código ni los datos', async () => {
+  const app = require('../server');
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const status = async (pathname) => (await fetch(`http://127.0.0.1:${server.address().port}${pathname}`)).status;
+  try {
+    for (const pathname of ['/assets/logos/rxlab.svg', '/lib/siteSections.js', '/lib/phone.js', '/lib/contactForm.js', '/lib/i18n/messages/en.json']) {
+      assert.equal(await status(pathname), 200, pathname);
+    }
+    for (const pathname of ['/server.js', '/package.json', '/lib/config.js', '/lib/portal/roster.js', '/lib/i18n/index.js', '/api/brevo.js', '/.env', '/.env.example', '/.gitignore', '/style.css', '/data/outbox.json', '/assets/../server.js']) {
+      assert.equal(await status(pathname), 404, pathname);
+    }
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test('si la página no se puede armar responde 500 en lugar de dejar la petición colgada', async (t) => {
+  // server.js toma handleSiteRequest al cargarse: se recarga con el handler que falla
+  t.mock.method(require('../lib/site'), 'handleSiteRequest', async () => {
+    throw new Error('plantilla ilegible');
+  });
+  delete require.cache[require.resolve('../server')];
+  const app = require('../server');
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/`, { signal: AbortSignal.timeout(5000) });
+    assert.equal(response.status, 500);
+    assert.equal(response.headers.get('cache-control'), 'no-store');
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    delete require.cache[require.resolve('../server')];
+  }
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rxlab-sorteo-'));
+process.env.APP_ENV = 'development';
+process.env.CRM_PROVIDER = 'local';
+process.env.SORTEO_SIGNING_SECRET = 'sorteo-secret';
+process.env.LOG_LEVEL = 'silent';
+
+const roster = require('../lib/portal/roster');
+const sorteo = require('../lib/sorteo');
+const { renderDrawPdf } = require('../lib/sorteo/pdf');
+
+function population(size) {
+  return Array.from({ length: size }, (_, i) => ({ employeeNumber: `E${String(i + 1).padStart(2, '0')}`, name: `Trabajador ${i + 1}` }));
+}
+
+async function employerWithRoster(company, email) {
+  const employer = await roster.createEmployer({ company, users: [{ email }] });
+  const rows = [
+    'Número de empleado,Nombre,Área,Servicios',
+    ...Array.from({ length: 9 }, (_, i) => `P${i + 1},Patio ${i + 1},Patio,antidoping`),
+    'O1,Oficina 1,Oficinas,antidoping',
+    'O2,Oficina 2,Oficinas,examen-periodico',
+    'B1,Baja 1,Patio,antidoping'
+  ];
+  await roster.importWorkers(employer.id, rows.join('\n'));
+  const [inactive] = await roster.listWorkers(employer.id).then((workers) => workers.filter((worker) => worker.employeeNumber === 'B1'));
+  await roster.updateWorker(employer.id, inactive.id, { active: false });
+  return employer;
+}
+
+test('la selección sale solo de la semilla y el universo: cualquiera puede reproducirla', () => {
+  const workers = population(12);
+  const selected = sorteo.drawSelection(workers, 25, 'lote-4821').map((worker) => worker.employeeNumber);
+  // Vector fijo: si cambia, cambió el algoritmo y las actas anteriores dejan de reproducirse
+  assert.deepEqual(selected, ['E02', 'E09', 'E04']);
+  assert.deepEqual(sorteo.drawSelection([...workers].reverse(), 25, 'lote-4821').map((worker) => worker.employeeNumber), selected);
+  assert.notDeepEqual(sorteo.drawSelection(workers, 25, 'lote-4822').map((worker) => worker.employeeNumber), selected);
+
+  assert.equal(sorteo.drawSelection(population(7), 10, 'x').length, 1);
+  assert.equal(sorteo.drawSelection(population(40), 12.5, 'x').length, 5);
+  assert.equal(sorteo.drawSelection(population(3), 100, 'x').length, 3);
+
+  assert.deepEqual(
+    Object.keys(sorteo.FREQUENCIES).map((frequency) => sorteo.periodOf('2026-10-18', frequency)),
+    ['2026-10', '2026-B5', '2026-T4', '2026-S2', '2026']
+  );
+});
+
+test('sorteo del periodo: universo del programa, acta firmada y un solo sorteo por periodo', async () => {
+  const employer = await employerWithRoster('Transportes del Norte', 'rh@tdn.mx');
+  await assert.rejects(sorteo.saveProgram(employer.id, { percentage: 0, frequency: 'mensual' }), { status: 400 });
+  await assert.rejects(sorteo.saveProgram(employer.id, { percentage: 20, frequency: 'diaria' }), { status: 400 });
+  await sorteo.saveProgram(employer.id, { percentage: 20, frequency: 'mensual', area: 'patio' }, { user: 'rh@tdn.mx' });
+
+  const now = Date.parse('2026-10-18T17:00:00Z');
+  const draw = await sorteo.runDraw(employer, { seed: ' 48213 ', user: 'rh@tdn.mx', now });
+  assert.equal(draw.folio, 'SRT-2026-0001');
+  assert.equal(draw.period, '2026-10');
+  assert.equal(draw.publicSeed, '48213');
+  assert.match(draw.nonce, /^[0-9a-f]{32}$/);
+  assert.equal(draw.seed, `48213:${draw.nonce}`);
+  assert.equal(draw.drawnAt, '2026-10-18T17:00:00.000Z');
+  assert.deepEqual(draw.population.map((worker) => worker.employeeNumber).sort(), ['P1', 'P2', 'P3', 'P4', 'P5', 'P6', 'P7', 'P8', 'P9']);
+  assert.equal(draw.selected.length, 2);
+  assert.match(draw.signature, /^[0-9a-f]{64}$/);
+  assert.deepEqual(sorteo.verifyDraw(draw), { signatureValid: true, populationHashValid: true, reproducible: true });
+
+  await assert.rejects(sorteo.runDraw(employer, { now: now + 3600 * 1000 }), { status: 409, message: /SRT-2026-0001/ });
+  const next = await sorteo.runDraw(employer, { now: Date.parse('2026-11-02T17:00:00Z') });
+  assert.equal(next.period, '2026-11');
+  assert.equal(next.publicSeed, null);
+  assert.equal(next.seed, next.nonce);
+
+  const history = await sorteo.listDraws(employer.id);
+  assert.deepEqual(history.map((entry) => entry.folio), ['SRT-2026-0002', 'SRT-2026-0001']);
+  assert.equal(history[1].populationSize, 9);
+  assert.equal(history[1].population, undefined);
+});
+
+test('un acta alterada no pasa la verificación', async () => {
+  const employer = await employerWithRoster('Minera Sur', 'rh@minera.mx');
+  const draw = await sorteo.runDraw(employer, { seed: 'abc', now: Date.parse('2026-10-18T17:00:00Z') });
+  const stored = await sorteo.getDraw(draw.id, { employerId: employer.id });
+  await assert.rejects(sorteo.getDraw(draw.id, { employerId: 'otra-empresa' }), { status: 404 });
+
+  const swapped = { ...stored, selected: [stored.population.find((worker) => !stored.selected.some((chosen) => chosen.employeeNumber === worker.employeeNumber))] };
+  assert.deepEqual(sorteo.verifyDraw(swapped), { signatureValid: false, populationHashValid: true, reproducible: false });
+
+  const reseeded = { ...stored, seed: 'otra' };
+  assert.equal(sorteo.verifyDraw(reseeded).signatureValid, false);
+
+  const renonced = { ...stored, nonce: 'f'.repeat(32) };
+  assert.equal(sorteo.verifyDraw(renonced).reproducible, false);
+
+  // Un acta sin nonce no se puede reproducir, aunque la semilla coincida con la firmada
+  const { nonce, ...withoutNonce } = stored;
+  assert.ok(nonce);
+  assert.equal(sorteo.verifyDraw({ ...withoutNonce, publicSeed: stored.seed }).reproducible, false);
+  assert.equal(sorteo.verifyDraw(withoutNonce).reproducible, false);
+
+  const trimmed = { ...stored, population: stored.population.slice(1) };
+  assert.equal(sorteo.verifyDraw(trimmed).populationHashValid, false);
+});
+
+test('la semilla de la empresa no decide sola la selección: se combina con un nonce del servidor', async () => {
+  const employer = await employerWithRoster('Grupo Uno', 'rh@uno.mx');
+  await sorteo.saveProgram(employer.id, { percentage: 10, frequency: 'mensual' });
+
+  // Misma semilla y mismo universo doce meses seguidos: si la semilla bastara, saldría
+  // siempre el mismo trabajador (la probabilidad de que pase con el nonce es 1 en 10^11)
+  const draws = [];
+  for (let month = 1; month <= 12; month++) {
+    draws.push(await sorteo.runDraw(employer, { seed: 'elegida', now: Date.parse(`2027-${String(month).padStart(2, '0')}-15T17:00:00Z`) }));
+  }
+  for (const draw of draws) {
+    assert.equal(draw.seed, `elegida:${draw.nonce}`);
+    assert.deepEqual(sorteo.verifyDraw(draw), { signatureValid: true, populationHashValid: true, reproducible: true });
+  }
+  assert.equal(new Set(draws.map((draw) => draw.nonce)).size, 12);
+  assert.ok(new Set(draws.map((draw) => draw.selected[0].employeeNumber)).size > 1);
+});
+
+test('el acta se exporta a PDF con los seleccionados y el universo', async () => {
+  const employer = await employerWithRoster('Alimentos del Valle', 'rh@valle.mx');
+  await sorteo.saveProgram(employer.id, { percentage: 50, frequency: 'trimestral' });
+  const draw = await sorteo.runDraw(employer, { seed: 'pdf', user: 'rh@valle.mx', now: Date.parse('2026-10-18T17:00:00Z') });
+  assert.equal(draw.period, '2026-T4');
+  assert.equal(draw.population.length, 10);
+
+  const pdf = await renderDrawPdf(await sorteo.getDraw(draw.id));
+  assert.ok(Buffer.isBuffer(pdf));
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  assert.ok(pdf.length > 2000);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.FORM_TOKEN_SECRET = 'test-secret';
+
+const { issueFormToken, verifyFormToken } = require('../lib/spam/token');
+const { assessSpam } = require('../lib/spam');
+
+const NOW = 1_800_000_000_000;
+
+const lead = {
+  name: 'Ana López',
+  company: 'Transportes del Norte',
+  email: 'ana@transportesnorte.mx',
+  message: 'Necesitamos exámenes periódicos para 40 operadores.'
+};
+
+test('verifyFormToken acepta un token firmado con edad suficiente, una sola vez', () => {
+  const token = issueFormToken(NOW - 10_000);
+  assert.deepEqual(verifyFormToken(token, NOW), { valid: true, ageMs: 10_000 });
+  assert.equal(verifyFormToken(token, NOW).reason, 'reused');
+});
+
+test('verifyFormToken rechaza tokens rápidos, vencidos, alterados o ausentes', () => {
+  assert.equal(verifyFormToken(issueFormToken(NOW - 500), NOW).reason, 'too_fast');
+  assert.equal(verifyFormToken(issueFormToken(NOW - 3 * 24 * 3600 * 1000), NOW).reason, 'expired');
+
+  const [, nonce, signature] = issueFormToken(NOW - 10_000).split('.');
+  assert.equal(verifyFormToken(`${NOW - 60_000}.${nonce}.${signature}`, NOW).reason, 'signature');
+  assert.equal(verifyFormToken('basura', NOW).reason, 'malformed');
+  assert.equal(verifyFormToken(undefined, NOW).reason, 'missing');
+});
+
+test('assessSpam deja pasar un envío normal', () => {
+  const result = assessSpam({ formToken: issueFormToken(NOW - 20_000), website: '' }, lead, { now: NOW });
+  assert.equal(result.score, 0);
+  assert.equal(result.quarantined, false);
+});
+
+test('assessSpam manda a cuarentena si el honeypot trae valor', () => {
+  const result = assessSpam({ formToken: issueFormToken(NOW - 20_000), website: 'http://spam.example' }, lead, { now: NOW });
+  assert.equal(result.quarantined, true);
+  assert.deepEqual(result.reasons.map((reason) => reason.code), ['honeypot']);
+});
+
+test('assessSpam suma enlaces, frases de spam y emails desechables', () => {
+  const spammy = {
+    ...lead,
+    email: 'promo@mailinator.com',
+    message: 'We offer SEO and backlinks: https://a.example https://b.example https://c.example'
+  };
+  const result = assessSpam({ formToken: issueFormToken(NOW - 20_000) }, spammy, { now: NOW });
+  const codes = result.reasons.map((reason) => reason.code);
+
+  assert.deepEqual(codes, ['many_links', 'spam_phrase', 'disposable_email']);
+  assert.equal(result.reasons[1].detail, 'seo, backlinks');
+  assert.equal(result.quarantined, true);
+});
+
+test('assessSpam sin token suma puntos pero no basta para la cuarentena', () => {
+  const result = assessSpam({}, lead, { now: NOW });
+  assert.equal(result.score, 40);
+  assert.equal(result.quarantined, false);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rxlab-store-'));
+process.env.APP_ENV = 'development';
+process.env.LOG_LEVEL = 'silent';
+
+const { createJsonStore } = require('../lib/store/jsonFile');
+
+const STORE_MODULE = path.join(__dirname, '..', 'lib', 'store', 'jsonFile.js');
+
+// Otro proceso (como npm run outbox) que suma al mismo archivo
+function incrementInChild(times) {
+  const script = `
+    const store = require(${JSON.stringify(STORE_MODULE)}).createJsonStore('counter.json', { count: 0 });
+    (async () => { for (let i = 0; i < ${times}; i++) await store.update((data) => { data.count += 1; }); })();
+  `;
+  return promisify(execFile)(process.execPath, ['-e', script], { env: process.env });
+}
+
+test('dos procesos que actualizan el mismo archivo no se pisan', async () => {
+  const store = createJsonStore('counter.json', { count: 0 });
+  const local = (async () => {
+    for (let i = 0; i < 30; i++) await store.update((data) => { data.count += 1; });
+  })();
+  await Promise.all([incrementInChild(30), incrementInChild(30), local]);
+
+  assert.deepEqual(await store.read(), { count: 90 });
+  assert.equal(fs.existsSync(path.join(process.env.DATA_DIR, 'counter.json.lock')), false);
+});
+
+test('un bloqueo abandonado por un proceso que murió se descarta', async () => {
+  const store = createJsonStore('stale.json', []);
+  const lockPath = path.join(process.env.DATA_DIR, 'stale.json.lock');
+  fs.writeFileSync(lockPath, '99999');
+  const old = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(lockPath, old, old);
+
+  await store.update((items) => { items.push('ok'); });
+  assert.deepEqual(await store.read(), ['ok']);
+  assert.equal(fs.existsSync(lockPath), false);
+});
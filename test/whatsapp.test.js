@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rxlab-whatsapp-'));
+const routingFile = path.join(dir, 'routing.json');
+fs.writeFileSync(routingFile, JSON.stringify({
+  utcOffset: '-06:00',
+  businessHours: { 'mon-fri': ['08:00-18:00'] },
+  routes: [
+    { name: 'antidoping', when: { services: ['antidoping'] }, number: '+52 81 1234 5678' },
+    { name: 'fuera-de-horario', when: { businessHours: false }, redirect: false }
+  ]
+}));
+
+process.env.APP_ENV = 'development';
+process.env.LOG_LEVEL = 'silent';
+process.env.WHATSAPP_NUMBER = '55 1234 5678';
+process.env.WHATSAPP_ROUTING_FILE = routingFile;
+
+const { loadConfig, resetConfig } = require('../lib/config');
+const { buildHandoff } = require('../lib/whatsapp');
+
+const OPEN = Date.parse('2026-10-20T16:00:00.000Z'); // martes 10:00 en CDMX
+const CLOSED = Date.parse('2026-10-20T02:00:00.000Z'); // lunes 20:00 en CDMX
+
+const lead = {
+  id: 'lead-123',
+  name: 'Ana López',
+  company: 'Transportes del Norte',
+  quote: null,
+  appointment: null
+};
+
+test('buildHandoff arma un enlace wa.me con el mensaje y el ID del lead', () => {
+  const handoff = buildHandoff(lead, { now: OPEN });
+  const url = new URL(handoff.url);
+
+  assert.equal(url.origin + url.pathname, 'https://wa.me/525512345678');
+  assert.equal(url.searchParams.get('text'), handoff.message);
+  assert.match(handoff.message, /^Hola RXLab, soy Ana de Transportes del Norte\./);
+  assert.match(handoff.message, /Folio de solicitud: lead-123$/);
+  assert.doesNotMatch(handoff.message, /fuera de horario/);
+  assert.equal(handoff.route, 'default');
+  assert.equal(handoff.redirect, true);
+  assert.equal(handoff.prefilled, true);
+});
+
+test('buildHandoff elige número por servicio y plantilla según el lead', () => {
+  const quoted = {
+    ...lead,
+    quote: { folio: 'RX-2026-0007', headcount: 40, total: 11600, lines: [{ service: 'antidoping' }] }
+  };
+  const handoff = buildHandoff(quoted, { now: OPEN });
+
+  assert.equal(handoff.route, 'antidoping');
+  assert.ok(handoff.url.startsWith('https://wa.me/528112345678?text='));
+  assert.match(handoff.message, /cotización RX-2026-0007 para 40 empleados \(\$11,600\.00\)/);
+});
+
+test('fuera de horario se aplica la regla sin redirección', () => {
+  const handoff = buildHandoff(lead, { now: CLOSED });
+
+  assert.equal(handoff.route, 'fuera-de-horario');
+  assert.equal(handoff.redirect, false);
+  assert.ok(handoff.url.startsWith('https://wa.me/525512345678?'));
+  assert.match(handoff.message, /fuera de horario/);
+});
+
+test('sin número de negocio se usa WHATSAPP_LINK sin mensaje prellenado', (t) => {
+  delete process.env.WHATSAPP_NUMBER;
+  resetConfig();
+  t.after(() => {
+    process.env.WHATSAPP_NUMBER = '55 1234 5678';
+    resetConfig();
+  });
+
+  const handoff = buildHandoff(lead, { now: OPEN });
+  assert.equal(handoff.url, 'https://wa.link/sj63hg');
+  assert.equal(handoff.prefilled, false);
+  assert.match(handoff.message, /lead-123/);
+
+  assert.throws(() => loadConfig({ WHATSAPP_NUMBER: '123' }), /WHATSAPP_NUMBER no es un teléfono válido/);
+});